@@ -1,13 +1,53 @@
-// Material-specific cutting speed multipliers (base: Steel)
-const materialMultipliers = {
-    steel: 1.0,
-    castIron: 0.7,
-    aluminum: 2.5,
-    stainlessSteel: 0.6,
-    titanium: 0.4,
-    brass: 1.8
+// Workpiece material library grouped by ISO 513 machining groups
+// kc11: specific cutting force at h = 1 mm (N/mm²), mc: chip thickness exponent,
+// machinability: tool life index relative to generic steel, vcRange: carbide cutting speed range (m/min)
+const MATERIAL_LIBRARY_STORAGE_KEY = 'cncToolCalc.materialLibrary';
+
+const ISO_MATERIAL_GROUPS = {
+    P: { name: 'P - Steel', color: '#2563eb' },
+    M: { name: 'M - Stainless Steel', color: '#eab308' },
+    K: { name: 'K - Cast Iron', color: '#dc2626' },
+    N: { name: 'N - Non-Ferrous', color: '#16a34a' },
+    S: { name: 'S - Heat-Resistant Alloys & Titanium', color: '#ea580c' },
+    H: { name: 'H - Hardened Steel', color: '#64748b' }
+};
+
+const DEFAULT_MATERIAL_LIBRARY = {
+    steel: { name: 'Steel (generic)', isoGroup: 'P', kc11: 1800, mc: 0.25, machinability: 1.0, vcRange: [150, 250], hardness: 200, hardnessScale: 'HB' },
+    c45: { name: 'C45 / 1045 carbon steel', isoGroup: 'P', kc11: 1700, mc: 0.25, machinability: 1.0, vcRange: [180, 280], hardness: 200, hardnessScale: 'HB' },
+    '16MnCr5': { name: '16MnCr5 / 5115 case-hardening steel', isoGroup: 'P', kc11: 1750, mc: 0.25, machinability: 0.95, vcRange: [170, 260], hardness: 180, hardnessScale: 'HB' },
+    '42CrMo4': { name: '42CrMo4 / 4140 quenched & tempered', isoGroup: 'P', kc11: 2100, mc: 0.26, machinability: 0.75, vcRange: [140, 220], hardness: 300, hardnessScale: 'HB' },
+    stainlessSteel: { name: 'Stainless Steel (generic)', isoGroup: 'M', kc11: 2100, mc: 0.21, machinability: 0.6, vcRange: [120, 200], hardness: 200, hardnessScale: 'HB' },
+    '304': { name: 'X5CrNi18-10 / 304', isoGroup: 'M', kc11: 2000, mc: 0.21, machinability: 0.6, vcRange: [140, 220], hardness: 180, hardnessScale: 'HB' },
+    '316L': { name: 'X2CrNiMo17-12-2 / 316L', isoGroup: 'M', kc11: 2150, mc: 0.21, machinability: 0.5, vcRange: [120, 200], hardness: 180, hardnessScale: 'HB' },
+    duplex2205: { name: '1.4462 / Duplex 2205', isoGroup: 'M', kc11: 2400, mc: 0.22, machinability: 0.4, vcRange: [80, 150], hardness: 260, hardnessScale: 'HB' },
+    castIron: { name: 'Cast Iron (generic)', isoGroup: 'K', kc11: 1100, mc: 0.26, machinability: 0.7, vcRange: [150, 250], hardness: 200, hardnessScale: 'HB' },
+    gg25: { name: 'EN-GJL-250 / GG25 grey iron', isoGroup: 'K', kc11: 1150, mc: 0.26, machinability: 0.8, vcRange: [180, 300], hardness: 210, hardnessScale: 'HB' },
+    ggg50: { name: 'EN-GJS-500-7 / GGG50 ductile iron', isoGroup: 'K', kc11: 1400, mc: 0.28, machinability: 0.65, vcRange: [150, 250], hardness: 200, hardnessScale: 'HB' },
+    aluminum: { name: 'Aluminum (generic)', isoGroup: 'N', kc11: 700, mc: 0.23, machinability: 2.5, vcRange: [300, 1000], hardness: 80, hardnessScale: 'HB' },
+    al6061: { name: 'AlMg1SiCu / 6061-T6', isoGroup: 'N', kc11: 650, mc: 0.23, machinability: 2.6, vcRange: [400, 1200], hardness: 95, hardnessScale: 'HB' },
+    al7075: { name: 'AlZn5.5MgCu / 7075-T6', isoGroup: 'N', kc11: 830, mc: 0.23, machinability: 2.3, vcRange: [300, 1000], hardness: 150, hardnessScale: 'HB' },
+    brass: { name: 'Brass (generic)', isoGroup: 'N', kc11: 780, mc: 0.18, machinability: 1.8, vcRange: [200, 400], hardness: 100, hardnessScale: 'HB' },
+    titanium: { name: 'Titanium (generic)', isoGroup: 'S', kc11: 1450, mc: 0.23, machinability: 0.4, vcRange: [40, 80], hardness: 300, hardnessScale: 'HB' },
+    ti6al4v: { name: 'Ti-6Al-4V (Grade 5)', isoGroup: 'S', kc11: 1450, mc: 0.23, machinability: 0.35, vcRange: [40, 70], hardness: 330, hardnessScale: 'HB' },
+    inconel718: { name: 'Inconel 718 (aged)', isoGroup: 'S', kc11: 2900, mc: 0.25, machinability: 0.2, vcRange: [20, 45], hardness: 40, hardnessScale: 'HRC' },
+    hardened45: { name: 'Hardened steel 45 HRC', isoGroup: 'H', kc11: 3200, mc: 0.24, machinability: 0.3, vcRange: [80, 150], hardness: 45, hardnessScale: 'HRC' },
+    hardened55: { name: 'Hardened steel 55 HRC', isoGroup: 'H', kc11: 4200, mc: 0.22, machinability: 0.15, vcRange: [60, 120], hardness: 55, hardnessScale: 'HRC' }
+};
+
+// Reference material of each ISO group for data only available for the generic materials
+const ISO_GROUP_REFERENCE_MATERIALS = {
+    P: 'steel',
+    M: 'stainlessSteel',
+    K: 'castIron',
+    N: 'aluminum',
+    S: 'titanium',
+    H: 'steel'
 };
 
+// Library = built-in materials plus user additions and edits (stored locally)
+let materialLibrary = { ...DEFAULT_MATERIAL_LIBRARY, ...loadStoredJSON(MATERIAL_LIBRARY_STORAGE_KEY, {}) };
+
 // Tool material multipliers
 const toolMaterialMultipliers = {
     hss: 1.0,
@@ -26,6 +66,51 @@ const coatingMultipliers = {
     diamond: 2.5
 };
 
+// Cutting fluid tool life factors per workpiece material (relative to dry cutting)
+const coolantLifeFactors = {
+    steel: { none: 1.0, flood: 1.4, mist: 1.15, mql: 1.25, emulsion: 1.35, synthetic: 1.3, semiSynthetic: 1.35, straightOil: 1.45, waterSoluble: 1.35 },
+    castIron: { none: 1.0, flood: 1.1, mist: 1.05, mql: 1.1, emulsion: 1.1, synthetic: 1.05, semiSynthetic: 1.1, straightOil: 1.1, waterSoluble: 1.1 },
+    aluminum: { none: 0.7, flood: 1.3, mist: 1.2, mql: 1.35, emulsion: 1.3, synthetic: 1.25, semiSynthetic: 1.3, straightOil: 1.2, waterSoluble: 1.3 },
+    stainlessSteel: { none: 1.0, flood: 1.5, mist: 1.2, mql: 1.25, emulsion: 1.45, synthetic: 1.35, semiSynthetic: 1.45, straightOil: 1.6, waterSoluble: 1.45 },
+    titanium: { none: 1.0, flood: 1.8, mist: 1.25, mql: 1.3, emulsion: 1.7, synthetic: 1.6, semiSynthetic: 1.7, straightOil: 1.8, waterSoluble: 1.7 },
+    brass: { none: 1.0, flood: 1.15, mist: 1.1, mql: 1.15, emulsion: 1.15, synthetic: 1.1, semiSynthetic: 1.15, straightOil: 1.2, waterSoluble: 1.15 }
+};
+
+// Cutting fluid classes (water-based fluids cause thermal shock on hard tool materials in interrupted cuts)
+const coolantClasses = {
+    none: 'dry',
+    flood: 'water',
+    mist: 'mist',
+    mql: 'mql',
+    emulsion: 'water',
+    synthetic: 'water',
+    semiSynthetic: 'water',
+    straightOil: 'oil',
+    waterSoluble: 'water'
+};
+
+// Tool material adjustment of the coolant effect, per fluid class
+const coolantToolMaterialFactors = {
+    hss: { water: 1.1, oil: 1.15 },
+    carbide: { water: 0.85, oil: 0.95 },
+    coatedCarbide: { water: 0.85, oil: 0.95 },
+    ceramic: { water: 0.6, oil: 0.7, mist: 0.8 },
+    diamond: {}
+};
+
+// Typical coolant usage per fluid: make-up consumption (L/h), price and disposal cost (EUR/L)
+const typicalCoolantUsage = {
+    none: { consumption: 0, price: 0, disposal: 0 },
+    flood: { consumption: 0.6, price: 0.25, disposal: 0.15 },
+    mist: { consumption: 0.25, price: 0.3, disposal: 0.15 },
+    mql: { consumption: 0.05, price: 15, disposal: 0 },
+    emulsion: { consumption: 0.6, price: 0.2, disposal: 0.15 },
+    synthetic: { consumption: 0.5, price: 0.3, disposal: 0.15 },
+    semiSynthetic: { consumption: 0.55, price: 0.25, disposal: 0.15 },
+    straightOil: { consumption: 0.3, price: 4, disposal: 0.5 },
+    waterSoluble: { consumption: 0.6, price: 0.2, disposal: 0.15 }
+};
+
 // Tool comparison storage
 let toolComparisons = [];
 
@@ -35,6 +120,10 @@ let costSavingsChartInstance = null;
 let comparisonToolLifeChartInstance = null;
 let comparisonCostChartInstance = null;
 let comparisonEfficiencyChartInstance = null;
+let wearCurveChartInstance = null;
+let speedOptimizerChartInstance = null;
+let sensitivityTornadoChartInstance = null;
+let uncertaintyHistogramChartInstance = null;
 
 // Photo and crop instances
 let cropperInstance = null;
@@ -47,6 +136,68 @@ let importedCatalogueData = null;
 let fieldMapping = {};
 let mappedToolData = [];
 
+// Tool life calibration (fitted Taylor models per material/tool combination)
+const TAYLOR_MODELS_STORAGE_KEY = 'cncToolCalc.taylorModels';
+const DEFAULT_TAYLOR_EXPONENT = 0.2;
+let taylorModels = migrateTaylorModels(loadStoredJSON(TAYLOR_MODELS_STORAGE_KEY, {}));
+
+// Read a JSON value from localStorage, falling back when missing or unreadable
+function loadStoredJSON(key, fallback) {
+    try {
+        const stored = window.localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : fallback;
+    } catch (error) {
+        console.error(`Error reading ${key} from storage:`, error);
+        return fallback;
+    }
+}
+
+// Write a JSON value to localStorage
+function saveStoredJSON(key, value) {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.error(`Error writing ${key} to storage:`, error);
+        return false;
+    }
+}
+
+// Look up a workpiece material (unknown ids fall back to generic steel)
+function getMaterial(workpieceMaterial) {
+    return materialLibrary[workpieceMaterial] || materialLibrary.steel || DEFAULT_MATERIAL_LIBRARY.steel;
+}
+
+// Approximate hardness conversion to HRC (extrapolated below 20 HRC, used only for relative adjustments)
+function hardnessToHRC(value, scale) {
+    if (scale === 'HRC') return value;
+    const brinell = scale === 'HV' ? value * 0.95 : value;
+    return brinell / 10 + 2;
+}
+
+// Nominal hardness of a library material on the HRC scale
+function getMaterialReferenceHRC(workpieceMaterial) {
+    const material = getMaterial(workpieceMaterial);
+    return hardnessToHRC(material.hardness, material.hardnessScale);
+}
+
+// Material name with its ISO group for results and reports
+function formatWorkpieceMaterial(workpieceMaterial) {
+    const material = getMaterial(workpieceMaterial);
+    return `${material.name} (ISO ${material.isoGroup})`;
+}
+
+// Tool life factor of the cutting fluid for this material/tool combination (1.0 = dry)
+function getCoolantLifeFactor({ cuttingFluid = 'none', workpieceMaterial, toolMaterial }) {
+    const fluid = coolantClasses[cuttingFluid] ? cuttingFluid : 'none';
+    const materialFactors = coolantLifeFactors[workpieceMaterial] ||
+        coolantLifeFactors[ISO_GROUP_REFERENCE_MATERIALS[getMaterial(workpieceMaterial).isoGroup]] ||
+        coolantLifeFactors.steel;
+    const toolFactors = coolantToolMaterialFactors[toolMaterial] || {};
+    const toolAdjustment = toolFactors[coolantClasses[fluid]] || 1.0;
+    return materialFactors[fluid] * toolAdjustment;
+}
+
 // Calculate tool life based on ISO 8688-2 principles
 function calculateToolLife(params) {
     const {
@@ -61,11 +212,36 @@ function calculateToolLife(params) {
         numberOfTeeth
     } = params;
 
+    // A drill engages half its diameter along each main cutting edge, a threading tool the thread depth
+    const operationMode = getOperationMode(params);
+    const engagedDepth = operationMode === 'drilling' ? toolDiameter / 2
+        : isThreadingOperation(operationMode) ? getThreadGeometry(params).threadDepth
+        : depthOfCut;
+    // A tap's chip load is set by the pitch, not by the feed per tooth; a face mill's is thinned by the entering angle
+    const chipLoad = operationMode === 'tapping' ? calculateThreadingModel(params).chipThickness
+        : operationMode === 'faceMilling' ? feedRate * getFaceMillEnteringFactor(params)
+        : operationMode === 'turning' ? calculateTurningModel(params).chipThickness
+        : feedRate;
+
+    // Cutting fluid effect on tool life
+    const coolantFactor = getCoolantLifeFactor(params);
+
+    // Use the shop-floor calibrated Taylor model when one exists for this combination
+    const calibratedModel = getCalibratedTaylorModel(params);
+    if (calibratedModel) {
+        // The fit already includes the fluid used in the tests - only the difference is applied
+        const calibrationFluidFactor = calibratedModel.cuttingFluid
+            ? getCoolantLifeFactor({ ...params, cuttingFluid: calibratedModel.cuttingFluid })
+            : coolantFactor;
+        const calibratedLife = calculateTaylorToolLife(calibratedModel.fit, params) * coolantFactor / calibrationFluidFactor;
+        return Math.max(1, Math.round(calibratedLife));
+    }
+
     // Base tool life calculation (Taylor's tool life equation)
     // VT^n = C, where V = cutting speed, T = tool life, n and C are constants
     
     // Material factor
-    const materialFactor = materialMultipliers[workpieceMaterial] || 1.0;
+    const materialFactor = getMaterial(workpieceMaterial).machinability || 1.0;
     
     // Tool material factor
     const toolFactor = toolMaterialMultipliers[toolMaterial] || 1.0;
@@ -74,7 +250,7 @@ function calculateToolLife(params) {
     const coatingFactor = coatingMultipliers[toolCoating] || 1.0;
     
     // Combined factor
-    const combinedFactor = materialFactor * toolFactor * coatingFactor;
+    const combinedFactor = materialFactor * toolFactor * coatingFactor * coolantFactor;
     
     // Base tool life (minutes) - adjusted for cutting conditions
     // Higher speeds reduce tool life, but better materials/coatings increase it
@@ -84,8 +260,8 @@ function calculateToolLife(params) {
     const speedFactor = Math.pow(100 / cuttingSpeed, 0.2);
     
     // Feed and depth factors (more aggressive = shorter life)
-    const feedFactor = Math.pow(0.1 / feedRate, 0.15);
-    const depthFactor = Math.pow(2 / depthOfCut, 0.1);
+    const feedFactor = Math.pow(0.1 / chipLoad, 0.15);
+    const depthFactor = Math.pow(2 / engagedDepth, 0.1);
     
     // Calculate tool life
     const toolLife = baseToolLife * combinedFactor * speedFactor * feedFactor * depthFactor;
@@ -93,30 +269,171 @@ function calculateToolLife(params) {
     return Math.max(1, Math.round(toolLife));
 }
 
-// Calculate cost per part
-function calculateCostPerPart(params) {
+const OPERATION_NAMES = {
+    milling: 'Milling',
+    drilling: 'Drilling',
+    tapping: 'Tapping',
+    threadMilling: 'Thread Milling',
+    faceMilling: 'Face Milling',
+    turning: 'Turning'
+};
+
+// Operation the cutting data describes - the tool type wins, then the application type
+function getOperationMode(params) {
+    if (params.toolType === 'tap') return 'tapping';
+    if (params.toolType === 'threadMill') return 'threadMilling';
+    if (params.toolType === 'faceMill') return 'faceMilling';
+    if (params.toolType === 'turningTool' || params.applicationType === 'turning') return 'turning';
+    if (params.applicationType === 'drilling' || params.toolType === 'drill') return 'drilling';
+    // Any other tool used for threading is taken to be thread milling
+    if (params.applicationType === 'threading') return params.toolType ? 'threadMilling' : 'tapping';
+    return 'milling';
+}
+
+function isThreadingOperation(operationMode) {
+    return operationMode === 'tapping' || operationMode === 'threadMilling';
+}
+
+// Indexable insert tooling is selected with the Insert tool type
+function isInsertTooling(params) {
+    return params.toolType === 'insert';
+}
+
+// Cost and time of one cutter index (every insert turned to a fresh edge); the body wears out over many indexes
+function calculateInsertToolingCost(params) {
+    const {
+        insertPrice = 0,
+        insertEdges = 1,
+        insertsPerCutter = 1,
+        cutterBodyCost = 0,
+        bodyLifeEdges = 0,
+        insertIndexTime = 0
+    } = params;
+    
+    const edges = Math.max(1, insertEdges);
+    const insertCostPerIndex = insertsPerCutter * insertPrice / edges;
+    const bodyCostPerIndex = bodyLifeEdges > 0 ? cutterBodyCost / bodyLifeEdges : 0;
+    
+    return {
+        costPerEdge: insertPrice / edges,
+        insertCostPerIndex,
+        bodyCostPerIndex,
+        costPerIndex: insertCostPerIndex + bodyCostPerIndex,
+        indexTime: insertsPerCutter * insertIndexTime
+    };
+}
+
+// One-line summary of the insert tooling cost
+function formatInsertTooling(params) {
+    const insertTooling = calculateInsertToolingCost(params);
+    return `${params.insertsPerCutter} × ${formatCurrency(params.insertPrice)} inserts with ${params.insertEdges} edges, ` +
+        `${formatCurrency(params.cutterBodyCost)} body over ${params.bodyLifeEdges} indexes: ${formatCurrency(insertTooling.costPerIndex)} per index`;
+}
+
+// Tool cost across the regrind lifecycle: purchase, regrinds with their logistics time, and the scrap value at the end
+function calculateEffectiveToolCost(params, toolLife) {
     const {
         toolCost,
         toolRemainingCost = 0,
+        regrindCount = 0,
+        regrindCost = 0,
+        regrindLifeRetention = 100,
+        regrindDiameterLoss = 0,
+        regrindLogisticsTime = 0,
+        machineHourlyRate = 0,
+        toolDiameter
+    } = params;
+    
+    // Indexable tools: one tool life is one fresh edge on every insert
+    if (isInsertTooling(params)) {
+        const insertTooling = calculateInsertToolingCost(params);
+        return {
+            regrinds: 0,
+            costPerRegrind: 0,
+            lifecycleCost: insertTooling.costPerIndex,
+            lifecycleToolLife: toolLife,
+            averageToolLife: toolLife,
+            netToolCost: insertTooling.costPerIndex,
+            finalDiameter: toolDiameter || null,
+            cycles: [{ regrind: 0, toolLife, diameter: toolDiameter || null }],
+            insertTooling
+        };
+    }
+    
+    const regrinds = Math.max(0, Math.floor(regrindCount || 0));
+    const retention = Math.max(0, regrindLifeRetention) / 100;
+    
+    // Each regrind restores the edge to a fraction of the new tool's life and takes some diameter off. The program keeps
+    // its spindle speed and feed, so a reground tool cuts at a proportionally lower Vc - the tool life model is re-run for it
+    const newToolModelLife = toolDiameter && regrinds > 0 ? calculateToolLife(params) : null;
+    const cycles = [];
+    for (let i = 0; i <= regrinds; i++) {
+        const diameter = toolDiameter ? toolDiameter - i * regrindDiameterLoss : null;
+        const cuttingSpeed = diameter ? params.cuttingSpeed * diameter / toolDiameter : params.cuttingSpeed;
+        const diameterFactor = i > 0 && diameter > 0
+            ? calculateToolLife({ ...params, toolDiameter: diameter, cuttingSpeed }) / newToolModelLife
+            : 1;
+        cycles.push({
+            regrind: i,
+            toolLife: toolLife * Math.pow(retention, i) * diameterFactor,
+            diameter,
+            cuttingSpeed
+        });
+    }
+    
+    // Logistics (removal, shipping, presetting) is costed at the machine rate
+    const costPerRegrind = regrindCost + regrindLogisticsTime * machineHourlyRate;
+    const lifecycleCost = toolCost + regrinds * costPerRegrind - toolRemainingCost;
+    const lifecycleToolLife = cycles.reduce((sum, cycle) => sum + cycle.toolLife, 0);
+    
+    return {
+        regrinds,
+        costPerRegrind,
+        lifecycleCost,
+        lifecycleToolLife,
+        averageToolLife: lifecycleToolLife / cycles.length,
+        // Lifecycle cost charged to one new-tool life, so netToolCost / toolLife is the lifecycle cost per minute
+        netToolCost: lifecycleToolLife > 0 ? lifecycleCost * toolLife / lifecycleToolLife : lifecycleCost,
+        finalDiameter: cycles[cycles.length - 1].diameter,
+        finalCuttingSpeed: cycles[cycles.length - 1].cuttingSpeed,
+        cycles
+    };
+}
+
+// One-line summary of the regrind lifecycle ('' for tools that are not reground)
+function formatRegrindLifecycle(params, toolLife) {
+    const lifecycle = calculateEffectiveToolCost(params, toolLife);
+    if (lifecycle.regrinds === 0) return '';
+    return `${lifecycle.regrinds} regrinds at ${formatCurrency(lifecycle.costPerRegrind)}, ${params.regrindLifeRetention}% life retention: ` +
+        `${formatCurrency(lifecycle.lifecycleCost)} over ${lifecycle.lifecycleToolLife.toFixed(0)} min of cutting`;
+}
+
+// Calculate cost per part
+function calculateCostPerPart(params) {
+    const {
         toolLife,
         processingTime,
         machiningTime,
         toolChangeCost = 0,
         toolChangeTime = 0,
         machineHourlyRate,
-        batchSize = 1
+        batchSize = 1,
+        coolantConsumption = 0,
+        coolantPrice = 0,
+        coolantDisposalCost = 0
     } = params;
     
-    // Net tool cost (initial cost minus remaining/residual value)
-    const netToolCost = toolCost - toolRemainingCost;
+    // Net tool cost (initial cost minus remaining/residual value, spread over the regrind lifecycle)
+    const effectiveToolCost = calculateEffectiveToolCost(params, toolLife);
+    const netToolCost = effectiveToolCost.netToolCost;
     
     // Tool cost per part
     const toolCostPerPart = netToolCost / toolLife;
     
     // Calculate number of tool changes needed for tool life
-    // Assuming tool changes happen periodically during tool life
+    // Assuming tool changes happen periodically during tool life (reground tools last shorter, so use the lifecycle average)
     const timePerPart = machiningTime !== null && machiningTime !== undefined ? machiningTime : (processingTime + toolChangeTime);
-    const partsPerToolLife = Math.floor(toolLife / timePerPart);
+    const partsPerToolLife = Math.floor(effectiveToolCost.averageToolLife / timePerPart);
     const toolChangesPerToolLife = Math.max(0, partsPerToolLife - 1);
     const toolChangeCostPerToolLife = toolChangesPerToolLife * toolChangeCost;
     const toolChangeCostPerPart = partsPerToolLife > 0 ? (toolChangeCostPerToolLife / partsPerToolLife) : 0;
@@ -131,8 +448,11 @@ function calculateCostPerPart(params) {
     const totalMachiningTime = machiningTime !== null && machiningTime !== undefined ? machiningTime : (processingTime + toolChangeTime);
     const machiningCostPerPart = (totalMachiningTime / 60) * machineHourlyRate;
     
+    // Coolant cost per part (make-up consumption during cutting, purchase plus disposal)
+    const coolantCostPerPart = coolantConsumption * (processingTime / 60) * (coolantPrice + coolantDisposalCost);
+    
     // Total cost per part
-    const totalCostPerPart = toolCostPerPart + toolChangeCostPerPart + machiningCostPerPart;
+    const totalCostPerPart = toolCostPerPart + toolChangeCostPerPart + machiningCostPerPart + coolantCostPerPart;
     
     // Batch calculations
     const totalBatchCost = totalCostPerPart * batchSize;
@@ -145,29 +465,43 @@ function calculateCostPerPart(params) {
         processingCostPerPart,
         toolChangeTimeCostPerPart,
         machiningCostPerPart,
+        coolantCostPerPart,
         totalCostPerPart,
         totalBatchCost,
         totalToolCostForBatch,
         totalMachiningCostForBatch,
         partsPerToolLife,
-        toolChangesPerToolLife
+        toolChangesPerToolLife,
+        lifecycleCost: effectiveToolCost.lifecycleCost,
+        lifecycleToolLife: effectiveToolCost.lifecycleToolLife
     };
 }
 
 // Calculate material removal rate (MRR)
 function calculateMRR(params) {
     const {
-        toolDiameter,
         feedRate,
         depthOfCut,
         widthOfCut,
-        numberOfTeeth,
-        cuttingSpeed
+        numberOfTeeth
     } = params;
     
+    // Drilling removes the full hole section: Q = π × D² / 4 × Vf
+    const operationMode = getOperationMode(params);
+    if (operationMode === 'drilling') {
+        return calculateDrillingModel(params).mrr;
+    }
+    if (isThreadingOperation(operationMode)) {
+        return calculateThreadingModel(params).mrr;
+    }
+    // Turning: Q = Vc × ap × f
+    if (operationMode === 'turning') {
+        return calculateTurningModel(params).mrr;
+    }
+    
     // MRR = width × depth × feed rate × number of teeth × RPM
-    // RPM = (cutting speed × 1000) / (π × diameter)
-    const rpm = (cuttingSpeed * 1000) / (Math.PI * toolDiameter);
+    // RPM = (cutting speed × 1000) / (π × diameter), on the effective diameter for ball nose and corner radius mills
+    const rpm = calculateOperationSpindleSpeed(params);
     const mrr = widthOfCut * depthOfCut * feedRate * numberOfTeeth * rpm;
     
     return mrr; // mm³/min
@@ -188,36 +522,390 @@ function calculateFeedRate(feedPerTooth, numberOfTeeth, spindleSpeed) {
     return feedPerTooth * numberOfTeeth * spindleSpeed;
 }
 
-// Calculate chip thickness (approximate)
-function calculateChipThickness(feedPerTooth, depthOfCut, toolDiameter) {
-    // Simplified chip thickness calculation
-    const engagementAngle = Math.acos(1 - (2 * depthOfCut) / toolDiameter);
-    return feedPerTooth * Math.sin(engagementAngle);
+// Feed per revolution and feed rate of the current operation - a tap advances one pitch per revolution
+// and a turning tool the feed entered
+function calculateOperationFeed(params, spindleSpeed) {
+    if (getOperationMode(params) === 'tapping') {
+        const { pitch } = getThreadGeometry(params);
+        return { feedPerRev: pitch, feedRateMM: pitch * spindleSpeed };
+    }
+    if (getOperationMode(params) === 'turning') {
+        return { feedPerRev: params.feedRate, feedRateMM: params.feedRate * spindleSpeed };
+    }
+    return {
+        feedPerRev: calculateFeedPerRevolution(params.feedRate, params.numberOfTeeth),
+        feedRateMM: calculateFeedRate(params.feedRate, params.numberOfTeeth, spindleSpeed)
+    };
+}
+
+// Rake angle at which the Kienzle constants kc1.1 / mc were measured (°)
+const KIENZLE_REFERENCE_RAKE = { P: 6, M: 6, K: 2, N: 6, S: 6, H: 6 };
+
+// Calculate radial engagement angle φs (rad) from the width of cut
+function calculateEngagementAngle(widthOfCut, toolDiameter) {
+    const radialRatio = Math.min(1, Math.max(0, widthOfCut / toolDiameter));
+    return Math.acos(1 - 2 * radialRatio);
+}
+
+// Calculate mean chip thickness hm (mm) over the engagement arc
+function calculateChipThickness(feedPerTooth, widthOfCut, toolDiameter) {
+    // hm = fz × (1 - cos φs) / φs = fz × 2 × (ae / D) / φs
+    const engagementAngle = calculateEngagementAngle(widthOfCut, toolDiameter);
+    if (engagementAngle === 0) return 0;
+    return feedPerTooth * (1 - Math.cos(engagementAngle)) / engagementAngle;
+}
+
+// Calculate average number of teeth in cut
+function calculateTeethInCut(numberOfTeeth, widthOfCut, toolDiameter) {
+    return numberOfTeeth * calculateEngagementAngle(widthOfCut, toolDiameter) / (2 * Math.PI);
+}
+
+// Calculate specific cutting force (N/mm²) with the Kienzle model kc = kc1.1 × h^-mc
+function calculateSpecificCuttingForce(workpieceMaterial, materialHardness, chipThickness = 1, rakeAngle = null) {
+    // kc1.1 and mc from the material library
+    const material = getMaterial(workpieceMaterial);
+    const referenceHRC = getMaterialReferenceHRC(workpieceMaterial);
+    
+    // Adjust for hardness relative to the material's nominal hardness (harder requires more force)
+    const hardness = materialHardness === null || materialHardness === undefined || isNaN(materialHardness) ? referenceHRC : materialHardness;
+    const hardnessFactor = Math.max(0.5, 1 + (hardness - referenceHRC) / 100);
+    
+    // Thinner chips need more force per unit area
+    const thickness = Math.max(chipThickness, 0.001);
+    const chipThicknessFactor = Math.pow(thickness, -material.mc);
+    
+    // Each degree of rake above the reference lowers kc by about 1%
+    const referenceRake = KIENZLE_REFERENCE_RAKE[material.isoGroup] ?? 6;
+    const rake = rakeAngle === null || rakeAngle === undefined || isNaN(rakeAngle) ? referenceRake : rakeAngle;
+    const rakeFactor = Math.max(0.5, 1 - (rake - referenceRake) / 100);
+    
+    return material.kc11 * chipThicknessFactor * rakeFactor * hardnessFactor;
+}
+
+// Calculate mean tangential cutting force (N) on the tool
+function calculateCuttingForce(specificCuttingForce, depthOfCut, chipThickness, teethInCut, helixAngle = 0) {
+    // The helix lengthens the edge in cut (b = ap / cos β) and thins the chip normal to it
+    // by the same factor, so the chip section per tooth stays ap × hm
+    const helix = (helixAngle || 0) * Math.PI / 180;
+    const chipWidth = depthOfCut / Math.cos(helix);
+    const normalChipThickness = chipThickness * Math.cos(helix);
+    return specificCuttingForce * chipWidth * normalChipThickness * teethInCut;
+}
+
+// Kienzle cutting force model for the current operation
+function calculateCuttingForceModel(params) {
+    const operationMode = getOperationMode(params);
+    
+    // Drills cut continuously with all edges - the force is the equivalent peripheral force of the drilling torque
+    if (operationMode === 'drilling') {
+        const drilling = calculateDrillingModel(params);
+        return {
+            engagementAngle: 180,
+            chipThickness: drilling.chipThickness,
+            teethInCut: params.numberOfTeeth,
+            specificCuttingForce: drilling.specificCuttingForce,
+            cuttingForce: drilling.cuttingForce,
+            forcePerTooth: params.numberOfTeeth > 0 ? drilling.cuttingForce / params.numberOfTeeth : 0,
+            thrustForce: drilling.thrustForce
+        };
+    }
+    
+    // A tap is loaded the same way, by the tapping torque
+    if (operationMode === 'tapping') {
+        const threading = calculateThreadingModel(params);
+        return {
+            engagementAngle: 360,
+            chipThickness: threading.chipThickness,
+            teethInCut: params.numberOfTeeth,
+            specificCuttingForce: threading.specificCuttingForce,
+            cuttingForce: threading.cuttingForce,
+            forcePerTooth: params.numberOfTeeth > 0 ? threading.cuttingForce / params.numberOfTeeth : 0
+        };
+    }
+    
+    // A thread mill is an end mill cutting the thread depth over the engaged profile length
+    if (operationMode === 'threadMilling') {
+        const threading = calculateThreadingModel(params);
+        return calculateMillingForceModel({ ...params, widthOfCut: threading.radialDepthPerPass, depthOfCut: threading.engagedLength });
+    }
+    
+    // A turning tool cuts continuously with its single edge
+    if (operationMode === 'turning') {
+        const turning = calculateTurningModel(params);
+        return {
+            engagementAngle: 360,
+            chipThickness: turning.chipThickness,
+            teethInCut: 1,
+            specificCuttingForce: turning.specificCuttingForce,
+            cuttingForce: turning.cuttingForce,
+            forcePerTooth: turning.cuttingForce,
+            feedForce: turning.feedForce,
+            passiveForce: turning.passiveForce
+        };
+    }
+    
+    // A face mill's engagement arc depends on where the cutter sits over the face, not only on ae / D
+    if (operationMode === 'faceMilling') {
+        const { engagementAngle, chipThickness, teethInCut, specificCuttingForce, cuttingForce, forcePerTooth } = calculateFaceMillingModel(params);
+        return { engagementAngle, chipThickness, teethInCut, specificCuttingForce, cuttingForce, forcePerTooth };
+    }
+    
+    // Ball nose and corner radius mills engage the stepover on the effective diameter
+    if (isProfileMillingTool(params)) {
+        return calculateMillingForceModel({ ...params, toolDiameter: calculateProfileMillingModel(params).effectiveDiameter });
+    }
+    
+    return calculateMillingForceModel(params);
+}
+
+// Kienzle cutting force model for peripheral milling
+function calculateMillingForceModel(params) {
+    const helix = (params.helixAngle || 0) * Math.PI / 180;
+    const engagementAngle = calculateEngagementAngle(params.widthOfCut, params.toolDiameter);
+    const chipThickness = calculateChipThickness(params.feedRate, params.widthOfCut, params.toolDiameter);
+    const teethInCut = calculateTeethInCut(params.numberOfTeeth, params.widthOfCut, params.toolDiameter);
+    const materialHardness = params.materialHardness || getMaterialReferenceHRC(params.workpieceMaterial);
+    // kc is evaluated at the chip thickness normal to the helical edge
+    const specificCuttingForce = calculateSpecificCuttingForce(params.workpieceMaterial, materialHardness, chipThickness * Math.cos(helix), params.rakeAngle);
+    const cuttingForce = calculateCuttingForce(specificCuttingForce, params.depthOfCut, chipThickness, teethInCut, params.helixAngle);
+    
+    return {
+        engagementAngle: engagementAngle * 180 / Math.PI,
+        chipThickness,
+        teethInCut,
+        specificCuttingForce,
+        cuttingForce,
+        forcePerTooth: teethInCut > 0 ? cuttingForce / teethInCut : 0
+    };
+}
+
+// Ratio of mean radial to tangential cutting force in end milling
+const RADIAL_FORCE_RATIO = 0.4;
+
+// Young's modulus of the tool body (N/mm²)
+const TOOL_MATERIAL_MODULUS = {
+    hss: 210000,
+    carbide: 600000,
+    coatedCarbide: 600000,
+    ceramic: 400000,
+    diamond: 600000 // PCD tips on a carbide body
+};
+
+// Largest chip thickness each tool material takes without edge breakage (mm)
+const TOOL_MAX_CHIP_THICKNESS = {
+    hss: 0.1,
+    carbide: 0.2,
+    coatedCarbide: 0.25,
+    ceramic: 0.08,
+    diamond: 0.15
+};
+
+// Calculate maximum chip thickness (mm) - reached at the exit of the cut
+function calculateMaxChipThickness(feedPerTooth, widthOfCut, toolDiameter) {
+    const radialRatio = Math.min(1, widthOfCut / toolDiameter);
+    return radialRatio >= 0.5 ? feedPerTooth : feedPerTooth * 2 * Math.sqrt(radialRatio * (1 - radialRatio));
+}
+
+// Calculate tool tip deflection (mm) - cantilever with a fluted core of 0.8 × D over the flute length
+// and a solid shank or neck between the flutes and the holder
+function calculateToolDeflection(cuttingForce, toolDiameter, stickout, toolMaterial, fluteLength = stickout, shankDiameter = toolDiameter) {
+    const resultantForce = cuttingForce * Math.sqrt(1 + RADIAL_FORCE_RATIO * RADIAL_FORCE_RATIO);
+    const modulus = TOOL_MATERIAL_MODULUS[toolMaterial] || TOOL_MATERIAL_MODULUS.carbide;
+    const fluteInertia = Math.PI * Math.pow(0.8 * toolDiameter, 4) / 64;
+    const shankInertia = Math.PI * Math.pow(shankDiameter || toolDiameter, 4) / 64;
+    // δ = F / 3E × ((L³ - Lf³) / Is + Lf³ / If)
+    const fluted = Math.min(fluteLength, stickout);
+    return resultantForce / (3 * modulus) *
+        ((Math.pow(stickout, 3) - Math.pow(fluted, 3)) / shankInertia + Math.pow(fluted, 3) / fluteInertia);
+}
+
+// Clamping stiffness of the tool holder as a deflection multiplier, relative to a shrink fit holder
+const TOOL_HOLDER_TYPES = {
+    shrinkFit: { name: 'Shrink fit', compliance: 1.0 },
+    hydraulic: { name: 'Hydraulic chuck', compliance: 1.1 },
+    millingChuck: { name: 'Milling chuck', compliance: 1.1 },
+    weldon: { name: 'Weldon side lock', compliance: 1.2 },
+    collet: { name: 'ER collet', compliance: 1.3 }
+};
+const DEFAULT_TOOL_HOLDER_TYPE = 'collet';
+// Stick-out to diameter ratio beyond which an end mill chatters easily, whatever its static deflection
+const LONG_STICKOUT_RATIO = 4;
+
+// End mills and thread mills are held by the shank - face mills and inserted cutters sit on a stiff arbor
+function hasToolStickout(operationMode) {
+    return operationMode === 'milling' || operationMode === 'threadMilling';
 }
 
-// Calculate specific cutting force (N/mm²)
-function calculateSpecificCuttingForce(workpieceMaterial, materialHardness = 30) {
-    // Base specific cutting force values (N/mm²) for different materials
-    const baseForces = {
-        steel: 2000,
-        castIron: 1500,
-        aluminum: 800,
-        stainlessSteel: 2500,
-        titanium: 3000,
-        brass: 1200
+// Static deflection at the tool's stick-out in its holder, the tolerance check and the stick-out that meets it
+function calculateToolStiffnessModel(params, cuttingForce) {
+    const stickout = params.toolStickout || 0;
+    if (!hasToolStickout(getOperationMode(params)) || stickout <= 0) return null;
+    const fluteLength = Math.min(params.fluteLength || stickout, stickout);
+    const shankDiameter = params.shankDiameter || params.toolDiameter;
+    const holder = TOOL_HOLDER_TYPES[params.toolHolderType] || TOOL_HOLDER_TYPES[DEFAULT_TOOL_HOLDER_TYPE];
+    const deflectionAt = length => holder.compliance *
+        calculateToolDeflection(cuttingForce, params.toolDiameter, length, params.toolMaterial, Math.min(fluteLength, length), shankDiameter);
+    const deflection = deflectionAt(stickout);
+    const tolerance = params.deflectionTolerance || 0;
+    const exceedsTolerance = tolerance > 0 && deflection > tolerance;
+    
+    // Deflection rises with about L³ - bisect for the longest stick-out within the tolerance
+    let maxStickout = null;
+    if (exceedsTolerance) {
+        let low = 0;
+        let high = stickout;
+        for (let i = 0; i < 40; i++) {
+            const mid = (low + high) / 2;
+            if (deflectionAt(mid) > tolerance) high = mid; else low = mid;
+        }
+        maxStickout = low;
+    }
+    
+    return {
+        stickout,
+        fluteLength,
+        shankDiameter,
+        holder,
+        stickoutRatio: stickout / params.toolDiameter,
+        deflection,
+        tolerance,
+        exceedsTolerance,
+        // Deflection is proportional to the force, so the force has to fall by this factor
+        forceScale: exceedsTolerance ? tolerance / deflection : 1,
+        maxStickout
     };
+}
+
+// Chatter stability lobes (Tlusty) - tool tip as a single mode with the same dynamics in x and y
+const TOOL_DYNAMICS_STORAGE_KEY = 'cncToolCalc.toolDynamics';
+const DEFAULT_TOOL_DYNAMICS = { naturalFrequency: 2500, stiffness: 10, dampingRatio: 3 };
+const MAX_STABILITY_LOBES = 60;
+const STABILITY_LOBE_STEPS = 200;
+const STABILITY_GRID_POINTS = 600;
+let toolDynamics = { ...DEFAULT_TOOL_DYNAMICS, ...loadStoredJSON(TOOL_DYNAMICS_STORAGE_KEY, {}) };
+
+// Only peripheral and face milling cut with interrupted, regenerative chips at a set axial depth
+function hasStabilityLobes(mode) {
+    return mode === 'milling' || mode === 'faceMilling';
+}
+
+// Receptance of the tool tip (mm/N) at a frequency (Hz); stiffness in N/μm, damping ratio in %
+function calculateToolTipFRF(dynamics, frequency) {
+    const r = frequency / dynamics.naturalFrequency;
+    const zeta = dynamics.dampingRatio / 100;
+    const k = dynamics.stiffness * 1000;
+    const denominator = k * ((1 - r * r) ** 2 + (2 * zeta * r) ** 2);
+    return { real: (1 - r * r) / denominator, imaginary: -2 * zeta * r / denominator };
+}
+
+// Limiting axial depth of cut (mm) against spindle speed (RPM)
+// a_lim = -1 / (2 kc Re(G) z_c), on lobe j at n = 60 f_c / (Z (j + ε / 2π)) with ε = 2π - 2 atan(Re / Im)
+function calculateStabilityLobes(params, dynamics, maxSpindleSpeed) {
+    const { specificCuttingForce, teethInCut } = calculateCuttingForceModel(params);
+    const numberOfTeeth = params.numberOfTeeth;
+    const currentSpeed = calculateOperationSpindleSpeed(params);
+    const maxSpeed = maxSpindleSpeed > 0 ? maxSpindleSpeed : 2 * currentSpeed;
+    const directionalForce = 2 * specificCuttingForce * teethInCut;
+    
+    // Enough lobes to reach below the current speed, within a bounded count
+    const bestPocketSpeed = 60 * dynamics.naturalFrequency / numberOfTeeth;
+    const lobeCount = Math.min(MAX_STABILITY_LOBES, Math.ceil(bestPocketSpeed / Math.min(0.5 * currentSpeed, 0.1 * maxSpeed)) + 1);
+    const minSpeed = Math.max(Math.min(0.5 * currentSpeed, 0.1 * maxSpeed), bestPocketSpeed / lobeCount);
+    
+    // Each lobe is swept over chatter frequencies above f_n, where Re(G) < 0; n rises along the sweep
+    const lobes = [];
+    for (let j = 0; j < lobeCount; j++) {
+        const points = [];
+        for (let i = 1; i <= STABILITY_LOBE_STEPS; i++) {
+            const chatterFrequency = dynamics.naturalFrequency * (1 + 2 * (i / STABILITY_LOBE_STEPS) ** 2);
+            const frf = calculateToolTipFRF(dynamics, chatterFrequency);
+            const phase = 2 * Math.PI - 2 * Math.atan(frf.real / frf.imaginary);
+            points.push({
+                spindleSpeed: 60 * chatterFrequency / (numberOfTeeth * (j + phase / (2 * Math.PI))),
+                limitingDepth: -1 / (directionalForce * frf.real),
+                chatterFrequency
+            });
+        }
+        lobes.push({ index: j, points });
+    }
     
-    const baseForce = baseForces[workpieceMaterial] || 2000;
+    // Stability boundary: the lowest lobe at each speed (unbounded where no lobe reaches)
+    const limitingDepthAt = spindleSpeed => lobes.reduce((limit, lobe) => {
+        const points = lobe.points;
+        if (spindleSpeed < points[0].spindleSpeed || spindleSpeed > points[points.length - 1].spindleSpeed) return limit;
+        const next = points.findIndex(point => point.spindleSpeed >= spindleSpeed);
+        const prev = points[Math.max(0, next - 1)];
+        const ratio = points[next].spindleSpeed === prev.spindleSpeed ? 0 : (spindleSpeed - prev.spindleSpeed) / (points[next].spindleSpeed - prev.spindleSpeed);
+        return Math.min(limit, prev.limitingDepth + (points[next].limitingDepth - prev.limitingDepth) * ratio);
+    }, Infinity);
+    
+    const boundary = [];
+    for (let i = 0; i <= STABILITY_GRID_POINTS; i++) {
+        const spindleSpeed = minSpeed + (maxSpeed - minSpeed) * i / STABILITY_GRID_POINTS;
+        boundary.push({ spindleSpeed, limitingDepth: limitingDepthAt(spindleSpeed) });
+    }
     
-    // Adjust for hardness (harder materials require more force)
-    const hardnessFactor = 1 + (materialHardness - 30) / 100;
+    // Stable pockets sit where neighbouring lobes cross - local maxima of the boundary
+    const pockets = boundary
+        .filter((point, i) => i > 0 && i < boundary.length - 1 && isFinite(point.limitingDepth) &&
+            point.limitingDepth > boundary[i - 1].limitingDepth && point.limitingDepth >= boundary[i + 1].limitingDepth)
+        .map(point => ({
+            ...point,
+            cuttingSpeed: params.cuttingSpeed * point.spindleSpeed / currentSpeed,
+            stable: params.depthOfCut < point.limitingDepth
+        }))
+        .sort((a, b) => b.limitingDepth - a.limitingDepth);
+    
+    // Below the minimum of every lobe the cut is stable at any spindle speed
+    const zeta = dynamics.dampingRatio / 100;
+    const criticalDepth = 2 * dynamics.stiffness * 1000 * zeta * (1 + zeta) / (specificCuttingForce * teethInCut);
+    const currentLimit = limitingDepthAt(currentSpeed);
     
-    return baseForce * hardnessFactor;
+    return {
+        specificCuttingForce,
+        teethInCut,
+        minSpeed,
+        maxSpeed,
+        lobes: lobes.map(lobe => ({ ...lobe, points: lobe.points.filter(point => point.spindleSpeed >= minSpeed && point.spindleSpeed <= maxSpeed) }))
+            .filter(lobe => lobe.points.length > 0),
+        boundary,
+        criticalDepth,
+        pockets,
+        current: {
+            spindleSpeed: currentSpeed,
+            depthOfCut: params.depthOfCut,
+            limitingDepth: currentLimit,
+            toothPassingFrequency: currentSpeed * numberOfTeeth / 60,
+            stable: params.depthOfCut < currentLimit
+        }
+    };
 }
 
-// Calculate cutting force (N)
-function calculateCuttingForce(specificCuttingForce, depthOfCut, widthOfCut, feedPerTooth) {
-    return specificCuttingForce * depthOfCut * widthOfCut * feedPerTooth;
+// Fit the tool tip mode to a tap test by peak picking; rows are [frequency (Hz), real (m/N), imaginary (m/N)]
+// f_n at the most negative imaginary part, ζ from the real part extremes at f_n(1 ∓ ζ), k from Im = -1 / (2kζ)
+function fitToolDynamicsFromFRF(rows) {
+    const frf = rows
+        .filter(row => row.length >= 3 && row.slice(0, 3).every(value => typeof value === 'number' && isFinite(value)) && row[0] > 0)
+        .map(([frequency, real, imaginary]) => ({ frequency, real, imaginary }))
+        .sort((a, b) => a.frequency - b.frequency);
+    if (frf.length < 5) return null;
+    
+    const peak = frf.reduce((min, point) => point.imaginary < min.imaginary ? point : min);
+    const below = frf.filter(point => point.frequency < peak.frequency);
+    const above = frf.filter(point => point.frequency > peak.frequency);
+    if (below.length === 0 || above.length === 0 || peak.imaginary >= 0) return null;
+    
+    const realMax = below.reduce((max, point) => point.real > max.real ? point : max);
+    const realMin = above.reduce((min, point) => point.real < min.real ? point : min);
+    const zeta = (realMin.frequency - realMax.frequency) / (2 * peak.frequency);
+    if (!(zeta > 0)) return null;
+    
+    return {
+        naturalFrequency: peak.frequency,
+        stiffness: -1 / (2 * zeta * peak.imaginary) / 1e6,
+        dampingRatio: zeta * 100,
+        pointCount: frf.length
+    };
 }
 
 // Calculate power requirement (kW)
@@ -233,507 +921,2859 @@ function calculateTorque(power, spindleSpeed) {
     return (power * 9550) / spindleSpeed;
 }
 
-// Calculate surface finish (Ra in μm) - approximate
-function calculateSurfaceFinish(feedPerTooth, toolDiameter, numberOfTeeth) {
-    // Simplified surface finish calculation
-    // Ra ≈ f² / (8 × R) where f is feed per tooth, R is tool radius
-    const toolRadius = toolDiameter / 2;
-    const ra = Math.pow(feedPerTooth, 2) / (8 * toolRadius);
-    return Math.max(0.1, ra * 1000); // Convert to micrometers
+// Drilling defaults - point angle (°) and rapid traverse used for peck retracts (mm/min)
+const DEFAULT_POINT_ANGLE = 140;
+const DEFAULT_RAPID_TRAVERSE = 15000;
+
+// Drilling model - feed per revolution, thrust and torque on the main cutting edges, and the peck cycle per hole
+function calculateDrillingModel(params, toolLife = null) {
+    const { toolDiameter, cuttingSpeed, feedRate, numberOfTeeth } = params;
+    const pointAngle = params.pointAngle || DEFAULT_POINT_ANGLE;
+    const entryAngle = (pointAngle / 2) * Math.PI / 180; // κr = σ / 2
+    const spindleSpeed = calculateSpindleSpeed(cuttingSpeed, toolDiameter);
+    const feedPerRev = calculateFeedPerRevolution(feedRate, numberOfTeeth);
+    const feedRateMM = feedPerRev * spindleSpeed;
+    
+    // Each main edge cuts a chip h = fz × sin κr
+    const chipThickness = feedRate * Math.sin(entryAngle);
+    const materialHardness = params.materialHardness || getMaterialReferenceHRC(params.workpieceMaterial);
+    const specificCuttingForce = calculateSpecificCuttingForce(params.workpieceMaterial, materialHardness, chipThickness, params.rakeAngle);
+    
+    // Mc = kc × f × D² / 8000 (Nm) - the same torque as a force of kc × f × D / 4 at the periphery
+    const torque = specificCuttingForce * feedPerRev * toolDiameter * toolDiameter / 8000;
+    const cuttingForce = specificCuttingForce * feedPerRev * toolDiameter / 4;
+    // Ff ≈ 0.5 × kc × D/2 × f × sin κr, without the extra thrust of an unthinned chisel edge
+    const thrustForce = 0.5 * specificCuttingForce * (toolDiameter / 2) * feedPerRev * Math.sin(entryAngle);
+    const mrr = Math.PI * toolDiameter * toolDiameter / 4 * feedRateMM;
+    
+    // The feed travel includes the drill point, D / (2 × tan κr)
+    const holeDepth = params.holeDepth || 0;
+    const pointLength = toolDiameter / (2 * Math.tan(entryAngle));
+    const cuttingTimePerHole = feedRateMM > 0 ? (holeDepth + pointLength) / feedRateMM : 0;
+    
+    // Peck drilling retracts to the hole entry after every peck and rapids back to the previous depth
+    const peckDepth = params.peckDepth > 0 && params.peckDepth < holeDepth ? params.peckDepth : holeDepth;
+    const pecks = peckDepth > 0 ? Math.ceil(holeDepth / peckDepth) : 1;
+    let retractDistance = holeDepth;
+    for (let peck = 1; peck < pecks; peck++) {
+        retractDistance += 2 * peck * peckDepth;
+    }
+    const retractTimePerHole = retractDistance / (params.rapidTraverse || DEFAULT_RAPID_TRAVERSE);
+    const cycleTimePerHole = cuttingTimePerHole + retractTimePerHole;
+    const holesPerPart = params.holesPerPart || 1;
+    
+    // Tool life counts cutting time only
+    const holesPerToolLife = toolLife && cuttingTimePerHole > 0 ? Math.floor(toolLife / cuttingTimePerHole) : null;
+    
+    return {
+        pointAngle,
+        spindleSpeed,
+        feedPerRev,
+        feedRateMM,
+        chipThickness,
+        specificCuttingForce,
+        cuttingForce,
+        thrustForce,
+        torque,
+        mrr,
+        holeDepth,
+        depthRatio: toolDiameter > 0 ? holeDepth / toolDiameter : 0,
+        pointLength,
+        peckDepth,
+        pecks,
+        holesPerPart,
+        cuttingTimePerHole,
+        retractTimePerHole,
+        cycleTimePerHole,
+        cuttingTimePerPart: cuttingTimePerHole * holesPerPart,
+        cycleTimePerPart: cycleTimePerHole * holesPerPart,
+        holesPerToolLife,
+        metersPerToolLife: holesPerToolLife !== null ? holesPerToolLife * holeDepth / 1000 : null
+    };
 }
 
-// Calculate Taylor's tool life constant C
-function calculateTaylorConstant(cuttingSpeed, toolLife, taylorExponent = 0.2) {
-    // C = V × T^n
-    return cuttingSpeed * Math.pow(toolLife, taylorExponent);
+// Thread standards - nominal (major) diameter in mm, pitch in mm or threads per inch, and the
+// tabulated tap drill for pipe threads (the others use D - P)
+const THREAD_STANDARDS = {
+    isoMetric: {
+        name: 'ISO metric coarse (M)',
+        profileAngle: 60,
+        sizes: [
+            { designation: 'M3', diameter: 3, pitch: 0.5 },
+            { designation: 'M4', diameter: 4, pitch: 0.7 },
+            { designation: 'M5', diameter: 5, pitch: 0.8 },
+            { designation: 'M6', diameter: 6, pitch: 1 },
+            { designation: 'M8', diameter: 8, pitch: 1.25 },
+            { designation: 'M10', diameter: 10, pitch: 1.5 },
+            { designation: 'M12', diameter: 12, pitch: 1.75 },
+            { designation: 'M16', diameter: 16, pitch: 2 },
+            { designation: 'M20', diameter: 20, pitch: 2.5 },
+            { designation: 'M24', diameter: 24, pitch: 3 },
+            { designation: 'M30', diameter: 30, pitch: 3.5 }
+        ]
+    },
+    isoMetricFine: {
+        name: 'ISO metric fine (MF)',
+        profileAngle: 60,
+        sizes: [
+            { designation: 'M8×1', diameter: 8, pitch: 1 },
+            { designation: 'M10×1', diameter: 10, pitch: 1 },
+            { designation: 'M10×1.25', diameter: 10, pitch: 1.25 },
+            { designation: 'M12×1.25', diameter: 12, pitch: 1.25 },
+            { designation: 'M12×1.5', diameter: 12, pitch: 1.5 },
+            { designation: 'M16×1.5', diameter: 16, pitch: 1.5 },
+            { designation: 'M20×1.5', diameter: 20, pitch: 1.5 },
+            { designation: 'M24×2', diameter: 24, pitch: 2 }
+        ]
+    },
+    unc: {
+        name: 'Unified coarse (UNC)',
+        profileAngle: 60,
+        sizes: [
+            { designation: '#4-40', diameter: 2.845, tpi: 40 },
+            { designation: '#6-32', diameter: 3.505, tpi: 32 },
+            { designation: '#8-32', diameter: 4.166, tpi: 32 },
+            { designation: '#10-24', diameter: 4.826, tpi: 24 },
+            { designation: '1/4-20', diameter: 6.35, tpi: 20 },
+            { designation: '5/16-18', diameter: 7.938, tpi: 18 },
+            { designation: '3/8-16', diameter: 9.525, tpi: 16 },
+            { designation: '1/2-13', diameter: 12.7, tpi: 13 },
+            { designation: '5/8-11', diameter: 15.875, tpi: 11 },
+            { designation: '3/4-10', diameter: 19.05, tpi: 10 },
+            { designation: '1-8', diameter: 25.4, tpi: 8 }
+        ]
+    },
+    unf: {
+        name: 'Unified fine (UNF)',
+        profileAngle: 60,
+        sizes: [
+            { designation: '#10-32', diameter: 4.826, tpi: 32 },
+            { designation: '1/4-28', diameter: 6.35, tpi: 28 },
+            { designation: '5/16-24', diameter: 7.938, tpi: 24 },
+            { designation: '3/8-24', diameter: 9.525, tpi: 24 },
+            { designation: '1/2-20', diameter: 12.7, tpi: 20 },
+            { designation: '5/8-18', diameter: 15.875, tpi: 18 },
+            { designation: '3/4-16', diameter: 19.05, tpi: 16 },
+            { designation: '1-12', diameter: 25.4, tpi: 12 }
+        ]
+    },
+    bspp: {
+        name: 'BSP parallel (G, ISO 228)',
+        profileAngle: 55,
+        sizes: [
+            { designation: 'G1/8', diameter: 9.728, tpi: 28, tapDrill: 8.8 },
+            { designation: 'G1/4', diameter: 13.157, tpi: 19, tapDrill: 11.8 },
+            { designation: 'G3/8', diameter: 16.662, tpi: 19, tapDrill: 15.25 },
+            { designation: 'G1/2', diameter: 20.955, tpi: 14, tapDrill: 19 },
+            { designation: 'G3/4', diameter: 26.441, tpi: 14, tapDrill: 24.5 },
+            { designation: 'G1', diameter: 33.249, tpi: 11, tapDrill: 30.75 }
+        ]
+    },
+    npt: {
+        name: 'NPT taper pipe',
+        profileAngle: 60,
+        tapered: true,
+        sizes: [
+            { designation: '1/8-27 NPT', diameter: 10.287, tpi: 27, tapDrill: 8.7 },
+            { designation: '1/4-18 NPT', diameter: 13.716, tpi: 18, tapDrill: 11.1 },
+            { designation: '3/8-18 NPT', diameter: 17.145, tpi: 18, tapDrill: 14.7 },
+            { designation: '1/2-14 NPT', diameter: 21.336, tpi: 14, tapDrill: 18.3 },
+            { designation: '3/4-14 NPT', diameter: 26.67, tpi: 14, tapDrill: 23.4 },
+            { designation: '1-11.5 NPT', diameter: 33.401, tpi: 11.5, tapDrill: 29.4 }
+        ]
+    }
+};
+const DEFAULT_THREAD = { threadStandard: 'isoMetric', threadSize: 'M10' };
+
+// Threads engaged by the chamfer of a tap (form C, 2-3 threads)
+const TAP_CHAMFER_THREADS = 2.5;
+// Forming taps displace the material instead of cutting it and need about 1.5-2 × the torque
+const FORMING_TAP_TORQUE_FACTOR = 1.8;
+// Largest radial depth per thread milling pass as a share of the cutter diameter
+const THREAD_MILL_RADIAL_DEPTH = { P: 0.1, M: 0.07, K: 0.1, N: 0.15, S: 0.05, H: 0.03 };
+
+// Pitch (mm) of a thread table entry
+function getThreadPitch(size) {
+    return size.pitch || 25.4 / size.tpi;
 }
 
-// Calculate metal removal rate per unit power (cm³/min/kW)
-function calculateMRRPerPower(mrr, power) {
-    if (power === 0) return 0;
-    return (mrr / 1000) / power; // Convert mm³ to cm³
+// Tap drill for a cutting tap - tabulated for pipe threads, D - P otherwise
+function getTapDrillDiameter(size) {
+    return size.tapDrill || size.diameter - getThreadPitch(size);
 }
 
-// Calculate OEE (Overall Equipment Effectiveness)
-function calculateOEE(params, costResults, toolLife) {
-    const {
-        processingTime,
-        toolChangeTime = 0,
-        machiningTime,
-        toolLife: toolLifeParam,
-        defectsRate = 2,
-        plannedProductionTime = 8,
-        unplannedDowntime = 0.5,
-        timeLossPerToolChange = 5,
-        partsPerBatch = 100,
-        partsPerYear = 4000
-    } = params;
+// Thread size, pitch, tap drill and thread depth for the selected standard and size
+function getThreadGeometry(params) {
+    const standard = THREAD_STANDARDS[params.threadStandard] || THREAD_STANDARDS[DEFAULT_THREAD.threadStandard];
+    const size = standard.sizes.find(entry => entry.designation === params.threadSize) ||
+        standard.sizes.find(entry => entry.designation === DEFAULT_THREAD.threadSize) || standard.sizes[0];
+    const pitch = getThreadPitch(size);
+    // Taps always cut internal threads
+    const threadType = getOperationMode(params) === 'tapping' ? 'internal' : params.threadType || 'internal';
+    const tapKind = params.tapKind || 'cutting';
+    
+    // Forming taps need a larger hole - the displaced material flows into the thread crest
+    const tapDrill = getTapDrillDiameter(size) + (threadType === 'internal' && tapKind === 'forming' ? pitch / 2 : 0);
+    // Internal threads are cut from the tap drill to the major diameter, external threads to the basic profile depth
+    const threadDepth = threadType === 'internal'
+        ? (size.diameter - tapDrill) / 2
+        : (standard.profileAngle === 55 ? 0.6403 : 0.6134) * pitch;
     
-    // Calculate time per part
-    const timePerPart = machiningTime !== null && machiningTime !== undefined 
-        ? machiningTime 
-        : (processingTime + toolChangeTime);
+    return {
+        standard: params.threadStandard in THREAD_STANDARDS ? params.threadStandard : DEFAULT_THREAD.threadStandard,
+        standardName: standard.name,
+        designation: size.designation,
+        diameter: size.diameter,
+        pitch,
+        tpi: size.tpi || null,
+        profileAngle: standard.profileAngle,
+        tapered: Boolean(standard.tapered),
+        threadType,
+        tapKind,
+        tapDrill,
+        threadDepth
+    };
+}
+
+// Tapping and thread milling - feed, torque, passes, cycle time and cost per thread
+function calculateThreadingModel(params, toolLife = null) {
+    const thread = getThreadGeometry(params);
+    const { toolDiameter, cuttingSpeed, feedRate, numberOfTeeth } = params;
+    const spindleSpeed = calculateSpindleSpeed(cuttingSpeed, toolDiameter);
+    const threadLength = params.threadLength || 0;
+    const threadsPerPart = params.threadsPerPart || 1;
+    const materialHardness = params.materialHardness || getMaterialReferenceHRC(params.workpieceMaterial);
+    
+    let model;
+    if (getOperationMode(params) === 'tapping') {
+        // Synchronised feed: Vf = n × P
+        const feedRateMM = spindleSpeed * thread.pitch;
+        // Each chamfer tooth takes an equal share of the thread depth
+        const chipThickness = thread.threadDepth / (Math.max(1, numberOfTeeth) * TAP_CHAMFER_THREADS);
+        const specificCuttingForce = calculateSpecificCuttingForce(params.workpieceMaterial, materialHardness, chipThickness, params.rakeAngle);
+        // Mc = kc × P² × D / 8000 (Nm)
+        const torque = specificCuttingForce * thread.pitch * thread.pitch * thread.diameter / 8000 *
+            (thread.tapKind === 'forming' ? FORMING_TAP_TORQUE_FACTOR : 1);
+        // The tap feeds through the thread length plus its chamfer, then reverses out at the same speed
+        const cuttingTimePerThread = feedRateMM > 0 ? (threadLength + TAP_CHAMFER_THREADS * thread.pitch) / feedRateMM : 0;
+        model = {
+            feedRateMM,
+            programmedFeedRate: feedRateMM,
+            chipThickness,
+            specificCuttingForce,
+            torque,
+            cuttingForce: thread.diameter > 0 ? torque * 2000 / thread.diameter : 0,
+            passes: 1,
+            radialDepthPerPass: thread.threadDepth,
+            engagedLength: threadLength,
+            cuttingTimePerThread,
+            cycleTimePerThread: 2 * cuttingTimePerThread
+        };
+    } else {
+        // The cutter centre orbits on D - Dt for internal and D + Dt for external threads
+        const pathDiameter = thread.threadType === 'internal' ? thread.diameter - toolDiameter : thread.diameter + toolDiameter;
+        const feedRateMM = calculateFeedRate(feedRate, numberOfTeeth, spindleSpeed);
+        // Programmed at the cutter centre so the edge moves at fz × Z × n on the thread diameter
+        const programmedFeedRate = feedRateMM * Math.max(0, pathDiameter) / thread.diameter;
+        
+        const maxRadialDepth = (THREAD_MILL_RADIAL_DEPTH[getMaterial(params.workpieceMaterial).isoGroup] || 0.1) * toolDiameter;
+        const passes = params.threadMillPasses > 0 ? params.threadMillPasses : Math.max(1, Math.ceil(thread.threadDepth / maxRadialDepth));
+        // A full-profile cutter finishes the thread in one orbit, a single-profile cutter climbs one pitch per orbit;
+        // each pass adds a 90° arc in and out
+        const singleProfile = params.threadMillProfile === 'singleProfile';
+        const orbitsPerPass = (singleProfile ? Math.ceil(threadLength / thread.pitch) : 1) + 0.5;
+        const cuttingTimePerThread = programmedFeedRate > 0 ? passes * orbitsPerPass * Math.PI * pathDiameter / programmedFeedRate : 0;
+        model = {
+            feedRateMM,
+            programmedFeedRate,
+            pathDiameter,
+            passes,
+            orbitsPerPass,
+            radialDepthPerPass: thread.threadDepth / passes,
+            engagedLength: singleProfile ? thread.pitch : threadLength,
+            cuttingTimePerThread,
+            // Rapid to depth and back out
+            cycleTimePerThread: cuttingTimePerThread + 2 * threadLength / DEFAULT_RAPID_TRAVERSE
+        };
+    }
     
-    // Calculate parts per tool life
-    const partsPerToolLife = costResults.partsPerToolLife || Math.floor(toolLife / timePerPart);
+    // Half of the annulus between tap drill and major diameter is removed for a 55-60° profile
+    const meanDiameter = thread.diameter - thread.threadDepth;
+    const threadVolume = 0.5 * thread.threadDepth * Math.PI * meanDiameter * threadLength;
+    
+    // Tool life counts cutting time only; every tool life also carries one tool change
+    const threadsPerToolLife = toolLife && model.cuttingTimePerThread > 0 ? Math.floor(toolLife / model.cuttingTimePerThread) : null;
+    let costPerThread = null;
+    if (threadsPerToolLife) {
+        const netToolCost = calculateEffectiveToolCost(params, toolLife).netToolCost;
+        const toolChangeCost = (params.toolChangeCost || 0) + (params.toolChangeTime || 0) / 60 * (params.machineHourlyRate || 0);
+        costPerThread = (netToolCost + toolChangeCost) / threadsPerToolLife + model.cycleTimePerThread / 60 * (params.machineHourlyRate || 0);
+    }
     
-    // Calculate tool change frequency
-    const toolChangesPerPart = partsPerToolLife > 0 ? (1 / partsPerToolLife) : 0;
+    return {
+        thread,
+        spindleSpeed,
+        threadLength,
+        threadsPerPart,
+        ...model,
+        mrr: model.cuttingTimePerThread > 0 ? threadVolume / model.cuttingTimePerThread : 0,
+        cuttingTimePerPart: model.cuttingTimePerThread * threadsPerPart,
+        cycleTimePerPart: model.cycleTimePerThread * threadsPerPart,
+        threadsPerToolLife,
+        costPerThread
+    };
+}
+
+// Face milling - entering angle of the inserts, cutter position over the face and wiper inserts
+const DEFAULT_ENTERING_ANGLE = '45';
+const DEFAULT_CORNER_RADIUS = 0.8;
+// Wiper flats are ground as a very large radius (mm) so they blend into the insert corners
+const WIPER_FLAT_RADIUS = 250;
+// A wiper only sweeps the whole feed mark while the feed per revolution stays within 80% of the flat
+const WIPER_FLAT_USABLE = 0.8;
+
+// Chip thinning factor sin κr - a round insert's entering angle grows with ap up to 90° at ap = iC / 2
+function getFaceMillEnteringFactor(params) {
+    if (params.enteringAngle === 'round') {
+        const insertDiameter = params.roundInsertDiameter || 12;
+        const depth = Math.min(params.depthOfCut, insertDiameter / 2);
+        return Math.sqrt(insertDiameter * insertDiameter - Math.pow(insertDiameter - 2 * depth, 2)) / insertDiameter;
+    }
+    return Math.sin((parseFloat(params.enteringAngle) || 90) * Math.PI / 180);
+}
+
+// Face milling model - engagement arc from the cutter position, chip thickness at entry and exit, and surface finish
+function calculateFaceMillingModel(params, toolLife = null) {
+    const { toolDiameter, widthOfCut, feedRate, numberOfTeeth, cuttingSpeed } = params;
+    const radius = toolDiameter / 2;
+    const enteringFactor = getFaceMillEnteringFactor(params);
+    const enteringAngle = Math.asin(Math.min(1, enteringFactor)) * 180 / Math.PI;
+    
+    // The cutter axis is moved from the middle of the face towards the side where the teeth enter
+    const cutterOffset = params.cutterPosition === 'centered' ? 0 : params.cutterOffset || 0;
+    // Teeth sweep from -R at φ = 0 to +R at φ = 180°, cutting a chip fz × sin φ
+    const clamp = value => Math.min(radius, Math.max(-radius, value));
+    const entryEdge = clamp(cutterOffset - widthOfCut / 2);
+    const exitEdge = clamp(cutterOffset + widthOfCut / 2);
+    const entryAngle = Math.acos(-entryEdge / radius);
+    const exitAngle = Math.acos(-exitEdge / radius);
+    const engagementAngle = exitAngle - entryAngle;
+    
+    // hm = fz × (cos φ1 - cos φ2) / (φ2 - φ1), thinned by sin κr normal to the edge
+    const meanChipThickness = engagementAngle > 0 ? feedRate * (Math.cos(entryAngle) - Math.cos(exitAngle)) / engagementAngle : 0;
+    const peakFactor = entryAngle <= Math.PI / 2 && exitAngle >= Math.PI / 2 ? 1 : Math.max(Math.sin(entryAngle), Math.sin(exitAngle));
+    const entryChipThickness = feedRate * Math.sin(entryAngle) * enteringFactor;
+    const exitChipThickness = feedRate * Math.sin(exitAngle) * enteringFactor;
+    
+    const teethInCut = numberOfTeeth * engagementAngle / (2 * Math.PI);
+    const materialHardness = params.materialHardness || getMaterialReferenceHRC(params.workpieceMaterial);
+    const chipThickness = meanChipThickness * enteringFactor;
+    const specificCuttingForce = calculateSpecificCuttingForce(params.workpieceMaterial, materialHardness, chipThickness, params.rakeAngle);
+    // The chip section per tooth stays ap × hm - the entering angle trades chip thickness for edge length
+    const cuttingForce = specificCuttingForce * params.depthOfCut * meanChipThickness * teethInCut;
+    
+    // With the cutter centre over the face the insert meets the workpiece away from its tip
+    const centreOverFace = entryEdge < 0 && exitEdge > 0;
+    
+    // Ra ≈ f² / (32 × r) with the corner radius, or with the wiper flat while it covers the feed per revolution
+    const feedPerRev = calculateFeedPerRevolution(feedRate, numberOfTeeth);
+    const cornerRadius = params.enteringAngle === 'round' ? (params.roundInsertDiameter || 12) / 2 : params.insertCornerRadius || DEFAULT_CORNER_RADIUS;
+    const wiperEffective = params.wiperInsert === 'wiper' && feedPerRev <= WIPER_FLAT_USABLE * (params.wiperFlatLength || 0);
+    const surfaceFinish = Math.max(0.1, (wiperEffective
+        ? feedPerRev * feedPerRev / (32 * WIPER_FLAT_RADIUS)
+        : feedRate * feedRate / (32 * cornerRadius)) * 1000);
+    
+    // A finishing pass runs until the trailing edge has left the face, so it travels L + first contact + R
+    const spindleSpeed = calculateSpindleSpeed(cuttingSpeed, toolDiameter);
+    const feedRateMM = feedPerRev * spindleSpeed;
+    const faceLength = params.faceLength || 0;
+    const contactEdge = centreOverFace ? 0 : Math.min(Math.abs(entryEdge), Math.abs(exitEdge));
+    const approachLength = Math.sqrt(radius * radius - contactEdge * contactEdge);
+    const passLength = faceLength + approachLength + radius;
+    const passesPerPart = params.facePassesPerPart || 1;
+    const cuttingTimePerPass = feedRateMM > 0 ? passLength / feedRateMM : 0;
+    
+    // Tool life counts cutting time only
+    const passesPerToolLife = toolLife && cuttingTimePerPass > 0 ? Math.floor(toolLife / cuttingTimePerPass) : null;
     
-    // Calculate downtime per part (in minutes)
-    const toolChangeDowntimePerPartMinutes = toolChangesPerPart * timeLossPerToolChange;
-    // Approximate unplanned downtime per part: distribute annual unplanned downtime across parts per year
-    const partsPerDay = partsPerYear / 365;
-    const unplannedDowntimePerPartMinutes = (unplannedDowntime * 60) / partsPerDay;
-    const totalDowntimePerPartMinutes = toolChangeDowntimePerPartMinutes + unplannedDowntimePerPartMinutes;
+    return {
+        enteringAngle,
+        enteringFactor,
+        cutterOffset,
+        radialRatio: toolDiameter > 0 ? widthOfCut / toolDiameter : 0,
+        entryAngle: entryAngle * 180 / Math.PI,
+        exitAngle: exitAngle * 180 / Math.PI,
+        engagementAngle: engagementAngle * 180 / Math.PI,
+        centreOverFace,
+        chipThickness,
+        maxChipThickness: feedRate * peakFactor * enteringFactor,
+        entryChipThickness,
+        exitChipThickness,
+        teethInCut,
+        specificCuttingForce,
+        cuttingForce,
+        forcePerTooth: teethInCut > 0 ? cuttingForce / teethInCut : 0,
+        feedPerRev,
+        cornerRadius,
+        wiperEffective,
+        surfaceFinish,
+        faceLength,
+        passLength,
+        passesPerPart,
+        cuttingTimePerPass,
+        cuttingTimePerPart: cuttingTimePerPass * passesPerPart,
+        // Rapid back to the start of the face between passes
+        cycleTimePerPart: (cuttingTimePerPass + passLength / DEFAULT_RAPID_TRAVERSE) * passesPerPart,
+        passesPerToolLife,
+        metersPerToolLife: passesPerToolLife !== null ? passesPerToolLife * faceLength / 1000 : null
+    };
+}
+
+// Turning - the workpiece turns, so the workpiece diameter sets the spindle speed and the single edge feeds f per revolution
+const DEFAULT_LEAD_ANGLE = 95;
+const DEFAULT_NOSE_RADIUS = 0.8;
+// Ratio of the thrust force normal to the main edge to the cutting force, split into feed and passive force by κr
+const TURNING_THRUST_RATIO = 0.5;
+
+// Spindle speed (RPM) for a cutting speed at a diameter, clamped by the G50 limit (0 = none)
+function calculateTurningSpindleSpeed(cuttingSpeed, diameter, maxSpindleSpeed) {
+    const spindleSpeed = diameter > 0 ? calculateSpindleSpeed(cuttingSpeed, diameter) : Infinity;
+    return maxSpindleSpeed > 0 ? Math.min(spindleSpeed, maxSpindleSpeed) : spindleSpeed;
+}
+
+// Turning model - forces from the lead angle, nose radius finish, and passes and cycle time at constant surface speed or fixed RPM
+function calculateTurningModel(params, toolLife = null) {
+    const { cuttingSpeed, feedRate, depthOfCut } = params;
+    const workpieceDiameter = params.workpieceDiameter || params.toolDiameter;
+    const leadAngle = params.leadAngle || DEFAULT_LEAD_ANGLE;
+    const entryAngle = leadAngle * Math.PI / 180;
+    const noseRadius = params.noseRadius || DEFAULT_NOSE_RADIUS;
+    const maxSpindleSpeed = params.maxSpindleSpeed || 0;
+    const constantSurfaceSpeed = params.spindleMode !== 'rpm';
+    
+    // The G50 limit can hold the spindle below the programmed Vc even at the starting diameter
+    const spindleSpeed = calculateTurningSpindleSpeed(cuttingSpeed, workpieceDiameter, maxSpindleSpeed);
+    const effectiveCuttingSpeed = Math.PI * workpieceDiameter * spindleSpeed / 1000;
+    // Diameter below which the limit takes over from constant surface speed
+    const limitDiameter = maxSpindleSpeed > 0 ? cuttingSpeed * 1000 / (Math.PI * maxSpindleSpeed) : 0;
+    
+    // h = f × sin κr on a chip width of ap / sin κr - the chip section stays ap × f
+    const chipThickness = feedRate * Math.sin(entryAngle);
+    const materialHardness = params.materialHardness || getMaterialReferenceHRC(params.workpieceMaterial);
+    const specificCuttingForce = calculateSpecificCuttingForce(params.workpieceMaterial, materialHardness, chipThickness, params.rakeAngle);
+    const cuttingForce = specificCuttingForce * depthOfCut * feedRate;
+    const feedForce = TURNING_THRUST_RATIO * cuttingForce * Math.sin(entryAngle);
+    const passiveForce = TURNING_THRUST_RATIO * cuttingForce * Math.abs(Math.cos(entryAngle));
+    const power = calculatePowerRequirement(cuttingForce, effectiveCuttingSpeed);
+    const torque = cuttingForce * workpieceDiameter / 2000;
+    const mrr = effectiveCuttingSpeed * depthOfCut * feedRate * 1000;
+    
+    // Theoretical profile of the nose radius: Rz = f² / (8 × rε), Ra ≈ f² / (32 × rε)
+    const surfaceFinish = Math.max(0.1, feedRate * feedRate / (32 * noseRadius) * 1000);
+    const profileDepth = feedRate * feedRate / (8 * noseRadius) * 1000;
+    
+    // Spindle speed at a diameter - constant surface speed follows the diameter, fixed RPM keeps the starting speed
+    const speedAt = diameter => constantSurfaceSpeed ? calculateTurningSpindleSpeed(cuttingSpeed, diameter, maxSpindleSpeed) : spindleSpeed;
+    const rapidTraverse = params.rapidTraverse || DEFAULT_RAPID_TRAVERSE;
+    const facing = params.turningOperation === 'facing';
+    let passes;
+    let passDepth;
+    let cuttingTimePerPart = 0;
+    let rapidTimePerPart = 0;
+    if (facing) {
+        // Facing runs from the outside diameter to the bore (0 for a solid bar); ap is taken off the face
+        const innerDiameter = Math.min(params.faceInnerDiameter || 0, workpieceDiameter);
+        const faceStock = params.faceStock || 0;
+        passes = faceStock > 0 ? Math.max(1, Math.ceil(faceStock / depthOfCut)) : 1;
+        passDepth = faceStock > 0 ? faceStock / passes : depthOfCut;
+        const outerRadius = workpieceDiameter / 2;
+        const innerRadius = innerDiameter / 2;
+        let timePerPass;
+        if (constantSurfaceSpeed) {
+            // n = Vc × 1000 / (2π × r) gives t = π × (ro² - r1²) / (f × Vc × 1000) down to the limit radius r1,
+            // then the rest of the face at the limit speed
+            const limitRadius = maxSpindleSpeed > 0 ? Math.min(outerRadius, Math.max(innerRadius, limitDiameter / 2)) : innerRadius;
+            timePerPass = Math.PI * (outerRadius * outerRadius - limitRadius * limitRadius) / (feedRate * cuttingSpeed * 1000) +
+                (maxSpindleSpeed > 0 ? (limitRadius - innerRadius) / (feedRate * maxSpindleSpeed) : 0);
+        } else {
+            timePerPass = (outerRadius - innerRadius) / (feedRate * spindleSpeed);
+        }
+        cuttingTimePerPart = passes * timePerPass;
+        rapidTimePerPart = passes * (outerRadius - innerRadius) / rapidTraverse;
+    } else {
+        // Longitudinal passes take equal depths down to the finished diameter, each at the speed of its starting diameter
+        const finalDiameter = params.finalDiameter > 0 && params.finalDiameter < workpieceDiameter ? params.finalDiameter : workpieceDiameter - 2 * depthOfCut;
+        const stock = (workpieceDiameter - finalDiameter) / 2;
+        passes = Math.max(1, Math.ceil(stock / depthOfCut - 1e-9));
+        passDepth = stock / passes;
+        const turningLength = params.turningLength || 0;
+        for (let pass = 0; pass < passes; pass++) {
+            cuttingTimePerPart += turningLength / (feedRate * speedAt(workpieceDiameter - 2 * pass * passDepth));
+        }
+        rapidTimePerPart = passes * turningLength / rapidTraverse;
+    }
+    const cycleTimePerPart = cuttingTimePerPart + rapidTimePerPart;
     
-    // Calculate ideal cycle time (theoretical minimum time per part - just processing time, no downtime)
-    const idealCycleTimeMinutes = processingTime;
+    // Tool life counts cutting time only
+    const partsPerToolLife = toolLife && cuttingTimePerPart > 0 ? Math.floor(toolLife / cuttingTimePerPart) : null;
     
-    // Calculate actual cycle time (including tool changes and downtime)
-    const actualCycleTimeMinutes = timePerPart + totalDowntimePerPartMinutes;
-    
-    // OEE Components:
-    
-    // 1. Availability = Operating Time / Planned Production Time
-    // Operating Time = Planned Time - Downtime
-    // For per-part: Availability = 1 - (Downtime / Planned Time Per Part)
-    // Planned time per part = planned production time per shift / parts produced per shift
-    const partsPerShift = (plannedProductionTime * 60) / actualCycleTimeMinutes; // Approximate parts per shift
-    const plannedTimePerPartMinutes = (plannedProductionTime * 60) / partsPerShift;
-    const availabilityPerPart = Math.max(0, Math.min(1, 1 - (totalDowntimePerPartMinutes / plannedTimePerPartMinutes)));
-    
-    // Alternative simpler calculation: Availability = 1 - (Downtime / Total Cycle Time)
-    const availabilitySimple = Math.max(0, Math.min(1, 1 - (totalDowntimePerPartMinutes / actualCycleTimeMinutes)));
-    
-    // Use the simpler calculation for better accuracy
-    const availability = availabilitySimple;
-    
-    // 2. Performance = Ideal Cycle Time / Actual Cycle Time
-    // This measures how close actual cycle time is to ideal (no downtime, optimal speed)
-    // Performance = (Ideal Output Rate) / (Actual Output Rate) = Ideal Cycle Time / Actual Cycle Time
-    const performance = actualCycleTimeMinutes > 0 ? Math.max(0, Math.min(1, idealCycleTimeMinutes / actualCycleTimeMinutes)) : 0;
-    
-    // Adjust performance based on speed efficiency (higher speed can improve throughput but may reduce tool life)
-    const speedEfficiency = 1; // Base efficiency - can be adjusted if speed optimization data available
-    const performanceAdjusted = performance * speedEfficiency;
-    
-    // 3. Quality = Good Parts / Total Parts
-    const quality = Math.max(0, Math.min(1, 1 - (defectsRate / 100)));
-    
-    // Overall OEE
-    const oee = availability * performanceAdjusted * quality;
-    
-    // Calculate OEE losses
-    const availabilityLoss = 1 - availability;
-    const performanceLoss = 1 - performanceAdjusted;
-    const qualityLoss = defectsRate / 100;
-    
-    // Calculate impact factors
-    const toolChangeImpact = {
-        downtime: toolChangeDowntimePerPartMinutes / 60, // Convert to hours for consistency
-        frequency: toolChangesPerPart,
-        cost: costResults.toolChangeCostPerPart || 0
-    };
-    
-    const speedImpact = {
-        toolLifeReduction: params.cuttingSpeed > 100 ? ((params.cuttingSpeed - 100) / 100) * 0.1 : 0, // Higher speed reduces tool life
-        performanceGain: params.cuttingSpeed > 100 ? Math.min(0.2, (params.cuttingSpeed - 100) / 500) : 0 // Higher speed can improve performance
+    return {
+        workpieceDiameter,
+        leadAngle,
+        noseRadius,
+        constantSurfaceSpeed,
+        maxSpindleSpeed,
+        spindleSpeed,
+        speedLimited: spindleSpeed < calculateSpindleSpeed(cuttingSpeed, workpieceDiameter),
+        effectiveCuttingSpeed,
+        limitDiameter,
+        feedRateMM: feedRate * spindleSpeed,
+        chipThickness,
+        chipWidth: depthOfCut / Math.sin(entryAngle),
+        specificCuttingForce,
+        cuttingForce,
+        feedForce,
+        passiveForce,
+        power,
+        torque,
+        mrr,
+        surfaceFinish,
+        profileDepth,
+        facing,
+        passes,
+        passDepth,
+        cuttingTimePerPart,
+        rapidTimePerPart,
+        cycleTimePerPart,
+        partsPerToolLife
     };
+}
+
+// Ball nose and corner radius end mills - below the radius the edge cuts on an effective diameter smaller than D
+const DEFAULT_TOOL_CORNER_RADIUS = 1;
+// Tilt below which the ball nose centre, at zero cutting speed, stays in the cut
+const MIN_BALL_NOSE_TILT = 10;
+
+function isProfileMillingTool(params) {
+    return getOperationMode(params) === 'milling' && (params.toolType === 'ballEndMill' || params.toolType === 'cornerRadiusEndMill');
+}
+
+// Effective cutting diameter at ap, spindle speed for Vc at that diameter, and scallop height from the stepover ae
+function calculateProfileMillingModel(params) {
+    const { toolDiameter, cuttingSpeed, feedRate, depthOfCut, widthOfCut } = params;
+    const ballNose = params.toolType === 'ballEndMill';
+    const profileRadius = ballNose ? toolDiameter / 2 : Math.min(params.toolCornerRadius || DEFAULT_TOOL_CORNER_RADIUS, toolDiameter / 2);
+    const tiltAngle = ballNose ? params.tiltAngle || 0 : 0;
+    const tilt = tiltAngle * Math.PI / 180;
+    
+    let effectiveDiameter;
+    if (ballNose) {
+        // De = D × sin(β + arccos(1 - 2ap / D)) - the full diameter once the contact passes the equator
+        const contactAngle = tilt + Math.acos(Math.max(-1, 1 - 2 * depthOfCut / toolDiameter));
+        effectiveDiameter = contactAngle >= Math.PI / 2 ? toolDiameter : toolDiameter * Math.sin(contactAngle);
+    } else {
+        // De = D - 2rε + 2 × √(rε² - (rε - ap)²) until ap reaches the straight flank
+        effectiveDiameter = depthOfCut >= profileRadius
+            ? toolDiameter
+            : toolDiameter - 2 * profileRadius + 2 * Math.sqrt(profileRadius * profileRadius - Math.pow(profileRadius - depthOfCut, 2));
+    }
     
-    const toolLifeImpact = {
-        toolChanges: costResults.toolChangesPerToolLife || 0,
-        downtime: (costResults.toolChangesPerToolLife || 0) * (timeLossPerToolChange / 60),
-        cost: costResults.toolChangeCostPerPart || 0
-    };
+    // The programmed Vc holds at De, so the spindle runs faster than on the nominal diameter
+    const spindleSpeed = calculateSpindleSpeed(cuttingSpeed, effectiveDiameter);
+    const nominalSpindleSpeed = calculateSpindleSpeed(cuttingSpeed, toolDiameter);
+    // Lowest cutting speed on the engaged edge - zero at the ball centre without tilt
+    const minimumCuttingSpeed = ballNose
+        ? Math.PI * toolDiameter * Math.sin(tilt) * spindleSpeed / 1000
+        : cuttingSpeed * (toolDiameter - 2 * profileRadius) / effectiveDiameter;
+    
+    // Cusp between two arcs of radius r a distance w apart: h = r - √(r² - (w/2)²), never deeper than ap.
+    // A corner radius mill's flat bottom leaves no cusp across its width
+    const cuspHeight = (radius, spacing) => spacing >= 2 * radius ? radius : radius - Math.sqrt(radius * radius - spacing * spacing / 4);
+    const flatWidth = ballNose ? 0 : toolDiameter - 2 * profileRadius;
+    const scallopHeight = Math.min(depthOfCut, widthOfCut > flatWidth ? cuspHeight(profileRadius, widthOfCut - flatWidth) : 0);
+    const feedScallopHeight = Math.min(depthOfCut, cuspHeight(profileRadius, feedRate));
+    // The deeper cusp is the profile depth Rz, Ra ≈ Rz / 4 as for a nose radius
+    const profileDepth = Math.max(scallopHeight, feedScallopHeight) * 1000;
+    const surfaceFinish = Math.max(0.1, profileDepth / 4);
     
     return {
-        oee: oee * 100, // Convert to percentage
-        availability: availability * 100,
-        performance: performanceAdjusted * 100,
-        quality: quality * 100,
-        availabilityLoss: availabilityLoss * 100,
-        performanceLoss: performanceLoss * 100,
-        qualityLoss: qualityLoss * 100,
-        toolChangeImpact,
-        speedImpact,
-        toolLifeImpact,
-        idealCycleTime: idealCycleTimeMinutes, // Already in minutes
-        actualCycleTime: actualCycleTimeMinutes, // Already in minutes
-        downtimePerPart: totalDowntimePerPartMinutes, // Already in minutes
-        partsPerToolLife,
-        toolChangesPerToolLife: costResults.toolChangesPerToolLife || 0
+        ballNose,
+        profileRadius,
+        tiltAngle,
+        effectiveDiameter,
+        spindleSpeed,
+        nominalSpindleSpeed,
+        // Vc at De if the spindle ran at the nominal-diameter speed
+        nominalSpeedCuttingSpeed: cuttingSpeed * effectiveDiameter / toolDiameter,
+        minimumCuttingSpeed,
+        centreCutting: ballNose && tiltAngle < MIN_BALL_NOSE_TILT,
+        scallopHeight,
+        feedScallopHeight,
+        profileDepth,
+        surfaceFinish
     };
 }
 
-// Get recommendations based on calculations
-function getRecommendations(params, results) {
-    const recommendations = [];
+// Spindle speed of the current operation - ball nose and corner radius end mills hold Vc at the effective diameter,
+// turning is held at the spindle speed limit (G50)
+function calculateOperationSpindleSpeed(params) {
+    if (getOperationMode(params) === 'turning') {
+        return calculateTurningModel(params).spindleSpeed;
+    }
+    if (isProfileMillingTool(params)) {
+        return calculateProfileMillingModel(params).spindleSpeed;
+    }
+    return calculateSpindleSpeed(params.cuttingSpeed, params.toolDiameter);
+}
+
+// Spindle power (kW) and torque (Nm) of the current operation - a turning tool cuts at the Vc the spindle limit leaves
+function calculateOperationPower(params, cuttingForce, spindleSpeed) {
+    if (getOperationMode(params) === 'turning') {
+        const { power, torque } = calculateTurningModel(params);
+        return { powerRequired: power, torque };
+    }
+    const powerRequired = calculatePowerRequirement(cuttingForce, params.cuttingSpeed);
+    return { powerRequired, torque: calculateTorque(powerRequired, spindleSpeed) };
+}
+
+// Machine profiles - spindle and axis limits of the user's machines, keyed by profile id
+const MACHINE_PROFILES_STORAGE_KEY = 'cncToolCalc.machineProfiles';
+let machineProfiles = loadStoredJSON(MACHINE_PROFILES_STORAGE_KEY, {});
+
+// Motor and drive train losses between the spindle rating and the power available at the cut
+const SPINDLE_EFFICIENCY = 0.85;
+// Utilisation above which a machine limit is flagged before it is exceeded
+const MACHINE_LIMIT_WARNING = 0.9;
+
+const TOOL_HOLDER_INTERFACES = ['SK40', 'SK50', 'BT30', 'BT40', 'BT50', 'CAT40', 'CAT50', 'HSK-A63', 'HSK-A100', 'HSK-E40', 'Capto C6', 'Capto C8', 'Other'];
+
+function getMachineProfile(profileId) {
+    return profileId ? machineProfiles[profileId] || null : null;
+}
+
+// Spindle torque (Nm) available at the given speed, interpolated from the torque curve
+function getAvailableSpindleTorque(profile, spindleSpeed) {
+    const curve = (profile.torqueCurve || []).slice().sort((a, b) => a.rpm - b.rpm);
+    if (curve.length === 0) {
+        // Without a curve assume constant rated power
+        return spindleSpeed > 0 ? (profile.ratedPower * 9550) / spindleSpeed : Infinity;
+    }
+    if (spindleSpeed <= curve[0].rpm) return curve[0].torque;
+    if (spindleSpeed >= curve[curve.length - 1].rpm) return curve[curve.length - 1].torque;
     
-    const {
-        workpieceMaterial,
-        toolMaterial,
-        toolCoating,
-        cuttingSpeed,
-        feedRate,
-        depthOfCut
-    } = params;
+    const upper = curve.findIndex(point => point.rpm >= spindleSpeed);
+    const lower = curve[upper - 1];
+    const ratio = (spindleSpeed - lower.rpm) / (curve[upper].rpm - lower.rpm);
+    return lower.torque + ratio * (curve[upper].torque - lower.torque);
+}
+
+// Spindle power (kW) available at the given speed, capped by the rated power
+function getAvailableSpindlePower(profile, spindleSpeed) {
+    if (!profile.torqueCurve || profile.torqueCurve.length === 0) return profile.ratedPower;
+    return Math.min(profile.ratedPower, (getAvailableSpindleTorque(profile, spindleSpeed) * spindleSpeed) / 9550);
+}
+
+// Compare calculated spindle speed, feed rate, power and torque with the machine and suggest deratings
+function checkMachineLimits(params, profile, { spindleSpeed, feedRateMM, powerRequired, torque }) {
+    const checks = [];
+    const addCheck = (key, label, quantity, required, available, suggestion) => {
+        if (!(available > 0) || !isFinite(available)) return;
+        const utilisation = required / available;
+        const status = utilisation > 1 ? 'exceeded' : utilisation > MACHINE_LIMIT_WARNING ? 'warning' : 'ok';
+        checks.push({ key, label, quantity, required, available, utilisation, status, suggestion: status === 'ok' ? '' : suggestion });
+    };
     
-    // Tool material recommendations
-    if (toolMaterial === 'hss' && (workpieceMaterial === 'stainlessSteel' || workpieceMaterial === 'titanium')) {
-        recommendations.push({
-            type: 'tool_material',
-            message: 'Consider upgrading to carbide or coated carbide tools for better performance with hard materials.'
-        });
+    if (profile.maxRpm > 0) {
+        const maxCuttingSpeed = params.cuttingSpeed * Math.min(1, (profile.maxRpm * MACHINE_LIMIT_WARNING) / spindleSpeed);
+        addCheck('spindleSpeed', 'Spindle Speed', null, spindleSpeed, profile.maxRpm,
+            `Reduce V<sub>c</sub> to ${formatInputQuantity(maxCuttingSpeed, 'cuttingSpeed')} (n ≤ ${Math.round(profile.maxRpm * MACHINE_LIMIT_WARNING)} RPM) and keep f<sub>z</sub> to hold the chip thickness`);
     }
     
-    // Coating recommendations
-    if (toolCoating === 'none' && (workpieceMaterial === 'steel' || workpieceMaterial === 'stainlessSteel')) {
-        recommendations.push({
-            type: 'coating',
-            message: 'Adding a TiN or TiCN coating can increase tool life by 30-50% for steel materials.'
-        });
+    if (profile.maxFeedRate > 0) {
+        const maxFeedPerTooth = params.feedRate * Math.min(1, (profile.maxFeedRate * MACHINE_LIMIT_WARNING) / feedRateMM);
+        addCheck('feedRate', 'Feed Rate', 'feedRate', feedRateMM, profile.maxFeedRate,
+            `Reduce f<sub>z</sub> to ${formatInputQuantity(maxFeedPerTooth, 'feedPerTooth')} or lower V<sub>c</sub>`);
     }
     
-    // Speed recommendations
-    const materialMultiplier = materialMultipliers[workpieceMaterial] || 1.0;
-    const recommendedSpeed = 100 * materialMultiplier;
+    // Force, power and torque scale linearly with the axial depth of cut
+    const deratedDepth = (available, required) => {
+        const ratio = Math.min(1, (available * MACHINE_LIMIT_WARNING) / required);
+        const passes = Math.ceil(1 / ratio);
+        return `Reduce a<sub>p</sub> to ${formatInputQuantity(params.depthOfCut * ratio, 'length')}${passes > 1 ? `, cut the depth in ${passes} passes of ${formatInputQuantity(params.depthOfCut / passes, 'length')}` : ''} or reduce a<sub>e</sub>`;
+    };
     
-    if (Math.abs(cuttingSpeed - recommendedSpeed) > recommendedSpeed * 0.3) {
-        recommendations.push({
-            type: 'cutting_speed',
-            message: `For ${workpieceMaterial}, consider adjusting cutting speed to around ${Math.round(recommendedSpeed)} m/min for optimal tool life.`
-        });
+    if (profile.ratedPower > 0) {
+        const spindlePower = powerRequired / SPINDLE_EFFICIENCY;
+        const availablePower = getAvailableSpindlePower(profile, spindleSpeed);
+        addCheck('power', 'Spindle Power', 'power', spindlePower, availablePower, deratedDepth(availablePower, spindlePower));
+        
+        const spindleTorque = torque / SPINDLE_EFFICIENCY;
+        const availableTorque = getAvailableSpindleTorque(profile, spindleSpeed);
+        addCheck('torque', 'Spindle Torque', 'torque', spindleTorque, availableTorque, deratedDepth(availableTorque, spindleTorque));
     }
     
-    // Feed rate recommendations
-    if (feedRate < 0.05) {
-        recommendations.push({
-            type: 'feed_rate',
-            message: 'Very low feed rates may cause premature tool wear. Consider increasing feed rate if surface finish allows.'
-        });
-    } else if (feedRate > 0.3 && toolMaterial === 'hss') {
-        recommendations.push({
-            type: 'feed_rate',
-            message: 'High feed rates with HSS tools may cause rapid wear. Consider reducing feed rate or upgrading to carbide.'
+    return checks;
+}
+
+// Format a machine limit check value in display units
+function formatMachineLimitValue(value, quantity) {
+    return quantity ? formatQuantity(value, quantity) : formatNumber(value, 'RPM');
+}
+
+// End milling surface finish - side wall from the peripheral edges, floor from the end teeth
+const DEFAULT_TOOL_RUNOUT = 0.005;
+const DEFAULT_TARGET_ROUGHNESS = 0.8;
+// Dish angle of the end teeth behind a sharp corner (°)
+const END_MILL_DISH_ANGLE = 2;
+const FEED_MARK_SAMPLES = 50;
+
+// Peripheral and end milling with anything but a ball nose, which leaves the scallop of the profile model
+function hasMillingFinishModel(params) {
+    return getOperationMode(params) === 'milling' && params.toolType !== 'ballEndMill';
+}
+
+// Ra and Rz (μm) of the feed marks over one revolution, sampled from the lowest tooth profile at each point.
+// toothProfile(u) is the height of a tooth's cutting edge u mm ahead of its lowest point;
+// each tooth sits at its position along the feed and cuts its depth below the nominal edge
+function calculateFeedMarkRoughness(toothProfile, teeth, feedPerRev, reach = 1) {
+    const samples = FEED_MARK_SAMPLES * teeth.length;
+    const heights = [];
+    for (let s = 0; s < samples; s++) {
+        const x = feedPerRev * s / samples;
+        let height = Infinity;
+        teeth.forEach(tooth => {
+            for (let k = -reach; k <= reach; k++) {
+                height = Math.min(height, toothProfile(x - tooth.position - k * feedPerRev) - tooth.depth);
+            }
         });
+        heights.push(height);
     }
-    
-    // Cost-effectiveness recommendations
-    if (results.toolCostPerPart > results.machiningCostPerPart * 0.3) {
-        recommendations.push({
-            type: 'cost',
-            message: 'Tool cost per part is high relative to machining cost. Consider tools with longer tool life or lower initial cost.'
-        });
+    const mean = heights.reduce((sum, height) => sum + height, 0) / samples;
+    return {
+        rz: (Math.max(...heights) - Math.min(...heights)) * 1000,
+        ra: heights.reduce((sum, height) => sum + Math.abs(height - mean), 0) / samples * 1000
+    };
+}
+
+// Spread of the total chip load over a tooth pitch (max - min over mean). A helix spreads each tooth's
+// engagement over z × tan β / R of rotation, so the load evens out once ap covers an axial pitch
+function calculateHelixLoadVariation(params) {
+    const { toolDiameter, numberOfTeeth, widthOfCut, depthOfCut } = params;
+    const engagementAngle = calculateEngagementAngle(widthOfCut, toolDiameter);
+    const pitch = 2 * Math.PI / numberOfTeeth;
+    const lag = Math.tan((params.helixAngle || 0) * Math.PI / 180) / (toolDiameter / 2);
+    const slices = 50;
+    
+    const loads = [];
+    for (let step = 0; step < 90; step++) {
+        let load = 0;
+        for (let i = 0; i < numberOfTeeth; i++) {
+            for (let slice = 0; slice < slices; slice++) {
+                const z = depthOfCut * (slice + 0.5) / slices;
+                const angle = ((pitch * (step / 90 + i) - z * lag) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+                if (angle <= engagementAngle) load += Math.sin(angle);
+            }
+        }
+        loads.push(load);
     }
-    
-    // Tool change recommendations
-    if (params.toolChangeCost > 0 && results.toolChangeCostPerPart > results.toolCostPerPart * 0.5) {
-        recommendations.push({
-            type: 'tool_change',
-            message: 'Tool change costs are significant. Consider optimizing tool change frequency or reducing tool change time.'
-        });
+    const mean = loads.reduce((sum, load) => sum + load, 0) / loads.length;
+    return mean > 0 ? (Math.max(...loads) - Math.min(...loads)) / mean : 0;
+}
+
+// Ra and Rz (μm) of an end mill's side wall or floor. Radial runout (TIR / 2 eccentricity) makes one tooth cut deeper
+// on the wall and spaces the floor marks unevenly
+function calculateMillingSurfaceRoughness(params, surface) {
+    const { toolDiameter, feedRate, numberOfTeeth } = params;
+    const radius = toolDiameter / 2;
+    const runout = params.toolRunout || 0;
+    const feedPerRev = calculateFeedPerRevolution(feedRate, numberOfTeeth);
+    const offsets = Array.from({ length: numberOfTeeth }, (_, i) => runout / 2 * Math.cos(2 * Math.PI * i / numberOfTeeth));
+    const arc = (r, u) => Math.abs(u) < r ? r - Math.sqrt(r * r - u * u) : Infinity;
+    
+    // Side wall: arcs of the tool radius, the proud tooth cutting deeper
+    if (surface === 'wall') {
+        return calculateFeedMarkRoughness(u => arc(radius, u),
+            offsets.map((offset, i) => ({ position: i * feedRate, depth: offset })), feedPerRev);
     }
     
-    // Processing time recommendations
-    if (params.processingTime && params.machiningTime && params.processingTime < params.machiningTime * 0.7) {
-        recommendations.push({
-            type: 'processing_time',
-            message: 'Tool change time represents a significant portion of total machining time. Consider faster tool change systems or tool optimization.'
-        });
+    // Floor: the corner leads into the uncut material; behind it come the wiper flat and the dish of the end teeth.
+    // A corner radius mill cuts with rε, the other end mills with a sharp corner
+    const cornerRadius = getEndMillCornerRadius(params);
+    const wiperLength = params.endWiperLength || 0;
+    const dish = END_MILL_DISH_ANGLE * Math.PI / 180;
+    const dishStart = cornerRadius * Math.sin(dish);
+    const trailingEdge = w => w <= dishStart
+        ? arc(cornerRadius, w)
+        : cornerRadius * (1 - Math.cos(dish)) + (w - dishStart) * Math.tan(dish);
+    const endToothProfile = u => {
+        if (u >= 0) return cornerRadius > 0 ? arc(cornerRadius, u) : (u === 0 ? 0 : Infinity);
+        const w = -u;
+        return w <= wiperLength
+            ? w * w / (2 * WIPER_FLAT_RADIUS)
+            : wiperLength * wiperLength / (2 * WIPER_FLAT_RADIUS) + trailingEdge(w - wiperLength);
+    };
+    return calculateFeedMarkRoughness(endToothProfile,
+        offsets.map((offset, i) => ({ position: i * feedRate + offset, depth: 0 })), feedPerRev, Math.ceil(wiperLength / feedPerRev) + 1);
+}
+
+function getEndMillCornerRadius(params) {
+    return params.toolType === 'cornerRadiusEndMill'
+        ? Math.min(params.toolCornerRadius || DEFAULT_TOOL_CORNER_RADIUS, params.toolDiameter / 2)
+        : 0;
+}
+
+// Side wall and floor finish of an end mill. Pass the stiffness model to add the waviness along the wall from the helix load variation
+function calculateMillingFinishModel(params, stiffness = null) {
+    const { toolDiameter, feedRate, numberOfTeeth } = params;
+    const runout = params.toolRunout || 0;
+    const feedPerRev = calculateFeedPerRevolution(feedRate, numberOfTeeth);
+    const wall = calculateMillingSurfaceRoughness(params, 'wall');
+    const floor = calculateMillingSurfaceRoughness(params, 'floor');
+    const wiperLength = params.endWiperLength || 0;
+    
+    // Deflection follows the load, so the wall moves with it along the axis over each axial pitch
+    const loadVariation = stiffness ? calculateHelixLoadVariation(params) : 0;
+    const axialPitch = params.helixAngle > 0 ? Math.PI * toolDiameter / (numberOfTeeth * Math.tan(params.helixAngle * Math.PI / 180)) : Infinity;
+    
+    const surface = params.finishSurface === 'floor' ? 'floor' : 'wall';
+    const targetRoughness = params.targetSurfaceFinish || DEFAULT_TARGET_ROUGHNESS;
+    return {
+        surface,
+        runout,
+        feedPerRev,
+        cornerRadius: getEndMillCornerRadius(params),
+        wiperLength,
+        wiperEffective: wiperLength > 0 && feedPerRev + runout <= wiperLength,
+        wallRa: Math.max(0.1, wall.ra),
+        wallRz: wall.rz,
+        // Runout-free marks of every tooth, Rz = fz² / (8 × R)
+        idealWallRz: feedRate * feedRate / (4 * toolDiameter) * 1000,
+        floorRa: Math.max(0.1, floor.ra),
+        floorRz: floor.rz,
+        axialPitch,
+        loadVariation,
+        axialWaviness: stiffness ? stiffness.deflection * loadVariation * 1000 : null,
+        surfaceFinish: Math.max(0.1, surface === 'floor' ? floor.ra : wall.ra),
+        targetRoughness,
+        targetFeedRate: calculateFeedForSurfaceFinish(params, targetRoughness)
+    };
+}
+
+// Largest feed per tooth that keeps the reported surface within the target Ra (μm); null if even a fine feed cannot
+function calculateFeedForSurfaceFinish(params, targetRoughness) {
+    const surface = params.finishSurface === 'floor' ? 'floor' : 'wall';
+    const roughnessAt = feedRate => Math.max(0.1, calculateMillingSurfaceRoughness({ ...params, feedRate }, surface).ra);
+    let low = 0.001;
+    if (!(targetRoughness > 0) || roughnessAt(low) > targetRoughness) return null;
+    let high = Math.max(2 * params.feedRate, 0.05);
+    while (roughnessAt(high) <= targetRoughness && high < params.toolDiameter / 2) high *= 2;
+    for (let i = 0; i < 30; i++) {
+        const mid = (low + high) / 2;
+        if (roughnessAt(mid) <= targetRoughness) low = mid;
+        else high = mid;
     }
-    
-    return recommendations;
+    return low;
 }
 
-// Format currency
-function formatCurrency(value) {
-    return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'EUR',
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-    }).format(value);
+// Calculate surface finish (Ra in μm) - approximate
+function calculateSurfaceFinish(feedPerTooth, toolDiameter, numberOfTeeth) {
+    // Feed marks of the tool radius R: Rz = fz² / (8 × R), Ra ≈ Rz / 4
+    const toolRadius = toolDiameter / 2;
+    const ra = Math.pow(feedPerTooth, 2) / (32 * toolRadius);
+    return Math.max(0.1, ra * 1000); // Convert to micrometers
 }
 
-// Format number with units
-function formatNumber(value, unit = '') {
-    return `${value.toFixed(2)} ${unit}`.trim();
+// Surface roughness of the current operation - face mills finish with the insert corner or wiper flat,
+// turning tools with the nose radius, ball nose mills with the scallop, end mills on the side wall or floor
+function calculateOperationSurfaceFinish(params) {
+    if (getOperationMode(params) === 'faceMilling') {
+        return calculateFaceMillingModel(params).surfaceFinish;
+    }
+    if (getOperationMode(params) === 'turning') {
+        return calculateTurningModel(params).surfaceFinish;
+    }
+    if (hasMillingFinishModel(params)) {
+        return Math.max(0.1, calculateMillingSurfaceRoughness(params, params.finishSurface === 'floor' ? 'floor' : 'wall').ra);
+    }
+    if (isProfileMillingTool(params)) {
+        return calculateProfileMillingModel(params).surfaceFinish;
+    }
+    return calculateSurfaceFinish(params.feedRate, params.toolDiameter, params.numberOfTeeth);
 }
 
-// Format cutting fluid name
-function formatCuttingFluid(value) {
-    if (!value || value === 'none') return 'None (Dry)';
-    const fluidNames = {
-        'none': 'None (Dry)',
-        'flood': 'Flood Coolant',
-        'mist': 'Mist Coolant',
-        'mql': 'MQL (Minimum Quantity Lubrication)',
-        'emulsion': 'Emulsion',
-        'synthetic': 'Synthetic Coolant',
-        'semiSynthetic': 'Semi-Synthetic Coolant',
-        'straightOil': 'Straight Oil',
-        'waterSoluble': 'Water-Soluble Oil'
-    };
-    return fluidNames[value] || value;
+// Calculate Taylor's tool life constant C
+function calculateTaylorConstant(cuttingSpeed, toolLife, taylorExponent = DEFAULT_TAYLOR_EXPONENT) {
+    // C = V × T^n
+    return cuttingSpeed * Math.pow(toolLife, taylorExponent);
 }
 
-// Get badge class for metrics
-function getBadgeClass(value, thresholds) {
-    if (value >= thresholds.excellent) return 'badge-excellent';
-    if (value >= thresholds.good) return 'badge-good';
-    if (value >= thresholds.fair) return 'badge-fair';
-    return 'badge-poor';
+// Build the key used to store a calibrated model for a material/tool combination - a fit only holds for the operation
+// and tool type it was measured with
+function getTaylorModelKey(params, toolType = params.toolType) {
+    return [params.workpieceMaterial, params.toolMaterial, params.toolCoating || 'none', getOperationMode(params), toolType || ''].join('|');
 }
 
-// Display results
-async function displayResults(params, results) {
-    // Load Chart.js if needed (before creating charts)
-    if (!window.Chart && typeof window.loadChartJS === 'function') {
-        await window.loadChartJS();
+// Key of the stored model that applies: the one for this tool type, else the one fitted without a tool type
+function findTaylorModelKey(params) {
+    const key = getTaylorModelKey(params);
+    const genericKey = getTaylorModelKey(params, '');
+    return !taylorModels[key] && taylorModels[genericKey] ? genericKey : key;
+}
+
+// Models saved before the operation was part of the key were fitted for milling, with no tool type recorded
+function migrateTaylorModels(models) {
+    return Object.fromEntries(Object.entries(models || {}).map(([key, model]) =>
+        key.split('|').length === 3 ? [`${key}|milling|`, model] : [key, model]));
+}
+
+// Get the active calibrated Taylor model for the current combination (or null)
+function getCalibratedTaylorModel(params) {
+    const model = taylorModels[findTaylorModelKey(params)];
+    return model && model.active && model.fit ? model : null;
+}
+
+// Extended Taylor tool life: Vc × T^n × fz^a × ap^b = C  =>  T = (C / (Vc × fz^a × ap^b))^(1/n)
+function calculateTaylorToolLife(fit, params) {
+    const { cuttingSpeed, feedRate, depthOfCut } = params;
+    const denominator = cuttingSpeed *
+        Math.pow(feedRate, fit.feedExponent || 0) *
+        Math.pow(depthOfCut, fit.depthExponent || 0);
+    return Math.pow(fit.C / denominator, 1 / fit.n);
+}
+
+// Tool life factor of the fluid an observation was tested with, relative to the model's fluid (observations without one used the model's)
+function getObservationFluidRatio(model, observation) {
+    const fluidFactor = cuttingFluid => getCoolantLifeFactor({ workpieceMaterial: model.workpieceMaterial, toolMaterial: model.toolMaterial, cuttingFluid });
+    return fluidFactor(observation.cuttingFluid || model.cuttingFluid) / fluidFactor(model.cuttingFluid);
+}
+
+// Fit a calibration model with every observation brought to the model's fluid first - calculateToolLife applies
+// the difference to the fluid in use, so dry and flood tests must not be mixed in the fit as they are
+function fitCalibratedTaylorModel(model) {
+    return fitTaylorModel(model.observations.map(obs => ({ ...obs, toolLife: obs.toolLife / getObservationFluidRatio(model, obs) })));
+}
+
+// Solve a small linear system A·x = b with Gaussian elimination (partial pivoting)
+function solveLinearSystem(matrix, vector) {
+    const size = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < size; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-12) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+
+        for (let row = col + 1; row < size; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= size; k++) {
+                a[row][k] -= factor * a[col][k];
+            }
+        }
     }
-    const resultsContainer = document.getElementById('results');
-    
-    const toolLife = params.toolLife || calculateToolLife(params);
-    const mrr = calculateMRR(params);
-    const spindleSpeed = calculateSpindleSpeed(params.cuttingSpeed, params.toolDiameter);
-    const feedPerRev = calculateFeedPerRevolution(params.feedRate, params.numberOfTeeth);
-    const feedRateMM = calculateFeedRate(params.feedRate, params.numberOfTeeth, spindleSpeed);
-    const chipThickness = calculateChipThickness(params.feedRate, params.depthOfCut, params.toolDiameter);
-    const materialHardness = params.materialHardness || 30;
-    const specificCuttingForce = calculateSpecificCuttingForce(params.workpieceMaterial, materialHardness);
-    const cuttingForce = calculateCuttingForce(specificCuttingForce, params.depthOfCut, params.widthOfCut, params.feedRate);
-    const powerRequired = calculatePowerRequirement(cuttingForce, params.cuttingSpeed);
-    const torque = calculateTorque(powerRequired, spindleSpeed);
-    const surfaceFinish = calculateSurfaceFinish(params.feedRate, params.toolDiameter, params.numberOfTeeth);
-    const taylorConstant = calculateTaylorConstant(params.cuttingSpeed, toolLife);
-    const mrrPerPower = calculateMRRPerPower(mrr, powerRequired);
-    
-    const costResults = calculateCostPerPart({
-        ...params,
-        toolLife
-    });
-    
-    // Calculate OEE
-    const oeeResults = calculateOEE(params, costResults, toolLife);
+
+    const solution = new Array(size).fill(0);
+    for (let row = size - 1; row >= 0; row--) {
+        let sum = a[row][size];
+        for (let k = row + 1; k < size; k++) {
+            sum -= a[row][k] * solution[k];
+        }
+        solution[row] = sum / a[row][row];
+    }
+    return solution;
+}
+
+// Fit the extended Taylor model to observations by log-linear least squares
+// ln T = k0 + k1·ln Vc + k2·ln fz + k3·ln ap  =>  n = -1/k1, C = e^(k0·n), a = -k2·n, b = -k3·n
+function fitTaylorModel(observations) {
+    const points = observations.filter(obs =>
+        obs.cuttingSpeed > 0 && obs.feedRate > 0 && obs.depthOfCut > 0 && obs.toolLife > 0
+    );
+
+    if (points.length < 2) {
+        throw new Error('At least two valid observations are required to fit a tool life model');
+    }
+
+    const varies = values => Math.max(...values) - Math.min(...values) > 1e-9;
+    const logSpeed = points.map(obs => Math.log(obs.cuttingSpeed));
+    const logFeed = points.map(obs => Math.log(obs.feedRate));
+    const logDepth = points.map(obs => Math.log(obs.depthOfCut));
+    const logLife = points.map(obs => Math.log(obs.toolLife));
+
+    if (!varies(logSpeed)) {
+        throw new Error('Observations must cover at least two different cutting speeds');
+    }
+
+    // Only fit feed and depth exponents when the data actually varies them
+    const columns = [logSpeed];
+    const fitFeed = varies(logFeed);
+    const fitDepth = varies(logDepth);
+    if (fitFeed) columns.push(logFeed);
+    if (fitDepth) columns.push(logDepth);
+
+    const termCount = columns.length + 1;
+    if (points.length < termCount) {
+        throw new Error(`At least ${termCount} observations are required to fit speed${fitFeed ? ', feed' : ''}${fitDepth ? ', depth' : ''} exponents`);
+    }
+
+    // Normal equations (XᵀX)·k = Xᵀy
+    const rows = points.map((_, i) => [1, ...columns.map(column => column[i])]);
+    const xtx = Array.from({ length: termCount }, (_, r) =>
+        Array.from({ length: termCount }, (_, c) => rows.reduce((sum, row) => sum + row[r] * row[c], 0))
+    );
+    const xty = Array.from({ length: termCount }, (_, r) =>
+        rows.reduce((sum, row, i) => sum + row[r] * logLife[i], 0)
+    );
+    const coefficients = solveLinearSystem(xtx, xty);
+
+    if (!coefficients) {
+        throw new Error('Observations are not independent enough to fit the model');
+    }
+
+    const speedCoefficient = coefficients[1];
+    if (speedCoefficient >= 0) {
+        throw new Error('Fitted tool life does not decrease with cutting speed - check the observations');
+    }
+
+    const n = -1 / speedCoefficient;
+    let index = 2;
+    const feedExponent = fitFeed ? -coefficients[index++] * n : 0;
+    const depthExponent = fitDepth ? -coefficients[index++] * n : 0;
+    const C = Math.exp(coefficients[0] * n);
+
+    // Fit quality on the log scale plus mean absolute error in minutes
+    const predictedLog = rows.map(row => row.reduce((sum, value, i) => sum + value * coefficients[i], 0));
+    const meanLog = logLife.reduce((sum, value) => sum + value, 0) / logLife.length;
+    const ssTotal = logLife.reduce((sum, value) => sum + Math.pow(value - meanLog, 2), 0);
+    const ssResidual = logLife.reduce((sum, value, i) => sum + Math.pow(value - predictedLog[i], 2), 0);
+    const rSquared = ssTotal > 0 ? 1 - ssResidual / ssTotal : 1;
+    const meanAbsPercentError = points.reduce((sum, obs, i) =>
+        sum + Math.abs(Math.exp(predictedLog[i]) - obs.toolLife) / obs.toolLife, 0) / points.length * 100;
+
+    return {
+        n,
+        C,
+        feedExponent,
+        depthExponent,
+        rSquared,
+        meanAbsPercentError,
+        pointCount: points.length,
+        fittedFeed: fitFeed,
+        fittedDepth: fitDepth,
+        fittedAt: new Date().toISOString()
+    };
+}
+
+// Wear test (ISO 8688-2 flank wear log)
+const WEAR_TEST_STORAGE_KEY = 'cncToolCalc.wearTest';
+const DEFAULT_WEAR_CRITERIA = { vbAverage: 0.3, vbMax: 0.5 };
+let wearTestSession = loadStoredJSON(WEAR_TEST_STORAGE_KEY, null);
+
+// Test conditions a measured tool life only holds for, with the names used in messages
+const WEAR_TEST_CONDITION_LABELS = {
+    workpieceMaterial: 'workpiece material',
+    toolMaterial: 'tool material',
+    toolCoating: 'coating',
+    cuttingFluid: 'cutting fluid',
+    toolDiameter: 'D',
+    numberOfTeeth: 'z',
+    cuttingSpeed: 'Vc',
+    feedRate: 'fz',
+    depthOfCut: 'ap',
+    widthOfCut: 'ae'
+};
+
+// Labels of the test conditions the form no longer matches (numbers within 0.1 %)
+function findWearTestConditionMismatches(conditions, params) {
+    return Object.keys(WEAR_TEST_CONDITION_LABELS).filter(field => {
+        const tested = conditions[field];
+        const current = params[field];
+        if (typeof tested === 'number' && typeof current === 'number') {
+            return Math.abs(current - tested) > Math.abs(tested) * 0.001;
+        }
+        return (tested || 'none') !== (current || 'none');
+    }).map(field => WEAR_TEST_CONDITION_LABELS[field]);
+}
+
+// Cutting time (min) needed to cut a given length (m) at the test conditions
+function calculateCuttingTimeForLength(cutLength, conditions) {
+    const spindleSpeed = calculateSpindleSpeed(conditions.cuttingSpeed, conditions.toolDiameter);
+    const tableFeed = calculateFeedRate(conditions.feedRate, conditions.numberOfTeeth, spindleSpeed);
+    if (!tableFeed) return 0;
+    return (cutLength * 1000) / tableFeed;
+}
+
+// Find where the wear curve first crosses an end-of-life criterion
+// VB limits are interpolated linearly between measurements; chipping ends life at that measurement
+function determineWearEndOfLife(entries, criteria = DEFAULT_WEAR_CRITERIA) {
+    const points = entries
+        .filter(entry => entry.cuttingTime >= 0)
+        .sort((a, b) => a.cuttingTime - b.cuttingTime);
+    
+    const interpolate = (prev, next, key, limit) => {
+        const prevValue = prev ? prev[key] || 0 : 0;
+        const prevTime = prev ? prev.cuttingTime : 0;
+        const prevLength = prev ? prev.cutLength : 0;
+        const ratio = next[key] === prevValue ? 1 : (limit - prevValue) / (next[key] - prevValue);
+        return {
+            toolLife: prevTime + (next.cuttingTime - prevTime) * ratio,
+            cutLength: prevLength + (next.cutLength - prevLength) * ratio
+        };
+    };
     
-    const recommendations = getRecommendations(params, costResults);
+    for (let i = 0; i < points.length; i++) {
+        const prev = i > 0 ? points[i - 1] : null;
+        const point = points[i];
+        const candidates = [];
+        
+        if (point.vbUniform >= criteria.vbAverage) {
+            candidates.push({ ...interpolate(prev, point, 'vbUniform', criteria.vbAverage), criterion: `VB = ${formatInputQuantity(criteria.vbAverage, 'wear')} (uniform)` });
+        }
+        if (point.vbLocalized >= criteria.vbMax) {
+            candidates.push({ ...interpolate(prev, point, 'vbLocalized', criteria.vbMax), criterion: `VBmax = ${formatInputQuantity(criteria.vbMax, 'wear')} (localized)` });
+        }
+        if (point.chipping) {
+            candidates.push({ toolLife: point.cuttingTime, cutLength: point.cutLength, criterion: 'Chipping / catastrophic failure' });
+        }
+        
+        if (candidates.length > 0) {
+            const first = candidates.reduce((best, candidate) => candidate.toolLife < best.toolLife ? candidate : best);
+            return { reached: true, ...first };
+        }
+    }
     
-    // Display project information if available
-    let projectInfoHtml = '';
-    if (params.clientName || params.projectName || params.partName || params.machineName || params.toolBrand || params.toolNameModel) {
-        projectInfoHtml = `
-            <div class="result-item" style="background: #f0f9ff; border-left-color: #0ea5e9;">
-                <h3>📋 Project Information</h3>
-                ${params.clientName ? `<div class="result-label">Client: <strong>${params.clientName}</strong></div>` : ''}
-                ${params.projectName ? `<div class="result-label">Project: <strong>${params.projectName}</strong></div>` : ''}
-                ${params.partName ? `<div class="result-label">Part/Detail: <strong>${params.partName}</strong></div>` : ''}
-                ${params.machineName ? `<div class="result-label">Machine: <strong>${params.machineName}</strong></div>` : ''}
-                ${params.applicationType ? `<div class="result-label">Application: <strong>${params.applicationType}</strong></div>` : ''}
-                ${params.customerContact ? `<div class="result-label">Contact: <strong>${params.customerContact}</strong></div>` : ''}
-                ${params.expertName ? `<div class="result-label">Our Expert: <strong>${params.expertName}</strong></div>` : ''}
-                ${params.batchSize > 1 ? `<div class="result-label">Batch Size: <strong>${params.batchSize} parts</strong></div>` : ''}
-                ${params.theoreticalPartWorktime ? `<div class="result-label">Theoretical Part Worktime: <strong>${params.theoreticalPartWorktime} min</strong></div>` : ''}
-                ${params.machineWorkhourCost ? `<div class="result-label">Machine Workhour Cost: <strong>${formatCurrency(params.machineWorkhourCost)}/hour</strong></div>` : ''}
-                ${params.machineStopCost ? `<div class="result-label">Machine Stop Cost: <strong>${formatCurrency(params.machineStopCost)}/hour</strong></div>` : ''}
-            </div>
-            ${params.partsPerBatch || params.partsPerYear || params.annualSolutions ? `
-            <div class="result-item" style="background: #f0fdf4; border-left-color: #10b981;">
-                <h3>📊 Production & Cost Parameters</h3>
-                ${params.partsPerBatch ? `<div class="result-label">Parts per Batch: <strong>${params.partsPerBatch}</strong></div>` : ''}
-                ${params.partsPerYear ? `<div class="result-label">Parts per Year: <strong>${params.partsPerYear}</strong></div>` : ''}
-                ${params.annualSolutions ? `<div class="result-label">Annual Solutions: <strong>${params.annualSolutions}</strong></div>` : ''}
-                ${params.machineCostPerHour ? `<div class="result-label">Machine Cost per Hour: <strong>${formatCurrency(params.machineCostPerHour)}/hour</strong></div>` : ''}
-                ${params.costOfToolChange ? `<div class="result-label">Cost of Tool Change: <strong>${formatCurrency(params.costOfToolChange)}</strong></div>` : ''}
-                ${params.timeLossPerToolChange ? `<div class="result-label">Time Loss per Tool Change: <strong>${params.timeLossPerToolChange} min</strong></div>` : ''}
-                ${params.machineStopDowntimeCost ? `<div class="result-label">Machine Stop/Downtime Cost: <strong>${formatCurrency(params.machineStopDowntimeCost)}/hour</strong></div>` : ''}
-            </div>
-            ` : ''}
-            ${params.toolBrand || params.toolNameModel || params.toolProductCode ? `
-            <div class="result-item" style="background: #fef3c7; border-left-color: #f59e0b;">
-                <h3>🔧 Tool Information</h3>
-                ${params.toolBrand ? `<div class="result-label">Brand: <strong>${params.toolBrand.charAt(0).toUpperCase() + params.toolBrand.slice(1)}</strong></div>` : ''}
-                ${params.toolType ? `<div class="result-label">Type: <strong>${params.toolType.replace(/([A-Z])/g, ' $1').trim()}</strong></div>` : ''}
-                ${params.toolNameModel ? `<div class="result-label">Name/Model: <strong>${params.toolNameModel}</strong></div>` : ''}
-                ${params.toolProductCode ? `<div class="result-label">Product Code: <strong>${params.toolProductCode}</strong></div>` : ''}
-                ${params.cuttingFluid && params.cuttingFluid !== 'none' ? `<div class="result-label">Cutting Fluid: <strong>${formatCuttingFluid(params.cuttingFluid)}</strong></div>` : ''}
-                ${params.toolPhoto ? `
-                <div class="result-label" style="margin-top: 10px;">Tool Photo:</div>
-                <img src="${params.toolPhoto}" alt="Tool Photo" class="tool-photo-display" style="max-width: 200px; max-height: 200px; border-radius: 8px; border: 2px solid var(--border-color); margin-top: 5px;">
-                ` : ''}
-                ${params.photoDate ? `
-                <div class="result-label" style="margin-top: 10px;">Photo Date: <strong>${formatDate(params.photoDate)}</strong></div>
-                ` : ''}
-            </div>
-            ` : ''}
-        `;
+    const last = points[points.length - 1];
+    return {
+        reached: false,
+        toolLife: last ? last.cuttingTime : 0,
+        cutLength: last ? last.cutLength : 0,
+        criterion: null
+    };
+}
+
+// Describe the Taylor exponent source for reports
+function describeTaylorExponent(taylorParameters) {
+    if (taylorParameters.isCalibrated) {
+        const fit = taylorParameters.fit;
+        return `${formatNumber(taylorParameters.n, '')} (fitted from ${fit.pointCount} observations, R² = ${fit.rSquared.toFixed(3)})`;
+    }
+    return `${DEFAULT_TAYLOR_EXPONENT} (standard for end milling per ISO 8688-2)`;
+}
+
+// Taylor parameters shown in results and reports (fitted model or default exponent)
+function getTaylorParameters(params, toolLife) {
+    const calibratedModel = getCalibratedTaylorModel(params);
+    if (calibratedModel) {
+        return {
+            n: calibratedModel.fit.n,
+            C: calibratedModel.fit.C,
+            fit: calibratedModel.fit,
+            isCalibrated: true
+        };
     }
+    return {
+        n: DEFAULT_TAYLOR_EXPONENT,
+        C: calculateTaylorConstant(params.cuttingSpeed, toolLife),
+        fit: null,
+        isCalibrated: false
+    };
+}
+
+// Cost and time per part for alternative cutting data: tool life from calculateToolLife and cost from calculateCostPerPart,
+// so the current cutting data gives the results card. Pass the life to use instead of the model's (e.g. the tool life override)
+function createPartCostModel(params, toolLife) {
+    // Cutting time scales with 1 / MRR for the same part; handling time (machining minus cutting time) does not
+    const currentMRR = calculateMRR(params);
+    const hasMachiningTime = params.machiningTime !== null && params.machiningTime !== undefined;
+    
+    const evaluate = (cuttingData, life = null) => {
+        const data = {
+            cuttingSpeed: params.cuttingSpeed,
+            feedRate: params.feedRate,
+            depthOfCut: params.depthOfCut,
+            widthOfCut: params.widthOfCut,
+            ...cuttingData
+        };
+        const pointParams = { ...params, ...data };
+        const pointLife = life !== null ? life : calculateToolLife(pointParams);
+        const cutTime = params.processingTime * currentMRR / calculateMRR(pointParams);
+        const machiningTime = hasMachiningTime ? params.machiningTime - params.processingTime + cutTime : params.machiningTime;
+        return {
+            ...data,
+            toolLife: pointLife,
+            cuttingTime: cutTime,
+            timePerPart: hasMachiningTime ? machiningTime : cutTime + (params.toolChangeTime || 0),
+            costPerPart: calculateCostPerPart({ ...pointParams, toolLife: pointLife, processingTime: cutTime, machiningTime }).totalCostPerPart
+        };
+    };
     
-    // Calculate net tool cost for display
-    const netToolCost = params.toolCost - (params.toolRemainingCost || 0);
+    return {
+        isCalibrated: getTaylorParameters(params, toolLife).isCalibrated,
+        current: evaluate({}, toolLife),
+        evaluate
+    };
+}
+
+// Speeds scanned for the cheapest and fastest cutting speed (geometric steps)
+const SPEED_OPTIMIZER_SCAN_STEPS = 240;
+
+// Economic cutting speed - cost and time per part versus Vc at the current feed and engagement, with the
+// cheapest and fastest speeds taken from that curve
+function calculateSpeedOptimization(params, toolLife) {
+    const currentSpeed = params.cuttingSpeed;
+    const costModel = createPartCostModel(params, toolLife);
+    const evaluate = cuttingSpeed => costModel.evaluate({ cuttingSpeed });
+    
+    // The spindle speed limit of the selected machine caps every speed
+    const machineProfile = getMachineProfile(params.machineProfile);
+    const machineSpeedLimit = machineProfile && machineProfile.maxRpm > 0
+        ? (Math.PI * params.toolDiameter * machineProfile.maxRpm) / 1000
+        : Infinity;
+    
+    const maxSpeed = Math.min(machineSpeedLimit, 10 * currentSpeed);
+    const scanFrom = Math.min(0.25 * currentSpeed, 0.5 * maxSpeed);
+    const scan = Array.from({ length: SPEED_OPTIMIZER_SCAN_STEPS + 1 }, (_, i) =>
+        evaluate(scanFrom * Math.pow(maxSpeed / scanFrom, i / SPEED_OPTIMIZER_SCAN_STEPS)));
+    // The lowest speed wins a tie - no point wearing the tool faster for nothing
+    const lowest = field => scan.reduce((best, point) => point[field] < best[field] ? point : best);
+    const atCap = point => point === scan[scan.length - 1];
+    const cappedByMachine = machineSpeedLimit <= 10 * currentSpeed;
+    
+    const minCost = lowest('costPerPart');
+    const fastest = lowest('timePerPart');
+    // Cycle time keeps falling with speed unless the machine stops it - show the point at the top of the chart instead
+    const unbounded = atCap(fastest) && !cappedByMachine;
+    const highSpeed = Math.min(maxSpeed, unbounded
+        ? 2 * Math.max(currentSpeed, minCost.cuttingSpeed)
+        : 1.5 * Math.max(currentSpeed, minCost.cuttingSpeed, fastest.cuttingSpeed));
+    const maxProduction = unbounded ? evaluate(highSpeed) : fastest;
+    
+    const lowSpeed = 0.5 * Math.min(currentSpeed, minCost.cuttingSpeed);
+    const curve = [];
+    for (let i = 0; i <= 60; i++) {
+        curve.push(evaluate(lowSpeed + (highSpeed - lowSpeed) * i / 60));
+    }
     
-    let html = projectInfoHtml + `
-        <div class="result-item cost-analysis-card">
-            <div class="result-header-visual">
-                <span class="result-icon">💰</span>
-                <h3>Cost Analysis</h3>
-            </div>
-            <div class="result-value-card">
-                <div class="result-label">Total Cost per Part</div>
-                <div class="result-value-large">${formatCurrency(costResults.totalCostPerPart)}</div>
-                ${toolComparisons.length > 0 ? `
-                    <div class="result-comparison-badge">
-                        ${(() => {
-                            const bestComparisonCost = Math.min(...toolComparisons.map(t => t.totalCostPerPart));
-                            const vsBest = costResults.totalCostPerPart - bestComparisonCost;
-                            if (costResults.totalCostPerPart === bestComparisonCost) {
-                                return '<span class="best-indicator">🏆 Best in comparison</span>';
-                            } else if (vsBest > 0) {
-                                const percentDiff = ((vsBest / bestComparisonCost) * 100).toFixed(1);
-                                return `<span class="worse-indicator">+${formatCurrency(vsBest)} (${percentDiff}% more than best)</span>`;
-                            }
-                            return '';
-                        })()}
-                    </div>
-                ` : ''}
-            </div>
-            <div class="result-description">
-                <strong>Breakdown:</strong><br>
-                • Tool cost: ${formatCurrency(costResults.toolCostPerPart)}${params.toolRemainingCost > 0 ? ` (Net: ${formatCurrency(params.toolCost)} - ${formatCurrency(params.toolRemainingCost)} = ${formatCurrency(netToolCost)})` : ''}<br>
-                ${costResults.toolChangeCostPerPart > 0 ? `• Tool change cost: ${formatCurrency(costResults.toolChangeCostPerPart)}<br>` : ''}
-                • Machining cost: ${formatCurrency(costResults.machiningCostPerPart)}<br>
-                ${costResults.processingCostPerPart ? `• Processing (cutting) cost: ${formatCurrency(costResults.processingCostPerPart)}<br>` : ''}
-                ${params.toolRemainingCost > 0 ? `<br><small style="color: var(--text-secondary);">💡 Tool Residual Value (C<sub>r</sub>): ${formatCurrency(params.toolRemainingCost)} reduces effective tool cost from ${formatCurrency(params.toolCost)} to ${formatCurrency(netToolCost)}</small>` : ''}
-            </div>
-            ${params.batchSize > 1 ? `
-                <div class="result-label" style="margin-top: 15px;">Total Batch Cost (${params.batchSize} parts)</div>
-                <div class="result-value">${formatCurrency(costResults.totalBatchCost)}</div>
-                <div class="result-description">
-                    Tool cost for batch: ${formatCurrency(costResults.totalToolCostForBatch)} | 
-                    Machining cost for batch: ${formatCurrency(costResults.totalMachiningCostForBatch)}
-                </div>
-            ` : ''}
-        </div>
-        
-        <div class="result-item">
-            <h3>⏱️ Tool Life</h3>
-            <div class="result-label">Estimated Tool Life</div>
-            <div class="result-value">${toolLife} minutes</div>
-            <div class="result-description">
-                Based on ISO 8688-2 principles. Tool will produce approximately ${costResults.partsPerToolLife} parts before replacement.
-                ${costResults.toolChangesPerToolLife > 0 ? `<br>Expected tool changes during tool life: ${costResults.toolChangesPerToolLife}` : ''}
-            </div>
-        </div>
-        
-        <div class="result-item">
-            <h3>⚙️ Machining Parameters</h3>
-            <div class="result-label">Spindle Speed, n</div>
-            <div class="result-value">${formatNumber(spindleSpeed, 'RPM')}</div>
-            <div class="result-description">n = (V<sub>c</sub> × 1000) / (π × D)</div>
-            
-            <div class="result-label" style="margin-top: 15px;">Feed Rate, V<sub>f</sub></div>
-            <div class="result-value">${formatNumber(feedRateMM, 'mm/min')}</div>
-            <div class="result-description">V<sub>f</sub> = f<sub>z</sub> × Z × n</div>
-            
-            <div class="result-label" style="margin-top: 15px;">Feed per Revolution, f</div>
-            <div class="result-value">${formatNumber(feedPerRev, 'mm/rev')}</div>
-            <div class="result-description">f = f<sub>z</sub> × Z</div>
-            
-            <div class="result-label" style="margin-top: 15px;">Material Removal Rate, Q</div>
-            <div class="result-value">${formatNumber(mrr, 'mm³/min')}</div>
-            <div class="result-description">Q = a<sub>e</sub> × a<sub>p</sub> × V<sub>f</sub></div>
-        </div>
-        
-        <div class="result-item">
-            <h3>🔬 Cutting Forces & Power</h3>
-            <div class="result-label">Specific Cutting Force, k<sub>c</sub></div>
-            <div class="result-value">${formatNumber(specificCuttingForce, 'N/mm²')}</div>
-            <div class="result-description">Material-dependent cutting force per unit area</div>
-            
-            <div class="result-label" style="margin-top: 15px;">Cutting Force, F<sub>c</sub></div>
-            <div class="result-value">${formatNumber(cuttingForce, 'N')}</div>
-            <div class="result-description">F<sub>c</sub> = k<sub>c</sub> × a<sub>p</sub> × a<sub>e</sub> × f<sub>z</sub></div>
-            
-            <div class="result-label" style="margin-top: 15px;">Power Requirement, P</div>
-            <div class="result-value">${formatNumber(powerRequired, 'kW')}</div>
-            <div class="result-description">P = F<sub>c</sub> × V<sub>c</sub> / 60000</div>
-            
-            <div class="result-label" style="margin-top: 15px;">Torque, M</div>
-            <div class="result-value">${formatNumber(torque, 'Nm')}</div>
-            <div class="result-description">M = P × 9550 / n</div>
-            
-            <div class="result-label" style="margin-top: 15px;">MRR per Power</div>
-            <div class="result-value">${formatNumber(mrrPerPower, 'cm³/min/kW')}</div>
-            <div class="result-description">Efficiency metric: Q / P</div>
-        </div>
-        
-        <div class="result-item">
-            <h3>📏 Chip Geometry & Surface Quality</h3>
-            <div class="result-label">Chip Thickness, h</div>
-            <div class="result-value">${formatNumber(chipThickness, 'mm')}</div>
-            <div class="result-description">Approximate undeformed chip thickness</div>
-            
-            <div class="result-label" style="margin-top: 15px;">Surface Roughness, R<sub>a</sub></div>
-            <div class="result-value">${formatNumber(surfaceFinish, 'μm')}</div>
-            <div class="result-description">Estimated arithmetic average roughness</div>
-            
-            ${params.helixAngle ? `
-            <div class="result-label" style="margin-top: 15px;">Helix Angle, β</div>
-            <div class="result-value">${params.helixAngle}°</div>
-            ` : ''}
-            
-            ${params.rakeAngle ? `
-            <div class="result-label" style="margin-top: 15px;">Rake Angle, γ</div>
-            <div class="result-value">${params.rakeAngle}°</div>
-            ` : ''}
-        </div>
-        
-        <div class="result-item">
-            <h3>📐 Taylor's Tool Life Equation</h3>
-            <div class="result-label">Tool Life Constant, C</div>
-            <div class="result-value">${formatNumber(taylorConstant, '')}</div>
-            <div class="result-description">V<sub>c</sub> × T<sup>n</sup> = C (n ≈ 0.2)</div>
-            
-            <div class="result-label" style="margin-top: 15px;">Taylor Exponent, n</div>
-            <div class="result-value">0.2</div>
-            <div class="result-description">Standard value for end milling (ISO 8688-2)</div>
-        </div>
-        
-        <div class="result-item">
-            <h3>📊 Efficiency Metrics</h3>
-            <div class="result-label">Cost Efficiency Score</div>
-            <div>
-                <span class="metric-badge ${getBadgeClass(costResults.totalCostPerPart, {excellent: 1, good: 3, fair: 5})}">
-                    ${costResults.totalCostPerPart < 1 ? 'Excellent' : costResults.totalCostPerPart < 3 ? 'Good' : costResults.totalCostPerPart < 5 ? 'Fair' : 'Needs Improvement'}
-                </span>
-            </div>
-            <div class="result-label" style="margin-top: 15px;">Tool Life Score</div>
-            <div>
-                <span class="metric-badge ${getBadgeClass(toolLife, {excellent: 120, good: 60, fair: 30})}">
-                    ${toolLife >= 120 ? 'Excellent' : toolLife >= 60 ? 'Good' : toolLife >= 30 ? 'Fair' : 'Poor'}
-                </span>
-            </div>
-        </div>
-        
-        <div class="result-item" style="background: #f0f9ff; border-left-color: #3b82f6;">
-            <h3>📈 OEE Analysis (Overall Equipment Effectiveness)</h3>
-            <div class="result-label">Overall OEE</div>
-            <div class="result-value" style="font-size: 2em; color: ${oeeResults.oee >= 85 ? '#10b981' : oeeResults.oee >= 60 ? '#f59e0b' : '#ef4444'};">
-                ${oeeResults.oee.toFixed(1)}%
-            </div>
-            <div class="result-description">
-                OEE = Availability × Performance × Quality
-            </div>
-            
-            <div style="margin-top: 20px; display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
-                <div style="background: white; padding: 15px; border-radius: 8px; border: 1px solid #e2e8f0;">
-                    <div class="result-label" style="font-size: 0.9em; color: #64748b;">Availability</div>
-                    <div class="result-value" style="font-size: 1.5em; color: ${oeeResults.availability >= 90 ? '#10b981' : oeeResults.availability >= 80 ? '#f59e0b' : '#ef4444'};">
-                        ${oeeResults.availability.toFixed(1)}%
-                    </div>
-                    <div style="font-size: 0.85em; color: #64748b; margin-top: 5px;">
-                        Loss: ${oeeResults.availabilityLoss.toFixed(1)}%
-                    </div>
+    return {
+        isCalibrated: costModel.isCalibrated,
+        current: costModel.current,
+        minCost: { ...minCost, limitedByMachine: atCap(minCost) && cappedByMachine, atSearchLimit: atCap(minCost) && !cappedByMachine },
+        maxProduction: { ...maxProduction, limitedByMachine: atCap(fastest) && cappedByMachine, unbounded },
+        curve,
+        evaluate
+    };
+}
+
+// Total cost per part with different cutting data: calculateToolLife re-run at the new data (scaled like the tool life
+// override when one is entered) and calculateCostPerPart with the cutting time that goes with it
+function calculateCostForCuttingData(params, toolLife, costModel, cuttingData) {
+    const life = toolLife * calculateToolLife({ ...params, ...cuttingData }) / calculateToolLife(params);
+    return costModel.evaluate(cuttingData, life).costPerPart;
+}
+
+// Perturb each cost and tool life input by ± variation and record the total cost per part (tornado data)
+function calculateCostSensitivity(params, toolLife, variation) {
+    const costModel = createPartCostModel(params, toolLife);
+    const baseCost = calculateCostPerPart({ ...params, toolLife }).totalCostPerPart;
+    const costWith = overrides => calculateCostPerPart({ ...params, toolLife, ...overrides }).totalCostPerPart;
+    
+    const factors = [
+        isInsertTooling(params)
+            ? { key: 'insertPrice', label: 'Insert Price', value: params.insertPrice, cost: value => costWith({ insertPrice: value }), format: value => formatCurrency(value) }
+            : { key: 'toolCost', label: 'Tool Cost', value: params.toolCost, cost: value => costWith({ toolCost: value }), format: value => formatCurrency(value) },
+        { key: 'toolLife', label: 'Tool Life', value: toolLife, cost: value => costWith({ toolLife: value }), format: value => `${value.toFixed(0)} min` },
+        { key: 'machineHourlyRate', label: 'Machine Rate', value: params.machineHourlyRate, cost: value => costWith({ machineHourlyRate: value }), format: value => `${formatCurrency(value)}/h` },
+        {
+            key: 'processingTime',
+            label: 'Cutting Time',
+            value: params.processingTime,
+            // Machining time includes the cutting time
+            cost: value => costWith({
+                processingTime: value,
+                machiningTime: params.machiningTime !== null && params.machiningTime !== undefined ? params.machiningTime - params.processingTime + value : params.machiningTime
+            }),
+            format: value => `${value.toFixed(2)} min`
+        },
+        { key: 'toolChangeTime', label: 'Tool Change Time', value: params.toolChangeTime || 0, cost: value => costWith({ toolChangeTime: value }), format: value => `${value.toFixed(2)} min` },
+        { key: 'cuttingSpeed', label: 'Cutting Speed Vc', value: params.cuttingSpeed, cost: value => calculateCostForCuttingData(params, toolLife, costModel, { cuttingSpeed: value }), format: value => formatInputQuantity(value, 'cuttingSpeed') },
+        { key: 'feedRate', label: 'Feed per Tooth fz', value: params.feedRate, cost: value => calculateCostForCuttingData(params, toolLife, costModel, { feedRate: value }), format: value => formatInputQuantity(value, 'feedPerTooth') }
+    ];
+    
+    const results = factors
+        .filter(factor => factor.value > 0)
+        .map(factor => {
+            const lowValue = factor.value * (1 - variation);
+            const highValue = factor.value * (1 + variation);
+            const lowCost = factor.cost(lowValue);
+            const highCost = factor.cost(highValue);
+            return {
+                key: factor.key,
+                label: factor.label,
+                low: { value: lowValue, label: factor.format(lowValue), cost: lowCost },
+                high: { value: highValue, label: factor.format(highValue), cost: highCost },
+                swing: Math.abs(highCost - lowCost)
+            };
+        })
+        .sort((a, b) => b.swing - a.swing);
+    
+    return { baseCost, variation, factors: results };
+}
+
+// Cost per part over a grid of cutting speed and feed per tooth (heat map data)
+function calculateCostHeatMap(params, toolLife, variation, steps = 7) {
+    const costModel = createPartCostModel(params, toolLife);
+    const levels = value => Array.from({ length: steps }, (_, i) => value * (1 - variation + (2 * variation * i) / (steps - 1)));
+    const cuttingSpeeds = levels(params.cuttingSpeed);
+    const feedRates = levels(params.feedRate);
+    
+    return {
+        cuttingSpeeds,
+        feedRates,
+        baseCost: calculateCostForCuttingData(params, toolLife, costModel, {}),
+        costs: feedRates.map(feedRate => cuttingSpeeds.map(cuttingSpeed =>
+            calculateCostForCuttingData(params, toolLife, costModel, { cuttingSpeed, feedRate })
+        ))
+    };
+}
+
+// Why each constraint limits the optimum
+const OPTIMIZER_CONSTRAINT_NOTES = {
+    spindleSpeed: 'the machine\'s max spindle speed caps V<sub>c</sub>',
+    feedRate: 'the machine\'s max feed rate caps V<sub>f</sub> = f<sub>z</sub> × Z × n',
+    power: 'spindle power limits the material removal rate',
+    torque: 'spindle torque at this speed limits the cutting force',
+    surfaceFinish: 'the target R<sub>a</sub> limits the feed per tooth',
+    chipThickness: 'the tool\'s max chip thickness limits f<sub>z</sub> at this radial engagement',
+    deflection: 'tool deflection limits the cutting force, so a<sub>p</sub>, a<sub>e</sub> and f<sub>z</sub> cannot rise together'
+};
+
+// Levels per parameter in the grid search (geometric spacing)
+const OPTIMIZER_GRID_STEPS = 9;
+
+// Check candidate cutting data against the machine and quality constraints (utilisation above 1 is infeasible)
+function evaluateCuttingConstraints(params, candidate, constraints, machineProfile, surfaceFinishAt = calculateOperationSurfaceFinish) {
+    const candidateParams = { ...params, ...candidate };
+    const spindleSpeed = calculateOperationSpindleSpeed(candidateParams);
+    const { feedRateMM } = calculateOperationFeed(candidateParams, spindleSpeed);
+    const forceModel = calculateCuttingForceModel(candidateParams);
+    const { powerRequired, torque } = calculateOperationPower(candidateParams, forceModel.cuttingForce, spindleSpeed);
+    
+    const results = machineProfile
+        ? checkMachineLimits(candidateParams, machineProfile, { spindleSpeed, feedRateMM, powerRequired, torque })
+            .map(({ key, label, utilisation }) => ({ key, label, utilisation }))
+        : [];
+    if (constraints.targetRoughness > 0) {
+        const roughness = surfaceFinishAt(candidateParams);
+        results.push({ key: 'surfaceFinish', label: 'Surface Finish', utilisation: roughness / constraints.targetRoughness });
+    }
+    if (constraints.maxChipThickness > 0) {
+        const operationMode = getOperationMode(params);
+        const maxChipThickness = operationMode === 'milling'
+            ? calculateMaxChipThickness(candidate.feedRate, candidate.widthOfCut, params.toolDiameter)
+            : operationMode === 'threadMilling'
+                ? calculateMaxChipThickness(candidate.feedRate, calculateThreadingModel(candidateParams).radialDepthPerPass, params.toolDiameter)
+                : operationMode === 'faceMilling'
+                    ? calculateFaceMillingModel(candidateParams).maxChipThickness
+                    : forceModel.chipThickness;
+        results.push({ key: 'chipThickness', label: 'Max Chip Thickness', utilisation: maxChipThickness / constraints.maxChipThickness });
+    }
+    if (constraints.maxDeflection > 0 && constraints.stickout > 0) {
+        const holder = TOOL_HOLDER_TYPES[params.toolHolderType] || TOOL_HOLDER_TYPES[DEFAULT_TOOL_HOLDER_TYPE];
+        const deflection = holder.compliance * calculateToolDeflection(forceModel.cuttingForce, params.toolDiameter, constraints.stickout, params.toolMaterial,
+            params.fluteLength || constraints.stickout, params.shankDiameter);
+        results.push({ key: 'deflection', label: 'Tool Deflection', utilisation: deflection / constraints.maxDeflection });
+    }
+    return results;
+}
+
+// Search Vc, fz, ap and ae together for the lowest cost or cycle time that meets every constraint
+function optimizeCuttingParameters(params, toolLife, constraints) {
+    const costModel = createPartCostModel(params, toolLife);
+    const machineProfile = getMachineProfile(params.machineProfile);
+    const objective = constraints.objective === 'time' ? 'timePerPart' : 'costPerPart';
+    
+    const levels = (from, to) => Array.from({ length: OPTIMIZER_GRID_STEPS }, (_, i) =>
+        from * Math.pow(to / from, i / (OPTIMIZER_GRID_STEPS - 1)));
+    const maxDepth = Math.max(params.depthOfCut, Math.min(2 * params.depthOfCut, 2 * params.toolDiameter));
+    // The hole or thread fixes the engagement of drills and threading tools, the pitch fixes the feed of a tap,
+    // the face width fixes ae of a face mill and turning has no ae
+    const operationMode = getOperationMode(params);
+    const fixedEngagement = operationMode === 'drilling' || isThreadingOperation(operationMode);
+    const ranges = {
+        cuttingSpeed: levels(0.5 * params.cuttingSpeed, 2 * params.cuttingSpeed),
+        feedRate: operationMode === 'tapping' ? [params.feedRate] : levels(0.5 * params.feedRate, 2 * params.feedRate),
+        depthOfCut: fixedEngagement ? [params.depthOfCut] : levels(0.25 * params.depthOfCut, maxDepth),
+        widthOfCut: fixedEngagement || operationMode === 'faceMilling' || operationMode === 'turning' ? [params.widthOfCut] : levels(0.05 * params.toolDiameter, params.toolDiameter)
+    };
+    
+    // The sampled end mill finish depends only on fz for a given tool - evaluate it once per feed level, not per candidate
+    const surfaceFinishes = new Map();
+    const surfaceFinishAt = candidateParams => {
+        if (!hasMillingFinishModel(candidateParams)) return calculateOperationSurfaceFinish(candidateParams);
+        if (!surfaceFinishes.has(candidateParams.feedRate)) {
+            surfaceFinishes.set(candidateParams.feedRate, calculateOperationSurfaceFinish(candidateParams));
+        }
+        return surfaceFinishes.get(candidateParams.feedRate);
+    };
+    
+    const checkPoint = point => {
+        const constraintResults = evaluateCuttingConstraints(params, point, constraints, machineProfile, surfaceFinishAt);
+        const binding = constraintResults.reduce((worst, result) => !worst || result.utilisation > worst.utilisation ? result : worst, null);
+        return { ...point, constraints: constraintResults, binding, feasible: constraintResults.every(result => result.utilisation <= 1) };
+    };
+    const evaluateCandidate = candidate => checkPoint(costModel.evaluate(candidate));
+    
+    const feasible = [];
+    let leastViolating = null;
+    ranges.cuttingSpeed.forEach(cuttingSpeed => ranges.feedRate.forEach(feedRate =>
+        ranges.depthOfCut.forEach(depthOfCut => ranges.widthOfCut.forEach(widthOfCut => {
+            const point = evaluateCandidate({ cuttingSpeed, feedRate, depthOfCut, widthOfCut });
+            if (point.feasible) {
+                feasible.push(point);
+            } else if (!leastViolating || point.binding.utilisation < leastViolating.binding.utilisation) {
+                leastViolating = point;
+            }
+        }))));
+    
+    // Pareto front: no other feasible point is both cheaper and faster
+    const pareto = [];
+    [...feasible]
+        .sort((a, b) => a.timePerPart - b.timePerPart || a.costPerPart - b.costPerPart)
+        .forEach(point => {
+            if (pareto.length === 0 || point.costPerPart < pareto[pareto.length - 1].costPerPart) {
+                pareto.push(point);
+            }
+        });
+    
+    const best = feasible.reduce((bestPoint, point) => !bestPoint || point[objective] < bestPoint[objective] ? point : bestPoint, null);
+    
+    // Parameters that ended on the edge of their search range also limit the optimum
+    const rangeLimits = best
+        ? Object.entries(ranges)
+            .filter(([field, values]) => values.length > 1 && (best[field] === values[0] || best[field] === values[values.length - 1]))
+            .map(([field, values]) => ({ field, bound: best[field] === values[0] ? 'lower' : 'upper' }))
+        : [];
+    
+    return {
+        objective,
+        machineProfile,
+        current: checkPoint(costModel.current),
+        best,
+        pareto,
+        feasible,
+        leastViolating,
+        rangeLimits
+    };
+}
+
+// Calculate metal removal rate per unit power (cm³/min/kW)
+function calculateMRRPerPower(mrr, power) {
+    if (power === 0) return 0;
+    return (mrr / 1000) / power; // Convert mm³ to cm³
+}
+
+// Calculate OEE (Overall Equipment Effectiveness)
+function calculateOEE(params, costResults, toolLife) {
+    const {
+        processingTime,
+        toolChangeTime = 0,
+        machiningTime,
+        toolLife: toolLifeParam,
+        defectsRate = 2,
+        plannedProductionTime = 8,
+        unplannedDowntime = 0.5,
+        timeLossPerToolChange = 5,
+        partsPerBatch = 100,
+        partsPerYear = 4000
+    } = params;
+    
+    // Calculate time per part
+    const timePerPart = machiningTime !== null && machiningTime !== undefined 
+        ? machiningTime 
+        : (processingTime + toolChangeTime);
+    
+    // Calculate parts per tool life
+    const partsPerToolLife = costResults.partsPerToolLife || Math.floor(toolLife / timePerPart);
+    
+    // Calculate tool change frequency
+    const toolChangesPerPart = partsPerToolLife > 0 ? (1 / partsPerToolLife) : 0;
+    
+    // Calculate downtime per part (in minutes)
+    const toolChangeDowntimePerPartMinutes = toolChangesPerPart * timeLossPerToolChange;
+    // Approximate unplanned downtime per part: distribute annual unplanned downtime across parts per year
+    const partsPerDay = partsPerYear / 365;
+    const unplannedDowntimePerPartMinutes = (unplannedDowntime * 60) / partsPerDay;
+    const totalDowntimePerPartMinutes = toolChangeDowntimePerPartMinutes + unplannedDowntimePerPartMinutes;
+    
+    // Calculate ideal cycle time (theoretical minimum time per part - just processing time, no downtime)
+    const idealCycleTimeMinutes = processingTime;
+    
+    // Calculate actual cycle time (including tool changes and downtime)
+    const actualCycleTimeMinutes = timePerPart + totalDowntimePerPartMinutes;
+    
+    // OEE Components:
+    
+    // 1. Availability = Operating Time / Planned Production Time
+    // Operating Time = Planned Time - Downtime
+    // For per-part: Availability = 1 - (Downtime / Planned Time Per Part)
+    // Planned time per part = planned production time per shift / parts produced per shift
+    const partsPerShift = (plannedProductionTime * 60) / actualCycleTimeMinutes; // Approximate parts per shift
+    const plannedTimePerPartMinutes = (plannedProductionTime * 60) / partsPerShift;
+    const availabilityPerPart = Math.max(0, Math.min(1, 1 - (totalDowntimePerPartMinutes / plannedTimePerPartMinutes)));
+    
+    // Alternative simpler calculation: Availability = 1 - (Downtime / Total Cycle Time)
+    const availabilitySimple = Math.max(0, Math.min(1, 1 - (totalDowntimePerPartMinutes / actualCycleTimeMinutes)));
+    
+    // Use the simpler calculation for better accuracy
+    const availability = availabilitySimple;
+    
+    // 2. Performance = Ideal Cycle Time / Actual Cycle Time
+    // This measures how close actual cycle time is to ideal (no downtime, optimal speed)
+    // Performance = (Ideal Output Rate) / (Actual Output Rate) = Ideal Cycle Time / Actual Cycle Time
+    const performance = actualCycleTimeMinutes > 0 ? Math.max(0, Math.min(1, idealCycleTimeMinutes / actualCycleTimeMinutes)) : 0;
+    
+    // Adjust performance based on speed efficiency (higher speed can improve throughput but may reduce tool life)
+    const speedEfficiency = 1; // Base efficiency - can be adjusted if speed optimization data available
+    const performanceAdjusted = performance * speedEfficiency;
+    
+    // 3. Quality = Good Parts / Total Parts
+    const quality = Math.max(0, Math.min(1, 1 - (defectsRate / 100)));
+    
+    // Overall OEE
+    const oee = availability * performanceAdjusted * quality;
+    
+    // Calculate OEE losses
+    const availabilityLoss = 1 - availability;
+    const performanceLoss = 1 - performanceAdjusted;
+    const qualityLoss = defectsRate / 100;
+    
+    // Calculate impact factors
+    const toolChangeImpact = {
+        downtime: toolChangeDowntimePerPartMinutes / 60, // Convert to hours for consistency
+        frequency: toolChangesPerPart,
+        cost: costResults.toolChangeCostPerPart || 0
+    };
+    
+    const speedImpact = {
+        toolLifeReduction: params.cuttingSpeed > 100 ? ((params.cuttingSpeed - 100) / 100) * 0.1 : 0, // Higher speed reduces tool life
+        performanceGain: params.cuttingSpeed > 100 ? Math.min(0.2, (params.cuttingSpeed - 100) / 500) : 0 // Higher speed can improve performance
+    };
+    
+    const toolLifeImpact = {
+        toolChanges: costResults.toolChangesPerToolLife || 0,
+        downtime: (costResults.toolChangesPerToolLife || 0) * (timeLossPerToolChange / 60),
+        cost: costResults.toolChangeCostPerPart || 0
+    };
+    
+    return {
+        oee: oee * 100, // Convert to percentage
+        availability: availability * 100,
+        performance: performanceAdjusted * 100,
+        quality: quality * 100,
+        availabilityLoss: availabilityLoss * 100,
+        performanceLoss: performanceLoss * 100,
+        qualityLoss: qualityLoss * 100,
+        toolChangeImpact,
+        speedImpact,
+        toolLifeImpact,
+        idealCycleTime: idealCycleTimeMinutes, // Already in minutes
+        actualCycleTime: actualCycleTimeMinutes, // Already in minutes
+        downtimePerPart: totalDowntimePerPartMinutes, // Already in minutes
+        partsPerToolLife,
+        toolChangesPerToolLife: costResults.toolChangesPerToolLife || 0
+    };
+}
+
+// Annual savings, payback, NPV and machine hours freed when switching from the current tool to a new one
+function calculateToolSwitchROI(currentTool, newTool, settings = {}) {
+    const {
+        partsPerYear = 4000,
+        trialCost = 0,
+        discountRate = 8,
+        evaluationYears = 3
+    } = settings;
+    
+    // Machine time per part, as used by calculateCostPerPart
+    const timePerPart = tool => tool.machiningTime !== null && tool.machiningTime !== undefined
+        ? tool.machiningTime
+        : tool.processingTime + (tool.toolChangeTime || 0);
+    
+    const savingsPerPart = currentTool.totalCostPerPart - newTool.totalCostPerPart;
+    const annualSavings = savingsPerPart * partsPerYear;
+    const hoursFreedPerYear = (timePerPart(currentTool) - timePerPart(newTool)) * partsPerYear / 60;
+    
+    // Yearly cash flows after the one-off trial cost, discounted at the end of each year
+    let cumulative = -trialCost;
+    const cashFlows = [];
+    for (let year = 1; year <= evaluationYears; year++) {
+        const discounted = annualSavings / Math.pow(1 + discountRate / 100, year);
+        cumulative += discounted;
+        cashFlows.push({ year, savings: annualSavings, discounted, cumulative });
+    }
+    
+    return {
+        currentTool,
+        newTool,
+        partsPerYear,
+        trialCost,
+        discountRate,
+        evaluationYears,
+        savingsPerPart,
+        annualSavings,
+        hoursFreedPerYear,
+        paybackMonths: annualSavings > 0 ? (trialCost / annualSavings) * 12 : null,
+        npv: cumulative,
+        cashFlows
+    };
+}
+
+// ROI of switching from the current tool (first in the comparison) to the lowest-cost tool
+function getToolSwitchROI(settings) {
+    if (toolComparisons.length < 2) return null;
+    const currentTool = toolComparisons[0];
+    const bestTool = toolComparisons.reduce((best, tool) => tool.totalCostPerPart < best.totalCostPerPart ? tool : best);
+    if (bestTool === currentTool) return { currentIsBest: true, currentTool };
+    return calculateToolSwitchROI(currentTool, bestTool, settings);
+}
+
+// Payback period as text
+function formatPaybackPeriod(roi) {
+    if (roi.paybackMonths === null) return 'No payback (no savings)';
+    if (roi.trialCost <= 0) return 'Immediate (no trial cost)';
+    return roi.paybackMonths < 24 ? `${roi.paybackMonths.toFixed(1)} months` : `${(roi.paybackMonths / 12).toFixed(1)} years`;
+}
+
+// Distributions for the Monte Carlo simulation; spread is the coefficient of variation (normal, lognormal) or the ± range (triangular) in %
+const UNCERTAINTY_DISTRIBUTIONS = ['normal', 'lognormal', 'triangular'];
+const DEFAULT_UNCERTAINTY_SETTINGS = {
+    samples: 5000,
+    toolLife: { distribution: 'lognormal', spread: 30 },
+    cycleTime: { distribution: 'normal', spread: 5 },
+    defectsRate: { distribution: 'triangular', spread: 50 }
+};
+
+// Seeded random numbers (mulberry32), so the same inputs always give the same simulation
+function createRandomGenerator(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Draw one value around the nominal; normal and lognormal keep the nominal as the mean, triangular as the mode
+function sampleDistribution(random, nominal, { distribution, spread }) {
+    const relativeSpread = spread / 100;
+    if (!(nominal > 0) || !(relativeSpread > 0)) return nominal;
+    
+    if (distribution === 'triangular') {
+        const min = nominal * (1 - relativeSpread);
+        const max = nominal * (1 + relativeSpread);
+        const u = random();
+        return u < 0.5
+            ? min + Math.sqrt(u * (max - min) * (nominal - min))
+            : max - Math.sqrt((1 - u) * (max - min) * (max - nominal));
+    }
+    
+    // Box-Muller standard normal
+    const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    if (distribution === 'lognormal') {
+        const sigma = Math.sqrt(Math.log(1 + relativeSpread * relativeSpread));
+        return nominal * Math.exp(sigma * z - sigma * sigma / 2);
+    }
+    return nominal * (1 + relativeSpread * z);
+}
+
+// Percentile of sorted values with linear interpolation (p from 0 to 1)
+function calculatePercentile(sortedValues, p) {
+    if (sortedValues.length === 0) return 0;
+    const position = (sortedValues.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.min(sortedValues.length - 1, lower + 1);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+// Monte Carlo simulation of cost per good part, annual cost and OEE with uncertain tool life, cycle time and defect rate
+function simulateCostUncertainty(params, toolLife, settings = DEFAULT_UNCERTAINTY_SETTINGS, seed = 1) {
+    const random = createRandomGenerator(seed);
+    const hasMachiningTime = params.machiningTime !== null && params.machiningTime !== undefined;
+    const partsPerYear = params.partsPerYear || 4000;
+    const defectsRate = params.defectsRate !== undefined ? params.defectsRate : 2;
+    
+    const costs = [];
+    const annualCosts = [];
+    const oees = [];
+    for (let i = 0; i < settings.samples; i++) {
+        const sampledToolLife = Math.max(toolLife * 0.01, sampleDistribution(random, toolLife, settings.toolLife));
+        const cycleTimeFactor = Math.max(0.1, sampleDistribution(random, 1, settings.cycleTime));
+        const sampledDefectsRate = Math.min(95, Math.max(0, sampleDistribution(random, defectsRate, settings.defectsRate)));
+        const sampleParams = {
+            ...params,
+            toolLife: sampledToolLife,
+            processingTime: params.processingTime * cycleTimeFactor,
+            machiningTime: hasMachiningTime ? params.machiningTime * cycleTimeFactor : params.machiningTime,
+            defectsRate: sampledDefectsRate
+        };
+        
+        const costResults = calculateCostPerPart(sampleParams);
+        const oeeResults = calculateOEE(sampleParams, costResults, sampledToolLife);
+        // Scrapped parts have to be made again, so each good part carries their cost
+        const costPerGoodPart = costResults.totalCostPerPart / (1 - sampledDefectsRate / 100);
+        costs.push(costPerGoodPart);
+        annualCosts.push(costPerGoodPart * partsPerYear);
+        oees.push(oeeResults.oee);
+    }
+    
+    const summarize = values => {
+        const sorted = [...values].sort((a, b) => a - b);
+        return {
+            p10: calculatePercentile(sorted, 0.1),
+            p50: calculatePercentile(sorted, 0.5),
+            p90: calculatePercentile(sorted, 0.9),
+            mean: sorted.reduce((sum, value) => sum + value, 0) / (sorted.length || 1)
+        };
+    };
+    
+    return {
+        samples: settings.samples,
+        partsPerYear,
+        costs,
+        costPerPart: summarize(costs),
+        annualCost: summarize(annualCosts),
+        oee: summarize(oees)
+    };
+}
+
+// Probability that each compared tool has a lower cost per good part than each other tool
+function compareToolUncertainty(tools, settings = DEFAULT_UNCERTAINTY_SETTINGS) {
+    // Each tool gets its own random stream, so the tool life scatter of different tools is independent
+    const simulations = tools.map((tool, index) => simulateCostUncertainty(tool, tool.toolLife, settings, index + 1));
+    const beats = simulations.map((simulationA, indexA) => simulations.map((simulationB, indexB) => {
+        if (indexA === indexB) return null;
+        const wins = simulationA.costs.filter((cost, i) => cost < simulationB.costs[i]).length;
+        return wins / simulationA.costs.length;
+    }));
+    return { simulations, beats };
+}
+
+// Get recommendations based on calculations
+function getRecommendations(params, results) {
+    const recommendations = [];
+    
+    const {
+        workpieceMaterial,
+        toolMaterial,
+        toolCoating,
+        cuttingSpeed,
+        feedRate,
+        depthOfCut
+    } = params;
+    
+    const material = getMaterial(workpieceMaterial);
+    const isoGroup = material.isoGroup;
+    const operationMode = getOperationMode(params);
+    const drilling = operationMode === 'drilling';
+    const operationName = OPERATION_NAMES[operationMode].toLowerCase();
+    
+    // Tool material recommendations
+    if (toolMaterial === 'hss' && (isoGroup === 'M' || isoGroup === 'S' || isoGroup === 'H')) {
+        recommendations.push({
+            type: 'tool_material',
+            message: 'Consider upgrading to carbide or coated carbide tools for better performance with hard materials.'
+        });
+    }
+    
+    // Coating recommendations
+    if (toolCoating === 'none' && (isoGroup === 'P' || isoGroup === 'M')) {
+        recommendations.push({
+            type: 'coating',
+            message: 'Adding a TiN or TiCN coating can increase tool life by 30-50% for steel materials.'
+        });
+    }
+    
+    // Speed recommendations (library ranges are for carbide, scaled for other tool materials)
+    const toolMaterialSpeedFactors = {
+        hss: 0.3,
+        carbide: 1.0,
+        coatedCarbide: 1.2,
+        ceramic: 2.0,
+        diamond: 1.5
+    };
+    // Taps run at about a third of the milling speed
+    const speedFactor = (toolMaterialSpeedFactors[toolMaterial] || 1.0) * (operationMode === 'tapping' ? 0.3 : 1);
+    const minSpeed = material.vcRange[0] * speedFactor;
+    const maxSpeed = material.vcRange[1] * speedFactor;
+    
+    if (cuttingSpeed < minSpeed * 0.8 || cuttingSpeed > maxSpeed * 1.2) {
+        recommendations.push({
+            type: 'cutting_speed',
+            message: `For ${material.name}, the recommended cutting speed is ${formatInputQuantity(Math.round(minSpeed), 'cuttingSpeed')} to ${formatInputQuantity(Math.round(maxSpeed), 'cuttingSpeed')} - consider adjusting for optimal tool life.`
+        });
+    }
+    
+    // Economic speed recommendations from the Taylor cost model
+    const optimization = calculateSpeedOptimization(params, params.toolLife || calculateToolLife(params));
+    if (cuttingSpeed < optimization.minCost.cuttingSpeed * 0.95) {
+        recommendations.push({
+            type: 'cutting_speed',
+            message: `The minimum-cost cutting speed is ${formatInputQuantity(optimization.minCost.cuttingSpeed, 'cuttingSpeed')} - raising V<sub>c</sub> lowers the cost per part from ${formatCurrency(optimization.current.costPerPart)} to ${formatCurrency(optimization.minCost.costPerPart)} (excluding overheads).`
+        });
+    } else if (!optimization.maxProduction.unbounded && cuttingSpeed > optimization.maxProduction.cuttingSpeed * 1.05) {
+        recommendations.push({
+            type: 'cutting_speed',
+            message: `V<sub>c</sub> is above the maximum production rate speed of ${formatInputQuantity(optimization.maxProduction.cuttingSpeed, 'cuttingSpeed')} - a higher V<sub>c</sub> no longer shortens the cycle time.`
+        });
+    }
+    
+    // Feed rate recommendations
+    if (operationMode !== 'tapping' && feedRate < 0.05) {
+        recommendations.push({
+            type: 'feed_rate',
+            message: 'Very low feed rates may cause premature tool wear. Consider increasing feed rate if surface finish allows.'
+        });
+    } else if (feedRate > 0.3 && toolMaterial === 'hss') {
+        recommendations.push({
+            type: 'feed_rate',
+            message: 'High feed rates with HSS tools may cause rapid wear. Consider reducing feed rate or upgrading to carbide.'
+        });
+    }
+    
+    // Drilling recommendations - feed per revolution, hole depth and point angle
+    if (drilling) {
+        const drillingModel = calculateDrillingModel(params);
+        const minFeedPerRev = 0.01 * params.toolDiameter;
+        const maxFeedPerRev = 0.03 * params.toolDiameter;
+        if (drillingModel.feedPerRev < minFeedPerRev) {
+            recommendations.push({
+                type: 'drilling',
+                message: `Feed per revolution ${formatQuantity(drillingModel.feedPerRev, 'feedPerRev')} is low for this drill diameter - the edges rub and work-harden the hole bottom. Typical f is 0.01-0.03 × D (${formatQuantity(minFeedPerRev, 'feedPerRev')} to ${formatQuantity(maxFeedPerRev, 'feedPerRev')}).`
+            });
+        } else if (drillingModel.feedPerRev > maxFeedPerRev) {
+            recommendations.push({
+                type: 'drilling',
+                message: `Feed per revolution ${formatQuantity(drillingModel.feedPerRev, 'feedPerRev')} is above 0.03 × D - thrust force and the risk of chipping the cutting corners rise. Reduce f to ${formatQuantity(maxFeedPerRev, 'feedPerRev')} or less.`
+            });
+        }
+        
+        if (drillingModel.depthRatio > 10) {
+            recommendations.push({
+                type: 'drilling',
+                message: `The hole is ${drillingModel.depthRatio.toFixed(1)} × D deep. Drill a pilot hole of 2-3 × D first and use a long through-coolant drill; peck cycles alone do not clear chips reliably at this depth.`
+            });
+        } else if (drillingModel.depthRatio > 5 && drillingModel.pecks === 1) {
+            recommendations.push({
+                type: 'drilling',
+                message: `The hole is ${drillingModel.depthRatio.toFixed(1)} × D deep without pecking. Use a through-coolant drill, or peck every 1-2 × D (${formatQuantity(params.toolDiameter, 'length')} to ${formatQuantity(2 * params.toolDiameter, 'length')}) to clear the chips.`
+            });
+        } else if (drillingModel.depthRatio > 3 && drillingModel.pecks === 1 && coolantClasses[params.cuttingFluid || 'none'] === 'dry') {
+            recommendations.push({
+                type: 'drilling',
+                message: 'Holes deeper than 3 × D pack chips in the flutes when drilled dry. Add coolant or a peck cycle.'
+            });
+        }
+        if (drillingModel.pecks > 1 && drillingModel.retractTimePerHole > drillingModel.cuttingTimePerHole * 0.5) {
+            recommendations.push({
+                type: 'drilling',
+                message: `Peck retracts take ${(drillingModel.retractTimePerHole * 60).toFixed(1)} s per hole, more than half the cutting time. Use a chip-breaking cycle (G73) or deeper pecks where the chips allow.`
+            });
+        }
+        
+        if ((toolMaterial === 'carbide' || toolMaterial === 'coatedCarbide') && drillingModel.pointAngle < 130) {
+            recommendations.push({
+                type: 'drilling',
+                message: `Solid carbide drills are normally ground with a 140° point. The ${drillingModel.pointAngle}° point lengthens the edges and weakens the corners.`
+            });
+        } else if (toolMaterial === 'hss' && drillingModel.pointAngle > 130 && isoGroup !== 'H') {
+            recommendations.push({
+                type: 'drilling',
+                message: `A 118° point is the standard for HSS drills in ${material.name} - it needs less thrust than the ${drillingModel.pointAngle}° point and suits the tougher HSS edge.`
+            });
+        }
+    }
+    
+    // Threading recommendations - tap type, tapping depth and thread mill size
+    if (isThreadingOperation(operationMode)) {
+        const threading = calculateThreadingModel(params);
+        const { thread } = threading;
+        if (operationMode === 'tapping') {
+            if (thread.tapKind === 'forming' && (isoGroup === 'K' || isoGroup === 'H')) {
+                recommendations.push({
+                    type: 'threading',
+                    message: `Forming taps need a ductile material - use a cutting tap or thread mill in ${material.name}.`
+                });
+            } else if (thread.tapKind === 'cutting' && isoGroup === 'N') {
+                recommendations.push({
+                    type: 'threading',
+                    message: `A forming tap suits ${material.name}: no chips to clear from blind holes and a stronger, cold-worked thread. Drill ${formatQuantity(thread.tapDrill + thread.pitch / 2, 'length')} instead of ${formatQuantity(thread.tapDrill, 'length')}.`
+                });
+            }
+            if (threading.threadLength > 2 * thread.diameter) {
+                recommendations.push({
+                    type: 'threading',
+                    message: `The thread is ${(threading.threadLength / thread.diameter).toFixed(1)} × D deep. Use a spiral-flute tap for blind holes or a spiral-point tap for through holes, with coolant, to keep chips from jamming the tap.`
+                });
+            }
+            if (isoGroup === 'H' || isoGroup === 'S' || thread.diameter > 24) {
+                recommendations.push({
+                    type: 'threading',
+                    message: `Consider thread milling for ${thread.designation} in ${material.name}: it needs a fraction of the ${formatQuantity(threading.torque, 'torque')} tapping torque, and a broken cutter does not scrap the part.`
+                });
+            }
+        } else {
+            if (thread.threadType === 'internal' && params.toolDiameter > 0.7 * thread.diameter) {
+                recommendations.push({
+                    type: 'threading',
+                    message: `The thread mill is ${(params.toolDiameter / thread.diameter * 100).toFixed(0)}% of the thread diameter. The programmed feed drops to ${(threading.programmedFeedRate / threading.feedRateMM * 100).toFixed(0)}% of the edge feed and the wrap-around engagement grows - a cutter of 0.7 × D or less cuts more freely.`
+                });
+            }
+            if (params.threadMillProfile !== 'singleProfile' && threading.threadLength > 2 * params.toolDiameter) {
+                recommendations.push({
+                    type: 'threading',
+                    message: 'A full-profile thread mill engaged over more than 2 × its diameter deflects and cuts a tapered thread. Mill the thread in two axial steps or add a spring pass.'
+                });
+            }
+        }
+        if (thread.tapered && thread.threadType === 'internal') {
+            recommendations.push({
+                type: 'threading',
+                message: 'NPT threads taper 1:16 - ream the tap drill hole with a taper pipe reamer before tapping, or thread mill with a tapered helical path.'
+            });
+        }
+    }
+    
+    // Face milling recommendations - cutter size and position, chip thinning and wiper feed
+    if (operationMode === 'faceMilling') {
+        const faceMilling = calculateFaceMillingModel(params);
+        const radius = params.toolDiameter / 2;
+        if (faceMilling.radialRatio > 0.85 || faceMilling.radialRatio < 0.5) {
+            recommendations.push({
+                type: 'face_milling',
+                message: `The face is ${(faceMilling.radialRatio * 100).toFixed(0)}% of the cutter diameter. A face mill of 1.3-1.5 × a<sub>e</sub> (${formatQuantity(1.3 * params.widthOfCut, 'length')} to ${formatQuantity(1.5 * params.widthOfCut, 'length')}) keeps enough inserts in cut without a thick exit chip.`
+            });
+        }
+        if (!faceMilling.centreOverFace) {
+            recommendations.push({
+                type: 'face_milling',
+                message: 'The cutter axis is outside the face, so every insert meets the workpiece with its weak tip. Position the cutter with its axis over the face so the entry impact lands further along the edge.'
+            });
+        } else if (faceMilling.cutterOffset === 0 && radius < params.widthOfCut) {
+            recommendations.push({
+                type: 'face_milling',
+                message: `With the cutter centred the radial force reverses as each insert passes the centre line, which excites vibration, and the inserts exit with a ${formatQuantity(faceMilling.exitChipThickness, 'length')} chip. Offset the axis ${formatQuantity(radius - params.widthOfCut / 2, 'length')} towards the entry side for a thick entry and a thin exit chip.`
+            });
+        } else if (faceMilling.exitChipThickness > 0.5 * faceMilling.maxChipThickness) {
+            recommendations.push({
+                type: 'face_milling',
+                message: `The inserts exit with a ${formatQuantity(faceMilling.exitChipThickness, 'length')} chip - thick exit chips chip the edges and leave burrs. Move the cutter axis towards the entry side so the exit edge of the face is near the cutter periphery.`
+            });
+        }
+        if (faceMilling.maxChipThickness < 0.05) {
+            const peakRatio = faceMilling.maxChipThickness / feedRate;
+            recommendations.push({
+                type: 'face_milling',
+                message: `The ${params.enteringAngle === 'round' ? 'round insert' : `${faceMilling.enteringAngle.toFixed(0)}° entering angle`} and engagement thin the chip to h<sub>ex</sub> = ${formatQuantity(faceMilling.maxChipThickness, 'length')} - the inserts rub rather than cut. Raise f<sub>z</sub> to ${formatInputQuantity(0.1 / peakRatio, 'feedPerTooth')} for h<sub>ex</sub> = ${formatQuantity(0.1, 'length')}.`
+            });
+        }
+        if (params.enteringAngle === 'round' && depthOfCut > 0.25 * (params.roundInsertDiameter || 12)) {
+            recommendations.push({
+                type: 'face_milling',
+                message: `a<sub>p</sub> is more than a quarter of the round insert diameter - the chip thinning advantage fades and the radial force rises. Keep a<sub>p</sub> at or below ${formatQuantity(0.25 * (params.roundInsertDiameter || 12), 'length')}.`
+            });
+        }
+        if (params.wiperInsert === 'wiper' && !faceMilling.wiperEffective) {
+            recommendations.push({
+                type: 'face_milling',
+                message: `The feed per revolution ${formatQuantity(faceMilling.feedPerRev, 'feedPerRev')} is longer than ${WIPER_FLAT_USABLE * 100}% of the wiper flat, so the wiper no longer sweeps the whole feed mark. Reduce f<sub>z</sub> to ${formatInputQuantity(WIPER_FLAT_USABLE * params.wiperFlatLength / params.numberOfTeeth, 'feedPerTooth')} or less.`
+            });
+        } else if (params.wiperInsert !== 'wiper' && faceMilling.surfaceFinish > 1.6) {
+            recommendations.push({
+                type: 'face_milling',
+                message: `Estimated R<sub>a</sub> is ${formatQuantity(faceMilling.surfaceFinish, 'roughness')}. A wiper insert with a flat longer than f = ${formatQuantity(faceMilling.feedPerRev, 'feedPerRev')} gives a far better finish at the same feed.`
+            });
+        }
+    }
+    
+    // Turning recommendations - nose radius against feed and depth, the speed limit and slender shafts
+    if (operationMode === 'turning') {
+        const turning = calculateTurningModel(params);
+        if (feedRate > 0.5 * turning.noseRadius) {
+            recommendations.push({
+                type: 'turning',
+                message: `The feed of ${formatQuantity(feedRate, 'feedPerRev')} is more than half the ${formatQuantity(turning.noseRadius, 'length')} nose radius - the edge beyond the nose takes the chip and the finish degrades quickly. Reduce f to ${formatInputQuantity(0.5 * turning.noseRadius, 'feedPerRev')} or use a larger nose radius.`
+            });
+        }
+        if (depthOfCut < 2 / 3 * turning.noseRadius) {
+            recommendations.push({
+                type: 'turning',
+                message: `a<sub>p</sub> is less than 2/3 of the nose radius, so the chip forms on the nose alone - poor chip control and a thin chip that rubs. Use a nose radius of ${formatQuantity(1.5 * depthOfCut, 'length')} or less for this depth.`
+            });
+        }
+        if (turning.speedLimited) {
+            recommendations.push({
+                type: 'turning',
+                message: `The ${Math.round(turning.maxSpindleSpeed)} RPM limit holds V<sub>c</sub> at ${formatInputQuantity(turning.effectiveCuttingSpeed, 'cuttingSpeed')} on the ${formatQuantity(turning.workpieceDiameter, 'length')} workpiece. The cycle time follows the lower speed - a machine or chuck rated for ${Math.round(calculateSpindleSpeed(cuttingSpeed, turning.workpieceDiameter))} RPM would reach the programmed V<sub>c</sub>.`
+            });
+        } else if (turning.facing && turning.constantSurfaceSpeed && turning.maxSpindleSpeed === 0) {
+            recommendations.push({
+                type: 'turning',
+                message: 'Facing at constant surface speed without a spindle speed limit (G50) lets the spindle accelerate without bound near the centre. Set the limit to the rating of the chuck and workholding.'
+            });
+        }
+        if (!turning.facing && params.turningLength > 4 * turning.workpieceDiameter) {
+            recommendations.push({
+                type: 'turning',
+                message: `The turned length is ${(params.turningLength / turning.workpieceDiameter).toFixed(1)} × D. Support the shaft with a tailstock${params.turningLength > 10 * turning.workpieceDiameter ? ' and a steady rest' : ''}${turning.leadAngle < 75 || turning.leadAngle > 105 ? `, and use a 90-95° lead angle - the ${turning.leadAngle}° lead angle pushes the shaft away with ${formatQuantity(turning.passiveForce, 'force')} of passive force` : ''}.`
+            });
+        }
+    }
+    
+    // Ball nose and corner radius recommendations - the ball centre, the speed correction and the stepover
+    if (isProfileMillingTool(params)) {
+        const profile = calculateProfileMillingModel(params);
+        if (profile.centreCutting) {
+            recommendations.push({
+                type: 'profile_milling',
+                message: `With ${profile.tiltAngle > 0 ? `only ${profile.tiltAngle}° of tilt` : 'the tool axis normal to the surface'} the ball centre cuts at ${formatInputQuantity(profile.minimumCuttingSpeed, 'cuttingSpeed')} - it rubs rather than cuts and smears the surface. Tilt the tool 10-15° away from the feed direction so the whole contact cuts above the centre.`
+            });
+        }
+        if (profile.spindleSpeed > 1.5 * profile.nominalSpindleSpeed) {
+            recommendations.push({
+                type: 'profile_milling',
+                message: `At a<sub>p</sub> = ${formatQuantity(depthOfCut, 'length')} the edge cuts on D<sub>e</sub> = ${formatQuantity(profile.effectiveDiameter, 'length')}, ${(profile.effectiveDiameter / params.toolDiameter * 100).toFixed(0)}% of D. Holding V<sub>c</sub> there takes ${formatNumber(profile.spindleSpeed, 'RPM')} - at the ${formatNumber(profile.nominalSpindleSpeed, 'RPM')} of the nominal diameter the edge would cut at only ${formatInputQuantity(profile.nominalSpeedCuttingSpeed, 'cuttingSpeed')}.`
+            });
+        }
+        if (profile.scallopHeight > profile.feedScallopHeight && profile.surfaceFinish > 1.6) {
+            // Stepover for a scallop of Rz = 4 × 1.6 μm: s = flat + 2 × √(2rh - h²)
+            const targetScallop = 4 * 1.6 / 1000;
+            const flatWidth = profile.ballNose ? 0 : params.toolDiameter - 2 * profile.profileRadius;
+            const targetStepover = flatWidth + 2 * Math.sqrt(2 * profile.profileRadius * targetScallop - targetScallop * targetScallop);
+            recommendations.push({
+                type: 'profile_milling',
+                message: `The ${formatQuantity(params.widthOfCut, 'length')} stepover leaves a ${formatQuantity(profile.scallopHeight * 1000, 'roughness')} scallop (R<sub>a</sub> ≈ ${formatQuantity(profile.surfaceFinish, 'roughness')}). A stepover of ${formatInputQuantity(targetStepover, 'length')} keeps it to ${formatQuantity(targetScallop * 1000, 'roughness')} for R<sub>a</sub> 1.6 μm${profile.ballNose ? ', or use a larger ball nose' : ''}.`
+            });
+        }
+    }
+    
+    // Side wall and floor finish - the feed per tooth for the target Ra, and runout that leaves one tooth doing the finishing
+    if (hasMillingFinishModel(params)) {
+        const finish = calculateMillingFinishModel(params);
+        const surfaceName = finish.surface === 'floor' ? 'floor' : 'side wall';
+        if (finish.surfaceFinish > finish.targetRoughness) {
+            recommendations.push({
+                type: 'surface_finish',
+                message: finish.targetFeedRate !== null
+                    ? `Estimated ${surfaceName} R<sub>a</sub> is ${formatQuantity(finish.surfaceFinish, 'roughness')}, above the ${formatQuantity(finish.targetRoughness, 'roughness')} target. A feed of f<sub>z</sub> ≤ ${formatQuantity(finish.targetFeedRate, 'feedPerTooth')} reaches it at the current runout.`
+                    : `The ${surfaceName} cannot reach R<sub>a</sub> ${formatQuantity(finish.targetRoughness, 'roughness')} at any feed with this tool - reduce the runout${finish.surface === 'floor' ? ' or use end teeth with a wiper flat' : ''}.`
+            });
+        }
+        // With runout the proud tooth leaves marks a whole feed per revolution apart
+        if (finish.surface === 'wall' && finish.runout > 0 && finish.wallRz > 2 * finish.idealWallRz) {
+            recommendations.push({
+                type: 'surface_finish',
+                message: `The ${formatQuantity(finish.runout, 'deflection')} runout leaves one tooth cutting the side wall: R<sub>z</sub> ${formatQuantity(finish.wallRz, 'roughness')} instead of ${formatQuantity(finish.idealWallRz, 'roughness')} with every tooth cutting. A shrink fit or hydraulic holder with under ${formatQuantity(0.003, 'deflection')} TIR brings the other teeth back into the finish.`
+            });
+        }
+    }
+    
+    // Deflection recommendations - static deflection against the tolerance, then long stick-outs
+    const cuttingForce = calculateCuttingForceModel(params).cuttingForce;
+    const stiffness = calculateToolStiffnessModel(params, cuttingForce);
+    if (stiffness && stiffness.exceedsTolerance) {
+        const remedies = [];
+        if (operationMode === 'milling') {
+            // The force is proportional to ap; ae is bisected through the force model
+            const allowedForce = cuttingForce * stiffness.forceScale;
+            let low = 0;
+            let high = params.widthOfCut;
+            for (let i = 0; i < 40; i++) {
+                const mid = (low + high) / 2;
+                if (calculateCuttingForceModel({ ...params, widthOfCut: mid }).cuttingForce > allowedForce) high = mid; else low = mid;
+            }
+            remedies.push(`reduce a<sub>p</sub> to ${formatInputQuantity(depthOfCut * stiffness.forceScale, 'length')} or a<sub>e</sub> to ${formatInputQuantity(low, 'length')}`);
+        }
+        remedies.push(`shorten the stick-out to ${formatInputQuantity(stiffness.maxStickout, 'length')}${stiffness.maxStickout < stiffness.fluteLength ? ' with a shorter fluted tool' : ''}`);
+        if (stiffness.holder.compliance > TOOL_HOLDER_TYPES.hydraulic.compliance) {
+            remedies.push(`clamp the tool in a shrink fit holder, which deflects ${((1 - 1 / stiffness.holder.compliance) * 100).toFixed(0)}% less than the ${stiffness.holder.name}`);
+        }
+        recommendations.push({
+            type: 'deflection',
+            message: `The tool deflects ${formatQuantity(stiffness.deflection, 'deflection')} at ${formatQuantity(stiffness.stickout, 'length')} stick-out (${stiffness.stickoutRatio.toFixed(1)} × D), more than the ${formatQuantity(stiffness.tolerance, 'deflection')} tolerance. To stay within it, ${remedies.join(', or ')}.`
+        });
+    } else if (stiffness && stiffness.stickoutRatio > LONG_STICKOUT_RATIO) {
+        recommendations.push({
+            type: 'deflection',
+            message: `The stick-out is ${stiffness.stickoutRatio.toFixed(1)} × D. The static deflection of ${formatQuantity(stiffness.deflection, 'deflection')} is within tolerance, but long tools chatter easily - use the shortest stick-out the part allows, or a necked tool with a shank that reaches the holder.`
+        });
+    }
+    
+    // Cutting fluid recommendations
+    const cuttingFluid = params.cuttingFluid || 'none';
+    const coolantClass = coolantClasses[cuttingFluid] || 'dry';
+    const radialEngagement = params.toolDiameter > 0 ? params.widthOfCut / params.toolDiameter : 1;
+    if (coolantClass === 'water' && toolMaterial === 'ceramic') {
+        recommendations.push({
+            type: 'coolant',
+            message: 'Ceramic tools crack under water-based coolant. Run ceramics dry with compressed air for chip evacuation.'
+        });
+    } else if ((operationMode === 'milling' || operationMode === 'threadMilling' || operationMode === 'faceMilling') && coolantClass === 'water' && (toolMaterial === 'carbide' || toolMaterial === 'coatedCarbide') &&
+               isoGroup !== 'N' && isoGroup !== 'S' && isoGroup !== 'M') {
+        recommendations.push({
+            type: 'coolant',
+            message: `Milling is an interrupted cut${radialEngagement < 0.5 ? ' (low radial engagement makes it worse)' : ''}: flood coolant on carbide causes thermal shock and comb cracks. Consider dry cutting with air blast or MQL, or keep a constant, high-volume flow directed at the cutting edge.`
+        });
+    }
+    if (isoGroup === 'N' && cuttingFluid === 'none') {
+        recommendations.push({
+            type: 'coolant',
+            message: `Dry ${operationName} of ${material.name} promotes built-up edge. Use MQL or flood coolant to lubricate the chip and extend tool life.`
+        });
+    } else if (isoGroup === 'N' && coolantClass !== 'mql') {
+        recommendations.push({
+            type: 'coolant',
+            message: 'MQL is well suited to aluminum and other non-ferrous metals: it gives the lubrication needed against built-up edge with far lower coolant consumption and no disposal cost.'
+        });
+    }
+    if ((isoGroup === 'S' || isoGroup === 'M') && (coolantClass === 'dry' || coolantClass === 'mist')) {
+        recommendations.push({
+            type: 'coolant',
+            message: `${material.name} conducts heat poorly - flood emulsion or high-pressure coolant typically extends tool life by 50% or more.`
+        });
+    }
+    if (isoGroup === 'K' && coolantClass === 'water') {
+        recommendations.push({
+            type: 'coolant',
+            message: 'Cast iron is usually milled dry - coolant gives little tool life benefit and mixes with graphite dust into abrasive sludge.'
+        });
+    }
+    if (results.coolantCostPerPart > results.totalCostPerPart * 0.1) {
+        recommendations.push({
+            type: 'coolant',
+            message: 'Coolant accounts for more than 10% of the cost per part. Check consumption and disposal costs, or consider MQL.'
+        });
+    }
+    
+    // Cost-effectiveness recommendations
+    if (results.toolCostPerPart > results.machiningCostPerPart * 0.3) {
+        recommendations.push({
+            type: 'cost',
+            message: 'Tool cost per part is high relative to machining cost. Consider tools with longer tool life or lower initial cost.'
+        });
+    }
+    
+    // Tool change recommendations
+    if (params.toolChangeCost > 0 && results.toolChangeCostPerPart > results.toolCostPerPart * 0.5) {
+        recommendations.push({
+            type: 'tool_change',
+            message: 'Tool change costs are significant. Consider optimizing tool change frequency or reducing tool change time.'
+        });
+    }
+    
+    // Processing time recommendations
+    if (params.processingTime && params.machiningTime && params.processingTime < params.machiningTime * 0.7) {
+        recommendations.push({
+            type: 'processing_time',
+            message: 'Tool change time represents a significant portion of total machining time. Consider faster tool change systems or tool optimization.'
+        });
+    }
+    
+    return recommendations;
+}
+
+// Currency - all costs in the form and comparison are held in the project currency
+const EXCHANGE_RATES_STORAGE_KEY = 'cncToolCalc.exchangeRates';
+const BASE_CURRENCY = 'EUR';
+
+// Supported currencies with the locale used to format them
+const currencyDefinitions = {
+    EUR: { name: 'Euro', locale: 'en-IE' },
+    USD: { name: 'US Dollar', locale: 'en-US' },
+    GBP: { name: 'British Pound', locale: 'en-GB' },
+    SEK: { name: 'Swedish Krona', locale: 'sv-SE' },
+    NOK: { name: 'Norwegian Krone', locale: 'nb-NO' },
+    DKK: { name: 'Danish Krone', locale: 'da-DK' },
+    CHF: { name: 'Swiss Franc', locale: 'de-CH' },
+    PLN: { name: 'Polish Złoty', locale: 'pl-PL' },
+    CZK: { name: 'Czech Koruna', locale: 'cs-CZ' }
+};
+
+// Units of each currency per 1 EUR (editable, stored locally)
+const DEFAULT_EXCHANGE_RATES = {
+    EUR: 1,
+    USD: 1.08,
+    GBP: 0.85,
+    SEK: 11.3,
+    NOK: 11.6,
+    DKK: 7.46,
+    CHF: 0.95,
+    PLN: 4.3,
+    CZK: 25.2
+};
+
+// Cost inputs converted when the project currency changes
+const MONETARY_FIELDS = [
+    'machineWorkhourCost',
+    'machineStopCost',
+    'machineCostPerHour',
+    'costOfToolChange',
+    'machineStopDowntimeCost',
+    'trialCost',
+    'toolChangeCost',
+    'machineHourlyRate',
+    'toolCost',
+    'toolRemainingCost',
+    'regrindCost',
+    'insertPrice',
+    'cutterBodyCost',
+    'coolantPrice',
+    'coolantDisposalCost'
+];
+
+// Monetary values stored on comparison entries (inputs plus calculateCostPerPart results)
+const COMPARISON_MONETARY_FIELDS = [
+    ...MONETARY_FIELDS,
+    'toolCostPerPart',
+    'toolChangeCostPerPart',
+    'processingCostPerPart',
+    'toolChangeTimeCostPerPart',
+    'machiningCostPerPart',
+    'coolantCostPerPart',
+    'totalCostPerPart',
+    'totalBatchCost',
+    'totalToolCostForBatch',
+    'totalMachiningCostForBatch',
+    'lifecycleCost'
+];
+
+let exchangeRates = { ...DEFAULT_EXCHANGE_RATES, ...(loadStoredJSON(EXCHANGE_RATES_STORAGE_KEY, {}).rates || {}) };
+let projectCurrency = BASE_CURRENCY;
+
+// Convert an amount between currencies via the EUR base rate
+function convertCurrency(value, fromCurrency, toCurrency) {
+    if (fromCurrency === toCurrency || value === null || value === undefined || isNaN(value)) return value;
+    const fromRate = exchangeRates[fromCurrency];
+    const toRate = exchangeRates[toCurrency];
+    if (!fromRate || !toRate) {
+        throw new Error(`No exchange rate for ${!fromRate ? fromCurrency : toCurrency}`);
+    }
+    return value / fromRate * toRate;
+}
+
+// Format currency in the project currency ('code' display avoids glyphs the PDF fonts lack)
+function formatCurrency(value, currencyDisplay = 'symbol') {
+    const definition = currencyDefinitions[projectCurrency] || currencyDefinitions[BASE_CURRENCY];
+    const formatted = new Intl.NumberFormat(definition.locale, {
+        style: 'currency',
+        currency: projectCurrency,
+        currencyDisplay,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    }).format(value);
+    return currencyDisplay === 'code' ? formatted.replace(/[\u00a0\u202f]/g, ' ') : formatted;
+}
+
+// Currency symbol for labels and chart axes
+function currencySymbol(currency = projectCurrency) {
+    const definition = currencyDefinitions[currency] || currencyDefinitions[BASE_CURRENCY];
+    const parts = new Intl.NumberFormat(definition.locale, { style: 'currency', currency }).formatToParts(0);
+    const symbolPart = parts.find(part => part.type === 'currency');
+    return symbolPart ? symbolPart.value : currency;
+}
+
+// Format number with units
+function formatNumber(value, unit = '') {
+    return `${value.toFixed(2)} ${unit}`.trim();
+}
+
+// Unit system - the calculation model is always SI (metric); only inputs and displays are converted
+const UNIT_SYSTEM_STORAGE_KEY = 'cncToolCalc.unitSystem';
+let unitSystem = loadStoredJSON(UNIT_SYSTEM_STORAGE_KEY, 'metric') === 'imperial' ? 'imperial' : 'metric';
+
+// Per quantity: display unit, factor from SI to display unit and display decimals
+const unitDefinitions = {
+    cuttingSpeed: { metric: { unit: 'm/min', factor: 1, decimals: 2 }, imperial: { unit: 'SFM', factor: 3.28084, decimals: 0 } },
+    length: { metric: { unit: 'mm', factor: 1, decimals: 2 }, imperial: { unit: 'in', factor: 1 / 25.4, decimals: 4 } },
+    feedPerTooth: { metric: { unit: 'mm/tooth', factor: 1, decimals: 3 }, imperial: { unit: 'IPT', factor: 1 / 25.4, decimals: 4 } },
+    feedPerRev: { metric: { unit: 'mm/rev', factor: 1, decimals: 2 }, imperial: { unit: 'IPR', factor: 1 / 25.4, decimals: 4 } },
+    feedRate: { metric: { unit: 'mm/min', factor: 1, decimals: 2 }, imperial: { unit: 'IPM', factor: 1 / 25.4, decimals: 2 } },
+    mrr: { metric: { unit: 'mm³/min', factor: 1, decimals: 2 }, imperial: { unit: 'in³/min', factor: 1 / 16387.064, decimals: 3 } },
+    mrrPerPower: { metric: { unit: 'cm³/min/kW', factor: 1, decimals: 2 }, imperial: { unit: 'in³/min/HP', factor: 1 / (16.387064 * 1.341022), decimals: 3 } },
+    force: { metric: { unit: 'N', factor: 1, decimals: 2 }, imperial: { unit: 'lbf', factor: 0.224809, decimals: 2 } },
+    specificForce: { metric: { unit: 'N/mm²', factor: 1, decimals: 2 }, imperial: { unit: 'psi', factor: 145.0377, decimals: 0 } },
+    power: { metric: { unit: 'kW', factor: 1, decimals: 2 }, imperial: { unit: 'HP', factor: 1.341022, decimals: 2 } },
+    torque: { metric: { unit: 'Nm', factor: 1, decimals: 2 }, imperial: { unit: 'lbf·ft', factor: 0.737562, decimals: 2 } },
+    roughness: { metric: { unit: 'μm', factor: 1, decimals: 2 }, imperial: { unit: 'μin', factor: 39.3701, decimals: 1 } },
+    wear: { metric: { unit: 'mm', factor: 1, decimals: 2 }, imperial: { unit: 'in', factor: 1 / 25.4, decimals: 4 } },
+    deflection: { metric: { unit: 'mm', factor: 1, decimals: 3 }, imperial: { unit: 'in', factor: 1 / 25.4, decimals: 5 } },
+    cutLength: { metric: { unit: 'm', factor: 1, decimals: 1 }, imperial: { unit: 'ft', factor: 3.28084, decimals: 1 } }
+};
+
+// Form inputs entered in display units, by element id
+const unitInputFields = {
+    toolDiameter: 'length',
+    cuttingSpeed: 'cuttingSpeed',
+    feedRate: 'feedPerTooth',
+    depthOfCut: 'length',
+    widthOfCut: 'length',
+    regrindDiameterLoss: 'length',
+    holeDepth: 'length',
+    peckDepth: 'length',
+    rapidTraverse: 'feedRate',
+    threadLength: 'length',
+    roundInsertDiameter: 'length',
+    insertCornerRadius: 'length',
+    cutterOffset: 'length',
+    wiperFlatLength: 'length',
+    faceLength: 'length',
+    workpieceDiameter: 'length',
+    finalDiameter: 'length',
+    turningLength: 'length',
+    faceInnerDiameter: 'length',
+    faceStock: 'length',
+    noseRadius: 'length',
+    toolCornerRadius: 'length',
+    toolStickout: 'length',
+    fluteLength: 'length',
+    shankDiameter: 'length',
+    deflectionTolerance: 'deflection',
+    toolRunout: 'deflection',
+    endWiperLength: 'length',
+    targetSurfaceFinish: 'roughness'
+};
+
+function getUnitDefinition(quantity, system = unitSystem) {
+    return unitDefinitions[quantity][system];
+}
+
+// Unit label for a quantity in the active system
+function unitLabel(quantity) {
+    return getUnitDefinition(quantity).unit;
+}
+
+// Convert an SI value to the active display system
+function toDisplayUnits(value, quantity) {
+    return value * getUnitDefinition(quantity).factor;
+}
+
+// Convert a display value back to SI
+function fromDisplayUnits(value, quantity) {
+    return value / getUnitDefinition(quantity).factor;
+}
+
+// Convert a value between unit systems (used when restoring stored form values)
+function convertUnitValue(value, quantity, fromSystem, toSystem) {
+    return value / getUnitDefinition(quantity, fromSystem).factor * getUnitDefinition(quantity, toSystem).factor;
+}
+
+// Format an SI value in display units with the quantity's precision
+function formatQuantity(value, quantity) {
+    const definition = getUnitDefinition(quantity);
+    return `${(value * definition.factor).toFixed(definition.decimals)} ${definition.unit}`;
+}
+
+// Format an entered SI value in display units without padding zeros (echo of form inputs)
+function formatInputQuantity(value, quantity) {
+    return `${roundForDisplay(toDisplayUnits(value, quantity), quantity)} ${unitLabel(quantity)}`;
+}
+
+function roundForDisplay(value, quantity) {
+    const decimals = Math.max(getUnitDefinition(quantity).decimals, 2);
+    return parseFloat(value.toFixed(decimals));
+}
+
+// Read a unit-aware form input as SI - the exact value written by setUnitInput until the user edits the rounded display
+function readUnitInput(id) {
+    const input = document.getElementById(id);
+    if (input.dataset.siValue !== undefined && input.value === input.dataset.siDisplay) {
+        return parseFloat(input.dataset.siValue);
+    }
+    const value = parseFloat(input.value);
+    return isNaN(value) ? value : fromDisplayUnits(value, unitInputFields[id]);
+}
+
+// SI value as an input field value in display units ('' when empty)
+function toDisplayInputValue(value, quantity) {
+    if (value === null || value === undefined || value === '' || isNaN(value)) return '';
+    return roundForDisplay(toDisplayUnits(value, quantity), quantity);
+}
+
+// Write an SI value into a unit-aware form input. The display is rounded, so the SI value is kept alongside it -
+// switching units back and forth converts from it and never drifts
+function setUnitInput(id, value) {
+    const input = document.getElementById(id);
+    if (!input) return;
+    input.value = toDisplayInputValue(value, unitInputFields[id]);
+    if (input.value === '') {
+        delete input.dataset.siValue;
+        delete input.dataset.siDisplay;
+    } else {
+        input.dataset.siValue = String(value);
+        input.dataset.siDisplay = input.value;
+    }
+}
+
+// Switch between metric and imperial, converting the values currently in the form
+function setUnitSystem(system) {
+    if (system !== 'metric' && system !== 'imperial') return;
+    if (system === unitSystem) {
+        updateUnitLabels();
+        return;
+    }
+    
+    const siValues = {};
+    Object.keys(unitInputFields).forEach(id => {
+        if (document.getElementById(id)) siValues[id] = readUnitInput(id);
+    });
+    unitSystem = system;
+    saveStoredJSON(UNIT_SYSTEM_STORAGE_KEY, unitSystem);
+    Object.entries(siValues).forEach(([id, value]) => setUnitInput(id, value));
+    updateUnitLabels();
+}
+
+// Update every [data-unit] label and the range of unit-aware inputs
+function updateUnitLabels() {
+    document.querySelectorAll('[data-unit]').forEach(element => {
+        element.textContent = unitLabel(element.dataset.unit);
+    });
+    
+    Object.entries(unitInputFields).forEach(([id, quantity]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        ['min', 'max'].forEach(attribute => {
+            const key = `metric${attribute.charAt(0).toUpperCase()}${attribute.slice(1)}`;
+            if (input.dataset[key] === undefined) {
+                input.dataset[key] = input.getAttribute(attribute) || '';
+            }
+            if (input.dataset[key] !== '') {
+                input.setAttribute(attribute, roundForDisplay(toDisplayUnits(parseFloat(input.dataset[key]), quantity), quantity));
+            }
+        });
+        if (input.dataset.metricStep === undefined) {
+            input.dataset.metricStep = input.getAttribute('step') || 'any';
+        }
+        input.setAttribute('step', unitSystem === 'metric' ? input.dataset.metricStep : 'any');
+    });
+    
+    const selector = document.getElementById('unitSystemSelect');
+    if (selector) selector.value = unitSystem;
+}
+
+// Unit system selector - converts the form and re-renders everything shown in display units
+function initializeUnitSystem() {
+    if (unitSystem === 'imperial') {
+        // Default form values are metric
+        Object.keys(unitInputFields).forEach(id => {
+            const input = document.getElementById(id);
+            if (input && input.value !== '') setUnitInput(id, parseFloat(input.value));
+        });
+    }
+    updateUnitLabels();
+    
+    const selector = document.getElementById('unitSystemSelect');
+    if (!selector) return;
+    selector.addEventListener('change', function() {
+        setUnitSystem(this.value);
+        updateWorkpieceMaterialInfo();
+        updateMachineProfileInfo();
+        updateComparisonTable();
+        refreshResultsAfterModelChange();
+        if (wearTestSession && wearTestSession.entries.length > 0 && window.Chart) {
+            displayWearCurveChart(wearTestSession);
+        }
+        showToast(`📏 Units switched to ${unitSystem === 'metric' ? 'metric (mm, m/min)' : 'imperial (in, SFM)'}`, 'success');
+    });
+}
+
+// Format cutting fluid name
+function formatCuttingFluid(value) {
+    if (!value || value === 'none') return 'None (Dry)';
+    const fluidNames = {
+        'none': 'None (Dry)',
+        'flood': 'Flood Coolant',
+        'mist': 'Mist Coolant',
+        'mql': 'MQL (Minimum Quantity Lubrication)',
+        'emulsion': 'Emulsion',
+        'synthetic': 'Synthetic Coolant',
+        'semiSynthetic': 'Semi-Synthetic Coolant',
+        'straightOil': 'Straight Oil',
+        'waterSoluble': 'Water-Soluble Oil'
+    };
+    return fluidNames[value] || value;
+}
+
+// Get badge class for metrics
+function getBadgeClass(value, thresholds) {
+    if (value >= thresholds.excellent) return 'badge-excellent';
+    if (value >= thresholds.good) return 'badge-good';
+    if (value >= thresholds.fair) return 'badge-fair';
+    return 'badge-poor';
+}
+
+// Display results
+async function displayResults(params, results) {
+    // Load Chart.js if needed (before creating charts)
+    if (!window.Chart && typeof window.loadChartJS === 'function') {
+        await window.loadChartJS();
+    }
+    const resultsContainer = document.getElementById('results');
+    
+    const toolLife = params.toolLife || calculateToolLife(params);
+    const mrr = calculateMRR(params);
+    const spindleSpeed = calculateOperationSpindleSpeed(params);
+    const { feedPerRev, feedRateMM } = calculateOperationFeed(params, spindleSpeed);
+    const forceModel = calculateCuttingForceModel(params);
+    const chipThickness = forceModel.chipThickness;
+    const specificCuttingForce = forceModel.specificCuttingForce;
+    const cuttingForce = forceModel.cuttingForce;
+    const { powerRequired, torque } = calculateOperationPower(params, cuttingForce, spindleSpeed);
+    const surfaceFinish = calculateOperationSurfaceFinish(params);
+    const taylorParameters = getTaylorParameters(params, toolLife);
+    const taylorConstant = taylorParameters.C;
+    const mrrPerPower = calculateMRRPerPower(mrr, powerRequired);
+    const operationMode = getOperationMode(params);
+    const drilling = operationMode === 'drilling' ? calculateDrillingModel(params, toolLife) : null;
+    const threading = isThreadingOperation(operationMode) ? calculateThreadingModel(params, toolLife) : null;
+    const faceMilling = operationMode === 'faceMilling' ? calculateFaceMillingModel(params, toolLife) : null;
+    const turning = operationMode === 'turning' ? calculateTurningModel(params, toolLife) : null;
+    const profileMilling = isProfileMillingTool(params) ? calculateProfileMillingModel(params) : null;
+    const stiffness = calculateToolStiffnessModel(params, cuttingForce);
+    const millingFinish = hasMillingFinishModel(params) ? calculateMillingFinishModel(params, stiffness) : null;
+    const tapping = operationMode === 'tapping';
+    
+    const costResults = calculateCostPerPart({
+        ...params,
+        toolLife
+    });
+    
+    // Calculate OEE
+    const oeeResults = calculateOEE(params, costResults, toolLife);
+    
+    const machineProfile = getMachineProfile(params.machineProfile);
+    const machineChecks = machineProfile ? checkMachineLimits(params, machineProfile, { spindleSpeed, feedRateMM, powerRequired, torque }) : [];
+    
+    const recommendations = getRecommendations(params, costResults);
+    
+    // Display project information if available
+    let projectInfoHtml = '';
+    if (params.clientName || params.projectName || params.partName || params.machineName || params.toolBrand || params.toolNameModel) {
+        projectInfoHtml = `
+            <div class="result-item" style="background: #f0f9ff; border-left-color: #0ea5e9;">
+                <h3>📋 Project Information</h3>
+                ${params.clientName ? `<div class="result-label">Client: <strong>${params.clientName}</strong></div>` : ''}
+                ${params.projectName ? `<div class="result-label">Project: <strong>${params.projectName}</strong></div>` : ''}
+                ${params.partName ? `<div class="result-label">Part/Detail: <strong>${params.partName}</strong></div>` : ''}
+                ${params.machineName ? `<div class="result-label">Machine: <strong>${params.machineName}</strong></div>` : ''}
+                ${params.applicationType ? `<div class="result-label">Application: <strong>${params.applicationType}</strong></div>` : ''}
+                ${params.customerContact ? `<div class="result-label">Contact: <strong>${params.customerContact}</strong></div>` : ''}
+                ${params.expertName ? `<div class="result-label">Our Expert: <strong>${params.expertName}</strong></div>` : ''}
+                ${params.batchSize > 1 ? `<div class="result-label">Batch Size: <strong>${params.batchSize} parts</strong></div>` : ''}
+                ${params.theoreticalPartWorktime ? `<div class="result-label">Theoretical Part Worktime: <strong>${params.theoreticalPartWorktime} min</strong></div>` : ''}
+                ${params.machineWorkhourCost ? `<div class="result-label">Machine Workhour Cost: <strong>${formatCurrency(params.machineWorkhourCost)}/hour</strong></div>` : ''}
+                ${params.machineStopCost ? `<div class="result-label">Machine Stop Cost: <strong>${formatCurrency(params.machineStopCost)}/hour</strong></div>` : ''}
+            </div>
+            ${params.partsPerBatch || params.partsPerYear || params.annualSolutions ? `
+            <div class="result-item" style="background: #f0fdf4; border-left-color: #10b981;">
+                <h3>📊 Production & Cost Parameters</h3>
+                ${params.partsPerBatch ? `<div class="result-label">Parts per Batch: <strong>${params.partsPerBatch}</strong></div>` : ''}
+                ${params.partsPerYear ? `<div class="result-label">Parts per Year: <strong>${params.partsPerYear}</strong></div>` : ''}
+                ${params.annualSolutions ? `<div class="result-label">Annual Solutions: <strong>${params.annualSolutions}</strong></div>` : ''}
+                ${params.machineCostPerHour ? `<div class="result-label">Machine Cost per Hour: <strong>${formatCurrency(params.machineCostPerHour)}/hour</strong></div>` : ''}
+                ${params.costOfToolChange ? `<div class="result-label">Cost of Tool Change: <strong>${formatCurrency(params.costOfToolChange)}</strong></div>` : ''}
+                ${params.timeLossPerToolChange ? `<div class="result-label">Time Loss per Tool Change: <strong>${params.timeLossPerToolChange} min</strong></div>` : ''}
+                ${params.machineStopDowntimeCost ? `<div class="result-label">Machine Stop/Downtime Cost: <strong>${formatCurrency(params.machineStopDowntimeCost)}/hour</strong></div>` : ''}
+            </div>
+            ` : ''}
+            ${params.toolBrand || params.toolNameModel || params.toolProductCode ? `
+            <div class="result-item" style="background: #fef3c7; border-left-color: #f59e0b;">
+                <h3>🔧 Tool Information</h3>
+                ${params.toolBrand ? `<div class="result-label">Brand: <strong>${params.toolBrand.charAt(0).toUpperCase() + params.toolBrand.slice(1)}</strong></div>` : ''}
+                ${params.toolType ? `<div class="result-label">Type: <strong>${params.toolType.replace(/([A-Z])/g, ' $1').trim()}</strong></div>` : ''}
+                ${params.toolNameModel ? `<div class="result-label">Name/Model: <strong>${params.toolNameModel}</strong></div>` : ''}
+                ${params.toolProductCode ? `<div class="result-label">Product Code: <strong>${params.toolProductCode}</strong></div>` : ''}
+                ${params.cuttingFluid && params.cuttingFluid !== 'none' ? `<div class="result-label">Cutting Fluid: <strong>${formatCuttingFluid(params.cuttingFluid)}</strong></div>` : ''}
+                ${params.toolPhoto ? `
+                <div class="result-label" style="margin-top: 10px;">Tool Photo:</div>
+                <img src="${params.toolPhoto}" alt="Tool Photo" class="tool-photo-display" style="max-width: 200px; max-height: 200px; border-radius: 8px; border: 2px solid var(--border-color); margin-top: 5px;">
+                ` : ''}
+                ${params.photoDate ? `
+                <div class="result-label" style="margin-top: 10px;">Photo Date: <strong>${formatDate(params.photoDate)}</strong></div>
+                ` : ''}
+            </div>
+            ` : ''}
+        `;
+    }
+    
+    // Calculate net tool cost for display
+    const netToolCost = params.toolCost - (params.toolRemainingCost || 0);
+    
+    let html = projectInfoHtml + `
+        <div class="result-item cost-analysis-card">
+            <div class="result-header-visual">
+                <span class="result-icon">💰</span>
+                <h3>Cost Analysis</h3>
+            </div>
+            <div class="result-value-card">
+                <div class="result-label">Total Cost per Part</div>
+                <div class="result-value-large">${formatCurrency(costResults.totalCostPerPart)}</div>
+                ${toolComparisons.length > 0 ? `
+                    <div class="result-comparison-badge">
+                        ${(() => {
+                            const bestComparisonCost = Math.min(...toolComparisons.map(t => t.totalCostPerPart));
+                            const vsBest = costResults.totalCostPerPart - bestComparisonCost;
+                            if (costResults.totalCostPerPart === bestComparisonCost) {
+                                return '<span class="best-indicator">🏆 Best in comparison</span>';
+                            } else if (vsBest > 0) {
+                                const percentDiff = ((vsBest / bestComparisonCost) * 100).toFixed(1);
+                                return `<span class="worse-indicator">+${formatCurrency(vsBest)} (${percentDiff}% more than best)</span>`;
+                            }
+                            return '';
+                        })()}
+                    </div>
+                ` : ''}
+            </div>
+            <div class="result-description">
+                <strong>Breakdown:</strong><br>
+                • Tool cost: ${formatCurrency(costResults.toolCostPerPart)}${isInsertTooling(params) ? '' : params.toolRemainingCost > 0 ? ` (Net: ${formatCurrency(params.toolCost)} - ${formatCurrency(params.toolRemainingCost)} = ${formatCurrency(netToolCost)})` : ''}<br>
+                ${costResults.toolChangeCostPerPart > 0 ? `• Tool change cost: ${formatCurrency(costResults.toolChangeCostPerPart)}<br>` : ''}
+                • Machining cost: ${formatCurrency(costResults.machiningCostPerPart)}<br>
+                ${costResults.coolantCostPerPart > 0 ? `• Coolant cost: ${formatCurrency(costResults.coolantCostPerPart)} (${params.coolantConsumption} L/h, ${formatCurrency(params.coolantPrice + params.coolantDisposalCost)}/L incl. disposal)<br>` : ''}
+                ${costResults.processingCostPerPart ? `• Processing (cutting) cost: ${formatCurrency(costResults.processingCostPerPart)}<br>` : ''}
+                ${isInsertTooling(params) ? (() => {
+                    const insertTooling = calculateInsertToolingCost(params);
+                    return `<br><small style="color: var(--text-secondary);">🔩 Indexable inserts: ${formatCurrency(insertTooling.costPerEdge)} per edge,
+                        ${formatCurrency(insertTooling.costPerIndex)} per index (${formatCurrency(insertTooling.insertCostPerIndex)} inserts + ${formatCurrency(insertTooling.bodyCostPerIndex)} body),
+                        index time ${insertTooling.indexTime.toFixed(2)} min</small>`;
+                })() : ''}
+                ${!isInsertTooling(params) && params.toolRemainingCost > 0 ? `<br><small style="color: var(--text-secondary);">💡 Tool Residual Value (C<sub>r</sub>): ${formatCurrency(params.toolRemainingCost)} reduces effective tool cost from ${formatCurrency(params.toolCost)} to ${formatCurrency(netToolCost)}</small>` : ''}
+                ${!isInsertTooling(params) && params.regrindCount > 0 ? (() => {
+                    const lifecycle = calculateEffectiveToolCost(params, toolLife);
+                    return `<br><small style="color: var(--text-secondary);">🔁 Regrind lifecycle: ${formatRegrindLifecycle(params, toolLife)}.
+                        Tool life per regrind: ${lifecycle.cycles.map(cycle => `${cycle.toolLife.toFixed(0)}`).join(' → ')} min${lifecycle.finalDiameter ? `, final diameter ${formatQuantity(lifecycle.finalDiameter, 'length')} cutting at V<sub>c</sub> ${formatInputQuantity(lifecycle.finalCuttingSpeed, 'cuttingSpeed')} at the same spindle speed` : ''}</small>`;
+                })() : ''}
+            </div>
+            ${params.batchSize > 1 ? `
+                <div class="result-label" style="margin-top: 15px;">Total Batch Cost (${params.batchSize} parts)</div>
+                <div class="result-value">${formatCurrency(costResults.totalBatchCost)}</div>
+                <div class="result-description">
+                    Tool cost for batch: ${formatCurrency(costResults.totalToolCostForBatch)} | 
+                    Machining cost for batch: ${formatCurrency(costResults.totalMachiningCostForBatch)}
+                </div>
+            ` : ''}
+        </div>
+        
+        <div class="result-item">
+            <h3>⏱️ Tool Life</h3>
+            <div class="result-label">Estimated Tool Life</div>
+            <div class="result-value">${toolLife} minutes</div>
+            <div class="result-description">
+                Based on ISO 8688-2 principles. Tool will produce approximately ${costResults.partsPerToolLife} parts before replacement.
+                ${drilling && drilling.holesPerToolLife !== null ? `<br>Drilled per tool life: ${drilling.holesPerToolLife} holes (${formatQuantity(drilling.metersPerToolLife, 'cutLength')})` : ''}
+                ${threading && threading.threadsPerToolLife !== null ? `<br>Threads per tool life: ${threading.threadsPerToolLife} × ${threading.thread.designation}` : ''}
+                ${turning && turning.partsPerToolLife !== null ? `<br>Turned per tool life: ${turning.partsPerToolLife} parts (${turning.cuttingTimePerPart.toFixed(2)} min cutting per part)` : ''}
+                ${faceMilling && faceMilling.passesPerToolLife !== null && faceMilling.faceLength > 0 ? `<br>Face milled per tool life: ${faceMilling.passesPerToolLife} passes (${formatQuantity(faceMilling.metersPerToolLife, 'cutLength')})` : ''}
+                ${costResults.toolChangesPerToolLife > 0 ? `<br>Expected tool changes during tool life: ${costResults.toolChangesPerToolLife}` : ''}
+                ${!params.toolLife ? `<br>Cutting fluid factor (${formatCuttingFluid(params.cuttingFluid)}): ×${getCoolantLifeFactor(params).toFixed(2)} vs dry` : ''}
+            </div>
+        </div>
+        
+        <div class="result-item">
+            <h3>⚙️ Machining Parameters</h3>
+            <div class="result-label">Spindle Speed, n</div>
+            <div class="result-value">${formatNumber(spindleSpeed, 'RPM')}</div>
+            <div class="result-description">${profileMilling ? 'n = (V<sub>c</sub> × 1000) / (π × D<sub>e</sub>) at the effective diameter' : `n = (V<sub>c</sub> × 1000) / (π × D)${turning ? ' at the workpiece diameter' : ''}`}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Feed Rate, V<sub>f</sub></div>
+            <div class="result-value">${formatQuantity(feedRateMM, 'feedRate')}</div>
+            <div class="result-description">${tapping ? 'V<sub>f</sub> = n × P, synchronised with the spindle' : turning ? 'V<sub>f</sub> = f × n' : 'V<sub>f</sub> = f<sub>z</sub> × Z × n'}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Feed per Revolution, f</div>
+            <div class="result-value">${formatQuantity(feedPerRev, 'feedPerRev')}</div>
+            <div class="result-description">${tapping ? 'f = P (thread pitch)' : turning ? 'Single cutting edge' : 'f = f<sub>z</sub> × Z'}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Material Removal Rate, Q</div>
+            <div class="result-value">${formatQuantity(mrr, 'mrr')}</div>
+            <div class="result-description">${drilling ? 'Q = π × D² / 4 × V<sub>f</sub>' : threading ? 'Q = thread groove volume / cutting time' : turning ? 'Q = V<sub>c</sub> × a<sub>p</sub> × f × 1000' : 'Q = a<sub>e</sub> × a<sub>p</sub> × V<sub>f</sub>'}</div>
+        </div>
+        
+        <div class="result-item">
+            <h3>🔬 Cutting Forces & Power</h3>
+            <div class="result-label">Specific Cutting Force, k<sub>c</sub></div>
+            <div class="result-value">${formatQuantity(specificCuttingForce, 'specificForce')}</div>
+            <div class="result-description">k<sub>c</sub> = k<sub>c1.1</sub> × h<sub>m</sub><sup>-m<sub>c</sub></sup>, corrected for rake angle and hardness</div>
+            
+            ${drilling ? `
+            <div class="result-label" style="margin-top: 15px;">Thrust Force, F<sub>f</sub></div>
+            <div class="result-value">${formatQuantity(drilling.thrustForce, 'force')}</div>
+            <div class="result-description">F<sub>f</sub> ≈ 0.5 × k<sub>c</sub> × D/2 × f × sin κ<sub>r</sub> (κ<sub>r</sub> = ${(drilling.pointAngle / 2).toFixed(0)}°)</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Peripheral Cutting Force, F<sub>c</sub></div>
+            <div class="result-value">${formatQuantity(cuttingForce, 'force')}</div>
+            <div class="result-description">F<sub>c</sub> = k<sub>c</sub> × f × D / 4 - the force at the drill margin that gives the drilling torque</div>
+            ` : tapping ? `
+            <div class="result-label" style="margin-top: 15px;">Peripheral Cutting Force, F<sub>c</sub></div>
+            <div class="result-value">${formatQuantity(cuttingForce, 'force')}</div>
+            <div class="result-description">F<sub>c</sub> = 2000 × M<sub>c</sub> / D - the force at the tap diameter that gives the tapping torque</div>
+            ` : turning ? `
+            <div class="result-label" style="margin-top: 15px;">Cutting Force, F<sub>c</sub></div>
+            <div class="result-value">${formatQuantity(cuttingForce, 'force')}</div>
+            <div class="result-description">F<sub>c</sub> = k<sub>c</sub> × a<sub>p</sub> × f, with k<sub>c</sub> at h = f × sin κ<sub>r</sub></div>
+            
+            <div class="result-label" style="margin-top: 15px;">Feed / Passive Force, F<sub>f</sub> / F<sub>p</sub></div>
+            <div class="result-value">${formatQuantity(turning.feedForce, 'force')} / ${formatQuantity(turning.passiveForce, 'force')}</div>
+            <div class="result-description">${TURNING_THRUST_RATIO} × F<sub>c</sub> normal to the edge, split by the ${turning.leadAngle}° lead angle (sin / cos κ<sub>r</sub>)</div>
+            ` : `
+            <div class="result-label" style="margin-top: 15px;">Cutting Force, F<sub>c</sub></div>
+            <div class="result-value">${formatQuantity(cuttingForce, 'force')}</div>
+            <div class="result-description">F<sub>c</sub> = k<sub>c</sub> × a<sub>p</sub> × h<sub>m</sub> × z<sub>c</sub> (${forceModel.teethInCut.toFixed(2)} teeth in cut)</div>
+            `}
+            
+            <div class="result-label" style="margin-top: 15px;">Power Requirement, P</div>
+            <div class="result-value">${formatQuantity(powerRequired, 'power')}</div>
+            <div class="result-description">P = F<sub>c</sub> × V<sub>c</sub> / 60000</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Torque, M</div>
+            <div class="result-value">${formatQuantity(torque, 'torque')}</div>
+            <div class="result-description">${drilling ? 'M<sub>c</sub> = k<sub>c</sub> × f × D² / 8000'
+                : tapping ? `M<sub>c</sub> = k<sub>c</sub> × P² × D / 8000${threading.thread.tapKind === 'forming' ? ` × ${FORMING_TAP_TORQUE_FACTOR} for forming` : ''}`
+                : turning ? 'M = F<sub>c</sub> × D / 2000 on the workpiece'
+                : 'M = P × 9550 / n'}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">MRR per Power</div>
+            <div class="result-value">${formatQuantity(mrrPerPower, 'mrrPerPower')}</div>
+            <div class="result-description">Efficiency metric: Q / P</div>
+        </div>
+        
+        ${drilling ? `
+        <div class="result-item">
+            <h3>🕳️ Drilling Cycle</h3>
+            <div class="result-label">Hole Depth, L</div>
+            <div class="result-value">${formatQuantity(drilling.holeDepth, 'length')} (${drilling.depthRatio.toFixed(1)} × D)</div>
+            <div class="result-description">${drilling.pointAngle}° point adds ${formatQuantity(drilling.pointLength, 'length')} of feed travel, ${drilling.holesPerPart} hole${drilling.holesPerPart === 1 ? '' : 's'} per part</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Cutting Time per Hole</div>
+            <div class="result-value">${(drilling.cuttingTimePerHole * 60).toFixed(1)} s</div>
+            <div class="result-description">t<sub>c</sub> = (L + D / (2 × tan κ<sub>r</sub>)) / V<sub>f</sub></div>
+            
+            <div class="result-label" style="margin-top: 15px;">Cycle Time per Hole</div>
+            <div class="result-value">${(drilling.cycleTimePerHole * 60).toFixed(1)} s</div>
+            <div class="result-description">${drilling.pecks > 1
+                ? `${drilling.pecks} pecks of ${formatQuantity(drilling.peckDepth, 'length')}, ${(drilling.retractTimePerHole * 60).toFixed(1)} s of rapid retracts`
+                : `Single pass, ${(drilling.retractTimePerHole * 60).toFixed(1)} s rapid retract`}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Drilling Time per Part</div>
+            <div class="result-value">${drilling.cycleTimePerPart.toFixed(2)} min</div>
+            <div class="result-description">${drilling.cuttingTimePerPart.toFixed(2)} min cutting + ${(drilling.cycleTimePerPart - drilling.cuttingTimePerPart).toFixed(2)} min retracts</div>
+            <button type="button" class="btn-outline" id="applyOperationCycleTime" style="width: auto; margin: 8px 0 0; padding: 6px 14px;">Use as Processing Time</button>
+            
+            ${drilling.holesPerToolLife !== null ? `
+            <div class="result-label" style="margin-top: 15px;">Tool Life in Holes</div>
+            <div class="result-value">${drilling.holesPerToolLife} holes</div>
+            <div class="result-description">${formatQuantity(drilling.metersPerToolLife, 'cutLength')} drilled in ${toolLife} min of cutting</div>
+            ` : ''}
+        </div>
+        ` : ''}
+        
+        ${threading ? renderThreadingHtml(params, threading, toolLife) : ''}
+        
+        ${faceMilling ? renderFaceMillingHtml(params, faceMilling, toolLife) : ''}
+        
+        ${turning ? renderTurningHtml(params, turning, toolLife) : ''}
+        
+        ${profileMilling ? renderProfileMillingHtml(params, profileMilling) : ''}
+        
+        ${millingFinish ? renderMillingFinishHtml(params, millingFinish) : ''}
+        
+        ${stiffness ? renderToolStiffnessHtml(params, stiffness) : ''}
+        
+        ${machineProfile ? renderMachineLimitsHtml(machineProfile, machineChecks) : ''}
+        
+        <div class="result-item">
+            <h3>📏 Chip Geometry & Surface Quality</h3>
+            <div class="result-label">${drilling || tapping || turning ? 'Chip Thickness, h' : 'Mean Chip Thickness, h<sub>m</sub>'}</div>
+            <div class="result-value">${formatQuantity(chipThickness, 'length')}</div>
+            <div class="result-description">${drilling ? 'h = f<sub>z</sub> × sin κ<sub>r</sub> on each main cutting edge'
+                : tapping ? `Thread depth shared by the ${TAP_CHAMFER_THREADS} chamfer threads of each flute`
+                : turning ? `h = f × sin κ<sub>r</sub> on a ${formatQuantity(turning.chipWidth, 'length')} wide chip`
+                : faceMilling ? `Average over the ${forceModel.engagementAngle.toFixed(1)}° engagement arc, × sin κ<sub>r</sub> for the ${faceMilling.enteringAngle.toFixed(0)}° entering angle`
+                : `Average over the ${forceModel.engagementAngle.toFixed(1)}° engagement arc (a<sub>e</sub>/D)`}</div>
+            
+            ${drilling || threading ? '' : `
+            <div class="result-label" style="margin-top: 15px;">Surface Roughness, R<sub>a</sub></div>
+            <div class="result-value">${formatQuantity(surfaceFinish, 'roughness')}</div>
+            <div class="result-description">${faceMilling ? (faceMilling.wiperEffective ? 'Floor finish with the wiper flat' : 'Floor finish from the insert corner radius')
+                : turning ? `R<sub>a</sub> ≈ f² / (32 × r<sub>ε</sub>), theoretical R<sub>z</sub> = f² / (8 × r<sub>ε</sub>) = ${formatQuantity(turning.profileDepth, 'roughness')}`
+                : millingFinish ? `${millingFinish.surface === 'floor' ? 'Floor' : 'Side wall'} finish, R<sub>z</sub> = ${formatQuantity(millingFinish.surface === 'floor' ? millingFinish.floorRz : millingFinish.wallRz, 'roughness')}`
+                : profileMilling ? `R<sub>a</sub> ≈ R<sub>z</sub> / 4 from the ${profileMilling.scallopHeight >= profileMilling.feedScallopHeight ? 'stepover scallop' : 'feed marks'}, R<sub>z</sub> = ${formatQuantity(profileMilling.profileDepth, 'roughness')}`
+                : 'Estimated arithmetic average roughness'}</div>
+            `}
+            
+            ${params.helixAngle ? `
+            <div class="result-label" style="margin-top: 15px;">Helix Angle, β</div>
+            <div class="result-value">${params.helixAngle}°</div>
+            ` : ''}
+            
+            ${params.rakeAngle ? `
+            <div class="result-label" style="margin-top: 15px;">Rake Angle, γ</div>
+            <div class="result-value">${params.rakeAngle}°</div>
+            ` : ''}
+        </div>
+        
+        <div class="result-item">
+            <h3>📐 Taylor's Tool Life Equation</h3>
+            <div class="result-label">Tool Life Constant, C</div>
+            <div class="result-value">${formatNumber(taylorConstant, '')}</div>
+            <div class="result-description">${taylorParameters.isCalibrated ? 'V<sub>c</sub> × T<sup>n</sup> × f<sub>z</sub><sup>a</sup> × a<sub>p</sub><sup>b</sup> = C' : 'V<sub>c</sub> × T<sup>n</sup> = C (n ≈ 0.2)'}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Taylor Exponent, n</div>
+            <div class="result-value">${formatNumber(taylorParameters.n, '')}</div>
+            <div class="result-description">${taylorParameters.isCalibrated
+                ? `Fitted from ${taylorParameters.fit.pointCount} shop-floor observations (R² = ${taylorParameters.fit.rSquared.toFixed(3)})`
+                : 'Standard value for end milling (ISO 8688-2)'}</div>
+            ${taylorParameters.isCalibrated ? `
+            <div class="result-label" style="margin-top: 15px;">Feed / Depth Exponents, a / b</div>
+            <div class="result-value">${formatNumber(taylorParameters.fit.feedExponent, '')} / ${formatNumber(taylorParameters.fit.depthExponent, '')}</div>
+            ` : ''}
+        </div>
+        
+        <div class="result-item">
+            <h3>📊 Efficiency Metrics</h3>
+            <div class="result-label">Cost Efficiency Score</div>
+            <div>
+                <span class="metric-badge ${getBadgeClass(costResults.totalCostPerPart, {excellent: 1, good: 3, fair: 5})}">
+                    ${costResults.totalCostPerPart < 1 ? 'Excellent' : costResults.totalCostPerPart < 3 ? 'Good' : costResults.totalCostPerPart < 5 ? 'Fair' : 'Needs Improvement'}
+                </span>
+            </div>
+            <div class="result-label" style="margin-top: 15px;">Tool Life Score</div>
+            <div>
+                <span class="metric-badge ${getBadgeClass(toolLife, {excellent: 120, good: 60, fair: 30})}">
+                    ${toolLife >= 120 ? 'Excellent' : toolLife >= 60 ? 'Good' : toolLife >= 30 ? 'Fair' : 'Poor'}
+                </span>
+            </div>
+        </div>
+        
+        <div class="result-item" style="background: #f0f9ff; border-left-color: #3b82f6;">
+            <h3>📈 OEE Analysis (Overall Equipment Effectiveness)</h3>
+            <div class="result-label">Overall OEE</div>
+            <div class="result-value" style="font-size: 2em; color: ${oeeResults.oee >= 85 ? '#10b981' : oeeResults.oee >= 60 ? '#f59e0b' : '#ef4444'};">
+                ${oeeResults.oee.toFixed(1)}%
+            </div>
+            <div class="result-description">
+                OEE = Availability × Performance × Quality
+            </div>
+            
+            <div style="margin-top: 20px; display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
+                <div style="background: white; padding: 15px; border-radius: 8px; border: 1px solid #e2e8f0;">
+                    <div class="result-label" style="font-size: 0.9em; color: #64748b;">Availability</div>
+                    <div class="result-value" style="font-size: 1.5em; color: ${oeeResults.availability >= 90 ? '#10b981' : oeeResults.availability >= 80 ? '#f59e0b' : '#ef4444'};">
+                        ${oeeResults.availability.toFixed(1)}%
+                    </div>
+                    <div style="font-size: 0.85em; color: #64748b; margin-top: 5px;">
+                        Loss: ${oeeResults.availabilityLoss.toFixed(1)}%
+                    </div>
                 </div>
                 
                 <div style="background: white; padding: 15px; border-radius: 8px; border: 1px solid #e2e8f0;">
@@ -757,375 +3797,1888 @@ async function displayResults(params, results) {
                 </div>
             </div>
             
-            <div style="margin-top: 20px; padding: 15px; background: white; border-radius: 8px; border: 1px solid #e2e8f0;">
-                <h4 style="margin-top: 0; color: #1e293b; font-size: 1.1em;">🔍 OEE Impact Factors</h4>
-                
-                <div style="margin-top: 15px;">
-                    <strong style="color: #64748b;">Tool Change Impact:</strong>
-                    <ul style="margin: 8px 0; padding-left: 20px; color: #475569;">
-                        <li>Downtime per part: ${oeeResults.toolChangeImpact.downtime.toFixed(3)} hours (${(oeeResults.toolChangeImpact.downtime * 60).toFixed(2)} min)</li>
-                        <li>Tool changes per part: ${(oeeResults.toolChangeImpact.frequency * 100).toFixed(2)}%</li>
-                        <li>Cost impact: ${formatCurrency(oeeResults.toolChangeImpact.cost)} per part</li>
-                        <li>Parts per tool life: ${oeeResults.partsPerToolLife}</li>
-                        <li>Tool changes per tool life: ${oeeResults.toolChangesPerToolLife}</li>
-                    </ul>
-                </div>
-                
-                <div style="margin-top: 15px;">
-                    <strong style="color: #64748b;">Speed Impact:</strong>
-                    <ul style="margin: 8px 0; padding-left: 20px; color: #475569;">
-                        <li>Cutting speed: ${params.cuttingSpeed} m/min</li>
-                        ${oeeResults.speedImpact.toolLifeReduction > 0 ? `<li>Tool life reduction: ${(oeeResults.speedImpact.toolLifeReduction * 100).toFixed(1)}% (higher speed reduces tool life)</li>` : ''}
-                        ${oeeResults.speedImpact.performanceGain > 0 ? `<li>Performance gain: ${(oeeResults.speedImpact.performanceGain * 100).toFixed(1)}% (higher speed improves throughput)</li>` : ''}
-                    </ul>
-                </div>
-                
-                <div style="margin-top: 15px;">
-                    <strong style="color: #64748b;">Tool Life Impact:</strong>
-                    <ul style="margin: 8px 0; padding-left: 20px; color: #475569;">
-                        <li>Tool life: ${toolLife} minutes</li>
-                        <li>Downtime from tool changes: ${(oeeResults.toolLifeImpact.downtime * 60).toFixed(2)} min per tool life</li>
-                        <li>Cost from tool changes: ${formatCurrency(oeeResults.toolLifeImpact.cost)} per part</li>
-                        ${toolLife < 60 ? `<li style="color: #ef4444;">⚠️ Short tool life increases downtime and reduces availability</li>` : ''}
-                    </ul>
-                </div>
-                
-                <div style="margin-top: 15px;">
-                    <strong style="color: #64748b;">Machine Stop Impact:</strong>
-                    <ul style="margin: 8px 0; padding-left: 20px; color: #475569;">
-                        <li>Downtime per part: ${oeeResults.downtimePerPart.toFixed(2)} min</li>
-                        <li>Ideal cycle time: ${oeeResults.idealCycleTime.toFixed(2)} min</li>
-                        <li>Actual cycle time: ${oeeResults.actualCycleTime.toFixed(2)} min</li>
-                        ${params.unplannedDowntime > 0 ? `<li>Unplanned downtime: ${params.unplannedDowntime} hours/shift</li>` : ''}
-                    </ul>
-                </div>
-                
-                <div style="margin-top: 15px;">
-                    <strong style="color: #64748b;">Defects Rate Impact:</strong>
-                    <ul style="margin: 8px 0; padding-left: 20px; color: #475569;">
-                        <li>Defects rate: ${params.defectsRate || 2}%</li>
-                        <li>Quality loss: ${oeeResults.qualityLoss.toFixed(1)}%</li>
-                        ${(params.defectsRate || 2) > 5 ? `<li style="color: #ef4444;">⚠️ High defects rate significantly reduces OEE quality component</li>` : ''}
-                    </ul>
-                </div>
+            <div style="margin-top: 20px; padding: 15px; background: white; border-radius: 8px; border: 1px solid #e2e8f0;">
+                <h4 style="margin-top: 0; color: #1e293b; font-size: 1.1em;">🔍 OEE Impact Factors</h4>
+                
+                <div style="margin-top: 15px;">
+                    <strong style="color: #64748b;">Tool Change Impact:</strong>
+                    <ul style="margin: 8px 0; padding-left: 20px; color: #475569;">
+                        <li>Downtime per part: ${oeeResults.toolChangeImpact.downtime.toFixed(3)} hours (${(oeeResults.toolChangeImpact.downtime * 60).toFixed(2)} min)</li>
+                        <li>Tool changes per part: ${(oeeResults.toolChangeImpact.frequency * 100).toFixed(2)}%</li>
+                        <li>Cost impact: ${formatCurrency(oeeResults.toolChangeImpact.cost)} per part</li>
+                        <li>Parts per tool life: ${oeeResults.partsPerToolLife}</li>
+                        <li>Tool changes per tool life: ${oeeResults.toolChangesPerToolLife}</li>
+                    </ul>
+                </div>
+                
+                <div style="margin-top: 15px;">
+                    <strong style="color: #64748b;">Speed Impact:</strong>
+                    <ul style="margin: 8px 0; padding-left: 20px; color: #475569;">
+                        <li>Cutting speed: ${formatInputQuantity(params.cuttingSpeed, 'cuttingSpeed')}</li>
+                        ${oeeResults.speedImpact.toolLifeReduction > 0 ? `<li>Tool life reduction: ${(oeeResults.speedImpact.toolLifeReduction * 100).toFixed(1)}% (higher speed reduces tool life)</li>` : ''}
+                        ${oeeResults.speedImpact.performanceGain > 0 ? `<li>Performance gain: ${(oeeResults.speedImpact.performanceGain * 100).toFixed(1)}% (higher speed improves throughput)</li>` : ''}
+                    </ul>
+                </div>
+                
+                <div style="margin-top: 15px;">
+                    <strong style="color: #64748b;">Tool Life Impact:</strong>
+                    <ul style="margin: 8px 0; padding-left: 20px; color: #475569;">
+                        <li>Tool life: ${toolLife} minutes</li>
+                        <li>Downtime from tool changes: ${(oeeResults.toolLifeImpact.downtime * 60).toFixed(2)} min per tool life</li>
+                        <li>Cost from tool changes: ${formatCurrency(oeeResults.toolLifeImpact.cost)} per part</li>
+                        ${toolLife < 60 ? `<li style="color: #ef4444;">⚠️ Short tool life increases downtime and reduces availability</li>` : ''}
+                    </ul>
+                </div>
+                
+                <div style="margin-top: 15px;">
+                    <strong style="color: #64748b;">Machine Stop Impact:</strong>
+                    <ul style="margin: 8px 0; padding-left: 20px; color: #475569;">
+                        <li>Downtime per part: ${oeeResults.downtimePerPart.toFixed(2)} min</li>
+                        <li>Ideal cycle time: ${oeeResults.idealCycleTime.toFixed(2)} min</li>
+                        <li>Actual cycle time: ${oeeResults.actualCycleTime.toFixed(2)} min</li>
+                        ${params.unplannedDowntime > 0 ? `<li>Unplanned downtime: ${params.unplannedDowntime} hours/shift</li>` : ''}
+                    </ul>
+                </div>
+                
+                <div style="margin-top: 15px;">
+                    <strong style="color: #64748b;">Defects Rate Impact:</strong>
+                    <ul style="margin: 8px 0; padding-left: 20px; color: #475569;">
+                        <li>Defects rate: ${params.defectsRate || 2}%</li>
+                        <li>Quality loss: ${oeeResults.qualityLoss.toFixed(1)}%</li>
+                        ${(params.defectsRate || 2) > 5 ? `<li style="color: #ef4444;">⚠️ High defects rate significantly reduces OEE quality component</li>` : ''}
+                    </ul>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    resultsContainer.innerHTML = html;
+    
+    if (drilling || threading || turning || (faceMilling && faceMilling.faceLength > 0)) {
+        document.getElementById('applyOperationCycleTime').addEventListener('click', () => applyOperationCycleTime(params, (drilling || threading || faceMilling || turning).cycleTimePerPart));
+    }
+    
+    // Display technical specifications
+    displayTechnicalSpecs(params, {
+        spindleSpeed,
+        feedRateMM,
+        feedPerRev,
+        mrr,
+        forceModel,
+        cuttingForce,
+        powerRequired,
+        torque,
+        surfaceFinish,
+        toolLife,
+        taylorConstant
+    });
+    
+    // Display engineering formulas
+    displayEngineeringFormulas();
+    
+    // Display tool life visualization
+    displayToolLifeChart(params, toolLife, costResults);
+    
+    // Display cost savings chart
+    displayCostSavingsChart(params, costResults);
+    
+    // Display economic cutting speed optimizer
+    displaySpeedOptimizer(params, toolLife);
+    displayCostSensitivity(params, toolLife);
+    displayUncertaintySimulation(params, toolLife);
+    
+    // Display recommendations
+    if (recommendations.length > 0) {
+        const recommendationsContainer = document.getElementById('recommendations');
+        const recommendationsContent = document.getElementById('recommendationsContent');
+        
+        let recHtml = '';
+        recommendations.forEach(rec => {
+            recHtml += `<div class="recommendation-item">${rec.message}</div>`;
+        });
+        
+        recommendationsContent.innerHTML = recHtml;
+        recommendationsContainer.style.display = 'block';
+    } else {
+        document.getElementById('recommendations').style.display = 'none';
+    }
+}
+
+// Write a drilling, threading, face milling or turning cycle into the form - retracts, reversing and rapid returns run
+// inside the cycle, so they count as processing time
+function applyOperationCycleTime(params, cycleTimePerPart) {
+    document.getElementById('processingTime').value = cycleTimePerPart.toFixed(2);
+    if (params.machiningTime !== null && params.machiningTime !== undefined) {
+        document.getElementById('machiningTime').value = (params.machiningTime - params.processingTime + cycleTimePerPart).toFixed(2);
+    }
+    scheduleAutosave();
+    refreshResultsAfterModelChange();
+}
+
+// Threading block for the results panel - thread data, feed, cycle and cost per thread, and the standard's size table
+function renderThreadingHtml(params, threading, toolLife) {
+    const { thread } = threading;
+    const tapping = getOperationMode(params) === 'tapping';
+    const standard = THREAD_STANDARDS[thread.standard];
+    const pitchText = thread.tpi ? `${thread.tpi} TPI (${formatQuantity(thread.pitch, 'length')})` : formatQuantity(thread.pitch, 'length');
+    
+    const sizeRows = standard.sizes.map(size => {
+        const current = size.designation === thread.designation;
+        return `<tr${current ? ' style="font-weight: 600; background: #eff6ff;"' : ''}>
+            <td>${size.designation}</td>
+            <td>${formatQuantity(size.diameter, 'length')}</td>
+            <td>${size.tpi ? `${size.tpi} TPI` : formatQuantity(size.pitch, 'length')}</td>
+            <td>${formatQuantity(getTapDrillDiameter(size), 'length')}</td>
+        </tr>`;
+    }).join('');
+    
+    return `
+        <div class="result-item">
+            <h3>🔩 ${tapping ? 'Tapping' : 'Thread Milling'}</h3>
+            <div class="result-label">Thread</div>
+            <div class="result-value">${thread.designation} ${thread.threadType}</div>
+            <div class="result-description">${thread.standardName}, ${thread.profileAngle}° profile, pitch ${pitchText}${thread.tapered ? ', taper 1:16' : ''}</div>
+            
+            ${thread.threadType === 'internal' ? `
+            <div class="result-label" style="margin-top: 15px;">Tap Drill</div>
+            <div class="result-value">${formatQuantity(thread.tapDrill, 'length')}</div>
+            <div class="result-description">${thread.tapKind === 'forming' && tapping ? 'Forming tap: D - P/2' : thread.tapered || thread.standard === 'bspp' ? 'Tabulated pipe thread drill' : 'D - P'}, thread depth ${formatQuantity(thread.threadDepth, 'length')}</div>
+            ` : `
+            <div class="result-label" style="margin-top: 15px;">Thread Depth</div>
+            <div class="result-value">${formatQuantity(thread.threadDepth, 'length')}</div>
+            <div class="result-description">Basic profile depth of the external thread</div>
+            `}
+            
+            ${tapping ? `
+            <div class="result-label" style="margin-top: 15px;">Tapping Feed, V<sub>f</sub></div>
+            <div class="result-value">${formatQuantity(threading.feedRateMM, 'feedRate')}</div>
+            <div class="result-description">V<sub>f</sub> = n × P at ${formatNumber(threading.spindleSpeed, 'RPM')}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Tapping Torque, M<sub>c</sub></div>
+            <div class="result-value">${formatQuantity(threading.torque, 'torque')}</div>
+            <div class="result-description">${thread.tapKind === 'forming' ? 'Forming tap' : 'Cutting tap'} - size the tapping holder or clutch for this torque</div>
+            ` : `
+            <div class="result-label" style="margin-top: 15px;">Programmed Feed (tool centre)</div>
+            <div class="result-value">${formatQuantity(threading.programmedFeedRate, 'feedRate')}</div>
+            <div class="result-description">V<sub>f,c</sub> = V<sub>f</sub> × (D ${thread.threadType === 'internal' ? '-' : '+'} D<sub>t</sub>) / D, with V<sub>f</sub> = ${formatQuantity(threading.feedRateMM, 'feedRate')} at the cutting edge</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Radial Passes</div>
+            <div class="result-value">${threading.passes}</div>
+            <div class="result-description">${formatQuantity(threading.radialDepthPerPass, 'length')} per pass, ${threading.orbitsPerPass} orbits per pass including the arcs in and out</div>
+            `}
+            
+            <div class="result-label" style="margin-top: 15px;">Cycle Time per Thread</div>
+            <div class="result-value">${(threading.cycleTimePerThread * 60).toFixed(1)} s</div>
+            <div class="result-description">${(threading.cuttingTimePerThread * 60).toFixed(1)} s cutting${tapping ? ' + reversing out' : ' + rapid in and out'}, ${threading.cycleTimePerPart.toFixed(2)} min for ${threading.threadsPerPart} thread${threading.threadsPerPart === 1 ? '' : 's'} per part</div>
+            <button type="button" class="btn-outline" id="applyOperationCycleTime" style="width: auto; margin: 8px 0 0; padding: 6px 14px;">Use as Processing Time</button>
+            
+            ${threading.costPerThread !== null ? `
+            <div class="result-label" style="margin-top: 15px;">Cost per Thread</div>
+            <div class="result-value">${formatCurrency(threading.costPerThread)}</div>
+            <div class="result-description">${threading.threadsPerToolLife} threads per ${toolLife} min tool life, including tool change and machine time</div>
+            ` : ''}
+            
+            <div class="result-label" style="margin-top: 15px;">${standard.name} Sizes</div>
+            <table class="technical-table" style="font-size: 0.85rem; margin-top: 8px;">
+                <thead><tr><th>Size</th><th>D</th><th>Pitch</th><th>Tap Drill</th></tr></thead>
+                <tbody>${sizeRows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Face milling block for the results panel - entering angle, cutter position, entry and exit chips and pass time
+function renderFaceMillingHtml(params, faceMilling, toolLife) {
+    const insertText = params.enteringAngle === 'round'
+        ? `Round inserts iC ${formatQuantity(params.roundInsertDiameter || 12, 'length')}`
+        : `${params.enteringAngle}° entering angle`;
+    
+    return `
+        <div class="result-item">
+            <h3>🔲 Face Milling</h3>
+            <div class="result-label">Entering Angle, κ<sub>r</sub></div>
+            <div class="result-value">${faceMilling.enteringAngle.toFixed(0)}°</div>
+            <div class="result-description">${insertText} - the chip is thinned to ${(faceMilling.enteringFactor * 100).toFixed(0)}% of f<sub>z</sub> (h<sub>ex</sub> = f<sub>z</sub> × sin κ<sub>r</sub>)${params.enteringAngle === 'round' ? ' at this a<sub>p</sub>' : ''}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Cutter Position</div>
+            <div class="result-value">a<sub>e</sub>/D = ${faceMilling.radialRatio.toFixed(2)}</div>
+            <div class="result-description">${faceMilling.cutterOffset === 0 ? 'Centred over the face' : `Axis offset ${formatQuantity(faceMilling.cutterOffset, 'length')} towards the entry side`}, ${faceMilling.engagementAngle.toFixed(0)}° engagement arc from ${faceMilling.entryAngle.toFixed(0)}° to ${faceMilling.exitAngle.toFixed(0)}°, ${faceMilling.teethInCut.toFixed(2)} inserts in cut</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Entry / Exit Chip Thickness</div>
+            <div class="result-value">${formatQuantity(faceMilling.entryChipThickness, 'length')} / ${formatQuantity(faceMilling.exitChipThickness, 'length')}</div>
+            <div class="result-description">${faceMilling.centreOverFace ? 'Axis over the face - the entry impact lands away from the insert tip' : 'Axis outside the face - the insert tip takes the entry impact'}${faceMilling.exitChipThickness > 0.5 * faceMilling.maxChipThickness ? ', thick exit chip' : ', thin exit chip'}. Max h<sub>ex</sub> = ${formatQuantity(faceMilling.maxChipThickness, 'length')}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Surface Roughness, R<sub>a</sub></div>
+            <div class="result-value">${formatQuantity(faceMilling.surfaceFinish, 'roughness')}</div>
+            <div class="result-description">${faceMilling.wiperEffective
+                ? `Wiper flat covers f = ${formatQuantity(faceMilling.feedPerRev, 'feedPerRev')} per revolution`
+                : `R<sub>a</sub> ≈ f<sub>z</sub>² / (32 × r<sub>ε</sub>) with r<sub>ε</sub> = ${formatQuantity(faceMilling.cornerRadius, 'length')}${params.wiperInsert === 'wiper' ? ` - the wiper flat is too short for f = ${formatQuantity(faceMilling.feedPerRev, 'feedPerRev')}` : ''}`}</div>
+            
+            ${faceMilling.faceLength > 0 ? `
+            <div class="result-label" style="margin-top: 15px;">Face Milling Time per Part</div>
+            <div class="result-value">${faceMilling.cycleTimePerPart.toFixed(2)} min</div>
+            <div class="result-description">${faceMilling.passesPerPart} pass${faceMilling.passesPerPart === 1 ? '' : 'es'} of ${formatQuantity(faceMilling.passLength, 'length')} (face length + approach + R to clear the trailing edge), ${(faceMilling.cuttingTimePerPass * 60).toFixed(1)} s each</div>
+            <button type="button" class="btn-outline" id="applyOperationCycleTime" style="width: auto; margin: 8px 0 0; padding: 6px 14px;">Use as Processing Time</button>
+            ` : ''}
+            
+            ${faceMilling.passesPerToolLife !== null && faceMilling.faceLength > 0 ? `
+            <div class="result-label" style="margin-top: 15px;">Tool Life in Passes</div>
+            <div class="result-value">${faceMilling.passesPerToolLife} passes</div>
+            <div class="result-description">${formatQuantity(faceMilling.metersPerToolLife, 'cutLength')} of face milled in ${toolLife} min of cutting</div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Turning block for the results panel - spindle speed control, passes and cycle time per part
+function renderTurningHtml(params, turning, toolLife) {
+    const speedControl = turning.constantSurfaceSpeed
+        ? `Constant surface speed (G96)${turning.maxSpindleSpeed > 0 ? `, limited to ${Math.round(turning.maxSpindleSpeed)} RPM below ${formatQuantity(turning.limitDiameter, 'length')}` : ' without a speed limit'}`
+        : 'Fixed RPM (G97) from the starting diameter - V<sub>c</sub> falls as the diameter shrinks';
+    
+    return `
+        <div class="result-item">
+            <h3>🔄 Turning</h3>
+            <div class="result-label">Spindle Speed at D<sub>w</sub> = ${formatQuantity(turning.workpieceDiameter, 'length')}</div>
+            <div class="result-value">${formatNumber(turning.spindleSpeed, 'RPM')}</div>
+            <div class="result-description">${speedControl}${turning.speedLimited ? `. The limit holds V<sub>c</sub> at ${formatQuantity(turning.effectiveCuttingSpeed, 'cuttingSpeed')}` : ''}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">${turning.facing ? 'Facing' : 'Longitudinal Turning'}</div>
+            <div class="result-value">${turning.passes} pass${turning.passes === 1 ? '' : 'es'} × ${formatQuantity(turning.passDepth, 'length')}</div>
+            <div class="result-description">${turning.facing
+                ? `From ${formatQuantity(turning.workpieceDiameter, 'length')} to ${formatQuantity(Math.min(params.faceInnerDiameter || 0, turning.workpieceDiameter), 'length')}`
+                : `${formatQuantity(params.turningLength || 0, 'length')} long, equal depths down to the finished diameter`}, lead angle κ<sub>r</sub> = ${turning.leadAngle}°, nose radius r<sub>ε</sub> = ${formatQuantity(turning.noseRadius, 'length')}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Turning Time per Part</div>
+            <div class="result-value">${turning.cycleTimePerPart.toFixed(2)} min</div>
+            <div class="result-description">${turning.cuttingTimePerPart.toFixed(2)} min cutting + ${turning.rapidTimePerPart.toFixed(2)} min rapid returns</div>
+            <button type="button" class="btn-outline" id="applyOperationCycleTime" style="width: auto; margin: 8px 0 0; padding: 6px 14px;">Use as Processing Time</button>
+            
+            ${turning.partsPerToolLife !== null ? `
+            <div class="result-label" style="margin-top: 15px;">Parts per Cutting Edge</div>
+            <div class="result-value">${turning.partsPerToolLife} parts</div>
+            <div class="result-description">${toolLife} min of cutting at ${turning.cuttingTimePerPart.toFixed(2)} min per part</div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Effective diameter and scallop block for ball nose and corner radius end mills
+function renderProfileMillingHtml(params, profileMilling) {
+    const geometry = profileMilling.ballNose
+        ? `D<sub>e</sub> = D × sin(β + arccos(1 - 2a<sub>p</sub> / D)) with ${profileMilling.tiltAngle}° tilt`
+        : `D<sub>e</sub> = D - 2r<sub>ε</sub> + 2√(r<sub>ε</sub>² - (r<sub>ε</sub> - a<sub>p</sub>)²) with r<sub>ε</sub> = ${formatQuantity(profileMilling.profileRadius, 'length')}`;
+    
+    return `
+        <div class="result-item">
+            <h3>🔵 ${profileMilling.ballNose ? 'Ball Nose' : 'Corner Radius'} Engagement</h3>
+            <div class="result-label">Effective Cutting Diameter, D<sub>e</sub></div>
+            <div class="result-value">${formatQuantity(profileMilling.effectiveDiameter, 'length')}</div>
+            <div class="result-description">${profileMilling.effectiveDiameter < params.toolDiameter ? geometry : `a<sub>p</sub> reaches the full diameter D = ${formatQuantity(params.toolDiameter, 'length')}`}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Corrected Spindle Speed</div>
+            <div class="result-value">${formatNumber(profileMilling.spindleSpeed, 'RPM')}</div>
+            <div class="result-description">Holds V<sub>c</sub> = ${formatInputQuantity(params.cuttingSpeed, 'cuttingSpeed')} at D<sub>e</sub>. The nominal diameter would give ${formatNumber(profileMilling.nominalSpindleSpeed, 'RPM')} and only ${formatInputQuantity(profileMilling.nominalSpeedCuttingSpeed, 'cuttingSpeed')} at D<sub>e</sub>${profileMilling.ballNose ? `. Lowest V<sub>c</sub> in the cut: ${formatInputQuantity(profileMilling.minimumCuttingSpeed, 'cuttingSpeed')}${profileMilling.centreCutting ? ' near the ball centre' : ''}` : ''}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Scallop Height</div>
+            <div class="result-value">${formatQuantity(profileMilling.scallopHeight * 1000, 'roughness')}</div>
+            <div class="result-description">${profileMilling.scallopHeight > 0
+                ? `h = r - √(r² - (s/2)²) from the ${formatQuantity(params.widthOfCut, 'length')} stepover${profileMilling.ballNose ? '' : ` beyond the ${formatQuantity(params.toolDiameter - 2 * profileMilling.profileRadius, 'length')} flat bottom`}`
+                : `The stepover stays within the ${formatQuantity(params.toolDiameter - 2 * profileMilling.profileRadius, 'length')} flat bottom`}. Feed marks: ${formatQuantity(profileMilling.feedScallopHeight * 1000, 'roughness')}</div>
+        </div>
+    `;
+}
+
+// Side wall and floor finish block for end mills, with the feed per tooth for the target Ra
+function renderMillingFinishHtml(params, millingFinish) {
+    const reported = millingFinish.surface === 'floor' ? millingFinish.floorRa : millingFinish.wallRa;
+    const withinTarget = reported <= millingFinish.targetRoughness;
+    const floorEdge = millingFinish.wiperEffective
+        ? `The ${formatQuantity(millingFinish.wiperLength, 'length')} wiper flat sweeps the ${formatQuantity(millingFinish.feedPerRev, 'feedPerRev')} feed per revolution`
+        : millingFinish.cornerRadius > 0
+            ? `Feed marks of the r<sub>ε</sub> ${formatQuantity(millingFinish.cornerRadius, 'length')} corner`
+            : `Feed marks of the sharp corner and the ${END_MILL_DISH_ANGLE}° dish of the end teeth`;
+    
+    return `
+        <div class="result-item" style="border-left-color: ${withinTarget ? 'var(--secondary-color)' : 'var(--warning-color)'};">
+            <h3>🪞 Side Wall and Floor Finish</h3>
+            <div class="result-label">Side Wall${millingFinish.surface === 'wall' ? ' (reported)' : ''}</div>
+            <div class="result-value">R<sub>a</sub> ${formatQuantity(millingFinish.wallRa, 'roughness')} · R<sub>z</sub> ${formatQuantity(millingFinish.wallRz, 'roughness')}</div>
+            <div class="result-description">${millingFinish.runout > 0
+                ? `${formatQuantity(millingFinish.runout, 'deflection')} TIR - without runout every tooth leaves R<sub>z</sub> = f<sub>z</sub>² / (8 × R) = ${formatQuantity(millingFinish.idealWallRz, 'roughness')}`
+                : 'R<sub>z</sub> = f<sub>z</sub>² / (8 × R) from every tooth without runout'}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Floor${millingFinish.surface === 'floor' ? ' (reported)' : ''}</div>
+            <div class="result-value">R<sub>a</sub> ${formatQuantity(millingFinish.floorRa, 'roughness')} · R<sub>z</sub> ${formatQuantity(millingFinish.floorRz, 'roughness')}</div>
+            <div class="result-description">${floorEdge}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Feed per Tooth for R<sub>a</sub> ${formatQuantity(millingFinish.targetRoughness, 'roughness')}</div>
+            <div class="result-value" style="color: ${withinTarget ? 'var(--secondary-color)' : 'var(--warning-color)'};">${millingFinish.targetFeedRate !== null ? `f<sub>z</sub> ≤ ${formatQuantity(millingFinish.targetFeedRate, 'feedPerTooth')}` : 'Not reachable'}</div>
+            <div class="result-description">${millingFinish.targetFeedRate !== null
+                ? `On the ${millingFinish.surface === 'floor' ? 'floor' : 'side wall'} at the current runout${withinTarget ? '' : ` - the current ${formatInputQuantity(params.feedRate, 'feedPerTooth')} exceeds it`}`
+                : 'Even a fine feed leaves more than the target - reduce the runout or use a wiper flat'}</div>
+            
+            ${millingFinish.axialWaviness !== null ? `
+            <div class="result-label" style="margin-top: 15px;">Wall Waviness Along the Axis</div>
+            <div class="result-value">up to ${formatQuantity(millingFinish.axialWaviness, 'roughness')}</div>
+            <div class="result-description">The chip load varies ${(millingFinish.loadVariation * 100).toFixed(0)}% over a tooth pitch with a ${params.helixAngle || 0}° helix${isFinite(millingFinish.axialPitch) ? ` (axial pitch ${formatQuantity(millingFinish.axialPitch, 'length')})` : ''}, and the deflection with it</div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Static tool deflection block - the stick-out, holder and tolerance check
+function renderToolStiffnessHtml(params, stiffness) {
+    const status = stiffness.exceedsTolerance ? 'exceeded' : stiffness.stickoutRatio > LONG_STICKOUT_RATIO ? 'warning' : 'ok';
+    const statusColors = { ok: 'var(--secondary-color)', warning: 'var(--warning-color)', exceeded: 'var(--danger-color)' };
+    const necked = stiffness.shankDiameter < params.toolDiameter;
+    
+    return `
+        <div class="result-item" style="border-left-color: ${statusColors[status]};">
+            <h3>📐 Tool Deflection</h3>
+            <div class="result-label">Stick-out, L</div>
+            <div class="result-value">${formatQuantity(stiffness.stickout, 'length')} (${stiffness.stickoutRatio.toFixed(1)} × D)</div>
+            <div class="result-description">${formatQuantity(stiffness.fluteLength, 'length')} of flutes (core 0.8 × D)${stiffness.stickout > stiffness.fluteLength ? ` and ${formatQuantity(stiffness.stickout - stiffness.fluteLength, 'length')} of ${necked ? 'neck' : 'shank'} at ${formatQuantity(stiffness.shankDiameter, 'length')}` : ''} · ${stiffness.holder.name}</div>
+            
+            <div class="result-label" style="margin-top: 15px;">Static Deflection, δ</div>
+            <div class="result-value" style="color: ${statusColors[status]};">${formatQuantity(stiffness.deflection, 'deflection')}</div>
+            <div class="result-description">Cantilever δ = F / 3E × ((L³ - L<sub>f</sub>³) / I<sub>s</sub> + L<sub>f</sub>³ / I<sub>f</sub>) under F<sub>c</sub> and ${RADIAL_FORCE_RATIO} × F<sub>c</sub> radial at the tip, E = ${((TOOL_MATERIAL_MODULUS[params.toolMaterial] || TOOL_MATERIAL_MODULUS.carbide) / 1000).toFixed(0)} GPa, × ${stiffness.holder.compliance.toFixed(2)} for the holder</div>
+            
+            ${stiffness.tolerance > 0 ? `
+            <div class="result-label" style="margin-top: 15px;">Tolerance Check</div>
+            <div class="result-value" style="color: ${statusColors[status]};">${(stiffness.deflection / stiffness.tolerance * 100).toFixed(0)}% of ${formatQuantity(stiffness.tolerance, 'deflection')}</div>
+            <div class="result-description">${stiffness.exceedsTolerance
+                ? `Exceeds the tolerance - a stick-out of ${formatQuantity(stiffness.maxStickout, 'length')} or ${(stiffness.forceScale * 100).toFixed(0)}% of the cutting force stays within it`
+                : 'Within the tolerance'}</div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Machine limit checks block for the results panel
+function renderMachineLimitsHtml(profile, checks) {
+    const statusColors = { ok: 'var(--secondary-color)', warning: 'var(--warning-color)', exceeded: 'var(--danger-color)' };
+    const statusIcons = { ok: '✅', warning: '⚠️', exceeded: '⛔' };
+    const worst = checks.some(check => check.status === 'exceeded') ? 'exceeded' : checks.some(check => check.status === 'warning') ? 'warning' : 'ok';
+    
+    const rows = checks.map(check => `
+        <div style="margin-top: 10px;">
+            <div class="result-label">${statusIcons[check.status]} ${check.label}: <strong>${formatMachineLimitValue(check.required, check.quantity)}</strong> of ${formatMachineLimitValue(check.available, check.quantity)} (${(check.utilisation * 100).toFixed(0)}%)</div>
+            <div style="height: 6px; background: var(--border-color); border-radius: 3px; overflow: hidden; margin-top: 4px;">
+                <div style="height: 100%; width: ${Math.min(100, check.utilisation * 100).toFixed(0)}%; background: ${statusColors[check.status]};"></div>
             </div>
+            ${check.suggestion ? `<div class="result-description" style="color: ${statusColors[check.status]};">${check.suggestion}</div>` : ''}
+        </div>
+    `).join('');
+    
+    return `
+        <div class="result-item" style="border-left-color: ${statusColors[worst]};">
+            <h3>🏭 Machine Limits</h3>
+            <div class="result-label">Machine: <strong>${profile.name}</strong>${profile.holderInterface ? ` · ${profile.holderInterface}` : ''}</div>
+            ${rows || '<div class="result-description">The profile has no limits to check</div>'}
+            <div class="result-description" style="margin-top: 10px;">Spindle load includes ${Math.round(SPINDLE_EFFICIENCY * 100)}% drive efficiency; limits are flagged above ${Math.round(MACHINE_LIMIT_WARNING * 100)}%</div>
+        </div>
+    `;
+}
+
+// Display technical specifications
+function displayTechnicalSpecs(params, techData) {
+    const specsContainer = document.getElementById('technicalSpecs');
+    const specsContent = document.getElementById('technicalSpecsContent');
+    
+    let html = `
+        <table class="technical-table">
+            <tr>
+                <th>Parameter</th>
+                <th>Symbol</th>
+                <th>Value</th>
+                <th>Unit</th>
+            </tr>
+            ${params.toolBrand ? `
+            <tr>
+                <td>Tool Brand</td>
+                <td>-</td>
+                <td>${params.toolBrand.charAt(0).toUpperCase() + params.toolBrand.slice(1)}</td>
+                <td>-</td>
+            </tr>
+            ` : ''}
+            ${params.toolType ? `
+            <tr>
+                <td>Tool Type</td>
+                <td>-</td>
+                <td>${params.toolType.replace(/([A-Z])/g, ' $1').trim()}</td>
+                <td>-</td>
+            </tr>
+            ` : ''}
+            ${params.toolNameModel ? `
+            <tr>
+                <td>Tool Model</td>
+                <td>-</td>
+                <td>${params.toolNameModel}</td>
+                <td>-</td>
+            </tr>
+            ` : ''}
+            ${params.toolProductCode ? `
+            <tr>
+                <td>Product Code</td>
+                <td>-</td>
+                <td>${params.toolProductCode}</td>
+                <td>-</td>
+            </tr>
+            ` : ''}
+            ${params.photoDate ? `
+            <tr>
+                <td>Photo Date</td>
+                <td>-</td>
+                <td>${formatDate(params.photoDate)}</td>
+                <td>-</td>
+            </tr>
+            ` : ''}
+            <tr>
+                <td>Tool Diameter</td>
+                <td>D</td>
+                <td>${roundForDisplay(toDisplayUnits(params.toolDiameter, 'length'), 'length')}</td>
+                <td>${unitLabel('length')}</td>
+            </tr>
+            <tr>
+                <td>Number of Teeth</td>
+                <td>Z</td>
+                <td>${params.numberOfTeeth}</td>
+                <td>-</td>
+            </tr>
+            <tr>
+                <td>Cutting Speed</td>
+                <td>V<sub>c</sub></td>
+                <td>${roundForDisplay(toDisplayUnits(params.cuttingSpeed, 'cuttingSpeed'), 'cuttingSpeed')}</td>
+                <td>${unitLabel('cuttingSpeed')}</td>
+            </tr>
+            <tr>
+                <td>Feed per Tooth</td>
+                <td>f<sub>z</sub></td>
+                <td>${roundForDisplay(toDisplayUnits(params.feedRate, 'feedPerTooth'), 'feedPerTooth')}</td>
+                <td>${unitLabel('feedPerTooth')}</td>
+            </tr>
+            <tr>
+                <td>Axial Depth of Cut</td>
+                <td>a<sub>p</sub></td>
+                <td>${roundForDisplay(toDisplayUnits(params.depthOfCut, 'length'), 'length')}</td>
+                <td>${unitLabel('length')}</td>
+            </tr>
+            <tr>
+                <td>Radial Width of Cut</td>
+                <td>a<sub>e</sub></td>
+                <td>${roundForDisplay(toDisplayUnits(params.widthOfCut, 'length'), 'length')}</td>
+                <td>${unitLabel('length')}</td>
+            </tr>
+            <tr>
+                <td>Spindle Speed</td>
+                <td>n</td>
+                <td>${formatNumber(techData.spindleSpeed, '')}</td>
+                <td>RPM</td>
+            </tr>
+            <tr>
+                <td>Feed Rate</td>
+                <td>V<sub>f</sub></td>
+                <td>${formatNumber(toDisplayUnits(techData.feedRateMM, 'feedRate'), '')}</td>
+                <td>${unitLabel('feedRate')}</td>
+            </tr>
+            <tr>
+                <td>Material Removal Rate</td>
+                <td>Q</td>
+                <td>${formatNumber(toDisplayUnits(techData.mrr, 'mrr'), '')}</td>
+                <td>${unitLabel('mrr')}</td>
+            </tr>
+            <tr>
+                <td>Mean Chip Thickness</td>
+                <td>h<sub>m</sub></td>
+                <td>${roundForDisplay(toDisplayUnits(techData.forceModel.chipThickness, 'length'), 'length')}</td>
+                <td>${unitLabel('length')}</td>
+            </tr>
+            <tr>
+                <td>Engagement Angle</td>
+                <td>φ<sub>s</sub></td>
+                <td>${formatNumber(techData.forceModel.engagementAngle, '')}</td>
+                <td>°</td>
+            </tr>
+            <tr>
+                <td>Teeth in Cut</td>
+                <td>z<sub>c</sub></td>
+                <td>${techData.forceModel.teethInCut.toFixed(2)}</td>
+                <td>-</td>
+            </tr>
+            <tr>
+                <td>Specific Cutting Force</td>
+                <td>k<sub>c</sub></td>
+                <td>${formatNumber(toDisplayUnits(techData.forceModel.specificCuttingForce, 'specificForce'), '')}</td>
+                <td>${unitLabel('specificForce')}</td>
+            </tr>
+            <tr>
+                <td>Cutting Force</td>
+                <td>F<sub>c</sub></td>
+                <td>${formatNumber(toDisplayUnits(techData.cuttingForce, 'force'), '')}</td>
+                <td>${unitLabel('force')}</td>
+            </tr>
+            <tr>
+                <td>Power Requirement</td>
+                <td>P</td>
+                <td>${formatNumber(toDisplayUnits(techData.powerRequired, 'power'), '')}</td>
+                <td>${unitLabel('power')}</td>
+            </tr>
+            <tr>
+                <td>Torque</td>
+                <td>M</td>
+                <td>${formatNumber(toDisplayUnits(techData.torque, 'torque'), '')}</td>
+                <td>${unitLabel('torque')}</td>
+            </tr>
+            <tr>
+                <td>Tool Life</td>
+                <td>T</td>
+                <td>${techData.toolLife}</td>
+                <td>min</td>
+            </tr>
+            ${params.cuttingFluid && params.cuttingFluid !== 'none' ? `
+            <tr>
+                <td>Cutting Fluid</td>
+                <td>-</td>
+                <td>${formatCuttingFluid(params.cuttingFluid)}</td>
+                <td>-</td>
+            </tr>
+            ` : ''}
+        </table>
+    `;
+    
+    specsContent.innerHTML = html;
+    specsContainer.style.display = 'block';
+}
+
+// Display engineering formulas
+function displayEngineeringFormulas() {
+    const formulasContainer = document.getElementById('engineeringFormulas');
+    const formulasContent = document.getElementById('engineeringFormulasContent');
+    
+    let html = `
+        ${unitSystem === 'imperial' ? '<p class="formula-desc">Formulas are evaluated in SI units; results are converted to imperial units for display.</p>' : ''}
+        <div class="formula-section">
+            <h4>Spindle Speed</h4>
+            <div class="formula">n = (V<sub>c</sub> × 1000) / (π × D)</div>
+            <div class="formula-desc">Where: n = RPM, V<sub>c</sub> = cutting speed (m/min), D = tool diameter (mm)</div>
+        </div>
+        
+        <div class="formula-section">
+            <h4>Feed Rate</h4>
+            <div class="formula">V<sub>f</sub> = f<sub>z</sub> × Z × n</div>
+            <div class="formula-desc">Where: V<sub>f</sub> = feed rate (mm/min), f<sub>z</sub> = feed per tooth (mm/tooth), Z = number of teeth</div>
+        </div>
+        
+        <div class="formula-section">
+            <h4>Material Removal Rate</h4>
+            <div class="formula">Q = a<sub>e</sub> × a<sub>p</sub> × V<sub>f</sub></div>
+            <div class="formula-desc">Where: Q = MRR (mm³/min), a<sub>e</sub> = radial width (mm), a<sub>p</sub> = axial depth (mm)</div>
+        </div>
+        
+        <div class="formula-section">
+            <h4>Mean Chip Thickness</h4>
+            <div class="formula">φ<sub>s</sub> = arccos(1 - 2 × a<sub>e</sub> / D), h<sub>m</sub> = f<sub>z</sub> × (1 - cos φ<sub>s</sub>) / φ<sub>s</sub></div>
+            <div class="formula-desc">Where: φ<sub>s</sub> = engagement angle (rad), h<sub>m</sub> = mean chip thickness (mm)</div>
+        </div>
+        
+        <div class="formula-section">
+            <h4>Specific Cutting Force (Kienzle)</h4>
+            <div class="formula">k<sub>c</sub> = k<sub>c1.1</sub> × (h<sub>m</sub> × cos β)<sup>-m<sub>c</sub></sup> × (1 - (γ - γ<sub>0</sub>) / 100)</div>
+            <div class="formula-desc">Where: β = helix angle, γ = rake angle, γ<sub>0</sub> = reference rake (6°, 2° for cast iron); also corrected for hardness</div>
+        </div>
+        
+        <div class="formula-section">
+            <h4>Cutting Force</h4>
+            <div class="formula">F<sub>c</sub> = k<sub>c</sub> × a<sub>p</sub> × h<sub>m</sub> × z<sub>c</sub>, z<sub>c</sub> = Z × φ<sub>s</sub> / 2π</div>
+            <div class="formula-desc">Where: F<sub>c</sub> = mean cutting force (N), z<sub>c</sub> = teeth in cut</div>
+        </div>
+        
+        <div class="formula-section">
+            <h4>Power Requirement</h4>
+            <div class="formula">P = F<sub>c</sub> × V<sub>c</sub> / 60000</div>
+            <div class="formula-desc">Where: P = power (kW), F<sub>c</sub> = cutting force (N), V<sub>c</sub> = cutting speed (m/min)</div>
+        </div>
+        
+        <div class="formula-section">
+            <h4>Torque</h4>
+            <div class="formula">M = P × 9550 / n</div>
+            <div class="formula-desc">Where: M = torque (Nm), P = power (kW), n = spindle speed (RPM)</div>
+        </div>
+        
+        <div class="formula-section">
+            <h4>Taylor's Tool Life Equation (ISO 8688-2)</h4>
+            <div class="formula">V<sub>c</sub> × T<sup>n</sup> = C</div>
+            <div class="formula-desc">Where: V<sub>c</sub> = cutting speed (m/min), T = tool life (min), n = Taylor exponent (≈0.2), C = constant</div>
+        </div>
+    `;
+    
+    formulasContent.innerHTML = html;
+    formulasContainer.style.display = 'block';
+}
+
+// Get input values
+function getInputValues() {
+    return {
+        // Client & Project Information
+        clientName: document.getElementById('clientName').value.trim(),
+        projectName: document.getElementById('projectName').value.trim(),
+        customerContact: document.getElementById('customerContact').value.trim(),
+        expertName: document.getElementById('expertName').value.trim(),
+        machineName: document.getElementById('machineName').value.trim(),
+        machineLabelPhoto: currentMachineLabelPhoto,
+        machineProfile: document.getElementById('machineProfile') ? document.getElementById('machineProfile').value : '',
+        partName: document.getElementById('partName').value.trim(),
+        applicationType: document.getElementById('applicationType').value,
+        batchSize: parseInt(document.getElementById('batchSize').value) || 1,
+        theoreticalPartWorktime: document.getElementById('theoreticalPartWorktime').value ? parseFloat(document.getElementById('theoreticalPartWorktime').value) : null,
+        machineWorkhourCost: readMonetaryInput('machineWorkhourCost') || 50,
+        machineStopCost: readMonetaryInput('machineStopCost') || 50,
+        
+        // Production & Cost Parameters
+        partsPerBatch: parseInt(document.getElementById('partsPerBatch').value) || 100,
+        partsPerYear: parseInt(document.getElementById('partsPerYear').value) || 4000,
+        annualSolutions: parseInt(document.getElementById('annualSolutions').value) || 6,
+        trialCost: readMonetaryInput('trialCost') || 0,
+        discountRate: document.getElementById('discountRate').value !== '' ? parseFloat(document.getElementById('discountRate').value) : 8,
+        evaluationYears: parseInt(document.getElementById('evaluationYears').value) || 3,
+        machineCostPerHour: readMonetaryInput('machineCostPerHour') || 50,
+        costOfToolChange: readMonetaryInput('costOfToolChange') || 5,
+        timeLossPerToolChange: parseFloat(document.getElementById('timeLossPerToolChange').value) || 5,
+        machineStopDowntimeCost: readMonetaryInput('machineStopDowntimeCost') || 50,
+        defectsRate: parseFloat(document.getElementById('defectsRate').value) || 2,
+        plannedProductionTime: parseFloat(document.getElementById('plannedProductionTime').value) || 8,
+        unplannedDowntime: parseFloat(document.getElementById('unplannedDowntime').value) || 0.5,
+        
+        // Tool Selection
+        toolBrand: document.getElementById('toolBrand').value,
+        toolType: document.getElementById('toolType').value,
+        toolNameModel: document.getElementById('toolNameModel').value.trim(),
+        toolProductCode: document.getElementById('toolProductCode').value.trim(),
+        toolPhoto: currentToolPhoto,
+        photoDate: currentPhotoDate,
+        
+        // Tool & Material Parameters
+        workpieceMaterial: document.getElementById('workpieceMaterial').value,
+        toolDiameter: readUnitInput('toolDiameter'),
+        toolMaterial: document.getElementById('toolMaterial').value,
+        toolCoating: document.getElementById('toolCoating').value,
+        cuttingFluid: document.getElementById('cuttingFluid').value,
+        cuttingSpeed: readUnitInput('cuttingSpeed'),
+        feedRate: readUnitInput('feedRate'),
+        depthOfCut: readUnitInput('depthOfCut'),
+        widthOfCut: readUnitInput('widthOfCut'),
+        numberOfTeeth: parseInt(document.getElementById('numberOfTeeth').value),
+        helixAngle: document.getElementById('helixAngle') ? parseFloat(document.getElementById('helixAngle').value) : null,
+        rakeAngle: document.getElementById('rakeAngle') ? parseFloat(document.getElementById('rakeAngle').value) : null,
+        materialHardness: document.getElementById('materialHardness') ? parseFloat(document.getElementById('materialHardness').value) : 30,
+        pointAngle: parseFloat(document.getElementById('pointAngle').value) || DEFAULT_POINT_ANGLE,
+        holeDepth: readUnitInput('holeDepth') || 0,
+        holesPerPart: parseInt(document.getElementById('holesPerPart').value) || 1,
+        peckDepth: readUnitInput('peckDepth') || 0,
+        rapidTraverse: readUnitInput('rapidTraverse') || DEFAULT_RAPID_TRAVERSE,
+        threadStandard: document.getElementById('threadStandard').value,
+        threadSize: document.getElementById('threadSize').value,
+        threadLength: readUnitInput('threadLength') || 0,
+        threadsPerPart: parseInt(document.getElementById('threadsPerPart').value) || 1,
+        tapKind: document.getElementById('tapKind').value,
+        threadType: document.getElementById('threadType').value,
+        threadMillProfile: document.getElementById('threadMillProfile').value,
+        threadMillPasses: parseInt(document.getElementById('threadMillPasses').value) || null,
+        enteringAngle: document.getElementById('enteringAngle').value,
+        roundInsertDiameter: readUnitInput('roundInsertDiameter') || 12,
+        insertCornerRadius: readUnitInput('insertCornerRadius') || DEFAULT_CORNER_RADIUS,
+        cutterPosition: document.getElementById('cutterPosition').value,
+        cutterOffset: readUnitInput('cutterOffset') || 0,
+        wiperInsert: document.getElementById('wiperInsert').value,
+        wiperFlatLength: readUnitInput('wiperFlatLength') || 0,
+        faceLength: readUnitInput('faceLength') || 0,
+        facePassesPerPart: parseInt(document.getElementById('facePassesPerPart').value) || 1,
+        turningOperation: document.getElementById('turningOperation').value,
+        workpieceDiameter: readUnitInput('workpieceDiameter') || 0,
+        finalDiameter: readUnitInput('finalDiameter') || 0,
+        turningLength: readUnitInput('turningLength') || 0,
+        faceInnerDiameter: readUnitInput('faceInnerDiameter') || 0,
+        faceStock: readUnitInput('faceStock') || 0,
+        leadAngle: parseFloat(document.getElementById('leadAngle').value) || DEFAULT_LEAD_ANGLE,
+        noseRadius: readUnitInput('noseRadius') || DEFAULT_NOSE_RADIUS,
+        spindleMode: document.getElementById('spindleMode').value,
+        maxSpindleSpeed: parseFloat(document.getElementById('maxSpindleSpeed').value) || 0,
+        toolCornerRadius: readUnitInput('toolCornerRadius') || DEFAULT_TOOL_CORNER_RADIUS,
+        tiltAngle: parseFloat(document.getElementById('tiltAngle').value) || 0,
+        toolStickout: readUnitInput('toolStickout') || 0,
+        fluteLength: readUnitInput('fluteLength') || 0,
+        shankDiameter: readUnitInput('shankDiameter') || 0,
+        toolHolderType: document.getElementById('toolHolderType').value,
+        deflectionTolerance: readUnitInput('deflectionTolerance') || 0,
+        finishSurface: document.getElementById('finishSurface').value,
+        toolRunout: readUnitInput('toolRunout') || 0,
+        endWiperLength: readUnitInput('endWiperLength') || 0,
+        targetSurfaceFinish: readUnitInput('targetSurfaceFinish') || DEFAULT_TARGET_ROUGHNESS,
+        
+        // Cost & Time Parameters
+        toolCost: readMonetaryInput('toolCost'),
+        toolRemainingCost: readMonetaryInput('toolRemainingCost') || 0,
+        regrindCount: parseInt(document.getElementById('regrindCount').value) || 0,
+        regrindCost: readMonetaryInput('regrindCost') || 0,
+        regrindLifeRetention: document.getElementById('regrindLifeRetention').value !== '' ? parseFloat(document.getElementById('regrindLifeRetention').value) : 80,
+        regrindDiameterLoss: readUnitInput('regrindDiameterLoss') || 0,
+        regrindLogisticsTime: parseFloat(document.getElementById('regrindLogisticsTime').value) || 0,
+        insertPrice: readMonetaryInput('insertPrice') || 0,
+        insertEdges: parseInt(document.getElementById('insertEdges').value) || 1,
+        insertsPerCutter: parseInt(document.getElementById('insertsPerCutter').value) || 1,
+        cutterBodyCost: readMonetaryInput('cutterBodyCost') || 0,
+        bodyLifeEdges: parseInt(document.getElementById('bodyLifeEdges').value) || 0,
+        insertIndexTime: parseFloat(document.getElementById('insertIndexTime').value) || 0,
+        processingTime: parseFloat(document.getElementById('processingTime').value),
+        toolChangeCost: readMonetaryInput('toolChangeCost') || 0,
+        toolChangeTime: parseFloat(document.getElementById('toolChangeTime').value) || 0,
+        machiningTime: document.getElementById('machiningTime').value ? parseFloat(document.getElementById('machiningTime').value) : null,
+        machineHourlyRate: readMonetaryInput('machineHourlyRate'),
+        toolLife: document.getElementById('toolLife').value ? parseFloat(document.getElementById('toolLife').value) : null,
+        
+        // Coolant (empty fields use typical values for the selected fluid)
+        ...readCoolantInputs(document.getElementById('cuttingFluid').value)
+    };
+}
+
+// Add tool to comparison
+function addToComparison() {
+    const params = getInputValues();
+    const toolLife = params.toolLife || calculateToolLife(params);
+    const costResults = calculateCostPerPart({ ...params, toolLife });
+    const mrr = calculateMRR(params);
+    
+    // Create descriptive tool name
+    let toolName = `Tool ${toolComparisons.length + 1}`;
+    if (params.toolNameModel) {
+        toolName = params.toolNameModel;
+        if (params.toolBrand) {
+            toolName = `${params.toolBrand.charAt(0).toUpperCase() + params.toolBrand.slice(1)} ${toolName}`;
+        }
+    } else if (params.toolBrand) {
+        toolName = `${params.toolBrand.charAt(0).toUpperCase() + params.toolBrand.slice(1)} ${toolName}`;
+    } else if (params.partName) {
+        toolName = `${params.partName} - ${toolName}`;
+    } else if (params.applicationType) {
+        toolName = `${params.applicationType} - ${toolName}`;
+    }
+    
+    const toolData = {
+        id: Date.now(),
+        name: toolName,
+        ...params,
+        toolLife,
+        ...costResults,
+        mrr,
+        toolPhoto: params.toolPhoto,
+        photoDate: params.photoDate
+    };
+    
+    toolComparisons.push(toolData);
+    updateComparisonTable().catch(error => console.error('Error updating comparison table:', error));
+}
+
+// Display tool life chart
+function displayToolLifeChart(params, toolLife, costResults) {
+    const chartContainer = document.getElementById('toolLifeChart');
+    const chartCanvas = document.getElementById('toolLifeChartCanvas');
+    
+    if (!chartCanvas) return;
+    
+    chartContainer.style.display = 'block';
+    
+    // Destroy existing chart if it exists
+    if (toolLifeChartInstance) {
+        toolLifeChartInstance.destroy();
+    }
+    
+    // Calculate parts produced over time
+    const timePerPart = params.machiningTime !== null && params.machiningTime !== undefined 
+        ? params.machiningTime 
+        : (params.processingTime + (params.toolChangeTime || 0));
+    
+    const partsProduced = Math.floor(toolLife / timePerPart);
+    const timePoints = [];
+    const partsPoints = [];
+    const costPoints = [];
+    
+    // Generate data points
+    for (let i = 0; i <= Math.min(partsProduced, 20); i++) {
+        const time = i * timePerPart;
+        if (time <= toolLife) {
+            timePoints.push(time);
+            partsPoints.push(i);
+            costPoints.push(costResults.totalCostPerPart * i);
+        }
+    }
+    
+    toolLifeChartInstance = new Chart(chartCanvas, {
+        type: 'line',
+        data: {
+            labels: timePoints.map(t => `${t.toFixed(1)} min`),
+            datasets: [{
+                label: 'Parts Produced',
+                data: partsPoints,
+                borderColor: '#2563eb',
+                backgroundColor: 'rgba(37, 99, 235, 0.1)',
+                tension: 0.4,
+                fill: true,
+                yAxisID: 'y'
+            }, {
+                label: `Cumulative Cost (${currencySymbol()})`,
+                data: costPoints,
+                borderColor: '#10b981',
+                backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                tension: 0.4,
+                fill: true,
+                yAxisID: 'y1'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Tool Life vs Parts Produced & Cost Over Time'
+                },
+                legend: {
+                    display: true,
+                    position: 'top'
+                }
+            },
+            scales: {
+                y: {
+                    type: 'linear',
+                    display: true,
+                    position: 'left',
+                    title: {
+                        display: true,
+                        text: 'Parts Produced'
+                    }
+                },
+                y1: {
+                    type: 'linear',
+                    display: true,
+                    position: 'right',
+                    title: {
+                        display: true,
+                        text: `Cumulative Cost (${currencySymbol()})`
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Time (minutes)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Display flank wear curve from the wear test log
+function displayWearCurveChart(session) {
+    const chartContainer = document.getElementById('wearCurveChart');
+    const chartCanvas = document.getElementById('wearCurveChartCanvas');
+    
+    if (!chartCanvas || !window.Chart) return;
+    
+    if (wearCurveChartInstance) {
+        wearCurveChartInstance.destroy();
+        wearCurveChartInstance = null;
+    }
+    
+    if (!session || session.entries.length === 0) {
+        chartContainer.style.display = 'none';
+        return;
+    }
+    
+    chartContainer.style.display = 'block';
+    
+    const entries = [...session.entries].sort((a, b) => a.cuttingTime - b.cuttingTime);
+    const endOfLife = determineWearEndOfLife(entries, session.criteria);
+    const maxTime = Math.max(endOfLife.toolLife, ...entries.map(entry => entry.cuttingTime));
+    
+    const datasets = [{
+        label: `VB Uniform (${unitLabel('wear')})`,
+        data: entries.map(entry => ({ x: entry.cuttingTime, y: toDisplayUnits(entry.vbUniform, 'wear') })),
+        borderColor: '#2563eb',
+        backgroundColor: '#2563eb',
+        showLine: true,
+        tension: 0.2
+    }, {
+        label: `VBmax Localized (${unitLabel('wear')})`,
+        data: entries.map(entry => ({ x: entry.cuttingTime, y: toDisplayUnits(entry.vbLocalized, 'wear') })),
+        borderColor: '#f59e0b',
+        backgroundColor: '#f59e0b',
+        showLine: true,
+        tension: 0.2
+    }, {
+        label: `Limit VB = ${formatInputQuantity(session.criteria.vbAverage, 'wear')}`,
+        data: [{ x: 0, y: toDisplayUnits(session.criteria.vbAverage, 'wear') }, { x: maxTime, y: toDisplayUnits(session.criteria.vbAverage, 'wear') }],
+        borderColor: 'rgba(37, 99, 235, 0.5)',
+        borderDash: [6, 4],
+        pointRadius: 0,
+        showLine: true
+    }, {
+        label: `Limit VBmax = ${formatInputQuantity(session.criteria.vbMax, 'wear')}`,
+        data: [{ x: 0, y: toDisplayUnits(session.criteria.vbMax, 'wear') }, { x: maxTime, y: toDisplayUnits(session.criteria.vbMax, 'wear') }],
+        borderColor: 'rgba(245, 158, 11, 0.5)',
+        borderDash: [6, 4],
+        pointRadius: 0,
+        showLine: true
+    }];
+    
+    const chippedEntries = entries.filter(entry => entry.chipping);
+    if (chippedEntries.length > 0) {
+        datasets.push({
+            label: 'Chipping',
+            data: chippedEntries.map(entry => ({ x: entry.cuttingTime, y: toDisplayUnits(Math.max(entry.vbUniform, entry.vbLocalized), 'wear') })),
+            borderColor: '#ef4444',
+            backgroundColor: '#ef4444',
+            pointStyle: 'crossRot',
+            pointRadius: 8
+        });
+    }
+    
+    if (endOfLife.reached) {
+        datasets.push({
+            label: `End of Life (${endOfLife.toolLife.toFixed(1)} min)`,
+            data: [{ x: endOfLife.toolLife, y: 0 }, { x: endOfLife.toolLife, y: toDisplayUnits(session.criteria.vbMax, 'wear') }],
+            borderColor: '#ef4444',
+            pointRadius: 0,
+            showLine: true
+        });
+    }
+    
+    wearCurveChartInstance = new Chart(chartCanvas, {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Flank Wear vs Cutting Time (ISO 8688-2)'
+                },
+                legend: {
+                    display: true,
+                    position: 'top'
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: `Flank Wear VB (${unitLabel('wear')})`
+                    }
+                },
+                x: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Cutting Time (minutes)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Display economic cutting speed optimizer: cost and time per part versus Vc
+function displaySpeedOptimizer(params, toolLife) {
+    const container = document.getElementById('speedOptimizer');
+    const content = document.getElementById('speedOptimizerContent');
+    const chartCanvas = document.getElementById('speedOptimizerChartCanvas');
+    
+    if (!container || !content) return;
+    
+    const optimization = calculateSpeedOptimization(params, toolLife);
+    const { minCost, maxProduction, current } = optimization;
+    container.style.display = 'block';
+    
+    const pointCard = (title, point, color, action, note) => `
+        <div style="flex: 1; min-width: 170px; padding: 10px; border-left: 4px solid ${color}; background: var(--bg-color); border-radius: 6px;">
+            <div class="result-label"><strong>${title}</strong></div>
+            <div class="result-value" style="font-size: 1.2rem;">${formatInputQuantity(point.cuttingSpeed, 'cuttingSpeed')}</div>
+            <div class="result-description">T = ${point.toolLife.toFixed(1)} min · ${formatCurrency(point.costPerPart)}/part · ${point.timePerPart.toFixed(2)} min/part</div>
+            ${note ? `<div class="result-description" style="color: var(--warning-color);">${note}</div>` : ''}
+            ${action ? `<button type="button" class="btn-outline" data-speed-action="${action}" style="width: 100%; margin: 8px 0 0; padding: 6px; font-size: 0.85rem;">Apply</button>` : ''}
+        </div>
+    `;
+    
+    const rangeLow = Math.min(minCost.cuttingSpeed, maxProduction.cuttingSpeed);
+    const rangeHigh = Math.max(minCost.cuttingSpeed, maxProduction.cuttingSpeed);
+    const inRange = current.cuttingSpeed >= rangeLow * 0.98 && current.cuttingSpeed <= rangeHigh * 1.02;
+    
+    content.innerHTML = `
+        <div style="display: flex; gap: 10px; flex-wrap: wrap; margin-bottom: 12px;">
+            ${pointCard('💰 Minimum Cost', minCost, '#10b981', 'minCost', minCost.limitedByMachine ? 'Limited by machine spindle speed' : minCost.atSearchLimit ? 'Still falling at 10 × the current V<sub>c</sub> - check the tool life model' : '')}
+            ${pointCard('📍 Current', current, inRange ? '#2563eb' : '#f59e0b', null, inRange ? '' : 'Outside the high-efficiency range')}
+            ${pointCard('🚀 Maximum Production', maxProduction, '#ef4444', 'maxProduction',
+                maxProduction.unbounded ? 'Cycle time keeps falling with speed - shown at the top of the chart' : maxProduction.limitedByMachine ? 'Limited by machine spindle speed' : '')}
+        </div>
+        <div class="result-description">
+            High-efficiency range: <strong>${formatInputQuantity(rangeLow, 'cuttingSpeed')} - ${formatInputQuantity(rangeHigh, 'cuttingSpeed')}</strong>
+            (tool life from the ${optimization.isCalibrated ? 'calibrated' : 'default'} tool life model)
+        </div>
+        <div style="display: flex; gap: 10px; align-items: center; flex-wrap: wrap; margin: 10px 0;">
+            <input type="range" id="speedOptimizerSlider" min="${rangeLow}" max="${rangeHigh}" step="${(rangeHigh - rangeLow) / 100 || 1}" value="${minCost.cuttingSpeed}" style="flex: 1; min-width: 150px;">
+            <span id="speedOptimizerSelection" style="font-size: 0.85rem; min-width: 220px;"></span>
+            <button type="button" class="btn-primary" data-speed-action="selected" style="width: auto; margin: 0; padding: 6px 14px;">Apply Selected V<sub>c</sub></button>
+        </div>
+    `;
+    
+    const slider = document.getElementById('speedOptimizerSlider');
+    const updateSelection = () => {
+        const point = optimization.evaluate(parseFloat(slider.value));
+        document.getElementById('speedOptimizerSelection').textContent =
+            `${formatInputQuantity(point.cuttingSpeed, 'cuttingSpeed')}: ${formatCurrency(point.costPerPart)}/part, ${point.timePerPart.toFixed(2)} min/part`;
+    };
+    slider.addEventListener('input', updateSelection);
+    updateSelection();
+    
+    content.querySelectorAll('button[data-speed-action]').forEach(button => {
+        button.addEventListener('click', () => {
+            const speeds = { minCost: minCost.cuttingSpeed, maxProduction: maxProduction.cuttingSpeed, selected: parseFloat(slider.value) };
+            applyOptimizedCuttingData(params, optimization.evaluate(speeds[button.dataset.speedAction]));
+        });
+    });
+    
+    if (!chartCanvas || !window.Chart) return;
+    
+    if (speedOptimizerChartInstance) {
+        speedOptimizerChartInstance.destroy();
+    }
+    
+    const toPoint = (point, field) => ({ x: toDisplayUnits(point.cuttingSpeed, 'cuttingSpeed'), y: point[field] });
+    const marker = (label, point, color) => ({
+        label,
+        data: [toPoint(point, 'costPerPart')],
+        borderColor: color,
+        backgroundColor: color,
+        pointRadius: 7,
+        yAxisID: 'y'
+    });
+    
+    speedOptimizerChartInstance = new Chart(chartCanvas, {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                label: `Cost per Part (${currencySymbol()})`,
+                data: optimization.curve.map(point => toPoint(point, 'costPerPart')),
+                borderColor: '#10b981',
+                backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                showLine: true,
+                pointRadius: 0,
+                yAxisID: 'y'
+            }, {
+                label: 'Time per Part (min)',
+                data: optimization.curve.map(point => toPoint(point, 'timePerPart')),
+                borderColor: '#2563eb',
+                backgroundColor: 'rgba(37, 99, 235, 0.1)',
+                showLine: true,
+                pointRadius: 0,
+                yAxisID: 'y1'
+            },
+            marker('Minimum Cost', minCost, '#10b981'),
+            marker('Current', current, '#f59e0b'),
+            {
+                ...marker('Maximum Production', maxProduction, '#ef4444'),
+                data: [toPoint(maxProduction, 'timePerPart')],
+                yAxisID: 'y1'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Cost and Time per Part vs Cutting Speed'
+                },
+                legend: {
+                    display: true,
+                    position: 'top'
+                }
+            },
+            scales: {
+                y: {
+                    type: 'linear',
+                    position: 'left',
+                    title: {
+                        display: true,
+                        text: `Cost per Part (${currencySymbol()})`
+                    }
+                },
+                y1: {
+                    type: 'linear',
+                    position: 'right',
+                    title: {
+                        display: true,
+                        text: 'Time per Part (min)'
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: `Cutting Speed Vc (${unitLabel('cuttingSpeed')})`
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Display cost sensitivity: tornado chart of each input's impact and a Vc × fz cost heat map
+function displayCostSensitivity(params, toolLife) {
+    const container = document.getElementById('costSensitivity');
+    const heatMapContainer = document.getElementById('costHeatMap');
+    const chartCanvas = document.getElementById('sensitivityTornadoCanvas');
+    const variationSelect = document.getElementById('sensitivityVariation');
+    
+    if (!container || !heatMapContainer) return;
+    
+    const variation = parseFloat(variationSelect.value) || 0.2;
+    const sensitivity = calculateCostSensitivity(params, toolLife, variation);
+    const heatMap = calculateCostHeatMap(params, toolLife, variation);
+    container.style.display = 'block';
+    
+    // Redraw when the variation changes
+    variationSelect.onchange = () => displayCostSensitivity(params, toolLife);
+    
+    // Heat map: green below the current cost, red above it
+    const allCosts = heatMap.costs.flat();
+    const maxDeviation = Math.max(...allCosts.map(cost => Math.abs(cost - heatMap.baseCost))) || 1;
+    const cellColor = cost => {
+        const share = Math.min(1, Math.abs(cost - heatMap.baseCost) / maxDeviation);
+        return cost <= heatMap.baseCost
+            ? `rgba(16, 185, 129, ${(0.1 + 0.6 * share).toFixed(2)})`
+            : `rgba(239, 68, 68, ${(0.1 + 0.6 * share).toFixed(2)})`;
+    };
+    const middle = Math.floor(heatMap.cuttingSpeeds.length / 2);
+    const minCost = Math.min(...allCosts);
+    
+    heatMapContainer.innerHTML = `
+        <div class="result-label" style="margin-bottom: 6px;"><strong>Cost per Part: V<sub>c</sub> × f<sub>z</sub></strong></div>
+        <table class="cost-heat-map">
+            <thead>
+                <tr>
+                    <th>f<sub>z</sub> \\ V<sub>c</sub></th>
+                    ${heatMap.cuttingSpeeds.map(speed => `<th>${formatInputQuantity(speed, 'cuttingSpeed')}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${heatMap.feedRates.map((feedRate, feedIndex) => `
+                    <tr>
+                        <th>${formatInputQuantity(feedRate, 'feedPerTooth')}</th>
+                        ${heatMap.costs[feedIndex].map((cost, speedIndex) => `
+                            <td class="${feedIndex === middle && speedIndex === middle ? 'current' : ''}" style="background: ${cellColor(cost)};">
+                                ${formatCurrency(cost)}${cost === minCost ? ' ★' : ''}
+                            </td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="result-description" style="margin-top: 6px;">
+            Outlined: current cutting data (${formatCurrency(heatMap.baseCost)}/part). ★ lowest cost in the grid.
+            Tool life follows the Taylor curve through the current point, and cutting time scales with the feed rate.
+        </div>
+    `;
+    
+    if (!chartCanvas || !window.Chart) return;
+    
+    if (sensitivityTornadoChartInstance) {
+        sensitivityTornadoChartInstance.destroy();
+    }
+    
+    const percent = Math.round(variation * 100);
+    const factors = sensitivity.factors;
+    
+    sensitivityTornadoChartInstance = new Chart(chartCanvas, {
+        type: 'bar',
+        data: {
+            labels: factors.map(factor => `${factor.label} (${factor.low.label} - ${factor.high.label})`),
+            datasets: [{
+                label: `Input −${percent}%`,
+                data: factors.map(factor => factor.low.cost - sensitivity.baseCost),
+                backgroundColor: 'rgba(37, 99, 235, 0.7)',
+                borderColor: '#2563eb',
+                borderWidth: 1
+            }, {
+                label: `Input +${percent}%`,
+                data: factors.map(factor => factor.high.cost - sensitivity.baseCost),
+                backgroundColor: 'rgba(245, 158, 11, 0.7)',
+                borderColor: '#f59e0b',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: true,
+            datasets: {
+                bar: {
+                    grouped: false
+                }
+            },
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Change in Cost per Part for ±${percent}% Input (base ${formatCurrency(sensitivity.baseCost)})`
+                },
+                legend: {
+                    display: true,
+                    position: 'top'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: context => {
+                            const factor = factors[context.dataIndex];
+                            const side = context.datasetIndex === 0 ? factor.low : factor.high;
+                            return `${side.label}: ${formatCurrency(side.cost)}/part (${context.parsed.x >= 0 ? '+' : ''}${formatCurrency(context.parsed.x)})`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: `Change in Cost per Part (${currencySymbol()})`
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Read the Monte Carlo distribution settings from the uncertainty panel
+function readUncertaintySettings() {
+    const readVariable = (prefix, fallback) => {
+        const distributionSelect = document.getElementById(`${prefix}Distribution`);
+        const spreadInput = document.getElementById(`${prefix}Spread`);
+        const distribution = distributionSelect && UNCERTAINTY_DISTRIBUTIONS.includes(distributionSelect.value) ? distributionSelect.value : fallback.distribution;
+        const spread = spreadInput ? parseFloat(spreadInput.value) : NaN;
+        return { distribution, spread: spread >= 0 ? spread : fallback.spread };
+    };
+    const samplesSelect = document.getElementById('uncertaintySamples');
+    return {
+        samples: (samplesSelect && parseInt(samplesSelect.value)) || DEFAULT_UNCERTAINTY_SETTINGS.samples,
+        toolLife: readVariable('uncertaintyToolLife', DEFAULT_UNCERTAINTY_SETTINGS.toolLife),
+        cycleTime: readVariable('uncertaintyCycleTime', DEFAULT_UNCERTAINTY_SETTINGS.cycleTime),
+        defectsRate: readVariable('uncertaintyDefects', DEFAULT_UNCERTAINTY_SETTINGS.defectsRate)
+    };
+}
+
+// Display the Monte Carlo simulation: P10/P50/P90 cost per part, annual cost and a cost histogram
+function displayUncertaintySimulation(params, toolLife) {
+    const container = document.getElementById('uncertaintySimulation');
+    const content = document.getElementById('uncertaintySimulationContent');
+    const chartCanvas = document.getElementById('uncertaintyHistogramCanvas');
+    
+    if (!container || !content) return;
+    
+    const simulation = simulateCostUncertainty(params, toolLife, readUncertaintySettings());
+    container.style.display = 'block';
+    
+    // Rerun when a distribution changes
+    container.querySelectorAll('select, input').forEach(field => {
+        field.onchange = () => {
+            displayUncertaintySimulation(params, toolLife);
+            if (toolComparisons.length >= 2) displayComparisonUncertainty();
+        };
+    });
+    
+    const percentileCard = (title, summary, format, color) => `
+        <div style="flex: 1; min-width: 170px; padding: 10px; border-left: 4px solid ${color}; background: var(--bg-color); border-radius: 6px;">
+            <div class="result-label"><strong>${title}</strong></div>
+            <div class="result-value" style="font-size: 1.2rem;">${format(summary.p50)}</div>
+            <div class="result-description">P10 ${format(summary.p10)} · P90 ${format(summary.p90)}</div>
+        </div>
+    `;
+    
+    content.innerHTML = `
+        <div style="display: flex; gap: 10px; flex-wrap: wrap; margin-bottom: 10px;">
+            ${percentileCard('💰 Cost per Good Part', simulation.costPerPart, value => formatCurrency(value), '#10b981')}
+            ${percentileCard(`📅 Annual Cost (${simulation.partsPerYear} parts)`, simulation.annualCost, value => formatCurrency(value), '#2563eb')}
+            ${percentileCard('📈 OEE', simulation.oee, value => `${value.toFixed(1)}%`, '#f59e0b')}
+        </div>
+        <div class="result-description">
+            Median (P50) with the P10 - P90 range from ${simulation.samples} simulated runs. 80% of runs fall inside the range.
+            Cost per good part includes the cost of scrapped parts.
         </div>
     `;
     
-    resultsContainer.innerHTML = html;
+    if (!chartCanvas || !window.Chart) return;
+    
+    if (uncertaintyHistogramChartInstance) {
+        uncertaintyHistogramChartInstance.destroy();
+    }
+    
+    // Histogram of cost per good part
+    const binCount = 25;
+    const minCost = Math.min(...simulation.costs);
+    const maxCost = Math.max(...simulation.costs);
+    const binWidth = (maxCost - minCost) / binCount || 1;
+    const bins = new Array(binCount).fill(0);
+    simulation.costs.forEach(cost => {
+        bins[Math.min(binCount - 1, Math.floor((cost - minCost) / binWidth))]++;
+    });
+    const { p10, p50, p90 } = simulation.costPerPart;
+    const binColor = index => {
+        const binCenter = minCost + (index + 0.5) * binWidth;
+        if (Math.abs(binCenter - p50) <= binWidth / 2) return 'rgba(37, 99, 235, 0.8)';
+        return binCenter >= p10 && binCenter <= p90 ? 'rgba(16, 185, 129, 0.6)' : 'rgba(148, 163, 184, 0.6)';
+    };
+    
+    uncertaintyHistogramChartInstance = new Chart(chartCanvas, {
+        type: 'bar',
+        data: {
+            labels: bins.map((_, index) => formatCurrency(minCost + (index + 0.5) * binWidth)),
+            datasets: [{
+                label: 'Share of Runs (%)',
+                data: bins.map(count => (count / simulation.samples) * 100),
+                backgroundColor: bins.map((_, index) => binColor(index)),
+                barPercentage: 1,
+                categoryPercentage: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Cost per Good Part: P10 ${formatCurrency(p10)} · P50 ${formatCurrency(p50)} · P90 ${formatCurrency(p90)}`
+                },
+                legend: {
+                    display: false
+                }
+            },
+            scales: {
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Share of Runs (%)'
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: `Cost per Good Part (${currencySymbol()})`
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Write optimized cutting data into the form with the cutting time that goes with it
+function applyOptimizedCuttingData(params, point) {
+    ['cuttingSpeed', 'feedRate', 'depthOfCut', 'widthOfCut'].forEach(field => setUnitInput(field, point[field]));
+    document.getElementById('processingTime').value = point.cuttingTime.toFixed(2);
+    if (params.machiningTime !== null && params.machiningTime !== undefined) {
+        document.getElementById('machiningTime').value = (params.machiningTime - params.processingTime + point.cuttingTime).toFixed(2);
+    }
+    
+    // The tool life model recalculates the life at the new cutting data - an override would freeze the old one
+    const toolLifeInput = document.getElementById('toolLife');
+    const hadOverride = toolLifeInput.value !== '';
+    toolLifeInput.value = '';
+    
+    scheduleAutosave();
+    refreshResultsAfterModelChange();
+    showToast(`✅ Cutting data applied: Vc ${formatInputQuantity(point.cuttingSpeed, 'cuttingSpeed')}, T = ${Math.round(point.toolLife)} min${hadOverride ? ' (tool life override cleared)' : ''}`, 'success');
+}
+
+// Display cost savings chart
+function displayCostSavingsChart(params, costResults) {
+    const chartContainer = document.getElementById('costSavingsChart');
+    const chartCanvas = document.getElementById('costSavingsChartCanvas');
+    
+    if (!chartCanvas) return;
+    
+    chartContainer.style.display = 'block';
+    
+    // Destroy existing chart if it exists
+    if (costSavingsChartInstance) {
+        costSavingsChartInstance.destroy();
+    }
+    
+    // Cost breakdown pie chart
+    const costItems = [
+        { label: 'Tool Cost', value: costResults.toolCostPerPart },
+        { label: 'Machining Cost', value: costResults.machiningCostPerPart },
+        { label: 'Tool Change Cost', value: costResults.toolChangeCostPerPart || 0 },
+        { label: 'Coolant Cost', value: costResults.coolantCostPerPart || 0 }
+    ].filter(item => item.value > 0);
+    const costBreakdown = costItems.map(item => item.value);
+    const labels = costItems.map(item => item.label);
+    
+    costSavingsChartInstance = new Chart(chartCanvas, {
+        type: 'doughnut',
+        data: {
+            labels: labels,
+            datasets: [{
+                data: costBreakdown,
+                backgroundColor: [
+                    'rgba(37, 99, 235, 0.8)',
+                    'rgba(16, 185, 129, 0.8)',
+                    'rgba(245, 158, 11, 0.8)'
+                ],
+                borderColor: [
+                    '#2563eb',
+                    '#10b981',
+                    '#f59e0b'
+                ],
+                borderWidth: 2
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Cost Breakdown per Part'
+                },
+                legend: {
+                    display: true,
+                    position: 'right'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const label = context.label || '';
+                            const value = formatCurrency(context.parsed);
+                            const total = context.dataset.data.reduce((a, b) => a + b, 0);
+                            const percentage = ((context.parsed / total) * 100).toFixed(1);
+                            return `${label}: ${value} (${percentage}%)`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Update comparison table
+async function updateComparisonTable() {
+    // Load Chart.js if needed (before creating charts)
+    if (!window.Chart && typeof window.loadChartJS === 'function') {
+        await window.loadChartJS();
+    }
+    const comparisonSection = document.getElementById('comparisonSection');
+    const comparisonResults = document.getElementById('comparisonResults');
+    
+    scheduleAutosave();
     
-    // Display technical specifications
-    displayTechnicalSpecs(params, {
-        spindleSpeed,
-        feedRateMM,
-        feedPerRev,
-        mrr,
-        cuttingForce,
-        powerRequired,
-        torque,
-        surfaceFinish,
-        toolLife,
-        taylorConstant
-    });
+    if (toolComparisons.length === 0) {
+        comparisonSection.style.display = 'none';
+        return;
+    }
     
-    // Display engineering formulas
-    displayEngineeringFormulas();
+    comparisonSection.style.display = 'block';
     
-    // Display tool life visualization
-    displayToolLifeChart(params, toolLife, costResults);
+    // Find best values
+    const bestTotalCost = Math.min(...toolComparisons.map(t => t.totalCostPerPart));
+    const bestToolLife = Math.max(...toolComparisons.map(t => t.toolLife));
+    const bestMRR = Math.max(...toolComparisons.map(t => t.mrr));
     
-    // Display cost savings chart
-    displayCostSavingsChart(params, costResults);
+    // Find best tool (lowest cost)
+    const bestTool = toolComparisons.find(t => t.totalCostPerPart === bestTotalCost);
+    const worstTool = toolComparisons.reduce((worst, current) => 
+        current.totalCostPerPart > worst.totalCostPerPart ? current : worst
+    );
     
-    // Display recommendations
-    if (recommendations.length > 0) {
-        const recommendationsContainer = document.getElementById('recommendations');
-        const recommendationsContent = document.getElementById('recommendationsContent');
-        
-        let recHtml = '';
-        recommendations.forEach(rec => {
-            recHtml += `<div class="recommendation-item">${rec.message}</div>`;
-        });
-        
-        recommendationsContent.innerHTML = recHtml;
-        recommendationsContainer.style.display = 'block';
-    } else {
-        document.getElementById('recommendations').style.display = 'none';
-    }
-}
-
-// Display technical specifications
-function displayTechnicalSpecs(params, techData) {
-    const specsContainer = document.getElementById('technicalSpecs');
-    const specsContent = document.getElementById('technicalSpecsContent');
+    // Calculate savings and improvements
+    const costDifference = worstTool.totalCostPerPart - bestTool.totalCostPerPart;
+    const costSavingsPercent = ((costDifference / worstTool.totalCostPerPart) * 100).toFixed(1);
+    const toolLifeImprovement = bestToolLife - Math.min(...toolComparisons.map(t => t.toolLife));
+    const toolLifeImprovementPercent = toolLifeImprovement > 0 ? 
+        ((toolLifeImprovement / Math.min(...toolComparisons.map(t => t.toolLife))) * 100).toFixed(1) : 0;
+    const mrrImprovement = bestMRR - Math.min(...toolComparisons.map(t => t.mrr));
+    const mrrImprovementPercent = mrrImprovement > 0 ? 
+        ((mrrImprovement / Math.min(...toolComparisons.map(t => t.mrr))) * 100).toFixed(1) : 0;
     
-    let html = `
-        <table class="technical-table">
-            <tr>
-                <th>Parameter</th>
-                <th>Symbol</th>
-                <th>Value</th>
-                <th>Unit</th>
-            </tr>
-            ${params.toolBrand ? `
-            <tr>
-                <td>Tool Brand</td>
-                <td>-</td>
-                <td>${params.toolBrand.charAt(0).toUpperCase() + params.toolBrand.slice(1)}</td>
-                <td>-</td>
-            </tr>
-            ` : ''}
-            ${params.toolType ? `
-            <tr>
-                <td>Tool Type</td>
-                <td>-</td>
-                <td>${params.toolType.replace(/([A-Z])/g, ' $1').trim()}</td>
-                <td>-</td>
-            </tr>
-            ` : ''}
-            ${params.toolNameModel ? `
-            <tr>
-                <td>Tool Model</td>
-                <td>-</td>
-                <td>${params.toolNameModel}</td>
-                <td>-</td>
-            </tr>
-            ` : ''}
-            ${params.toolProductCode ? `
-            <tr>
-                <td>Product Code</td>
-                <td>-</td>
-                <td>${params.toolProductCode}</td>
-                <td>-</td>
-            </tr>
-            ` : ''}
-            ${params.photoDate ? `
-            <tr>
-                <td>Photo Date</td>
-                <td>-</td>
-                <td>${formatDate(params.photoDate)}</td>
-                <td>-</td>
-            </tr>
-            ` : ''}
-            <tr>
-                <td>Tool Diameter</td>
-                <td>D</td>
-                <td>${params.toolDiameter}</td>
-                <td>mm</td>
-            </tr>
-            <tr>
-                <td>Number of Teeth</td>
-                <td>Z</td>
-                <td>${params.numberOfTeeth}</td>
-                <td>-</td>
-            </tr>
-            <tr>
-                <td>Cutting Speed</td>
-                <td>V<sub>c</sub></td>
-                <td>${params.cuttingSpeed}</td>
-                <td>m/min</td>
-            </tr>
-            <tr>
-                <td>Feed per Tooth</td>
-                <td>f<sub>z</sub></td>
-                <td>${params.feedRate}</td>
-                <td>mm/tooth</td>
-            </tr>
-            <tr>
-                <td>Axial Depth of Cut</td>
-                <td>a<sub>p</sub></td>
-                <td>${params.depthOfCut}</td>
-                <td>mm</td>
-            </tr>
-            <tr>
-                <td>Radial Width of Cut</td>
-                <td>a<sub>e</sub></td>
-                <td>${params.widthOfCut}</td>
-                <td>mm</td>
-            </tr>
-            <tr>
-                <td>Spindle Speed</td>
-                <td>n</td>
-                <td>${formatNumber(techData.spindleSpeed, '')}</td>
-                <td>RPM</td>
-            </tr>
-            <tr>
-                <td>Feed Rate</td>
-                <td>V<sub>f</sub></td>
-                <td>${formatNumber(techData.feedRateMM, '')}</td>
-                <td>mm/min</td>
-            </tr>
-            <tr>
-                <td>Material Removal Rate</td>
-                <td>Q</td>
-                <td>${formatNumber(techData.mrr, '')}</td>
-                <td>mm³/min</td>
-            </tr>
-            <tr>
-                <td>Cutting Force</td>
-                <td>F<sub>c</sub></td>
-                <td>${formatNumber(techData.cuttingForce, '')}</td>
-                <td>N</td>
-            </tr>
-            <tr>
-                <td>Power Requirement</td>
-                <td>P</td>
-                <td>${formatNumber(techData.powerRequired, '')}</td>
-                <td>kW</td>
-            </tr>
-            <tr>
-                <td>Torque</td>
-                <td>M</td>
-                <td>${formatNumber(techData.torque, '')}</td>
-                <td>Nm</td>
-            </tr>
-            <tr>
-                <td>Tool Life</td>
-                <td>T</td>
-                <td>${techData.toolLife}</td>
-                <td>min</td>
-            </tr>
-            ${params.cuttingFluid && params.cuttingFluid !== 'none' ? `
-            <tr>
-                <td>Cutting Fluid</td>
-                <td>-</td>
-                <td>${formatCuttingFluid(params.cuttingFluid)}</td>
-                <td>-</td>
-            </tr>
-            ` : ''}
-        </table>
-    `;
+    // Calculate savings
+    calculateAndDisplaySavings();
+    displayComparisonUncertainty();
     
-    specsContent.innerHTML = html;
-    specsContainer.style.display = 'block';
-}
-
-// Display engineering formulas
-function displayEngineeringFormulas() {
-    const formulasContainer = document.getElementById('engineeringFormulas');
-    const formulasContent = document.getElementById('engineeringFormulasContent');
+    // Display comparison charts
+    displayComparisonCharts();
     
+    // Create visual summary cards
     let html = `
-        <div class="formula-section">
-            <h4>Spindle Speed</h4>
-            <div class="formula">n = (V<sub>c</sub> × 1000) / (π × D)</div>
-            <div class="formula-desc">Where: n = RPM, V<sub>c</sub> = cutting speed (m/min), D = tool diameter (mm)</div>
-        </div>
-        
-        <div class="formula-section">
-            <h4>Feed Rate</h4>
-            <div class="formula">V<sub>f</sub> = f<sub>z</sub> × Z × n</div>
-            <div class="formula-desc">Where: V<sub>f</sub> = feed rate (mm/min), f<sub>z</sub> = feed per tooth (mm/tooth), Z = number of teeth</div>
-        </div>
-        
-        <div class="formula-section">
-            <h4>Material Removal Rate</h4>
-            <div class="formula">Q = a<sub>e</sub> × a<sub>p</sub> × V<sub>f</sub></div>
-            <div class="formula-desc">Where: Q = MRR (mm³/min), a<sub>e</sub> = radial width (mm), a<sub>p</sub> = axial depth (mm)</div>
-        </div>
-        
-        <div class="formula-section">
-            <h4>Cutting Force</h4>
-            <div class="formula">F<sub>c</sub> = k<sub>c</sub> × a<sub>p</sub> × a<sub>e</sub> × f<sub>z</sub></div>
-            <div class="formula-desc">Where: F<sub>c</sub> = cutting force (N), k<sub>c</sub> = specific cutting force (N/mm²)</div>
+        <div class="comparison-summary-cards">
+            <div class="summary-card best-tool-card">
+                <div class="summary-card-header">
+                    <span class="summary-icon">🏆</span>
+                    <h3>Best Tool</h3>
+                </div>
+                <div class="summary-card-content">
+                    <div class="summary-tool-name">${bestTool.name || 'Tool 1'}</div>
+                    <div class="summary-metrics">
+                        <div class="summary-metric">
+                            <span class="metric-label">Cost/Part</span>
+                            <span class="metric-value best">${formatCurrency(bestTool.totalCostPerPart)}</span>
+                        </div>
+                        <div class="summary-metric">
+                            <span class="metric-label">Tool Life</span>
+                            <span class="metric-value best">${bestTool.toolLife} min</span>
+                        </div>
+                        <div class="summary-metric">
+                            <span class="metric-label">MRR</span>
+                            <span class="metric-value best">${formatQuantity(bestTool.mrr, 'mrr')}</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            
+            <div class="summary-card savings-card">
+                <div class="summary-card-header">
+                    <span class="summary-icon">💰</span>
+                    <h3>Potential Savings</h3>
+                </div>
+                <div class="summary-card-content">
+                    <div class="savings-amount">${formatCurrency(costDifference)}</div>
+                    <div class="savings-percent">${costSavingsPercent}% reduction</div>
+                    <div class="savings-details">
+                        <div>vs. most expensive tool</div>
+                        <div class="savings-breakdown">
+                            <span>Per part: ${formatCurrency(costDifference)}</span>
+                            ${bestTool.batchSize > 1 ? `<span>Per batch: ${formatCurrency(costDifference * bestTool.batchSize)}</span>` : ''}
+                            <span>Per 100 parts: ${formatCurrency(costDifference * 100)}</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            
+            <div class="summary-card improvements-card">
+                <div class="summary-card-header">
+                    <span class="summary-icon">📈</span>
+                    <h3>Performance Improvements</h3>
+                </div>
+                <div class="summary-card-content">
+                    <div class="improvement-item">
+                        <span class="improvement-label">Tool Life</span>
+                        <span class="improvement-value">+${toolLifeImprovement.toFixed(1)} min</span>
+                        <span class="improvement-percent">(${toolLifeImprovementPercent}% better)</span>
+                    </div>
+                    <div class="improvement-item">
+                        <span class="improvement-label">Material Removal Rate</span>
+                        <span class="improvement-value">+${formatQuantity(mrrImprovement, 'mrr')}</span>
+                        <span class="improvement-percent">(${mrrImprovementPercent}% better)</span>
+                    </div>
+                </div>
+            </div>
         </div>
         
-        <div class="formula-section">
-            <h4>Power Requirement</h4>
-            <div class="formula">P = F<sub>c</sub> × V<sub>c</sub> / 60000</div>
-            <div class="formula-desc">Where: P = power (kW), F<sub>c</sub> = cutting force (N), V<sub>c</sub> = cutting speed (m/min)</div>
-        </div>
+        <div class="comparison-tools-grid">
+    `;
+    
+    // Create visual cards for each tool
+    toolComparisons.forEach((tool, index) => {
+        const isBest = tool.totalCostPerPart === bestTotalCost;
+        const costVsBest = tool.totalCostPerPart - bestTotalCost;
+        const costVsBestPercent = bestTotalCost > 0 ? ((costVsBest / bestTotalCost) * 100).toFixed(1) : 0;
+        const toolLifeVsBest = tool.toolLife - bestToolLife;
+        const mrrVsBest = tool.mrr - bestMRR;
         
-        <div class="formula-section">
-            <h4>Torque</h4>
-            <div class="formula">M = P × 9550 / n</div>
-            <div class="formula-desc">Where: M = torque (Nm), P = power (kW), n = spindle speed (RPM)</div>
+        html += `
+            <div class="tool-comparison-card ${isBest ? 'best-tool-highlight' : ''}" data-tool-id="${tool.id}">
+                ${isBest ? '<div class="best-tool-badge">🏆 BEST CHOICE</div>' : ''}
+                <div class="tool-card-header">
+                    <h4 class="tool-card-name">${tool.name}</h4>
+                    ${tool.toolBrand ? `<div class="tool-card-brand">${tool.toolBrand.charAt(0).toUpperCase() + tool.toolBrand.slice(1)}</div>` : ''}
+                </div>
+                <div class="tool-card-body">
+                    <div class="tool-metric-row">
+                        <span class="tool-metric-label">💰 Cost per Part</span>
+                        <span class="tool-metric-value ${tool.totalCostPerPart === bestTotalCost ? 'best-metric' : costVsBest > 0 ? 'worse-metric' : ''}">
+                            ${formatCurrency(tool.totalCostPerPart)}
+                            ${!isBest && costVsBest > 0 ? `<span class="metric-diff">+${formatCurrency(costVsBest)} (${costVsBestPercent}%)</span>` : ''}
+                            ${tool.totalCostPerPart === bestTotalCost ? '<span class="best-badge">✓ Best</span>' : ''}
+                        </span>
+                    </div>
+                    <div class="tool-metric-row">
+                        <span class="tool-metric-label">⏱️ Tool Life</span>
+                        <span class="tool-metric-value ${tool.toolLife === bestToolLife ? 'best-metric' : toolLifeVsBest < 0 ? 'worse-metric' : ''}">
+                            ${tool.toolLife} min
+                            ${tool.toolLife === bestToolLife ? '<span class="best-badge">✓ Best</span>' : toolLifeVsBest < 0 ? `<span class="metric-diff">${toolLifeVsBest.toFixed(1)} min</span>` : ''}
+                        </span>
+                    </div>
+                    <div class="tool-metric-row">
+                        <span class="tool-metric-label">⚡ MRR</span>
+                        <span class="tool-metric-value ${tool.mrr === bestMRR ? 'best-metric' : mrrVsBest < 0 ? 'worse-metric' : ''}">
+                            ${formatQuantity(tool.mrr, 'mrr')}
+                            ${tool.mrr === bestMRR ? '<span class="best-badge">✓ Best</span>' : mrrVsBest < 0 ? `<span class="metric-diff">${formatQuantity(mrrVsBest, 'mrr')}</span>` : ''}
+                        </span>
+                    </div>
+                    <div class="tool-metric-row">
+                        <span class="tool-metric-label">🔧 Tool Cost</span>
+                        <span class="tool-metric-value">${formatCurrency(tool.toolCost)}</span>
+                    </div>
+                    <div class="tool-card-details">
+                        <div class="tool-detail-item">
+                            <span>Type:</span> <strong>${tool.toolType ? tool.toolType.replace(/([A-Z])/g, ' $1').trim() : 'N/A'}</strong>
+                        </div>
+                        <div class="tool-detail-item">
+                            <span>Operation:</span> <strong>${OPERATION_NAMES[getOperationMode(tool)]}</strong>
+                        </div>
+                        <div class="tool-detail-item">
+                            <span>Material:</span> <strong>${tool.toolMaterial}</strong>
+                        </div>
+                        <div class="tool-detail-item">
+                            <span>Coating:</span> <strong>${tool.toolCoating}</strong>
+                        </div>
+                    </div>
+                </div>
+                <div class="tool-card-actions">
+                    <button class="btn-edit-tool" data-tool-id="${tool.id}" title="Edit tool parameters">✏️ Edit</button>
+                    <button class="btn-delete-tool" data-tool-id="${tool.id}" title="Remove tool from comparison">🗑️ Delete</button>
+                </div>
+            </div>
+        `;
+    });
+    
+    html += `
         </div>
         
-        <div class="formula-section">
-            <h4>Taylor's Tool Life Equation (ISO 8688-2)</h4>
-            <div class="formula">V<sub>c</sub> × T<sup>n</sup> = C</div>
-            <div class="formula-desc">Where: V<sub>c</sub> = cutting speed (m/min), T = tool life (min), n = Taylor exponent (≈0.2), C = constant</div>
+        <div class="comparison-table-container">
+            <h3 style="margin-bottom: 10px; color: var(--text-primary);">📊 Detailed Comparison Table</h3>
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th>Tool</th>
+                        <th>Brand</th>
+                        <th>Type</th>
+                        <th>Part</th>
+                        <th>Material</th>
+                        <th>Coating</th>
+                        <th>Cost/Part</th>
+                        <th>Tool Life</th>
+                        <th>MRR</th>
+                        <th>Tool Cost</th>
+                        <th>Lifecycle</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    toolComparisons.forEach((tool, index) => {
+        html += `
+            <tr data-tool-id="${tool.id}" class="${tool.totalCostPerPart === bestTotalCost ? 'best-tool-row' : ''}">
+                <td><strong>${tool.name}</strong>${tool.totalCostPerPart === bestTotalCost ? ' 🏆' : ''}</td>
+                <td>${tool.toolBrand ? tool.toolBrand.charAt(0).toUpperCase() + tool.toolBrand.slice(1) : 'N/A'}</td>
+                <td>${tool.toolType ? tool.toolType.replace(/([A-Z])/g, ' $1').trim() : 'N/A'}</td>
+                <td>${tool.partName || 'N/A'}</td>
+                <td>${tool.toolMaterial}</td>
+                <td>${tool.toolCoating}</td>
+                <td class="${tool.totalCostPerPart === bestTotalCost ? 'best-value' : ''}">
+                    ${formatCurrency(tool.totalCostPerPart)}
+                </td>
+                <td class="${tool.toolLife === bestToolLife ? 'best-value' : ''}">
+                    ${tool.toolLife} min
+                </td>
+                <td class="${tool.mrr === bestMRR ? 'best-value' : ''}">
+                    ${formatQuantity(tool.mrr, 'mrr')}
+                </td>
+                <td>${isInsertTooling(tool) ? `${formatCurrency(tool.insertPrice)}/insert` : formatCurrency(tool.toolCost)}</td>
+                <td>${(() => {
+                    const lifecycle = calculateEffectiveToolCost(tool, tool.toolLife);
+                    if (lifecycle.insertTooling) {
+                        return `${tool.insertsPerCutter} inserts × ${tool.insertEdges} edges<br><small>${formatCurrency(lifecycle.insertTooling.costPerIndex)}/index</small>`;
+                    }
+                    return lifecycle.regrinds > 0
+                        ? `${lifecycle.regrinds}× regrind<br><small>${formatCurrency(lifecycle.lifecycleCost)} / ${lifecycle.lifecycleToolLife.toFixed(0)} min</small>`
+                        : 'New only';
+                })()}</td>
+                <td>
+                    <button class="btn-edit-tool" data-tool-id="${tool.id}" title="Edit tool parameters" style="padding: 4px 8px; font-size: 0.85rem; margin-right: 4px;">✏️ Edit</button>
+                    <button class="btn-delete-tool" data-tool-id="${tool.id}" title="Remove tool from comparison" style="padding: 4px 8px; font-size: 0.85rem; background: var(--danger-color); color: white;">🗑️ Delete</button>
+                </td>
+            </tr>
+        `;
+    });
+    
+    html += `
+                </tbody>
+            </table>
         </div>
     `;
     
-    formulasContent.innerHTML = html;
-    formulasContainer.style.display = 'block';
+    comparisonResults.innerHTML = html;
+    
+    // Add event listeners for edit and delete buttons
+    comparisonResults.querySelectorAll('.btn-edit-tool').forEach(btn => {
+        btn.addEventListener('click', function() {
+            const toolId = parseFloat(this.dataset.toolId);
+            editToolFromComparison(toolId);
+        });
+    });
+    
+    comparisonResults.querySelectorAll('.btn-delete-tool').forEach(btn => {
+        btn.addEventListener('click', function() {
+            const toolId = parseFloat(this.dataset.toolId);
+            deleteToolFromComparison(toolId);
+        });
+    });
 }
 
-// Get input values
-function getInputValues() {
-    return {
-        // Client & Project Information
-        clientName: document.getElementById('clientName').value.trim(),
-        projectName: document.getElementById('projectName').value.trim(),
-        customerContact: document.getElementById('customerContact').value.trim(),
-        expertName: document.getElementById('expertName').value.trim(),
-        machineName: document.getElementById('machineName').value.trim(),
-        machineLabelPhoto: currentMachineLabelPhoto,
-        partName: document.getElementById('partName').value.trim(),
-        applicationType: document.getElementById('applicationType').value,
-        batchSize: parseInt(document.getElementById('batchSize').value) || 1,
-        theoreticalPartWorktime: document.getElementById('theoreticalPartWorktime').value ? parseFloat(document.getElementById('theoreticalPartWorktime').value) : null,
-        machineWorkhourCost: parseFloat(document.getElementById('machineWorkhourCost').value) || 50,
-        machineStopCost: parseFloat(document.getElementById('machineStopCost').value) || 50,
-        
-        // Production & Cost Parameters
-        partsPerBatch: parseInt(document.getElementById('partsPerBatch').value) || 100,
-        partsPerYear: parseInt(document.getElementById('partsPerYear').value) || 4000,
-        annualSolutions: parseInt(document.getElementById('annualSolutions').value) || 6,
-        machineCostPerHour: parseFloat(document.getElementById('machineCostPerHour').value) || 50,
-        costOfToolChange: parseFloat(document.getElementById('costOfToolChange').value) || 5,
-        timeLossPerToolChange: parseFloat(document.getElementById('timeLossPerToolChange').value) || 5,
-        machineStopDowntimeCost: parseFloat(document.getElementById('machineStopDowntimeCost').value) || 50,
-        defectsRate: parseFloat(document.getElementById('defectsRate').value) || 2,
-        plannedProductionTime: parseFloat(document.getElementById('plannedProductionTime').value) || 8,
-        unplannedDowntime: parseFloat(document.getElementById('unplannedDowntime').value) || 0.5,
-        
-        // Tool Selection
-        toolBrand: document.getElementById('toolBrand').value,
-        toolType: document.getElementById('toolType').value,
-        toolNameModel: document.getElementById('toolNameModel').value.trim(),
-        toolProductCode: document.getElementById('toolProductCode').value.trim(),
-        toolPhoto: currentToolPhoto,
-        photoDate: currentPhotoDate,
-        
-        // Tool & Material Parameters
-        workpieceMaterial: document.getElementById('workpieceMaterial').value,
-        toolDiameter: parseFloat(document.getElementById('toolDiameter').value),
-        toolMaterial: document.getElementById('toolMaterial').value,
-        toolCoating: document.getElementById('toolCoating').value,
-        cuttingFluid: document.getElementById('cuttingFluid').value,
-        cuttingSpeed: parseFloat(document.getElementById('cuttingSpeed').value),
-        feedRate: parseFloat(document.getElementById('feedRate').value),
-        depthOfCut: parseFloat(document.getElementById('depthOfCut').value),
-        widthOfCut: parseFloat(document.getElementById('widthOfCut').value),
-        numberOfTeeth: parseInt(document.getElementById('numberOfTeeth').value),
-        helixAngle: document.getElementById('helixAngle') ? parseFloat(document.getElementById('helixAngle').value) : null,
-        rakeAngle: document.getElementById('rakeAngle') ? parseFloat(document.getElementById('rakeAngle').value) : null,
-        materialHardness: document.getElementById('materialHardness') ? parseFloat(document.getElementById('materialHardness').value) : 30,
+// Edit tool from comparison - load tool data into form
+function editToolFromComparison(toolId) {
+    const tool = toolComparisons.find(t => t.id === toolId);
+    if (!tool) {
+        showToast('Tool not found', 'error');
+        return;
+    }
+    
+    // Store the tool ID being edited
+    window.editingToolId = toolId;
+    
+    // Load tool data into form fields
+    if (tool.toolBrand) document.getElementById('toolBrand').value = tool.toolBrand;
+    if (tool.toolType) document.getElementById('toolType').value = tool.toolType;
+    if (tool.toolNameModel) document.getElementById('toolNameModel').value = tool.toolNameModel;
+    if (tool.toolProductCode) document.getElementById('toolProductCode').value = tool.toolProductCode;
+    if (tool.toolDiameter) setUnitInput('toolDiameter', tool.toolDiameter);
+    if (tool.numberOfTeeth) document.getElementById('numberOfTeeth').value = tool.numberOfTeeth;
+    if (tool.toolMaterial) document.getElementById('toolMaterial').value = tool.toolMaterial;
+    if (tool.toolCoating) document.getElementById('toolCoating').value = tool.toolCoating;
+    if (tool.cuttingFluid) document.getElementById('cuttingFluid').value = tool.cuttingFluid;
+    if (tool.helixAngle !== null && tool.helixAngle !== undefined) document.getElementById('helixAngle').value = tool.helixAngle;
+    if (tool.rakeAngle !== null && tool.rakeAngle !== undefined) document.getElementById('rakeAngle').value = tool.rakeAngle;
+    if (tool.cuttingSpeed) setUnitInput('cuttingSpeed', tool.cuttingSpeed);
+    if (tool.feedRate) setUnitInput('feedRate', tool.feedRate);
+    if (tool.depthOfCut) setUnitInput('depthOfCut', tool.depthOfCut);
+    if (tool.widthOfCut) setUnitInput('widthOfCut', tool.widthOfCut);
+    if (tool.workpieceMaterial) document.getElementById('workpieceMaterial').value = tool.workpieceMaterial;
+    if (tool.materialHardness) document.getElementById('materialHardness').value = tool.materialHardness;
+    if (tool.toolCost) document.getElementById('toolCost').value = tool.toolCost;
+    if (tool.toolRemainingCost !== undefined) document.getElementById('toolRemainingCost').value = tool.toolRemainingCost || 0;
+    if (tool.regrindCount !== undefined) document.getElementById('regrindCount').value = tool.regrindCount || 0;
+    if (tool.regrindCost !== undefined) document.getElementById('regrindCost').value = tool.regrindCost || 0;
+    if (tool.regrindLifeRetention !== undefined) document.getElementById('regrindLifeRetention').value = tool.regrindLifeRetention;
+    if (tool.regrindDiameterLoss !== undefined) setUnitInput('regrindDiameterLoss', tool.regrindDiameterLoss || 0);
+    if (tool.regrindLogisticsTime !== undefined) document.getElementById('regrindLogisticsTime').value = tool.regrindLogisticsTime || 0;
+    if (tool.threadStandard) {
+        document.getElementById('threadStandard').value = tool.threadStandard;
+        updateThreadSizeOptions();
+    }
+    ['insertPrice', 'insertEdges', 'insertsPerCutter', 'cutterBodyCost', 'bodyLifeEdges', 'insertIndexTime', 'pointAngle', 'holesPerPart',
+        'threadSize', 'threadsPerPart', 'tapKind', 'threadType', 'threadMillProfile', 'enteringAngle', 'cutterPosition', 'wiperInsert',
+        'facePassesPerPart', 'turningOperation', 'leadAngle', 'spindleMode', 'maxSpindleSpeed',
+        'tiltAngle', 'toolHolderType', 'finishSurface'].forEach(id => {
+        if (tool[id] !== undefined) document.getElementById(id).value = tool[id];
+    });
+    if (tool.threadMillPasses !== undefined) document.getElementById('threadMillPasses').value = tool.threadMillPasses || '';
+    ['holeDepth', 'peckDepth', 'rapidTraverse', 'threadLength', 'roundInsertDiameter', 'insertCornerRadius', 'cutterOffset',
+        'wiperFlatLength', 'faceLength', 'workpieceDiameter', 'finalDiameter', 'turningLength', 'faceInnerDiameter', 'faceStock',
+        'noseRadius', 'toolCornerRadius', 'toolStickout', 'fluteLength', 'shankDiameter', 'deflectionTolerance',
+        'toolRunout', 'endWiperLength', 'targetSurfaceFinish'].forEach(id => {
+        if (tool[id] !== undefined) setUnitInput(id, tool[id]);
+    });
+    updateOperationSections();
+    if (tool.processingTime) document.getElementById('processingTime').value = tool.processingTime;
+    if (tool.toolChangeCost !== undefined) document.getElementById('toolChangeCost').value = tool.toolChangeCost || 0;
+    if (tool.toolChangeTime !== undefined) document.getElementById('toolChangeTime').value = tool.toolChangeTime || 0;
+    if (tool.machiningTime !== null && tool.machiningTime !== undefined) document.getElementById('machiningTime').value = tool.machiningTime;
+    if (tool.machineHourlyRate) document.getElementById('machineHourlyRate').value = tool.machineHourlyRate;
+    if (tool.toolLife) document.getElementById('toolLife').value = tool.toolLife;
+    if (tool.coolantConsumption !== undefined) document.getElementById('coolantConsumption').value = tool.coolantConsumption;
+    if (tool.coolantPrice !== undefined) document.getElementById('coolantPrice').value = tool.coolantPrice;
+    if (tool.coolantDisposalCost !== undefined) document.getElementById('coolantDisposalCost').value = tool.coolantDisposalCost;
+    
+    // Load project information
+    if (tool.clientName) document.getElementById('clientName').value = tool.clientName;
+    if (tool.projectName) document.getElementById('projectName').value = tool.projectName;
+    if (tool.partName) document.getElementById('partName').value = tool.partName;
+    if (tool.machineName) document.getElementById('machineName').value = tool.machineName;
+    if (tool.applicationType) {
+        document.getElementById('applicationType').value = tool.applicationType;
+        updateOperationSections();
+    }
+    if (tool.customerContact) document.getElementById('customerContact').value = tool.customerContact;
+    if (tool.expertName) document.getElementById('expertName').value = tool.expertName;
+    if (tool.batchSize) document.getElementById('batchSize').value = tool.batchSize;
+    if (tool.theoreticalPartWorktime) document.getElementById('theoreticalPartWorktime').value = tool.theoreticalPartWorktime;
+    if (tool.machineWorkhourCost) document.getElementById('machineWorkhourCost').value = tool.machineWorkhourCost;
+    if (tool.machineStopCost) document.getElementById('machineStopCost').value = tool.machineStopCost;
+    
+    // Load production & cost parameters
+    if (tool.partsPerBatch) document.getElementById('partsPerBatch').value = tool.partsPerBatch;
+    if (tool.partsPerYear) document.getElementById('partsPerYear').value = tool.partsPerYear;
+    if (tool.annualSolutions) document.getElementById('annualSolutions').value = tool.annualSolutions;
+    if (tool.trialCost !== undefined) document.getElementById('trialCost').value = tool.trialCost;
+    if (tool.discountRate !== undefined) document.getElementById('discountRate').value = tool.discountRate;
+    if (tool.evaluationYears) document.getElementById('evaluationYears').value = tool.evaluationYears;
+    if (tool.machineCostPerHour) document.getElementById('machineCostPerHour').value = tool.machineCostPerHour;
+    if (tool.costOfToolChange) document.getElementById('costOfToolChange').value = tool.costOfToolChange;
+    if (tool.timeLossPerToolChange) document.getElementById('timeLossPerToolChange').value = tool.timeLossPerToolChange;
+    if (tool.machineStopDowntimeCost) document.getElementById('machineStopDowntimeCost').value = tool.machineStopDowntimeCost;
+    if (tool.defectsRate) document.getElementById('defectsRate').value = tool.defectsRate;
+    if (tool.plannedProductionTime) document.getElementById('plannedProductionTime').value = tool.plannedProductionTime;
+    if (tool.unplannedDowntime) document.getElementById('unplannedDowntime').value = tool.unplannedDowntime;
+    
+    // Load tool photo if available
+    if (tool.toolPhoto) {
+        currentToolPhoto = tool.toolPhoto;
+        currentPhotoDate = tool.photoDate;
+        const photoPreview = document.getElementById('photoPreview');
+        const photoPreviewImg = document.getElementById('photoPreviewImg');
+        const photoPreviewContainer = document.getElementById('photoPreviewContainer');
+        const photoDateInfo = document.getElementById('photoDateInfo');
         
-        // Cost & Time Parameters
-        toolCost: parseFloat(document.getElementById('toolCost').value),
-        toolRemainingCost: parseFloat(document.getElementById('toolRemainingCost').value) || 0,
-        processingTime: parseFloat(document.getElementById('processingTime').value),
-        toolChangeCost: parseFloat(document.getElementById('toolChangeCost').value) || 0,
-        toolChangeTime: parseFloat(document.getElementById('toolChangeTime').value) || 0,
-        machiningTime: document.getElementById('machiningTime').value ? parseFloat(document.getElementById('machiningTime').value) : null,
-        machineHourlyRate: parseFloat(document.getElementById('machineHourlyRate').value),
-        toolLife: document.getElementById('toolLife').value ? parseFloat(document.getElementById('toolLife').value) : null
-    };
+        if (photoPreviewImg) {
+            photoPreviewImg.src = tool.toolPhoto;
+            photoPreviewContainer.style.display = 'block';
+            if (tool.photoDate && photoDateInfo) {
+                photoDateInfo.textContent = `Photo Date: ${formatDate(tool.photoDate)}`;
+            }
+        }
+    }
+    
+    // Change "Add to Comparison" button to "Update Tool"
+    const addToolBtn = document.getElementById('addToolBtn');
+    if (addToolBtn) {
+        addToolBtn.textContent = '💾 Update Tool';
+    }
+    
+    // Scroll to form
+    document.querySelector('.input-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    
+    showToast(`Editing tool: ${tool.name}. Make changes and click "Update Tool" to save.`, 'info', 4000);
 }
 
-// Add tool to comparison
-function addToComparison() {
+// Update tool in comparison
+function updateToolInComparison(toolId) {
+    const toolIndex = toolComparisons.findIndex(t => t.id === toolId);
+    if (toolIndex === -1) {
+        showToast('Tool not found in comparison', 'error');
+        return;
+    }
+    
     const params = getInputValues();
     const toolLife = params.toolLife || calculateToolLife(params);
     const costResults = calculateCostPerPart({ ...params, toolLife });
     const mrr = calculateMRR(params);
     
     // Create descriptive tool name
-    let toolName = `Tool ${toolComparisons.length + 1}`;
+    let toolName = `Tool ${toolIndex + 1}`;
     if (params.toolNameModel) {
         toolName = params.toolNameModel;
         if (params.toolBrand) {
@@ -1139,8 +5692,9 @@ function addToComparison() {
         toolName = `${params.applicationType} - ${toolName}`;
     }
     
-    const toolData = {
-        id: Date.now(),
+    // Update tool data
+    toolComparisons[toolIndex] = {
+        id: toolId, // Keep original ID
         name: toolName,
         ...params,
         toolLife,
@@ -1150,2176 +5704,4217 @@ function addToComparison() {
         photoDate: params.photoDate
     };
     
-    toolComparisons.push(toolData);
+    // Reset button
+    const addToolBtn = document.getElementById('addToolBtn');
+    if (addToolBtn) {
+        addToolBtn.textContent = 'Add Another Tool';
+    }
+    
+    // Clear editing flag
+    window.editingToolId = null;
+    
+    // Recalculate and update display
     updateComparisonTable().catch(error => console.error('Error updating comparison table:', error));
+    calculateAndDisplaySavings();
+    displayComparisonCharts();
+    
+    // Recalculate main results if this was the last tool added
+    const calculateBtn = document.getElementById('calculateBtn');
+    if (calculateBtn) {
+        calculateBtn.click();
+    }
+    
+    showToast(`Tool "${toolName}" updated successfully`, 'success');
 }
 
-// Display tool life chart
-function displayToolLifeChart(params, toolLife, costResults) {
-    const chartContainer = document.getElementById('toolLifeChart');
-    const chartCanvas = document.getElementById('toolLifeChartCanvas');
+// Delete tool from comparison
+function deleteToolFromComparison(toolId) {
+    if (!confirm('Are you sure you want to remove this tool from the comparison?')) {
+        return;
+    }
     
-    if (!chartCanvas) return;
+    const toolIndex = toolComparisons.findIndex(t => t.id === toolId);
+    if (toolIndex === -1) {
+        showToast('Tool not found', 'error');
+        return;
+    }
     
-    chartContainer.style.display = 'block';
+    const toolName = toolComparisons[toolIndex].name;
+    toolComparisons.splice(toolIndex, 1);
     
-    // Destroy existing chart if it exists
-    if (toolLifeChartInstance) {
-        toolLifeChartInstance.destroy();
+    updateComparisonTable();
+    calculateAndDisplaySavings();
+    displayComparisonCharts();
+    
+    showToast(`Tool "${toolName}" removed from comparison`, 'success');
+}
+
+// Calculate and display savings
+function calculateAndDisplaySavings() {
+    if (toolComparisons.length < 2) {
+        document.getElementById('savingsSummary').style.display = 'none';
+        return;
     }
     
-    // Calculate parts produced over time
-    const timePerPart = params.machiningTime !== null && params.machiningTime !== undefined 
-        ? params.machiningTime 
-        : (params.processingTime + (params.toolChangeTime || 0));
+    const savingsContainer = document.getElementById('savingsSummary');
+    const savingsContent = document.getElementById('savingsSummaryContent');
     
-    const partsProduced = Math.floor(toolLife / timePerPart);
-    const timePoints = [];
-    const partsPoints = [];
-    const costPoints = [];
+    // Find best and worst tools
+    const sortedByCost = [...toolComparisons].sort((a, b) => a.totalCostPerPart - b.totalCostPerPart);
+    const bestTool = sortedByCost[0];
+    const worstTool = sortedByCost[sortedByCost.length - 1];
+    
+    const costDifference = worstTool.totalCostPerPart - bestTool.totalCostPerPart;
+    const costSavingsPercent = ((costDifference / worstTool.totalCostPerPart) * 100).toFixed(1);
+    
+    // Calculate batch savings
+    const batchSize = toolComparisons[0].batchSize || 1;
+    const savingsPerPart = costDifference;
+    const savingsPerBatch = savingsPerPart * batchSize;
+    const savingsPer100Parts = savingsPerPart * 100;
+    
+    let html = `
+        <div class="savings-item best-tool">
+            <div class="savings-label">Best Tool (Lowest Cost)</div>
+            <div class="savings-value">${bestTool.name || 'Tool 1'}</div>
+            <div class="savings-cost">${formatCurrency(bestTool.totalCostPerPart)} per part</div>
+        </div>
+        
+        <div class="savings-item worst-tool">
+            <div class="savings-label">Most Expensive Tool</div>
+            <div class="savings-value">${worstTool.name || 'Tool 2'}</div>
+            <div class="savings-cost">${formatCurrency(worstTool.totalCostPerPart)} per part</div>
+        </div>
+        
+        <div class="savings-item savings-highlight">
+            <div class="savings-label">💰 Potential Savings</div>
+            <div class="savings-value-large">${formatCurrency(savingsPerPart)}</div>
+            <div class="savings-details">
+                <div>Per Part: ${formatCurrency(savingsPerPart)} (${costSavingsPercent}% reduction)</div>
+                ${batchSize > 1 ? `<div>Per Batch (${batchSize} parts): ${formatCurrency(savingsPerBatch)}</div>` : ''}
+                <div>Per 100 Parts: ${formatCurrency(savingsPer100Parts)}</div>
+            </div>
+        </div>
+    `;
+    
+    // Annual and lifecycle return of switching from the current tool to the best tool
+    const roi = getToolSwitchROI(getInputValues());
+    if (roi && roi.currentIsBest) {
+        html += `
+            <div class="savings-item annual-savings">
+                <div class="savings-label">📅 Tool Switch ROI</div>
+                <div class="savings-details">The current tool (${roi.currentTool.name}) already has the lowest cost per part.</div>
+            </div>
+        `;
+    } else if (roi) {
+        html += `
+            <div class="savings-item annual-savings">
+                <div class="savings-label">📅 Annual Savings: ${roi.currentTool.name} → ${roi.newTool.name}</div>
+                <div class="savings-value-large">${formatCurrency(roi.annualSavings)}</div>
+                <div class="savings-details">
+                    <div>Based on ${roi.partsPerYear} parts/year at ${formatCurrency(roi.savingsPerPart)} per part</div>
+                    <div>Payback of ${formatCurrency(roi.trialCost)} trial cost: ${formatPaybackPeriod(roi)}</div>
+                    <div>NPV over ${roi.evaluationYears} years at ${roi.discountRate}%: <strong>${formatCurrency(roi.npv)}</strong></div>
+                    <div>Machine hours ${roi.hoursFreedPerYear >= 0 ? 'freed' : 'added'}: ${Math.abs(roi.hoursFreedPerYear).toFixed(1)} h/year</div>
+                </div>
+            </div>
+        `;
+    }
+    
+    savingsContent.innerHTML = html;
+    savingsContainer.style.display = 'block';
+}
+
+// Display the uncertainty comparison: cost ranges per tool and the probability that each tool beats the others
+function displayComparisonUncertainty() {
+    const container = document.getElementById('comparisonUncertainty');
+    const content = document.getElementById('comparisonUncertaintyContent');
+    
+    if (!container || !content) return;
+    
+    if (toolComparisons.length < 2) {
+        container.style.display = 'none';
+        return;
+    }
+    
+    const { simulations, beats } = compareToolUncertainty(toolComparisons, readUncertaintySettings());
+    const probabilityColor = probability => probability >= 0.8 ? '#047857' : probability <= 0.2 ? '#ef4444' : '#1e293b';
+    
+    content.innerHTML = `
+        <table class="cost-heat-map" style="margin-bottom: 8px;">
+            <thead>
+                <tr>
+                    <th style="text-align: left;">Tool</th>
+                    <th>P10</th>
+                    <th>P50</th>
+                    <th>P90</th>
+                    <th>Annual Cost (P50)</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${toolComparisons.map((tool, index) => `
+                    <tr>
+                        <th style="text-align: left;">${tool.name || `Tool ${index + 1}`}</th>
+                        <td>${formatCurrency(simulations[index].costPerPart.p10)}</td>
+                        <td><strong>${formatCurrency(simulations[index].costPerPart.p50)}</strong></td>
+                        <td>${formatCurrency(simulations[index].costPerPart.p90)}</td>
+                        <td>${formatCurrency(simulations[index].annualCost.p50)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="result-label" style="margin-bottom: 4px;"><strong>Probability that the row tool is cheaper than the column tool</strong></div>
+        <table class="cost-heat-map">
+            <thead>
+                <tr>
+                    <th></th>
+                    ${toolComparisons.map((tool, index) => `<th>${tool.name || `Tool ${index + 1}`}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${toolComparisons.map((tool, indexA) => `
+                    <tr>
+                        <th style="text-align: left;">${tool.name || `Tool ${indexA + 1}`}</th>
+                        ${beats[indexA].map(probability => probability === null
+                            ? '<td>-</td>'
+                            : `<td style="color: ${probabilityColor(probability)}; font-weight: 600;">${(probability * 100).toFixed(0)}%</td>`
+                        ).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="result-description" style="margin-top: 6px;">
+            Cost per good part from ${simulations[0].samples} simulated runs per tool, using the distributions in the Uncertainty panel.
+        </div>
+    `;
+    container.style.display = 'block';
+}
+
+// Display comparison charts
+function displayComparisonCharts() {
+    if (toolComparisons.length < 2) {
+        document.getElementById('comparisonCharts').style.display = 'none';
+        return;
+    }
+    
+    const chartsContainer = document.getElementById('comparisonCharts');
+    chartsContainer.style.display = 'block';
+    
+    // Tool Life Comparison Chart
+    const toolLifeCanvas = document.getElementById('comparisonToolLifeChart');
+    if (toolLifeCanvas && comparisonToolLifeChartInstance) {
+        comparisonToolLifeChartInstance.destroy();
+    }
+    
+    if (toolLifeCanvas) {
+        comparisonToolLifeChartInstance = new Chart(toolLifeCanvas, {
+            type: 'bar',
+            data: {
+                labels: toolComparisons.map(t => t.name || 'Tool'),
+                datasets: [{
+                    label: 'Tool Life (minutes)',
+                    data: toolComparisons.map(t => t.toolLife),
+                    backgroundColor: toolComparisons.map((t, i) => {
+                        const maxLife = Math.max(...toolComparisons.map(t => t.toolLife));
+                        return t.toolLife === maxLife ? 'rgba(16, 185, 129, 0.8)' : 'rgba(37, 99, 235, 0.8)';
+                    }),
+                    borderColor: toolComparisons.map((t, i) => {
+                        const maxLife = Math.max(...toolComparisons.map(t => t.toolLife));
+                        return t.toolLife === maxLife ? '#10b981' : '#2563eb';
+                    }),
+                    borderWidth: 2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Tool Life Comparison'
+                    },
+                    legend: {
+                        display: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Tool Life (minutes)'
+                        }
+                    }
+                }
+            }
+        });
+    }
     
-    // Generate data points
-    for (let i = 0; i <= Math.min(partsProduced, 20); i++) {
-        const time = i * timePerPart;
-        if (time <= toolLife) {
-            timePoints.push(time);
-            partsPoints.push(i);
-            costPoints.push(costResults.totalCostPerPart * i);
-        }
+    // Cost Comparison Chart
+    const costCanvas = document.getElementById('comparisonCostChart');
+    if (costCanvas && comparisonCostChartInstance) {
+        comparisonCostChartInstance.destroy();
     }
     
-    toolLifeChartInstance = new Chart(chartCanvas, {
-        type: 'line',
-        data: {
-            labels: timePoints.map(t => `${t.toFixed(1)} min`),
-            datasets: [{
-                label: 'Parts Produced',
-                data: partsPoints,
-                borderColor: '#2563eb',
-                backgroundColor: 'rgba(37, 99, 235, 0.1)',
-                tension: 0.4,
-                fill: true,
-                yAxisID: 'y'
-            }, {
-                label: 'Cumulative Cost (€)',
-                data: costPoints,
-                borderColor: '#10b981',
-                backgroundColor: 'rgba(16, 185, 129, 0.1)',
-                tension: 0.4,
-                fill: true,
-                yAxisID: 'y1'
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: true,
-            plugins: {
-                title: {
-                    display: true,
-                    text: 'Tool Life vs Parts Produced & Cost Over Time'
-                },
-                legend: {
-                    display: true,
-                    position: 'top'
-                }
+    if (costCanvas) {
+        comparisonCostChartInstance = new Chart(costCanvas, {
+            type: 'bar',
+            data: {
+                labels: toolComparisons.map(t => t.name || 'Tool'),
+                datasets: [{
+                    label: `Cost per Part (${currencySymbol()})`,
+                    data: toolComparisons.map(t => t.totalCostPerPart),
+                    backgroundColor: toolComparisons.map((t, i) => {
+                        const minCost = Math.min(...toolComparisons.map(t => t.totalCostPerPart));
+                        return t.totalCostPerPart === minCost ? 'rgba(16, 185, 129, 0.8)' : 'rgba(239, 68, 68, 0.8)';
+                    }),
+                    borderColor: toolComparisons.map((t, i) => {
+                        const minCost = Math.min(...toolComparisons.map(t => t.totalCostPerPart));
+                        return t.totalCostPerPart === minCost ? '#10b981' : '#ef4444';
+                    }),
+                    borderWidth: 2
+                }]
             },
-            scales: {
-                y: {
-                    type: 'linear',
-                    display: true,
-                    position: 'left',
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
                     title: {
                         display: true,
-                        text: 'Parts Produced'
+                        text: 'Cost per Part Comparison'
+                    },
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                return `Cost: ${formatCurrency(context.parsed.y)}`;
+                            }
+                        }
                     }
                 },
-                y1: {
-                    type: 'linear',
-                    display: true,
-                    position: 'right',
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: `Cost per Part (${currencySymbol()})`
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
+    // Efficiency Metrics Chart
+    const efficiencyCanvas = document.getElementById('comparisonEfficiencyChart');
+    if (efficiencyCanvas && comparisonEfficiencyChartInstance) {
+        comparisonEfficiencyChartInstance.destroy();
+    }
+    
+    if (efficiencyCanvas) {
+        // Normalize MRR values for comparison
+        const maxMRR = Math.max(...toolComparisons.map(t => t.mrr));
+        const normalizedMRR = toolComparisons.map(t => (t.mrr / maxMRR) * 100);
+        
+        comparisonEfficiencyChartInstance = new Chart(efficiencyCanvas, {
+            type: 'radar',
+            data: {
+                labels: toolComparisons.map(t => t.name || 'Tool'),
+                datasets: toolComparisons.map((tool, index) => ({
+                    label: tool.name || `Tool ${index + 1}`,
+                    data: [
+                        (tool.toolLife / Math.max(...toolComparisons.map(t => t.toolLife))) * 100,
+                        (1 - (tool.totalCostPerPart / Math.max(...toolComparisons.map(t => t.totalCostPerPart)))) * 100,
+                        (tool.mrr / maxMRR) * 100
+                    ],
+                    backgroundColor: `rgba(${37 + index * 30}, ${99 + index * 20}, ${235 - index * 30}, 0.2)`,
+                    borderColor: `rgba(${37 + index * 30}, ${99 + index * 20}, ${235 - index * 30}, 1)`,
+                    borderWidth: 2
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
                     title: {
                         display: true,
-                        text: 'Cumulative Cost (€)'
+                        text: 'Efficiency Comparison (Normalized)'
                     },
-                    grid: {
-                        drawOnChartArea: false
+                    legend: {
+                        display: true,
+                        position: 'top'
                     }
                 },
-                x: {
-                    title: {
-                        display: true,
-                        text: 'Time (minutes)'
+                scales: {
+                    r: {
+                        beginAtZero: true,
+                        max: 100,
+                        ticks: {
+                            stepSize: 20
+                        }
                     }
                 }
             }
-        }
-    });
+        });
+    }
 }
 
-// Display cost savings chart
-function displayCostSavingsChart(params, costResults) {
-    const chartContainer = document.getElementById('costSavingsChart');
-    const chartCanvas = document.getElementById('costSavingsChartCanvas');
+// Clear comparison
+function clearComparison() {
+    // Destroy chart instances
+    if (comparisonToolLifeChartInstance) {
+        comparisonToolLifeChartInstance.destroy();
+        comparisonToolLifeChartInstance = null;
+    }
+    if (comparisonCostChartInstance) {
+        comparisonCostChartInstance.destroy();
+        comparisonCostChartInstance = null;
+    }
+    if (comparisonEfficiencyChartInstance) {
+        comparisonEfficiencyChartInstance.destroy();
+        comparisonEfficiencyChartInstance = null;
+    }
     
-    if (!chartCanvas) return;
+    toolComparisons = [];
+    updateComparisonTable().catch(error => console.error('Error updating comparison table:', error));
+}
+
+// Save current tool and clear form for new tool entry
+function saveAndClearForm() {
+    const params = getInputValues();
+    const validationErrors = validateInputs(params);
+    
+    if (validationErrors.length > 0) {
+        showToast(`⚠️ Please fix errors before saving: ${validationErrors[0]}`, 'error', 5000);
+        return;
+    }
+    
+    // If editing, update instead of adding
+    if (window.editingToolId) {
+        updateToolInComparison(window.editingToolId);
+    } else {
+        // Add current tool to comparison
+        addToComparison();
+    }
+    
+    // Clear editing mode
+    window.editingToolId = null;
+    
+    // Clear form fields (but keep some defaults)
+    document.getElementById('toolBrand').value = '';
+    document.getElementById('toolType').value = '';
+    document.getElementById('toolNameModel').value = '';
+    document.getElementById('toolProductCode').value = '';
+    setUnitInput('toolDiameter', 10);
+    document.getElementById('numberOfTeeth').value = '4';
+    document.getElementById('toolMaterial').value = 'carbide';
+    document.getElementById('toolCoating').value = 'none';
+    document.getElementById('cuttingFluid').value = 'none';
+    document.getElementById('helixAngle').value = '30';
+    document.getElementById('rakeAngle').value = '5';
+    setUnitInput('cuttingSpeed', 100);
+    setUnitInput('feedRate', 0.1);
+    setUnitInput('depthOfCut', 2);
+    setUnitInput('widthOfCut', 5);
+    document.getElementById('toolCost').value = '50';
+    document.getElementById('toolRemainingCost').value = '0';
+    document.getElementById('regrindCount').value = '0';
+    document.getElementById('regrindCost').value = '0';
+    document.getElementById('regrindLifeRetention').value = '80';
+    setUnitInput('regrindDiameterLoss', 0.1);
+    document.getElementById('regrindLogisticsTime').value = '0';
+    document.getElementById('insertPrice').value = '12';
+    document.getElementById('insertEdges').value = '4';
+    document.getElementById('insertsPerCutter').value = '4';
+    document.getElementById('cutterBodyCost').value = '400';
+    document.getElementById('bodyLifeEdges').value = '500';
+    document.getElementById('insertIndexTime').value = '0.5';
+    document.getElementById('pointAngle').value = '140';
+    document.getElementById('tapKind').value = 'cutting';
+    document.getElementById('threadMillProfile').value = 'fullProfile';
+    document.getElementById('threadMillPasses').value = '';
+    document.getElementById('enteringAngle').value = DEFAULT_ENTERING_ANGLE;
+    setUnitInput('roundInsertDiameter', 12);
+    setUnitInput('insertCornerRadius', DEFAULT_CORNER_RADIUS);
+    document.getElementById('cutterPosition').value = 'centered';
+    setUnitInput('cutterOffset', 10);
+    document.getElementById('wiperInsert').value = 'none';
+    setUnitInput('wiperFlatLength', 3);
+    setUnitInput('faceLength', 0);
+    document.getElementById('facePassesPerPart').value = '1';
+    document.getElementById('turningOperation').value = 'longitudinal';
+    setUnitInput('workpieceDiameter', 50);
+    setUnitInput('finalDiameter', 44);
+    setUnitInput('turningLength', 100);
+    setUnitInput('faceInnerDiameter', 0);
+    setUnitInput('faceStock', 1);
+    document.getElementById('leadAngle').value = String(DEFAULT_LEAD_ANGLE);
+    setUnitInput('noseRadius', DEFAULT_NOSE_RADIUS);
+    document.getElementById('spindleMode').value = 'css';
+    document.getElementById('maxSpindleSpeed').value = '3000';
+    setUnitInput('toolCornerRadius', DEFAULT_TOOL_CORNER_RADIUS);
+    document.getElementById('tiltAngle').value = '0';
+    setUnitInput('toolStickout', 30);
+    setUnitInput('fluteLength', 22);
+    setUnitInput('shankDiameter', 10);
+    document.getElementById('toolHolderType').value = DEFAULT_TOOL_HOLDER_TYPE;
+    setUnitInput('deflectionTolerance', 0.05);
+    document.getElementById('finishSurface').value = 'wall';
+    setUnitInput('toolRunout', DEFAULT_TOOL_RUNOUT);
+    setUnitInput('endWiperLength', 0);
+    setUnitInput('targetSurfaceFinish', DEFAULT_TARGET_ROUGHNESS);
+    updateOperationSections();
+    document.getElementById('toolLife').value = '';
+    document.getElementById('materialHardness').value = '30';
+    document.getElementById('processingTime').value = '10';
+    document.getElementById('toolChangeCost').value = '5';
+    document.getElementById('toolChangeTime').value = '2';
+    document.getElementById('machiningTime').value = '10';
+    document.getElementById('machineHourlyRate').value = '50';
+    document.getElementById('coolantConsumption').value = '';
+    document.getElementById('coolantPrice').value = '';
+    document.getElementById('coolantDisposalCost').value = '';
+    updateCoolantPlaceholders();
+    
+    // Clear new project information fields
+    document.getElementById('theoreticalPartWorktime').value = '';
+    document.getElementById('machineWorkhourCost').value = '50';
+    document.getElementById('machineStopCost').value = '50';
+    
+    // Clear production & cost parameters
+    document.getElementById('partsPerBatch').value = '100';
+    document.getElementById('partsPerYear').value = '4000';
+    document.getElementById('annualSolutions').value = '6';
+    document.getElementById('trialCost').value = '0';
+    document.getElementById('discountRate').value = '8';
+    document.getElementById('evaluationYears').value = '3';
+    document.getElementById('machineCostPerHour').value = '50';
+    document.getElementById('costOfToolChange').value = '5';
+    document.getElementById('timeLossPerToolChange').value = '5';
+    document.getElementById('machineStopDowntimeCost').value = '50';
+    document.getElementById('defectsRate').value = '2';
+    document.getElementById('plannedProductionTime').value = '8';
+    document.getElementById('unplannedDowntime').value = '0.5';
+    
+    // Reset editing mode and button text
+    window.editingToolId = null;
+    const addToolBtn = document.getElementById('addToolBtn');
+    if (addToolBtn) {
+        addToolBtn.textContent = 'Add Another Tool';
+    }
+    
+    // Clear photo
+    currentToolPhoto = null;
+    currentPhotoDate = null;
+    const photoPreviewContainerEl = document.getElementById('photoPreviewContainer');
+    if (photoPreviewContainerEl) {
+        photoPreviewContainerEl.style.display = 'none';
+    }
+    const photoPreviewEl = document.getElementById('photoPreview');
+    if (photoPreviewEl) {
+        photoPreviewEl.innerHTML = '<p style="color: #64748b;">No photo uploaded</p>';
+    }
+    const toolPhotoFileInput = document.getElementById('toolPhoto');
+    if (toolPhotoFileInput) {
+        toolPhotoFileInput.value = '';
+    }
     
-    chartContainer.style.display = 'block';
+    // Clear results
+    document.getElementById('results').innerHTML = '<div class="result-placeholder"><p>Enter parameters and click "Calculate" to see engineering analysis</p></div>';
+    document.getElementById('technicalSpecs').style.display = 'none';
+    document.getElementById('engineeringFormulas').style.display = 'none';
+    document.getElementById('recommendations').style.display = 'none';
+    document.getElementById('toolLifeChart').style.display = 'none';
+    document.getElementById('costSavingsChart').style.display = 'none';
+    document.getElementById('speedOptimizer').style.display = 'none';
+    document.getElementById('costSensitivity').style.display = 'none';
+    document.getElementById('uncertaintySimulation').style.display = 'none';
     
-    // Destroy existing chart if it exists
+    // Destroy chart instances
+    if (toolLifeChartInstance) {
+        toolLifeChartInstance.destroy();
+        toolLifeChartInstance = null;
+    }
     if (costSavingsChartInstance) {
         costSavingsChartInstance.destroy();
+        costSavingsChartInstance = null;
+    }
+    if (speedOptimizerChartInstance) {
+        speedOptimizerChartInstance.destroy();
+        speedOptimizerChartInstance = null;
+    }
+    if (sensitivityTornadoChartInstance) {
+        sensitivityTornadoChartInstance.destroy();
+        sensitivityTornadoChartInstance = null;
+    }
+    if (uncertaintyHistogramChartInstance) {
+        uncertaintyHistogramChartInstance.destroy();
+        uncertaintyHistogramChartInstance = null;
     }
     
-    // Cost breakdown pie chart
-    const costBreakdown = [
-        costResults.toolCostPerPart,
-        costResults.machiningCostPerPart,
-        costResults.toolChangeCostPerPart || 0
-    ].filter(c => c > 0);
-    
-    const labels = [
-        'Tool Cost',
-        'Machining Cost',
-        'Tool Change Cost'
-    ].slice(0, costBreakdown.length);
+    // Show success message
+    const toolName = params.toolNameModel || params.toolBrand || `Tool ${toolComparisons.length}`;
+    showToast(`✅ "${toolName}" saved to comparison. Form cleared for new tool entry.`, 'success', 4000);
     
-    costSavingsChartInstance = new Chart(chartCanvas, {
-        type: 'doughnut',
-        data: {
-            labels: labels,
-            datasets: [{
-                data: costBreakdown,
-                backgroundColor: [
-                    'rgba(37, 99, 235, 0.8)',
-                    'rgba(16, 185, 129, 0.8)',
-                    'rgba(245, 158, 11, 0.8)'
-                ],
-                borderColor: [
-                    '#2563eb',
-                    '#10b981',
-                    '#f59e0b'
-                ],
-                borderWidth: 2
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: true,
-            plugins: {
-                title: {
-                    display: true,
-                    text: 'Cost Breakdown per Part'
-                },
-                legend: {
-                    display: true,
-                    position: 'right'
-                },
-                tooltip: {
-                    callbacks: {
-                        label: function(context) {
-                            const label = context.label || '';
-                            const value = formatCurrency(context.parsed);
-                            const total = context.dataset.data.reduce((a, b) => a + b, 0);
-                            const percentage = ((context.parsed / total) * 100).toFixed(1);
-                            return `${label}: ${value} (${percentage}%)`;
-                        }
-                    }
-                }
-            }
-        }
-    });
+    // Scroll to top of form
+    document.querySelector('.calculator-grid').scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
-// Update comparison table
-async function updateComparisonTable() {
-    // Load Chart.js if needed (before creating charts)
-    if (!window.Chart && typeof window.loadChartJS === 'function') {
-        await window.loadChartJS();
-    }
-    const comparisonSection = document.getElementById('comparisonSection');
-    const comparisonResults = document.getElementById('comparisonResults');
+// Machine label OCR functions
+function initializeMachineLabelUpload() {
+    console.log('Initializing machine label upload...');
+    const fileInput = document.getElementById('machineLabelPhoto');
+    const uploadBtn = document.getElementById('uploadMachineLabelBtn');
+    const previewContainer = document.getElementById('machineLabelPreviewContainer');
+    const previewImg = document.getElementById('machineLabelPreviewImg');
+    const removeBtn = document.getElementById('removeMachineLabelBtn');
+    const ocrStatus = document.getElementById('ocrStatus');
+    const extractedDataDiv = document.getElementById('extractedData');
+    const extractedDataContent = document.getElementById('extractedDataContent');
     
-    if (toolComparisons.length === 0) {
-        comparisonSection.style.display = 'none';
+    if (!fileInput || !uploadBtn) {
+        console.error('Machine label upload elements not found:', { fileInput: !!fileInput, uploadBtn: !!uploadBtn });
         return;
-    }
-    
-    comparisonSection.style.display = 'block';
-    
-    // Find best values
-    const bestTotalCost = Math.min(...toolComparisons.map(t => t.totalCostPerPart));
-    const bestToolLife = Math.max(...toolComparisons.map(t => t.toolLife));
-    const bestMRR = Math.max(...toolComparisons.map(t => t.mrr));
-    
-    // Find best tool (lowest cost)
-    const bestTool = toolComparisons.find(t => t.totalCostPerPart === bestTotalCost);
-    const worstTool = toolComparisons.reduce((worst, current) => 
-        current.totalCostPerPart > worst.totalCostPerPart ? current : worst
-    );
-    
-    // Calculate savings and improvements
-    const costDifference = worstTool.totalCostPerPart - bestTool.totalCostPerPart;
-    const costSavingsPercent = ((costDifference / worstTool.totalCostPerPart) * 100).toFixed(1);
-    const toolLifeImprovement = bestToolLife - Math.min(...toolComparisons.map(t => t.toolLife));
-    const toolLifeImprovementPercent = toolLifeImprovement > 0 ? 
-        ((toolLifeImprovement / Math.min(...toolComparisons.map(t => t.toolLife))) * 100).toFixed(1) : 0;
-    const mrrImprovement = bestMRR - Math.min(...toolComparisons.map(t => t.mrr));
-    const mrrImprovementPercent = mrrImprovement > 0 ? 
-        ((mrrImprovement / Math.min(...toolComparisons.map(t => t.mrr))) * 100).toFixed(1) : 0;
-    
-    // Calculate savings
-    calculateAndDisplaySavings();
-    
-    // Display comparison charts
-    displayComparisonCharts();
-    
-    // Create visual summary cards
-    let html = `
-        <div class="comparison-summary-cards">
-            <div class="summary-card best-tool-card">
-                <div class="summary-card-header">
-                    <span class="summary-icon">🏆</span>
-                    <h3>Best Tool</h3>
-                </div>
-                <div class="summary-card-content">
-                    <div class="summary-tool-name">${bestTool.name || 'Tool 1'}</div>
-                    <div class="summary-metrics">
-                        <div class="summary-metric">
-                            <span class="metric-label">Cost/Part</span>
-                            <span class="metric-value best">${formatCurrency(bestTool.totalCostPerPart)}</span>
-                        </div>
-                        <div class="summary-metric">
-                            <span class="metric-label">Tool Life</span>
-                            <span class="metric-value best">${bestTool.toolLife} min</span>
-                        </div>
-                        <div class="summary-metric">
-                            <span class="metric-label">MRR</span>
-                            <span class="metric-value best">${formatNumber(bestTool.mrr, 'mm³/min')}</span>
-                        </div>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="summary-card savings-card">
-                <div class="summary-card-header">
-                    <span class="summary-icon">💰</span>
-                    <h3>Potential Savings</h3>
-                </div>
-                <div class="summary-card-content">
-                    <div class="savings-amount">${formatCurrency(costDifference)}</div>
-                    <div class="savings-percent">${costSavingsPercent}% reduction</div>
-                    <div class="savings-details">
-                        <div>vs. most expensive tool</div>
-                        <div class="savings-breakdown">
-                            <span>Per part: ${formatCurrency(costDifference)}</span>
-                            ${bestTool.batchSize > 1 ? `<span>Per batch: ${formatCurrency(costDifference * bestTool.batchSize)}</span>` : ''}
-                            <span>Per 100 parts: ${formatCurrency(costDifference * 100)}</span>
-                        </div>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="summary-card improvements-card">
-                <div class="summary-card-header">
-                    <span class="summary-icon">📈</span>
-                    <h3>Performance Improvements</h3>
-                </div>
-                <div class="summary-card-content">
-                    <div class="improvement-item">
-                        <span class="improvement-label">Tool Life</span>
-                        <span class="improvement-value">+${toolLifeImprovement.toFixed(1)} min</span>
-                        <span class="improvement-percent">(${toolLifeImprovementPercent}% better)</span>
-                    </div>
-                    <div class="improvement-item">
-                        <span class="improvement-label">Material Removal Rate</span>
-                        <span class="improvement-value">+${formatNumber(mrrImprovement, 'mm³/min')}</span>
-                        <span class="improvement-percent">(${mrrImprovementPercent}% better)</span>
-                    </div>
-                </div>
-            </div>
-        </div>
-        
-        <div class="comparison-tools-grid">
-    `;
-    
-    // Create visual cards for each tool
-    toolComparisons.forEach((tool, index) => {
-        const isBest = tool.totalCostPerPart === bestTotalCost;
-        const costVsBest = tool.totalCostPerPart - bestTotalCost;
-        const costVsBestPercent = bestTotalCost > 0 ? ((costVsBest / bestTotalCost) * 100).toFixed(1) : 0;
-        const toolLifeVsBest = tool.toolLife - bestToolLife;
-        const mrrVsBest = tool.mrr - bestMRR;
-        
-        html += `
-            <div class="tool-comparison-card ${isBest ? 'best-tool-highlight' : ''}" data-tool-id="${tool.id}">
-                ${isBest ? '<div class="best-tool-badge">🏆 BEST CHOICE</div>' : ''}
-                <div class="tool-card-header">
-                    <h4 class="tool-card-name">${tool.name}</h4>
-                    ${tool.toolBrand ? `<div class="tool-card-brand">${tool.toolBrand.charAt(0).toUpperCase() + tool.toolBrand.slice(1)}</div>` : ''}
-                </div>
-                <div class="tool-card-body">
-                    <div class="tool-metric-row">
-                        <span class="tool-metric-label">💰 Cost per Part</span>
-                        <span class="tool-metric-value ${tool.totalCostPerPart === bestTotalCost ? 'best-metric' : costVsBest > 0 ? 'worse-metric' : ''}">
-                            ${formatCurrency(tool.totalCostPerPart)}
-                            ${!isBest && costVsBest > 0 ? `<span class="metric-diff">+${formatCurrency(costVsBest)} (${costVsBestPercent}%)</span>` : ''}
-                            ${tool.totalCostPerPart === bestTotalCost ? '<span class="best-badge">✓ Best</span>' : ''}
-                        </span>
-                    </div>
-                    <div class="tool-metric-row">
-                        <span class="tool-metric-label">⏱️ Tool Life</span>
-                        <span class="tool-metric-value ${tool.toolLife === bestToolLife ? 'best-metric' : toolLifeVsBest < 0 ? 'worse-metric' : ''}">
-                            ${tool.toolLife} min
-                            ${tool.toolLife === bestToolLife ? '<span class="best-badge">✓ Best</span>' : toolLifeVsBest < 0 ? `<span class="metric-diff">${toolLifeVsBest.toFixed(1)} min</span>` : ''}
-                        </span>
-                    </div>
-                    <div class="tool-metric-row">
-                        <span class="tool-metric-label">⚡ MRR</span>
-                        <span class="tool-metric-value ${tool.mrr === bestMRR ? 'best-metric' : mrrVsBest < 0 ? 'worse-metric' : ''}">
-                            ${formatNumber(tool.mrr, 'mm³/min')}
-                            ${tool.mrr === bestMRR ? '<span class="best-badge">✓ Best</span>' : mrrVsBest < 0 ? `<span class="metric-diff">${formatNumber(mrrVsBest, 'mm³/min')}</span>` : ''}
-                        </span>
-                    </div>
-                    <div class="tool-metric-row">
-                        <span class="tool-metric-label">🔧 Tool Cost</span>
-                        <span class="tool-metric-value">${formatCurrency(tool.toolCost)}</span>
-                    </div>
-                    <div class="tool-card-details">
-                        <div class="tool-detail-item">
-                            <span>Type:</span> <strong>${tool.toolType ? tool.toolType.replace(/([A-Z])/g, ' $1').trim() : 'N/A'}</strong>
-                        </div>
-                        <div class="tool-detail-item">
-                            <span>Material:</span> <strong>${tool.toolMaterial}</strong>
-                        </div>
-                        <div class="tool-detail-item">
-                            <span>Coating:</span> <strong>${tool.toolCoating}</strong>
-                        </div>
-                    </div>
-                </div>
-                <div class="tool-card-actions">
-                    <button class="btn-edit-tool" data-tool-id="${tool.id}" title="Edit tool parameters">✏️ Edit</button>
-                    <button class="btn-delete-tool" data-tool-id="${tool.id}" title="Remove tool from comparison">🗑️ Delete</button>
-                </div>
-            </div>
-        `;
+    }
+    
+    if (!previewContainer || !previewImg) {
+        console.error('Machine label preview elements not found');
+        return;
+    }
+    
+    console.log('Machine label upload elements found, setting up event listeners');
+    
+    // Upload button click - use both click and mousedown to ensure it works
+    uploadBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        console.log('Upload button clicked - machine label');
+        try {
+            if (fileInput) {
+                fileInput.click();
+            } else {
+                console.error('File input not found');
+            }
+        } catch (error) {
+            console.error('Error clicking file input:', error);
+            alert('Error opening file dialog. Please check console for details.');
+        }
+        return false;
     });
     
-    html += `
-        </div>
-        
-        <div class="comparison-table-container">
-            <h3 style="margin-bottom: 10px; color: var(--text-primary);">📊 Detailed Comparison Table</h3>
-            <table class="comparison-table">
-                <thead>
-                    <tr>
-                        <th>Tool</th>
-                        <th>Brand</th>
-                        <th>Type</th>
-                        <th>Part</th>
-                        <th>Material</th>
-                        <th>Coating</th>
-                        <th>Cost/Part</th>
-                        <th>Tool Life</th>
-                        <th>MRR</th>
-                        <th>Tool Cost</th>
-                        <th>Actions</th>
-                    </tr>
-                </thead>
-                <tbody>
-    `;
+    // Also try mousedown as fallback
+    uploadBtn.addEventListener('mousedown', function(e) {
+        e.preventDefault();
+        console.log('Upload button mousedown - machine label');
+    });
     
-    toolComparisons.forEach((tool, index) => {
-        html += `
-            <tr data-tool-id="${tool.id}" class="${tool.totalCostPerPart === bestTotalCost ? 'best-tool-row' : ''}">
-                <td><strong>${tool.name}</strong>${tool.totalCostPerPart === bestTotalCost ? ' 🏆' : ''}</td>
-                <td>${tool.toolBrand ? tool.toolBrand.charAt(0).toUpperCase() + tool.toolBrand.slice(1) : 'N/A'}</td>
-                <td>${tool.toolType ? tool.toolType.replace(/([A-Z])/g, ' $1').trim() : 'N/A'}</td>
-                <td>${tool.partName || 'N/A'}</td>
-                <td>${tool.toolMaterial}</td>
-                <td>${tool.toolCoating}</td>
-                <td class="${tool.totalCostPerPart === bestTotalCost ? 'best-value' : ''}">
-                    ${formatCurrency(tool.totalCostPerPart)}
-                </td>
-                <td class="${tool.toolLife === bestToolLife ? 'best-value' : ''}">
-                    ${tool.toolLife} min
-                </td>
-                <td class="${tool.mrr === bestMRR ? 'best-value' : ''}">
-                    ${formatNumber(tool.mrr, 'mm³/min')}
-                </td>
-                <td>${formatCurrency(tool.toolCost)}</td>
-                <td>
-                    <button class="btn-edit-tool" data-tool-id="${tool.id}" title="Edit tool parameters" style="padding: 4px 8px; font-size: 0.85rem; margin-right: 4px;">✏️ Edit</button>
-                    <button class="btn-delete-tool" data-tool-id="${tool.id}" title="Remove tool from comparison" style="padding: 4px 8px; font-size: 0.85rem; background: var(--danger-color); color: white;">🗑️ Delete</button>
-                </td>
-            </tr>
-        `;
+    // File input change
+    fileInput.addEventListener('change', async function(e) {
+        const file = e.target.files[0];
+        if (!file) {
+            console.log('No file selected');
+            return;
+        }
+        
+        console.log('File selected:', file.name, file.type);
+        
+        if (!file.type.startsWith('image/')) {
+            showToast('Please select an image file', 'error');
+            fileInput.value = '';
+            return;
+        }
+        
+        // Show preview
+        const reader = new FileReader();
+        reader.onerror = function(error) {
+            console.error('FileReader error:', error);
+            showToast('Error reading image file', 'error');
+        };
+        reader.onload = function(e) {
+            try {
+                currentMachineLabelPhoto = e.target.result;
+                previewImg.src = e.target.result;
+                previewContainer.style.display = 'block';
+                if (ocrStatus) {
+                    ocrStatus.textContent = 'Processing image...';
+                    ocrStatus.style.color = 'var(--primary-color)';
+                }
+                if (extractedDataDiv) {
+                    extractedDataDiv.style.display = 'none';
+                }
+                
+                // Process OCR
+                if (typeof processMachineLabelOCR === 'function') {
+                    processMachineLabelOCR(e.target.result);
+                } else {
+                    console.error('processMachineLabelOCR function not found');
+                    if (ocrStatus) {
+                        ocrStatus.textContent = 'OCR function not available';
+                        ocrStatus.style.color = 'var(--danger-color)';
+                    }
+                }
+            } catch (error) {
+                console.error('Error processing image:', error);
+                showToast('Error processing image: ' + error.message, 'error');
+            }
+        };
+        reader.readAsDataURL(file);
     });
     
-    html += `
-                </tbody>
-            </table>
-        </div>
-    `;
+    // Remove button
+    if (removeBtn) {
+        removeBtn.addEventListener('click', function() {
+            currentMachineLabelPhoto = null;
+            previewContainer.style.display = 'none';
+            fileInput.value = '';
+            extractedDataDiv.style.display = 'none';
+            ocrStatus.textContent = '';
+        });
+    }
+}
+
+// Process OCR on machine label image
+async function processMachineLabelOCR(imageDataUrl) {
+    // Load OCR library on demand
+    if (typeof window.loadOCRLibrary === 'function') {
+        await window.loadOCRLibrary();
+    }
     
-    comparisonResults.innerHTML = html;
+    const ocrStatus = document.getElementById('ocrStatus');
+    const extractedDataDiv = document.getElementById('extractedData');
+    const extractedDataContent = document.getElementById('extractedDataContent');
     
-    // Add event listeners for edit and delete buttons
-    comparisonResults.querySelectorAll('.btn-edit-tool').forEach(btn => {
-        btn.addEventListener('click', function() {
-            const toolId = parseFloat(this.dataset.toolId);
-            editToolFromComparison(toolId);
+    try {
+        ocrStatus.textContent = 'Extracting text from image...';
+        ocrStatus.style.color = 'var(--primary-color)';
+        
+        // Check if Tesseract is available
+        if (typeof Tesseract === 'undefined') {
+            throw new Error('OCR library not loaded. Please refresh the page.');
+        }
+        
+        // Perform OCR
+        const { data: { text } } = await Tesseract.recognize(imageDataUrl, 'eng', {
+            logger: m => {
+                if (m.status === 'recognizing text') {
+                    ocrStatus.textContent = `Recognizing text... ${Math.round(m.progress * 100)}%`;
+                }
+            }
         });
-    });
+        
+        ocrStatus.textContent = 'Text extracted successfully!';
+        ocrStatus.style.color = 'var(--success-color)';
+        
+        // Parse and extract machine data
+        const extractedData = parseMachineLabelText(text);
+        
+        // Display extracted data
+        if (extractedData.found.length > 0) {
+            let html = '<ul style="margin: 5px 0; padding-left: 20px;">';
+            extractedData.found.forEach(item => {
+                html += `<li><strong>${item.field}:</strong> ${item.value}</li>`;
+            });
+            html += '</ul>';
+            extractedDataContent.innerHTML = html;
+            extractedDataDiv.style.display = 'block';
+            
+            // Auto-populate form fields
+            populateMachineFields(extractedData);
+            
+            showToast(`Extracted ${extractedData.found.length} machine parameter(s)`, 'success');
+        } else {
+            extractedDataContent.innerHTML = '<p style="color: var(--text-secondary); margin: 5px 0;">No machine parameters detected. You can manually enter the data.</p>';
+            extractedDataDiv.style.display = 'block';
+            showToast('No machine parameters found in image. Please enter manually.', 'info');
+        }
+        
+        // Show raw text for debugging (optional)
+        console.log('OCR Raw Text:', text);
+        console.log('Extracted Data:', extractedData);
+        
+    } catch (error) {
+        console.error('OCR Error:', error);
+        ocrStatus.textContent = `Error: ${error.message}`;
+        ocrStatus.style.color = 'var(--danger-color)';
+        showToast(`OCR Error: ${error.message}`, 'error');
+    }
+}
+
+// Parse machine label text to extract parameters
+function parseMachineLabelText(text) {
+    const extracted = {
+        found: [],
+        values: {},
+        raw: text
+    };
+    
+    // Normalize text
+    const normalizedText = text.toUpperCase().replace(/\s+/g, ' ');
+    const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+    
+    // Common machine parameter patterns
+    const patterns = {
+        machineName: [
+            /(?:MACHINE|MODEL|TYPE|NAME)[\s:]+([A-Z0-9\-\.]+)/i,
+            /([A-Z]{2,}\s*[0-9]+[A-Z0-9\-\.]*)/, // e.g., "HAAS VF2", "DMU 50"
+            /(?:CNC|MILL|LATHE|MACHINING\s+CENTER)[\s:]+([A-Z0-9\-\.]+)/i
+        ],
+        serialNumber: [
+            /(?:SERIAL|S\/N|SN)[\s:]+([A-Z0-9\-]+)/i,
+            /S\/N[\s:]*([A-Z0-9\-]+)/i
+        ],
+        maxSpindleSpeed: [
+            /(?:MAX|MAXIMUM)[\s]*(?:SPINDLE|RPM|SPEED)[\s:]+([0-9,]+)/i,
+            /(?:SPINDLE|RPM)[\s:]+([0-9,]+)[\s]*(?:RPM|MAX)/i,
+            /([0-9,]+)[\s]*RPM/i
+        ],
+        maxFeedRate: [
+            /(?:MAX|MAXIMUM)[\s]*(?:FEED|FEEDRATE)[\s:]+([0-9,]+\.?[0-9]*)/i,
+            /(?:FEED|FEEDRATE)[\s:]+([0-9,]+\.?[0-9]*)[\s]*(?:MM\/MIN|IPM)/i
+        ],
+        power: [
+            /(?:POWER|HP|KW|KILOWATT)[\s:]+([0-9,]+\.?[0-9]*)/i,
+            /([0-9,]+\.?[0-9]*)[\s]*(?:KW|HP|KILOWATT)/i
+        ],
+        workArea: [
+            /(?:WORK|TRAVEL|X|Y|Z)[\s]*(?:AREA|SIZE|DIMENSION)[\s:]+([0-9,]+\.?[0-9]*)/i,
+            /X[\s:]+([0-9,]+)[\s]*Y[\s:]+([0-9,]+)[\s]*Z[\s:]+([0-9,]+)/i
+        ],
+        year: [
+            /(?:YEAR|Y\.)[\s:]+([0-9]{4})/i,
+            /([0-9]{4})[\s]*(?:YEAR|Y\.)/i
+        ]
+    };
     
-    comparisonResults.querySelectorAll('.btn-delete-tool').forEach(btn => {
-        btn.addEventListener('click', function() {
-            const toolId = parseFloat(this.dataset.toolId);
-            deleteToolFromComparison(toolId);
-        });
-    });
-}
-
-// Edit tool from comparison - load tool data into form
-function editToolFromComparison(toolId) {
-    const tool = toolComparisons.find(t => t.id === toolId);
-    if (!tool) {
-        showToast('Tool not found', 'error');
-        return;
+    // Try to extract machine name (most important)
+    for (const pattern of patterns.machineName) {
+        const match = normalizedText.match(pattern);
+        if (match && match[1]) {
+            const value = match[1].trim();
+            if (value.length > 2 && !extracted.found.find(f => f.field === 'Machine Name')) {
+                extracted.found.push({ field: 'Machine Name', value: value });
+                extracted.values.name = value;
+                document.getElementById('machineName').value = value;
+            }
+        }
     }
     
-    // Store the tool ID being edited
-    window.editingToolId = toolId;
-    
-    // Load tool data into form fields
-    if (tool.toolBrand) document.getElementById('toolBrand').value = tool.toolBrand;
-    if (tool.toolType) document.getElementById('toolType').value = tool.toolType;
-    if (tool.toolNameModel) document.getElementById('toolNameModel').value = tool.toolNameModel;
-    if (tool.toolProductCode) document.getElementById('toolProductCode').value = tool.toolProductCode;
-    if (tool.toolDiameter) document.getElementById('toolDiameter').value = tool.toolDiameter;
-    if (tool.numberOfTeeth) document.getElementById('numberOfTeeth').value = tool.numberOfTeeth;
-    if (tool.toolMaterial) document.getElementById('toolMaterial').value = tool.toolMaterial;
-    if (tool.toolCoating) document.getElementById('toolCoating').value = tool.toolCoating;
-    if (tool.cuttingFluid) document.getElementById('cuttingFluid').value = tool.cuttingFluid;
-    if (tool.helixAngle !== null && tool.helixAngle !== undefined) document.getElementById('helixAngle').value = tool.helixAngle;
-    if (tool.rakeAngle !== null && tool.rakeAngle !== undefined) document.getElementById('rakeAngle').value = tool.rakeAngle;
-    if (tool.cuttingSpeed) document.getElementById('cuttingSpeed').value = tool.cuttingSpeed;
-    if (tool.feedRate) document.getElementById('feedRate').value = tool.feedRate;
-    if (tool.depthOfCut) document.getElementById('depthOfCut').value = tool.depthOfCut;
-    if (tool.widthOfCut) document.getElementById('widthOfCut').value = tool.widthOfCut;
-    if (tool.workpieceMaterial) document.getElementById('workpieceMaterial').value = tool.workpieceMaterial;
-    if (tool.materialHardness) document.getElementById('materialHardness').value = tool.materialHardness;
-    if (tool.toolCost) document.getElementById('toolCost').value = tool.toolCost;
-    if (tool.toolRemainingCost !== undefined) document.getElementById('toolRemainingCost').value = tool.toolRemainingCost || 0;
-    if (tool.processingTime) document.getElementById('processingTime').value = tool.processingTime;
-    if (tool.toolChangeCost !== undefined) document.getElementById('toolChangeCost').value = tool.toolChangeCost || 0;
-    if (tool.toolChangeTime !== undefined) document.getElementById('toolChangeTime').value = tool.toolChangeTime || 0;
-    if (tool.machiningTime !== null && tool.machiningTime !== undefined) document.getElementById('machiningTime').value = tool.machiningTime;
-    if (tool.machineHourlyRate) document.getElementById('machineHourlyRate').value = tool.machineHourlyRate;
-    if (tool.toolLife) document.getElementById('toolLife').value = tool.toolLife;
+    // Extract serial number
+    for (const pattern of patterns.serialNumber) {
+        const match = normalizedText.match(pattern);
+        if (match && match[1]) {
+            extracted.found.push({ field: 'Serial Number', value: match[1].trim() });
+            break;
+        }
+    }
     
-    // Load project information
-    if (tool.clientName) document.getElementById('clientName').value = tool.clientName;
-    if (tool.projectName) document.getElementById('projectName').value = tool.projectName;
-    if (tool.partName) document.getElementById('partName').value = tool.partName;
-    if (tool.machineName) document.getElementById('machineName').value = tool.machineName;
-    if (tool.applicationType) document.getElementById('applicationType').value = tool.applicationType;
-    if (tool.customerContact) document.getElementById('customerContact').value = tool.customerContact;
-    if (tool.expertName) document.getElementById('expertName').value = tool.expertName;
-    if (tool.batchSize) document.getElementById('batchSize').value = tool.batchSize;
-    if (tool.theoreticalPartWorktime) document.getElementById('theoreticalPartWorktime').value = tool.theoreticalPartWorktime;
-    if (tool.machineWorkhourCost) document.getElementById('machineWorkhourCost').value = tool.machineWorkhourCost;
-    if (tool.machineStopCost) document.getElementById('machineStopCost').value = tool.machineStopCost;
+    // Extract max spindle speed
+    for (const pattern of patterns.maxSpindleSpeed) {
+        const match = normalizedText.match(pattern);
+        if (match && match[1]) {
+            const rpm = parseInt(match[1].replace(/,/g, ''));
+            if (rpm > 0 && rpm < 100000) {
+                extracted.found.push({ field: 'Max Spindle Speed', value: `${rpm} RPM` });
+                extracted.values.maxRpm = rpm;
+                break;
+            }
+        }
+    }
     
-    // Load production & cost parameters
-    if (tool.partsPerBatch) document.getElementById('partsPerBatch').value = tool.partsPerBatch;
-    if (tool.partsPerYear) document.getElementById('partsPerYear').value = tool.partsPerYear;
-    if (tool.annualSolutions) document.getElementById('annualSolutions').value = tool.annualSolutions;
-    if (tool.machineCostPerHour) document.getElementById('machineCostPerHour').value = tool.machineCostPerHour;
-    if (tool.costOfToolChange) document.getElementById('costOfToolChange').value = tool.costOfToolChange;
-    if (tool.timeLossPerToolChange) document.getElementById('timeLossPerToolChange').value = tool.timeLossPerToolChange;
-    if (tool.machineStopDowntimeCost) document.getElementById('machineStopDowntimeCost').value = tool.machineStopDowntimeCost;
-    if (tool.defectsRate) document.getElementById('defectsRate').value = tool.defectsRate;
-    if (tool.plannedProductionTime) document.getElementById('plannedProductionTime').value = tool.plannedProductionTime;
-    if (tool.unplannedDowntime) document.getElementById('unplannedDowntime').value = tool.unplannedDowntime;
+    // Extract max feed rate
+    for (const pattern of patterns.maxFeedRate) {
+        const match = normalizedText.match(pattern);
+        if (match && match[1]) {
+            const feed = parseFloat(match[1].replace(/,/g, ''));
+            if (feed > 0 && feed < 100000) {
+                extracted.found.push({ field: 'Max Feed Rate', value: `${feed} mm/min` });
+                extracted.values.maxFeedRate = feed;
+                break;
+            }
+        }
+    }
     
-    // Load tool photo if available
-    if (tool.toolPhoto) {
-        currentToolPhoto = tool.toolPhoto;
-        currentPhotoDate = tool.photoDate;
-        const photoPreview = document.getElementById('photoPreview');
-        const photoPreviewImg = document.getElementById('photoPreviewImg');
-        const photoPreviewContainer = document.getElementById('photoPreviewContainer');
-        const photoDateInfo = document.getElementById('photoDateInfo');
-        
-        if (photoPreviewImg) {
-            photoPreviewImg.src = tool.toolPhoto;
-            photoPreviewContainer.style.display = 'block';
-            if (tool.photoDate && photoDateInfo) {
-                photoDateInfo.textContent = `Photo Date: ${formatDate(tool.photoDate)}`;
+    // Extract power
+    for (const pattern of patterns.power) {
+        const match = normalizedText.match(pattern);
+        if (match && match[1]) {
+            // Labels rated in horsepower are converted to kW
+            const isHorsepower = /HP/i.test(match[0]) && !/KW|KILOWATT/i.test(match[0]);
+            const power = parseFloat(match[1].replace(/,/g, '')) * (isHorsepower ? 0.7457 : 1);
+            if (power > 0 && power < 1000) {
+                extracted.found.push({ field: 'Power', value: `${parseFloat(power.toFixed(2))} kW` });
+                extracted.values.ratedPower = power;
+                break;
             }
         }
     }
     
-    // Change "Add to Comparison" button to "Update Tool"
-    const addToolBtn = document.getElementById('addToolBtn');
-    if (addToolBtn) {
-        addToolBtn.textContent = '💾 Update Tool';
+    // Extract work area dimensions
+    const workAreaMatch = normalizedText.match(/X[\s:]+([0-9,]+)[\s]*Y[\s:]+([0-9,]+)[\s]*Z[\s:]+([0-9,]+)/i);
+    if (workAreaMatch) {
+        const x = workAreaMatch[1].replace(/,/g, '');
+        const y = workAreaMatch[2].replace(/,/g, '');
+        const z = workAreaMatch[3].replace(/,/g, '');
+        extracted.found.push({ field: 'Work Area', value: `X: ${x}mm × Y: ${y}mm × Z: ${z}mm` });
+        extracted.values.workArea = `X ${x} × Y ${y} × Z ${z} mm`;
     }
     
-    // Scroll to form
-    document.querySelector('.input-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    // Extract year
+    for (const pattern of patterns.year) {
+        const match = normalizedText.match(pattern);
+        if (match && match[1]) {
+            const year = parseInt(match[1]);
+            if (year >= 1950 && year <= new Date().getFullYear() + 1) {
+                extracted.found.push({ field: 'Year', value: year.toString() });
+                break;
+            }
+        }
+    }
     
-    showToast(`Editing tool: ${tool.name}. Make changes and click "Update Tool" to save.`, 'info', 4000);
+    return extracted;
 }
 
-// Update tool in comparison
-function updateToolInComparison(toolId) {
-    const toolIndex = toolComparisons.findIndex(t => t.id === toolId);
-    if (toolIndex === -1) {
-        showToast('Tool not found in comparison', 'error');
-        return;
+// Offer to save the spindle data read from the machine label as a machine profile
+function populateMachineFields(extractedData) {
+    const values = extractedData.values || {};
+    if (!values.maxRpm && !values.ratedPower && !values.maxFeedRate) return;
+    
+    const extractedDataContent = document.getElementById('extractedDataContent');
+    const saveProfileBtn = document.createElement('button');
+    saveProfileBtn.type = 'button';
+    saveProfileBtn.className = 'btn-outline';
+    saveProfileBtn.style.cssText = 'width: 100%; margin: 6px 0 0; padding: 6px; font-size: 0.85rem;';
+    saveProfileBtn.textContent = '🏭 Save as Machine Profile';
+    saveProfileBtn.addEventListener('click', () => {
+        openMachineProfilesModal({
+            name: values.name || document.getElementById('machineName').value.trim(),
+            maxRpm: values.maxRpm || '',
+            ratedPower: values.ratedPower || null,
+            maxFeedRate: values.maxFeedRate || null,
+            workArea: values.workArea || ''
+        });
+    });
+    extractedDataContent.appendChild(saveProfileBtn);
+}
+
+// Photo upload and crop functions
+async function initializePhotoUpload() {
+    console.log('Initializing tool photo upload...');
+    // Load photo libraries on demand
+    if (typeof window.loadPhotoLibraries === 'function') {
+        await window.loadPhotoLibraries();
     }
+    const fileInput = document.getElementById('toolPhoto');
+    const uploadBtn = document.getElementById('uploadPhotoBtn');
+    const photoPreviewContainer = document.getElementById('photoPreviewContainer');
+    const photoPreviewImg = document.getElementById('photoPreviewImg');
+    const cropModal = document.getElementById('cropModal');
+    const cropImage = document.getElementById('cropImage');
+    const cropContainer = document.getElementById('cropContainer');
     
-    const params = getInputValues();
-    const toolLife = params.toolLife || calculateToolLife(params);
-    const costResults = calculateCostPerPart({ ...params, toolLife });
-    const mrr = calculateMRR(params);
+    if (!fileInput || !uploadBtn) {
+        console.error('Tool photo upload elements not found:', {
+            fileInput: !!fileInput,
+            uploadBtn: !!uploadBtn
+        });
+        return;
+    }
     
-    // Create descriptive tool name
-    let toolName = `Tool ${toolIndex + 1}`;
-    if (params.toolNameModel) {
-        toolName = params.toolNameModel;
-        if (params.toolBrand) {
-            toolName = `${params.toolBrand.charAt(0).toUpperCase() + params.toolBrand.slice(1)} ${toolName}`;
-        }
-    } else if (params.toolBrand) {
-        toolName = `${params.toolBrand.charAt(0).toUpperCase() + params.toolBrand.slice(1)} ${toolName}`;
-    } else if (params.partName) {
-        toolName = `${params.partName} - ${toolName}`;
-    } else if (params.applicationType) {
-        toolName = `${params.applicationType} - ${toolName}`;
+    if (!photoPreviewContainer || !photoPreviewImg) {
+        console.error('Tool photo preview elements not found');
+        return;
     }
     
-    // Update tool data
-    toolComparisons[toolIndex] = {
-        id: toolId, // Keep original ID
-        name: toolName,
-        ...params,
-        toolLife,
-        ...costResults,
-        mrr,
-        toolPhoto: params.toolPhoto,
-        photoDate: params.photoDate
-    };
+    console.log('Tool photo upload elements found, setting up event listeners');
     
-    // Reset button
-    const addToolBtn = document.getElementById('addToolBtn');
-    if (addToolBtn) {
-        addToolBtn.textContent = 'Add Another Tool';
-    }
+    // Upload button click
+    uploadBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        console.log('Upload button clicked - tool photo');
+        try {
+            if (fileInput) {
+                fileInput.click();
+            } else {
+                console.error('File input not found');
+                alert('File input not found. Please refresh the page.');
+            }
+        } catch (error) {
+            console.error('Error clicking file input:', error);
+            alert('Error opening file dialog: ' + error.message);
+        }
+        return false;
+    });
+    
+    // File input change
+    fileInput.addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        console.log('Tool photo file selected:', file ? file.name : 'none');
+        if (file) {
+            try {
+                if (typeof handlePhotoUpload === 'function') {
+                    handlePhotoUpload(file);
+                } else {
+                    console.error('handlePhotoUpload function not found');
+                    alert('Photo upload function not available. Please refresh the page.');
+                }
+            } catch (error) {
+                console.error('Error handling photo upload:', error);
+                alert('Error uploading photo: ' + error.message);
+            }
+        }
+    });
     
-    // Clear editing flag
-    window.editingToolId = null;
+    // Remove photo
+    const removePhotoBtn = document.getElementById('removePhotoBtn');
+    if (removePhotoBtn) {
+        removePhotoBtn.addEventListener('click', function() {
+            currentToolPhoto = null;
+            currentPhotoDate = null;
+            if (fileInput) {
+                fileInput.value = '';
+            }
+            if (photoPreviewContainer) {
+                photoPreviewContainer.style.display = 'none';
+            }
+        });
+    }
     
-    // Recalculate and update display
-    updateComparisonTable().catch(error => console.error('Error updating comparison table:', error));
-    calculateAndDisplaySavings();
-    displayComparisonCharts();
+    // Crop photo button
+    const cropPhotoBtn = document.getElementById('cropPhotoBtn');
+    if (cropPhotoBtn) {
+        cropPhotoBtn.addEventListener('click', function() {
+            if (currentToolPhoto) {
+                if (typeof openCropModal === 'function') {
+                    openCropModal();
+                } else {
+                    console.error('openCropModal function not found');
+                }
+            }
+        });
+    }
     
-    // Recalculate main results if this was the last tool added
-    const calculateBtn = document.getElementById('calculateBtn');
-    if (calculateBtn) {
-        calculateBtn.click();
+    // Close crop modal
+    const closeCropModalBtn = document.getElementById('closeCropModal');
+    if (closeCropModalBtn) {
+        closeCropModalBtn.addEventListener('click', function() {
+            if (typeof closeCropModal === 'function') {
+                closeCropModal();
+            }
+        });
     }
     
-    showToast(`Tool "${toolName}" updated successfully`, 'success');
-}
-
-// Delete tool from comparison
-function deleteToolFromComparison(toolId) {
-    if (!confirm('Are you sure you want to remove this tool from the comparison?')) {
-        return;
+    const cancelCropBtn = document.getElementById('cancelCropBtn');
+    if (cancelCropBtn) {
+        cancelCropBtn.addEventListener('click', function() {
+            if (typeof closeCropModal === 'function') {
+                closeCropModal();
+            }
+        });
     }
     
-    const toolIndex = toolComparisons.findIndex(t => t.id === toolId);
-    if (toolIndex === -1) {
-        showToast('Tool not found', 'error');
-        return;
+    // Apply crop
+    const applyCropBtn = document.getElementById('applyCropBtn');
+    if (applyCropBtn) {
+        applyCropBtn.addEventListener('click', function() {
+            if (cropperInstance) {
+                try {
+                    const canvas = cropperInstance.getCroppedCanvas({
+                        width: 800,
+                        height: 800,
+                        imageSmoothingEnabled: true,
+                        imageSmoothingQuality: 'high'
+                    });
+                    
+                    canvas.toBlob(function(blob) {
+                        const reader = new FileReader();
+                        reader.onload = function(e) {
+                            currentToolPhoto = e.target.result;
+                            if (photoPreviewImg) {
+                                photoPreviewImg.src = currentToolPhoto;
+                            }
+                            if (typeof closeCropModal === 'function') {
+                                closeCropModal();
+                            }
+                        };
+                        reader.readAsDataURL(blob);
+                    }, 'image/jpeg', 0.9);
+                } catch (error) {
+                    console.error('Error applying crop:', error);
+                    alert('Error applying crop: ' + error.message);
+                }
+            }
+        });
     }
     
-    const toolName = toolComparisons[toolIndex].name;
-    toolComparisons.splice(toolIndex, 1);
+    // Close modal on outside click
+    if (cropModal) {
+        cropModal.addEventListener('click', function(e) {
+            if (e.target === cropModal) {
+                if (typeof closeCropModal === 'function') {
+                    closeCropModal();
+                }
+            }
+        });
+    }
+}
+
+function handlePhotoUpload(file) {
+    const reader = new FileReader();
+    const photoPreviewContainer = document.getElementById('photoPreviewContainer');
+    const photoPreviewImg = document.getElementById('photoPreviewImg');
+    const photoDateInfo = document.getElementById('photoDateInfo');
     
-    updateComparisonTable();
-    calculateAndDisplaySavings();
-    displayComparisonCharts();
+    reader.onload = function(e) {
+        currentToolPhoto = e.target.result;
+        photoPreviewImg.src = currentToolPhoto;
+        photoPreviewContainer.style.display = 'block';
+        
+        // Extract EXIF data for date
+        EXIF.getData(file, function() {
+            const dateTimeOriginal = EXIF.getTag(this, 'DateTimeOriginal');
+            const dateTime = EXIF.getTag(this, 'DateTime');
+            const dateTimeDigitized = EXIF.getTag(this, 'DateTimeDigitized');
+            
+            let photoDate = null;
+            let dateSource = '';
+            
+            if (dateTimeOriginal) {
+                photoDate = parseEXIFDate(dateTimeOriginal);
+                dateSource = 'EXIF DateTimeOriginal';
+            } else if (dateTime) {
+                photoDate = parseEXIFDate(dateTime);
+                dateSource = 'EXIF DateTime';
+            } else if (dateTimeDigitized) {
+                photoDate = parseEXIFDate(dateTimeDigitized);
+                dateSource = 'EXIF DateTimeDigitized';
+            } else {
+                // Use file modification date
+                photoDate = new Date(file.lastModified);
+                dateSource = 'File Modified Date';
+            }
+            
+            if (photoDate) {
+                currentPhotoDate = photoDate;
+                const formattedDate = formatDate(photoDate);
+                photoDateInfo.innerHTML = `
+                    <strong>📅 Photo Date:</strong> ${formattedDate}<br>
+                    <small style="color: var(--text-secondary);">Source: ${dateSource}</small>
+                `;
+            } else {
+                photoDateInfo.innerHTML = '<small style="color: var(--text-secondary);">Date information not available</small>';
+            }
+        });
+    };
     
-    showToast(`Tool "${toolName}" removed from comparison`, 'success');
+    reader.readAsDataURL(file);
 }
 
-// Calculate and display savings
-function calculateAndDisplaySavings() {
-    if (toolComparisons.length < 2) {
-        document.getElementById('savingsSummary').style.display = 'none';
-        return;
+function parseEXIFDate(exifDateString) {
+    // EXIF date format: "YYYY:MM:DD HH:MM:SS"
+    const parts = exifDateString.split(' ');
+    if (parts.length === 2) {
+        const datePart = parts[0].replace(/:/g, '-');
+        const timePart = parts[1];
+        return new Date(datePart + 'T' + timePart);
     }
+    return null;
+}
+
+function formatDate(date) {
+    return new Intl.DateTimeFormat('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).format(date);
+}
+
+function openCropModal() {
+    const cropModal = document.getElementById('cropModal');
+    const cropImage = document.getElementById('cropImage');
     
-    const savingsContainer = document.getElementById('savingsSummary');
-    const savingsContent = document.getElementById('savingsSummaryContent');
-    
-    // Find best and worst tools
-    const sortedByCost = [...toolComparisons].sort((a, b) => a.totalCostPerPart - b.totalCostPerPart);
-    const bestTool = sortedByCost[0];
-    const worstTool = sortedByCost[sortedByCost.length - 1];
-    
-    const costDifference = worstTool.totalCostPerPart - bestTool.totalCostPerPart;
-    const costSavingsPercent = ((costDifference / worstTool.totalCostPerPart) * 100).toFixed(1);
-    
-    // Calculate batch savings
-    const batchSize = toolComparisons[0].batchSize || 1;
-    const savingsPerPart = costDifference;
-    const savingsPerBatch = savingsPerPart * batchSize;
-    const savingsPer100Parts = savingsPerPart * 100;
+    cropImage.src = currentToolPhoto;
+    cropModal.style.display = 'block';
     
-    let html = `
-        <div class="savings-item best-tool">
-            <div class="savings-label">Best Tool (Lowest Cost)</div>
-            <div class="savings-value">${bestTool.name || 'Tool 1'}</div>
-            <div class="savings-cost">${formatCurrency(bestTool.totalCostPerPart)} per part</div>
-        </div>
-        
-        <div class="savings-item worst-tool">
-            <div class="savings-label">Most Expensive Tool</div>
-            <div class="savings-value">${worstTool.name || 'Tool 2'}</div>
-            <div class="savings-cost">${formatCurrency(worstTool.totalCostPerPart)} per part</div>
-        </div>
+    // Initialize cropper after image loads
+    cropImage.onload = function() {
+        if (cropperInstance) {
+            cropperInstance.destroy();
+        }
         
-        <div class="savings-item savings-highlight">
-            <div class="savings-label">💰 Potential Savings</div>
-            <div class="savings-value-large">${formatCurrency(savingsPerPart)}</div>
-            <div class="savings-details">
-                <div>Per Part: ${formatCurrency(savingsPerPart)} (${costSavingsPercent}% reduction)</div>
-                ${batchSize > 1 ? `<div>Per Batch (${batchSize} parts): ${formatCurrency(savingsPerBatch)}</div>` : ''}
-                <div>Per 100 Parts: ${formatCurrency(savingsPer100Parts)}</div>
-            </div>
-        </div>
-    `;
+        cropperInstance = new Cropper(cropImage, {
+            aspectRatio: 1,
+            viewMode: 1,
+            dragMode: 'move',
+            autoCropArea: 0.8,
+            restore: false,
+            guides: true,
+            center: true,
+            highlight: false,
+            cropBoxMovable: true,
+            cropBoxResizable: true,
+            toggleDragModeOnDblclick: false,
+            responsive: true,
+            minCropBoxWidth: 100,
+            minCropBoxHeight: 100
+        });
+    };
+}
+
+function closeCropModal() {
+    const cropModal = document.getElementById('cropModal');
+    cropModal.style.display = 'none';
     
-    // Calculate annual savings estimate (assuming production volume)
-    if (batchSize > 1) {
-        const annualPartsEstimate = batchSize * 50; // Rough estimate: 50 batches/year
-        const annualSavings = savingsPerPart * annualPartsEstimate;
-        html += `
-            <div class="savings-item annual-savings">
-                <div class="savings-label">📅 Estimated Annual Savings</div>
-                <div class="savings-value-large">${formatCurrency(annualSavings)}</div>
-                <div class="savings-details">Based on ${annualPartsEstimate} parts/year</div>
-            </div>
-        `;
+    if (cropperInstance) {
+        cropperInstance.destroy();
+        cropperInstance = null;
     }
-    
-    savingsContent.innerHTML = html;
-    savingsContainer.style.display = 'block';
 }
 
-// Display comparison charts
-function displayComparisonCharts() {
-    if (toolComparisons.length < 2) {
-        document.getElementById('comparisonCharts').style.display = 'none';
+// Catalogue import functions
+async function initializeCatalogueImport() {
+    console.log('Initializing catalogue import...');
+    // Load catalogue libraries on demand
+    if (typeof window.loadCatalogueLibraries === 'function') {
+        await window.loadCatalogueLibraries();
+    }
+    const fileInput = document.getElementById('catalogueFile');
+    const importBtn = document.getElementById('importCatalogueBtn');
+    const downloadTemplateBtn = document.getElementById('downloadTemplateBtn');
+    const importModal = document.getElementById('catalogueImportModal');
+    const closeImportBtn = document.getElementById('closeImportModal');
+    const cancelImportBtn = document.getElementById('cancelImportBtn');
+    const applyMappingBtn = document.getElementById('applyMappingBtn');
+    const importSelectedBtn = document.getElementById('importSelectedBtn');
+    
+    if (!fileInput || !importBtn || !downloadTemplateBtn) {
+        console.error('Catalogue import elements not found:', {
+            fileInput: !!fileInput,
+            importBtn: !!importBtn,
+            downloadTemplateBtn: !!downloadTemplateBtn
+        });
         return;
     }
     
-    const chartsContainer = document.getElementById('comparisonCharts');
-    chartsContainer.style.display = 'block';
+    console.log('Catalogue import elements found, setting up event listeners');
     
-    // Tool Life Comparison Chart
-    const toolLifeCanvas = document.getElementById('comparisonToolLifeChart');
-    if (toolLifeCanvas && comparisonToolLifeChartInstance) {
-        comparisonToolLifeChartInstance.destroy();
-    }
+    // Import button click
+    importBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        console.log('Import button clicked');
+        try {
+            if (fileInput) {
+                fileInput.click();
+            } else {
+                console.error('File input not found');
+                alert('File input not found. Please refresh the page.');
+            }
+        } catch (error) {
+            console.error('Error clicking file input:', error);
+            alert('Error opening file dialog: ' + error.message);
+        }
+        return false;
+    });
     
-    if (toolLifeCanvas) {
-        comparisonToolLifeChartInstance = new Chart(toolLifeCanvas, {
-            type: 'bar',
-            data: {
-                labels: toolComparisons.map(t => t.name || 'Tool'),
-                datasets: [{
-                    label: 'Tool Life (minutes)',
-                    data: toolComparisons.map(t => t.toolLife),
-                    backgroundColor: toolComparisons.map((t, i) => {
-                        const maxLife = Math.max(...toolComparisons.map(t => t.toolLife));
-                        return t.toolLife === maxLife ? 'rgba(16, 185, 129, 0.8)' : 'rgba(37, 99, 235, 0.8)';
-                    }),
-                    borderColor: toolComparisons.map((t, i) => {
-                        const maxLife = Math.max(...toolComparisons.map(t => t.toolLife));
-                        return t.toolLife === maxLife ? '#10b981' : '#2563eb';
-                    }),
-                    borderWidth: 2
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: true,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Tool Life Comparison'
-                    },
-                    legend: {
-                        display: false
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        title: {
-                            display: true,
-                            text: 'Tool Life (minutes)'
-                        }
-                    }
+    // Download template
+    downloadTemplateBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        console.log('Download template button clicked');
+        try {
+            if (typeof downloadCatalogueTemplate === 'function') {
+                downloadCatalogueTemplate();
+            } else {
+                console.error('downloadCatalogueTemplate function not found');
+                alert('Template download function not available. Please refresh the page.');
+            }
+        } catch (error) {
+            console.error('Error downloading template:', error);
+            alert('Error downloading template: ' + error.message);
+        }
+        return false;
+    });
+    
+    // File input change
+    fileInput.addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        console.log('Catalogue file selected:', file ? file.name : 'none');
+        if (file) {
+            try {
+                if (typeof handleCatalogueImport === 'function') {
+                    handleCatalogueImport(file);
+                } else {
+                    console.error('handleCatalogueImport function not found');
+                    alert('Import function not available. Please refresh the page.');
                 }
+            } catch (error) {
+                console.error('Error handling catalogue import:', error);
+                alert('Error importing catalogue: ' + error.message);
+            }
+        }
+    });
+    
+    // Close modal
+    if (closeImportBtn) {
+        closeImportBtn.addEventListener('click', function() {
+            if (typeof closeImportModal === 'function') {
+                closeImportModal();
             }
         });
     }
-    
-    // Cost Comparison Chart
-    const costCanvas = document.getElementById('comparisonCostChart');
-    if (costCanvas && comparisonCostChartInstance) {
-        comparisonCostChartInstance.destroy();
+    if (cancelImportBtn) {
+        cancelImportBtn.addEventListener('click', function() {
+            if (typeof closeImportModal === 'function') {
+                closeImportModal();
+            }
+        });
     }
-    
-    if (costCanvas) {
-        comparisonCostChartInstance = new Chart(costCanvas, {
-            type: 'bar',
-            data: {
-                labels: toolComparisons.map(t => t.name || 'Tool'),
-                datasets: [{
-                    label: 'Cost per Part (€)',
-                    data: toolComparisons.map(t => t.totalCostPerPart),
-                    backgroundColor: toolComparisons.map((t, i) => {
-                        const minCost = Math.min(...toolComparisons.map(t => t.totalCostPerPart));
-                        return t.totalCostPerPart === minCost ? 'rgba(16, 185, 129, 0.8)' : 'rgba(239, 68, 68, 0.8)';
-                    }),
-                    borderColor: toolComparisons.map((t, i) => {
-                        const minCost = Math.min(...toolComparisons.map(t => t.totalCostPerPart));
-                        return t.totalCostPerPart === minCost ? '#10b981' : '#ef4444';
-                    }),
-                    borderWidth: 2
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: true,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Cost per Part Comparison'
-                    },
-                    legend: {
-                        display: false
-                    },
-                    tooltip: {
-                        callbacks: {
-                            label: function(context) {
-                                return `Cost: ${formatCurrency(context.parsed.y)}`;
-                            }
-                        }
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        title: {
-                            display: true,
-                            text: 'Cost per Part (€)'
-                        }
-                    }
+    if (importModal) {
+        importModal.addEventListener('click', function(e) {
+            if (e.target === importModal) {
+                if (typeof closeImportModal === 'function') {
+                    closeImportModal();
                 }
             }
         });
     }
     
-    // Efficiency Metrics Chart
-    const efficiencyCanvas = document.getElementById('comparisonEfficiencyChart');
-    if (efficiencyCanvas && comparisonEfficiencyChartInstance) {
-        comparisonEfficiencyChartInstance.destroy();
-    }
-    
-    if (efficiencyCanvas) {
-        // Normalize MRR values for comparison
-        const maxMRR = Math.max(...toolComparisons.map(t => t.mrr));
-        const normalizedMRR = toolComparisons.map(t => (t.mrr / maxMRR) * 100);
-        
-        comparisonEfficiencyChartInstance = new Chart(efficiencyCanvas, {
-            type: 'radar',
-            data: {
-                labels: toolComparisons.map(t => t.name || 'Tool'),
-                datasets: toolComparisons.map((tool, index) => ({
-                    label: tool.name || `Tool ${index + 1}`,
-                    data: [
-                        (tool.toolLife / Math.max(...toolComparisons.map(t => t.toolLife))) * 100,
-                        (1 - (tool.totalCostPerPart / Math.max(...toolComparisons.map(t => t.totalCostPerPart)))) * 100,
-                        (tool.mrr / maxMRR) * 100
-                    ],
-                    backgroundColor: `rgba(${37 + index * 30}, ${99 + index * 20}, ${235 - index * 30}, 0.2)`,
-                    borderColor: `rgba(${37 + index * 30}, ${99 + index * 20}, ${235 - index * 30}, 1)`,
-                    borderWidth: 2
-                }))
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: true,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Efficiency Comparison (Normalized)'
-                    },
-                    legend: {
-                        display: true,
-                        position: 'top'
-                    }
-                },
-                scales: {
-                    r: {
-                        beginAtZero: true,
-                        max: 100,
-                        ticks: {
-                            stepSize: 20
-                        }
-                    }
-                }
+    // Apply mapping
+    if (applyMappingBtn) {
+        applyMappingBtn.addEventListener('click', function() {
+            if (typeof applyFieldMapping === 'function') {
+                applyFieldMapping();
+            } else {
+                console.error('applyFieldMapping function not found');
+            }
+        });
+    }
+    
+    // Import selected tools
+    if (importSelectedBtn) {
+        importSelectedBtn.addEventListener('click', function() {
+            if (typeof importSelectedTools === 'function') {
+                importSelectedTools();
+            } else {
+                console.error('importSelectedTools function not found');
             }
         });
     }
 }
 
-// Clear comparison
-function clearComparison() {
-    // Destroy chart instances
-    if (comparisonToolLifeChartInstance) {
-        comparisonToolLifeChartInstance.destroy();
-        comparisonToolLifeChartInstance = null;
-    }
-    if (comparisonCostChartInstance) {
-        comparisonCostChartInstance.destroy();
-        comparisonCostChartInstance = null;
-    }
-    if (comparisonEfficiencyChartInstance) {
-        comparisonEfficiencyChartInstance.destroy();
-        comparisonEfficiencyChartInstance = null;
+function downloadCatalogueTemplate() {
+    if (typeof Papa === 'undefined') {
+        console.error('PapaParse library not loaded');
+        alert('CSV library not loaded. Please refresh the page.');
+        return;
     }
     
-    toolComparisons = [];
-    updateComparisonTable().catch(error => console.error('Error updating comparison table:', error));
+    // Example values in the active unit system
+    const template = {
+        brand: 'kennametal',
+        type: 'endMill',
+        nameModel: 'KOR5',
+        productCode: 'KOR5-1000-12-4FL',
+        diameter: toDisplayInputValue(10, 'length'),
+        material: 'carbide',
+        coating: 'tin',
+        numberOfTeeth: 4,
+        helixAngle: 30,
+        rakeAngle: 5,
+        toolCost: 50,
+        cuttingSpeed: toDisplayInputValue(100, 'cuttingSpeed'),
+        feedRate: toDisplayInputValue(0.1, 'feedPerTooth'),
+        depthOfCut: toDisplayInputValue(2, 'length'),
+        widthOfCut: toDisplayInputValue(5, 'length')
+    };
+    
+    try {
+        const csv = Papa.unparse([template]);
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', 'tool_catalogue_template.csv');
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        console.log('Template downloaded successfully');
+    } catch (error) {
+        console.error('Error downloading template:', error);
+        alert('Error downloading template: ' + error.message);
+    }
 }
 
-// Save current tool and clear form for new tool entry
-function saveAndClearForm() {
-    const params = getInputValues();
-    const validationErrors = validateInputs(params);
+function handleCatalogueImport(file) {
+    console.log('Handling catalogue import for file:', file.name);
+    const fileName = file.name.toLowerCase();
+    const importModal = document.getElementById('catalogueImportModal');
+    const importStatus = document.getElementById('importStatus');
     
-    if (validationErrors.length > 0) {
-        showToast(`⚠️ Please fix errors before saving: ${validationErrors[0]}`, 'error', 5000);
+    if (!importModal || !importStatus) {
+        console.error('Import modal elements not found');
+        alert('Import modal not found. Please refresh the page.');
         return;
     }
     
-    // If editing, update instead of adding
-    if (window.editingToolId) {
-        updateToolInComparison(window.editingToolId);
+    importModal.style.display = 'block';
+    importStatus.innerHTML = '<p style="color: var(--primary-color);">Processing catalogue file...</p>';
+    
+    if (fileName.endsWith('.csv')) {
+        if (typeof Papa === 'undefined') {
+            importStatus.innerHTML = '<p style="color: var(--danger-color);">CSV parsing library not loaded. Please refresh the page.</p>';
+            console.error('PapaParse library not loaded');
+            return;
+        }
+        
+        Papa.parse(file, {
+            header: true,
+            skipEmptyLines: true,
+            complete: function(results) {
+                handleParsedData(results.data, results.meta.fields);
+            },
+            error: function(error) {
+                importStatus.innerHTML = `<p style="color: var(--danger-color);">Error parsing CSV: ${error.message}</p>`;
+            }
+        });
+    } else if (fileName.endsWith('.json')) {
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            try {
+                const data = JSON.parse(e.target.result);
+                const fields = Array.isArray(data) && data.length > 0 ? Object.keys(data[0]) : [];
+                handleParsedData(data, fields);
+            } catch (error) {
+                importStatus.innerHTML = `<p style="color: var(--danger-color);">Error parsing JSON: ${error.message}</p>`;
+            }
+        };
+        reader.readAsText(file);
+    } else if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
+        if (typeof XLSX === 'undefined') {
+            importStatus.innerHTML = '<p style="color: var(--danger-color);">Excel parsing library not loaded. Please refresh the page.</p>';
+            console.error('XLSX library not loaded');
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.onerror = function(error) {
+            console.error('FileReader error:', error);
+            importStatus.innerHTML = `<p style="color: var(--danger-color);">Error reading Excel file: ${error.message || 'Unknown error'}</p>`;
+        };
+        reader.onload = function(e) {
+            try {
+                const data = new Uint8Array(e.target.result);
+                const workbook = XLSX.read(data, { type: 'array' });
+                if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
+                    throw new Error('Excel file has no sheets');
+                }
+                const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
+                const jsonData = XLSX.utils.sheet_to_json(firstSheet);
+                const fields = jsonData.length > 0 ? Object.keys(jsonData[0]) : [];
+                handleParsedData(jsonData, fields);
+            } catch (error) {
+                console.error('Error parsing Excel:', error);
+                importStatus.innerHTML = `<p style="color: var(--danger-color);">Error parsing Excel: ${error.message}</p>`;
+            }
+        };
+        reader.readAsArrayBuffer(file);
     } else {
-        // Add current tool to comparison
-        addToComparison();
+        importStatus.innerHTML = '<p style="color: var(--danger-color);">Unsupported file format. Please use CSV, JSON, or Excel files.</p>';
+    }
+}
+
+function handleParsedData(data, fields) {
+    if (!data || data.length === 0) {
+        document.getElementById('importStatus').innerHTML = '<p style="color: var(--danger-color);">No data found in file.</p>';
+        return;
     }
     
-    // Clear editing mode
-    window.editingToolId = null;
+    importedCatalogueData = data;
     
-    // Clear form fields (but keep some defaults)
-    document.getElementById('toolBrand').value = '';
-    document.getElementById('toolType').value = '';
-    document.getElementById('toolNameModel').value = '';
-    document.getElementById('toolProductCode').value = '';
-    document.getElementById('toolDiameter').value = '10';
-    document.getElementById('numberOfTeeth').value = '4';
-    document.getElementById('toolMaterial').value = 'carbide';
-    document.getElementById('toolCoating').value = 'none';
-    document.getElementById('cuttingFluid').value = 'none';
-    document.getElementById('helixAngle').value = '30';
-    document.getElementById('rakeAngle').value = '5';
-    document.getElementById('cuttingSpeed').value = '100';
-    document.getElementById('feedRate').value = '0.1';
-    document.getElementById('depthOfCut').value = '2';
-    document.getElementById('widthOfCut').value = '5';
-    document.getElementById('toolCost').value = '50';
-    document.getElementById('toolRemainingCost').value = '0';
-    document.getElementById('toolLife').value = '';
-    document.getElementById('materialHardness').value = '30';
-    document.getElementById('processingTime').value = '10';
-    document.getElementById('toolChangeCost').value = '5';
-    document.getElementById('toolChangeTime').value = '2';
-    document.getElementById('machiningTime').value = '10';
-    document.getElementById('machineHourlyRate').value = '50';
+    // Auto-detect field mapping
+    autoDetectFieldMapping(fields);
     
-    // Clear new project information fields
-    document.getElementById('theoreticalPartWorktime').value = '';
-    document.getElementById('machineWorkhourCost').value = '50';
-    document.getElementById('machineStopCost').value = '50';
+    // Show mapping interface
+    displayFieldMapping(fields);
     
-    // Clear production & cost parameters
-    document.getElementById('partsPerBatch').value = '100';
-    document.getElementById('partsPerYear').value = '4000';
-    document.getElementById('annualSolutions').value = '6';
-    document.getElementById('machineCostPerHour').value = '50';
-    document.getElementById('costOfToolChange').value = '5';
-    document.getElementById('timeLossPerToolChange').value = '5';
-    document.getElementById('machineStopDowntimeCost').value = '50';
-    document.getElementById('defectsRate').value = '2';
-    document.getElementById('plannedProductionTime').value = '8';
-    document.getElementById('unplannedDowntime').value = '0.5';
+    // Apply mapping and show preview
+    applyFieldMapping();
+}
+
+function autoDetectFieldMapping(catalogueFields) {
+    const fieldAliases = {
+        brand: ['brand', 'manufacturer', 'maker', 'company'],
+        type: ['type', 'tooltype', 'category', 'tool_type'],
+        nameModel: ['name', 'model', 'namemodel', 'name_model', 'modelname', 'model_name', 'partnumber', 'part_number'],
+        productCode: ['code', 'productcode', 'product_code', 'sku', 'partcode', 'part_code'],
+        diameter: ['diameter', 'd', 'dia', 'size', 'toolsize', 'tool_size'],
+        material: ['material', 'toolmaterial', 'tool_material', 'grade'],
+        coating: ['coating', 'coated', 'surface'],
+        numberOfTeeth: ['teeth', 'flutes', 'numberofteeth', 'number_of_teeth', 'z'],
+        helixAngle: ['helix', 'helixangle', 'helix_angle', 'beta'],
+        rakeAngle: ['rake', 'rakeangle', 'rake_angle', 'gamma'],
+        toolCost: ['cost', 'price', 'toolcost', 'tool_cost'],
+        cuttingSpeed: ['speed', 'cutting speed', 'cutting_speed', 'vc', 'v_c'],
+        feedRate: ['feed', 'feedrate', 'feed_rate', 'fz', 'f_z'],
+        depthOfCut: ['depth', 'depthofcut', 'depth_of_cut', 'ap', 'a_p'],
+        widthOfCut: ['width', 'widthofcut', 'width_of_cut', 'ae', 'a_e', 'stepover']
+    };
     
-    // Reset editing mode and button text
-    window.editingToolId = null;
-    const addToolBtn = document.getElementById('addToolBtn');
-    if (addToolBtn) {
-        addToolBtn.textContent = 'Add Another Tool';
-    }
+    fieldMapping = {};
+    
+    catalogueFields.forEach(catField => {
+        const lowerField = catField.toLowerCase().trim();
+        
+        for (const [calcField, aliases] of Object.entries(fieldAliases)) {
+            if (aliases.some(alias => lowerField.includes(alias) || alias.includes(lowerField))) {
+                fieldMapping[calcField] = catField;
+                break;
+            }
+        }
+    });
+}
+
+function displayFieldMapping(catalogueFields) {
+    const mappingContainer = document.getElementById('fieldMappingContainer');
+    const mappingSection = document.getElementById('importMappingSection');
+    
+    const calculatorFields = [
+        { key: 'brand', label: 'Brand', required: false },
+        { key: 'type', label: 'Type', required: false },
+        { key: 'nameModel', label: 'Name/Model', required: false },
+        { key: 'productCode', label: 'Product Code', required: false },
+        { key: 'diameter', label: 'Diameter', required: true },
+        { key: 'material', label: 'Tool Material', required: false },
+        { key: 'coating', label: 'Coating', required: false },
+        { key: 'numberOfTeeth', label: 'Number of Teeth', required: false },
+        { key: 'helixAngle', label: 'Helix Angle', required: false },
+        { key: 'rakeAngle', label: 'Rake Angle', required: false },
+        { key: 'toolCost', label: 'Tool Cost', required: false },
+        { key: 'cuttingSpeed', label: 'Cutting Speed', required: false },
+        { key: 'feedRate', label: 'Feed Rate', required: false },
+        { key: 'depthOfCut', label: 'Depth of Cut', required: false },
+        { key: 'widthOfCut', label: 'Width of Cut', required: false }
+    ];
     
-    // Clear photo
-    currentToolPhoto = null;
-    currentPhotoDate = null;
-    const photoPreviewContainerEl = document.getElementById('photoPreviewContainer');
-    if (photoPreviewContainerEl) {
-        photoPreviewContainerEl.style.display = 'none';
-    }
-    const photoPreviewEl = document.getElementById('photoPreview');
-    if (photoPreviewEl) {
-        photoPreviewEl.innerHTML = '<p style="color: #64748b;">No photo uploaded</p>';
-    }
-    const toolPhotoFileInput = document.getElementById('toolPhoto');
-    if (toolPhotoFileInput) {
-        toolPhotoFileInput.value = '';
-    }
+    let html = '<table class="technical-table" style="font-size: 0.9rem;"><thead><tr><th>Calculator Field</th><th>Catalogue Column</th></tr></thead><tbody>';
     
-    // Clear results
-    document.getElementById('results').innerHTML = '<div class="result-placeholder"><p>Enter parameters and click "Calculate" to see engineering analysis</p></div>';
-    document.getElementById('technicalSpecs').style.display = 'none';
-    document.getElementById('engineeringFormulas').style.display = 'none';
-    document.getElementById('recommendations').style.display = 'none';
-    document.getElementById('toolLifeChart').style.display = 'none';
-    document.getElementById('costSavingsChart').style.display = 'none';
+    calculatorFields.forEach(field => {
+        const mappedValue = fieldMapping[field.key] || '';
+        html += `
+            <tr>
+                <td>
+                    ${field.label}
+                    ${field.required ? '<span style="color: var(--danger-color);">*</span>' : ''}
+                </td>
+                <td>
+                    <select class="field-mapping-select" data-field="${field.key}" style="width: 100%; padding: 5px;">
+                        <option value="">-- Select Column --</option>
+                        ${catalogueFields.map(catField => 
+                            `<option value="${catField}" ${mappedValue === catField ? 'selected' : ''}>${catField}</option>`
+                        ).join('')}
+                    </select>
+                </td>
+            </tr>
+        `;
+    });
     
-    // Destroy chart instances
-    if (toolLifeChartInstance) {
-        toolLifeChartInstance.destroy();
-        toolLifeChartInstance = null;
-    }
-    if (costSavingsChartInstance) {
-        costSavingsChartInstance.destroy();
-        costSavingsChartInstance = null;
-    }
+    html += '</tbody></table>';
     
-    // Show success message
-    const toolName = params.toolNameModel || params.toolBrand || `Tool ${toolComparisons.length}`;
-    showToast(`✅ "${toolName}" saved to comparison. Form cleared for new tool entry.`, 'success', 4000);
+    mappingContainer.innerHTML = html;
+    mappingSection.style.display = 'block';
+    document.getElementById('catalogueUnitSystem').value = unitSystem;
+    document.getElementById('catalogueCurrency').value = projectCurrency;
     
-    // Scroll to top of form
-    document.querySelector('.calculator-grid').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    // Update mapping on change
+    mappingContainer.querySelectorAll('.field-mapping-select').forEach(select => {
+        select.addEventListener('change', function() {
+            fieldMapping[this.dataset.field] = this.value;
+        });
+    });
 }
 
-// Machine label OCR functions
-function initializeMachineLabelUpload() {
-    console.log('Initializing machine label upload...');
-    const fileInput = document.getElementById('machineLabelPhoto');
-    const uploadBtn = document.getElementById('uploadMachineLabelBtn');
-    const previewContainer = document.getElementById('machineLabelPreviewContainer');
-    const previewImg = document.getElementById('machineLabelPreviewImg');
-    const removeBtn = document.getElementById('removeMachineLabelBtn');
-    const ocrStatus = document.getElementById('ocrStatus');
-    const extractedDataDiv = document.getElementById('extractedData');
-    const extractedDataContent = document.getElementById('extractedDataContent');
-    
-    if (!fileInput || !uploadBtn) {
-        console.error('Machine label upload elements not found:', { fileInput: !!fileInput, uploadBtn: !!uploadBtn });
-        return;
-    }
-    
-    if (!previewContainer || !previewImg) {
-        console.error('Machine label preview elements not found');
+function applyFieldMapping() {
+    if (!importedCatalogueData || importedCatalogueData.length === 0) {
         return;
     }
     
-    console.log('Machine label upload elements found, setting up event listeners');
-    
-    // Upload button click - use both click and mousedown to ensure it works
-    uploadBtn.addEventListener('click', function(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        console.log('Upload button clicked - machine label');
-        try {
-            if (fileInput) {
-                fileInput.click();
-            } else {
-                console.error('File input not found');
-            }
-        } catch (error) {
-            console.error('Error clicking file input:', error);
-            alert('Error opening file dialog. Please check console for details.');
-        }
-        return false;
-    });
+    // Imported dimensions and cutting data are stored in SI like the rest of the tool data
+    const catalogueUnitSelect = document.getElementById('catalogueUnitSystem');
+    const catalogueUnitSystem = catalogueUnitSelect ? catalogueUnitSelect.value : unitSystem;
+    const catalogueUnitFields = {
+        diameter: 'length',
+        cuttingSpeed: 'cuttingSpeed',
+        feedRate: 'feedPerTooth',
+        depthOfCut: 'length',
+        widthOfCut: 'length'
+    };
     
-    // Also try mousedown as fallback
-    uploadBtn.addEventListener('mousedown', function(e) {
-        e.preventDefault();
-        console.log('Upload button mousedown - machine label');
-    });
+    // Catalogue prices are converted to the project currency
+    const catalogueCurrencySelect = document.getElementById('catalogueCurrency');
+    const catalogueCurrency = catalogueCurrencySelect && catalogueCurrencySelect.value ? catalogueCurrencySelect.value : projectCurrency;
     
-    // File input change
-    fileInput.addEventListener('change', async function(e) {
-        const file = e.target.files[0];
-        if (!file) {
-            console.log('No file selected');
-            return;
-        }
-        
-        console.log('File selected:', file.name, file.type);
-        
-        if (!file.type.startsWith('image/')) {
-            showToast('Please select an image file', 'error');
-            fileInput.value = '';
-            return;
-        }
-        
-        // Show preview
-        const reader = new FileReader();
-        reader.onerror = function(error) {
-            console.error('FileReader error:', error);
-            showToast('Error reading image file', 'error');
+    mappedToolData = importedCatalogueData.map((row, index) => {
+        const mapped = {
+            _index: index,
+            _selected: true
         };
-        reader.onload = function(e) {
-            try {
-                currentMachineLabelPhoto = e.target.result;
-                previewImg.src = e.target.result;
-                previewContainer.style.display = 'block';
-                if (ocrStatus) {
-                    ocrStatus.textContent = 'Processing image...';
-                    ocrStatus.style.color = 'var(--primary-color)';
-                }
-                if (extractedDataDiv) {
-                    extractedDataDiv.style.display = 'none';
+        
+        // Map each field
+        Object.keys(fieldMapping).forEach(calcField => {
+            const catField = fieldMapping[calcField];
+            if (catField && row[catField] !== undefined && row[catField] !== null && row[catField] !== '') {
+                let value = row[catField];
+                
+                // Convert numeric fields
+                const numericFields = ['diameter', 'numberOfTeeth', 'helixAngle', 'rakeAngle', 'toolCost', 
+                                     'cuttingSpeed', 'feedRate', 'depthOfCut', 'widthOfCut'];
+                if (numericFields.includes(calcField)) {
+                    value = parseFloat(value);
+                    if (isNaN(value)) value = null;
+                    if (value !== null && catalogueUnitFields[calcField]) {
+                        value = convertUnitValue(value, catalogueUnitFields[calcField], catalogueUnitSystem, 'metric');
+                    }
+                    if (value !== null && calcField === 'toolCost') {
+                        value = Math.round(convertCurrency(value, catalogueCurrency, projectCurrency) * 100) / 100;
+                    }
                 }
                 
-                // Process OCR
-                if (typeof processMachineLabelOCR === 'function') {
-                    processMachineLabelOCR(e.target.result);
-                } else {
-                    console.error('processMachineLabelOCR function not found');
-                    if (ocrStatus) {
-                        ocrStatus.textContent = 'OCR function not available';
-                        ocrStatus.style.color = 'var(--danger-color)';
+                // Normalize string values
+                if (typeof value === 'string') {
+                    value = value.trim();
+                    // Normalize brand names
+                    if (calcField === 'brand') {
+                        value = value.toLowerCase().replace(/\s+/g, '');
+                    }
+                    // Normalize tool types
+                    if (calcField === 'type') {
+                        value = value.toLowerCase().replace(/\s+/g, '');
                     }
                 }
-            } catch (error) {
-                console.error('Error processing image:', error);
-                showToast('Error processing image: ' + error.message, 'error');
+                
+                mapped[calcField] = value;
             }
-        };
-        reader.readAsDataURL(file);
+        });
+        
+        return mapped;
+    });
+    
+    displayImportPreview();
+    document.getElementById('applyMappingBtn').style.display = 'none';
+    document.getElementById('importSelectedBtn').style.display = 'block';
+}
+
+function displayImportPreview() {
+    const previewContainer = document.getElementById('importPreviewContainer');
+    const previewSection = document.getElementById('importPreviewSection');
+    
+    if (mappedToolData.length === 0) {
+        previewContainer.innerHTML = '<p style="color: var(--text-secondary);">No tools to preview.</p>';
+        return;
+    }
+    
+    let html = `
+        <div style="margin-bottom: 10px;">
+            <label style="display: flex; align-items: center; gap: 10px;">
+                <input type="checkbox" id="selectAllTools" checked style="width: auto;">
+                <strong>Select All (${mappedToolData.length} tools)</strong>
+            </label>
+        </div>
+        <table class="technical-table" style="font-size: 0.85rem;">
+            <thead>
+                <tr>
+                    <th style="width: 40px;">
+                        <input type="checkbox" id="selectAllCheckbox" checked>
+                    </th>
+                    <th>Brand</th>
+                    <th>Model</th>
+                    <th>Diameter</th>
+                    <th>Type</th>
+                    <th>Cost</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
+    
+    mappedToolData.forEach((tool, index) => {
+        html += `
+            <tr>
+                <td>
+                    <input type="checkbox" class="tool-select-checkbox" data-index="${index}" ${tool._selected ? 'checked' : ''}>
+                </td>
+                <td>${tool.brand || 'N/A'}</td>
+                <td>${tool.nameModel || tool.productCode || 'N/A'}</td>
+                <td>${tool.diameter ? formatInputQuantity(tool.diameter, 'length') : 'N/A'}</td>
+                <td>${tool.type || 'N/A'}</td>
+                <td>${tool.toolCost ? formatCurrency(tool.toolCost) : 'N/A'}</td>
+            </tr>
+        `;
+    });
+    
+    html += '</tbody></table>';
+    
+    previewContainer.innerHTML = html;
+    previewSection.style.display = 'block';
+    
+    // Select all functionality
+    const selectAllCheckbox = document.getElementById('selectAllCheckbox');
+    const selectAllTools = document.getElementById('selectAllTools');
+    const toolCheckboxes = previewContainer.querySelectorAll('.tool-select-checkbox');
+    
+    function updateSelectAll() {
+        const allSelected = Array.from(toolCheckboxes).every(cb => cb.checked);
+        selectAllCheckbox.checked = allSelected;
+        selectAllTools.checked = allSelected;
+    }
+    
+    selectAllCheckbox.addEventListener('change', function() {
+        toolCheckboxes.forEach(cb => {
+            cb.checked = this.checked;
+            mappedToolData[parseInt(cb.dataset.index)]._selected = this.checked;
+        });
+        selectAllTools.checked = this.checked;
     });
     
-    // Remove button
-    if (removeBtn) {
-        removeBtn.addEventListener('click', function() {
-            currentMachineLabelPhoto = null;
-            previewContainer.style.display = 'none';
-            fileInput.value = '';
-            extractedDataDiv.style.display = 'none';
-            ocrStatus.textContent = '';
+    selectAllTools.addEventListener('change', function() {
+        toolCheckboxes.forEach(cb => {
+            cb.checked = this.checked;
+            mappedToolData[parseInt(cb.dataset.index)]._selected = this.checked;
         });
-    }
+        selectAllCheckbox.checked = this.checked;
+    });
+    
+    toolCheckboxes.forEach(cb => {
+        cb.addEventListener('change', function() {
+            mappedToolData[parseInt(this.dataset.index)]._selected = this.checked;
+            updateSelectAll();
+        });
+    });
 }
 
-// Process OCR on machine label image
-async function processMachineLabelOCR(imageDataUrl) {
-    // Load OCR library on demand
-    if (typeof window.loadOCRLibrary === 'function') {
-        await window.loadOCRLibrary();
-    }
+function importSelectedTools() {
+    const selectedTools = mappedToolData.filter(tool => tool._selected);
     
-    const ocrStatus = document.getElementById('ocrStatus');
-    const extractedDataDiv = document.getElementById('extractedData');
-    const extractedDataContent = document.getElementById('extractedDataContent');
+    if (selectedTools.length === 0) {
+        alert('Please select at least one tool to import.');
+        return;
+    }
     
-    try {
-        ocrStatus.textContent = 'Extracting text from image...';
-        ocrStatus.style.color = 'var(--primary-color)';
-        
-        // Check if Tesseract is available
-        if (typeof Tesseract === 'undefined') {
-            throw new Error('OCR library not loaded. Please refresh the page.');
-        }
-        
-        // Perform OCR
-        const { data: { text } } = await Tesseract.recognize(imageDataUrl, 'eng', {
-            logger: m => {
-                if (m.status === 'recognizing text') {
-                    ocrStatus.textContent = `Recognizing text... ${Math.round(m.progress * 100)}%`;
-                }
-            }
-        });
-        
-        ocrStatus.textContent = 'Text extracted successfully!';
-        ocrStatus.style.color = 'var(--success-color)';
-        
-        // Parse and extract machine data
-        const extractedData = parseMachineLabelText(text);
+    // Import first tool into form (most common use case)
+    if (selectedTools.length > 0) {
+        const firstTool = selectedTools[0];
+        populateToolForm(firstTool);
         
-        // Display extracted data
-        if (extractedData.found.length > 0) {
-            let html = '<ul style="margin: 5px 0; padding-left: 20px;">';
-            extractedData.found.forEach(item => {
-                html += `<li><strong>${item.field}:</strong> ${item.value}</li>`;
+        if (selectedTools.length > 1) {
+            // Add remaining tools to comparison
+            selectedTools.slice(1).forEach(tool => {
+                addToolToComparison(tool);
             });
-            html += '</ul>';
-            extractedDataContent.innerHTML = html;
-            extractedDataDiv.style.display = 'block';
-            
-            // Auto-populate form fields
-            populateMachineFields(extractedData);
-            
-            showToast(`Extracted ${extractedData.found.length} machine parameter(s)`, 'success');
+            alert(`Imported ${selectedTools.length} tools. First tool loaded into form, ${selectedTools.length - 1} added to comparison.`);
         } else {
-            extractedDataContent.innerHTML = '<p style="color: var(--text-secondary); margin: 5px 0;">No machine parameters detected. You can manually enter the data.</p>';
-            extractedDataDiv.style.display = 'block';
-            showToast('No machine parameters found in image. Please enter manually.', 'info');
+            alert('Tool imported successfully!');
         }
-        
-        // Show raw text for debugging (optional)
-        console.log('OCR Raw Text:', text);
-        console.log('Extracted Data:', extractedData);
-        
-    } catch (error) {
-        console.error('OCR Error:', error);
-        ocrStatus.textContent = `Error: ${error.message}`;
-        ocrStatus.style.color = 'var(--danger-color)';
-        showToast(`OCR Error: ${error.message}`, 'error');
     }
+    
+    closeImportModal();
 }
 
-// Parse machine label text to extract parameters
-function parseMachineLabelText(text) {
-    const extracted = {
-        found: [],
-        raw: text
+function populateToolForm(tool) {
+    if (tool.brand) document.getElementById('toolBrand').value = tool.brand;
+    if (tool.type) document.getElementById('toolType').value = tool.type;
+    if (tool.nameModel) document.getElementById('toolNameModel').value = tool.nameModel;
+    if (tool.productCode) document.getElementById('toolProductCode').value = tool.productCode;
+    if (tool.diameter) setUnitInput('toolDiameter', tool.diameter);
+    if (tool.material) document.getElementById('toolMaterial').value = tool.material;
+    if (tool.coating) document.getElementById('toolCoating').value = tool.coating;
+    if (tool.numberOfTeeth) document.getElementById('numberOfTeeth').value = tool.numberOfTeeth;
+    if (tool.helixAngle !== null && tool.helixAngle !== undefined) document.getElementById('helixAngle').value = tool.helixAngle;
+    if (tool.rakeAngle !== null && tool.rakeAngle !== undefined) document.getElementById('rakeAngle').value = tool.rakeAngle;
+    if (tool.toolCost) document.getElementById(tool.type === 'insert' ? 'insertPrice' : 'toolCost').value = tool.toolCost;
+    if (tool.cuttingSpeed) setUnitInput('cuttingSpeed', tool.cuttingSpeed);
+    if (tool.feedRate) setUnitInput('feedRate', tool.feedRate);
+    if (tool.depthOfCut) setUnitInput('depthOfCut', tool.depthOfCut);
+    if (tool.widthOfCut) setUnitInput('widthOfCut', tool.widthOfCut);
+    updateOperationSections();
+}
+
+function addToolToComparison(tool) {
+    const params = {
+        toolBrand: tool.brand || '',
+        toolType: tool.type || '',
+        toolNameModel: tool.nameModel || '',
+        toolProductCode: tool.productCode || '',
+        toolDiameter: tool.diameter || 10,
+        toolMaterial: tool.material || 'carbide',
+        toolCoating: tool.coating || 'none',
+        numberOfTeeth: tool.numberOfTeeth || 4,
+        helixAngle: tool.helixAngle || null,
+        rakeAngle: tool.rakeAngle || null,
+        toolCost: tool.toolCost || 50,
+        cuttingSpeed: tool.cuttingSpeed || 100,
+        feedRate: tool.feedRate || 0.1,
+        depthOfCut: tool.depthOfCut || 2,
+        widthOfCut: tool.widthOfCut || 5,
+        workpieceMaterial: 'steel',
+        processingTime: 10,
+        toolChangeCost: 5,
+        toolChangeTime: 2,
+        machiningTime: null,
+        machineHourlyRate: 50,
+        toolRemainingCost: 0,
+        // Catalogue prices of inserts are per insert
+        insertPrice: tool.type === 'insert' ? tool.toolCost || 0 : 0,
+        toolLife: null,
+        batchSize: 1
     };
     
-    // Normalize text
-    const normalizedText = text.toUpperCase().replace(/\s+/g, ' ');
-    const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+    const toolLife = calculateToolLife(params);
+    const costResults = calculateCostPerPart({ ...params, toolLife });
+    const mrr = calculateMRR(params);
     
-    // Common machine parameter patterns
-    const patterns = {
-        machineName: [
-            /(?:MACHINE|MODEL|TYPE|NAME)[\s:]+([A-Z0-9\-\.]+)/i,
-            /([A-Z]{2,}\s*[0-9]+[A-Z0-9\-\.]*)/, // e.g., "HAAS VF2", "DMU 50"
-            /(?:CNC|MILL|LATHE|MACHINING\s+CENTER)[\s:]+([A-Z0-9\-\.]+)/i
-        ],
-        serialNumber: [
-            /(?:SERIAL|S\/N|SN)[\s:]+([A-Z0-9\-]+)/i,
-            /S\/N[\s:]*([A-Z0-9\-]+)/i
-        ],
-        maxSpindleSpeed: [
-            /(?:MAX|MAXIMUM)[\s]*(?:SPINDLE|RPM|SPEED)[\s:]+([0-9,]+)/i,
-            /(?:SPINDLE|RPM)[\s:]+([0-9,]+)[\s]*(?:RPM|MAX)/i,
-            /([0-9,]+)[\s]*RPM/i
-        ],
-        maxFeedRate: [
-            /(?:MAX|MAXIMUM)[\s]*(?:FEED|FEEDRATE)[\s:]+([0-9,]+\.?[0-9]*)/i,
-            /(?:FEED|FEEDRATE)[\s:]+([0-9,]+\.?[0-9]*)[\s]*(?:MM\/MIN|IPM)/i
-        ],
-        power: [
-            /(?:POWER|HP|KW|KILOWATT)[\s:]+([0-9,]+\.?[0-9]*)/i,
-            /([0-9,]+\.?[0-9]*)[\s]*(?:KW|HP|KILOWATT)/i
-        ],
-        workArea: [
-            /(?:WORK|TRAVEL|X|Y|Z)[\s]*(?:AREA|SIZE|DIMENSION)[\s:]+([0-9,]+\.?[0-9]*)/i,
-            /X[\s:]+([0-9,]+)[\s]*Y[\s:]+([0-9,]+)[\s]*Z[\s:]+([0-9,]+)/i
-        ],
-        year: [
-            /(?:YEAR|Y\.)[\s:]+([0-9]{4})/i,
-            /([0-9]{4})[\s]*(?:YEAR|Y\.)/i
-        ]
+    let toolName = tool.nameModel || tool.productCode || `Tool ${toolComparisons.length + 1}`;
+    if (tool.brand) {
+        toolName = `${tool.brand.charAt(0).toUpperCase() + tool.brand.slice(1)} ${toolName}`;
+    }
+    
+    const toolData = {
+        id: Date.now() + Math.random(),
+        name: toolName,
+        ...params,
+        toolLife,
+        ...costResults,
+        mrr
     };
     
-    // Try to extract machine name (most important)
-    for (const pattern of patterns.machineName) {
-        const match = normalizedText.match(pattern);
-        if (match && match[1]) {
-            const value = match[1].trim();
-            if (value.length > 2 && !extracted.found.find(f => f.field === 'Machine Name')) {
-                extracted.found.push({ field: 'Machine Name', value: value });
-                document.getElementById('machineName').value = value;
+    toolComparisons.push(toolData);
+    updateComparisonTable().catch(error => console.error('Error updating comparison table:', error));
+}
+
+function closeImportModal() {
+    const importModal = document.getElementById('catalogueImportModal');
+    importModal.style.display = 'none';
+    importedCatalogueData = null;
+    fieldMapping = {};
+    mappedToolData = [];
+    document.getElementById('catalogueFile').value = '';
+}
+
+// Project workspace (IndexedDB)
+const PROJECT_DB_NAME = 'cncToolCalc';
+const PROJECT_DB_VERSION = 1;
+const PROJECT_STORE = 'projects';
+const AUTOSAVE_STORE = 'autosave';
+const AUTOSAVE_KEY = 'current';
+const AUTOSAVE_DELAY = 1000;
+let projectDatabase = null;
+let currentProjectId = null;
+let currentProjectName = null;
+let defaultFormState = null;
+let autosaveTimer = null;
+let autosaveSuspended = false;
+
+// Open (and create on first use) the project database
+function openProjectDatabase() {
+    if (projectDatabase) return Promise.resolve(projectDatabase);
+    if (!window.indexedDB) return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+    
+    return new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(PROJECT_DB_NAME, PROJECT_DB_VERSION);
+        request.onupgradeneeded = function(e) {
+            const db = e.target.result;
+            if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+                const projectStore = db.createObjectStore(PROJECT_STORE, { keyPath: 'id' });
+                projectStore.createIndex('updatedAt', 'updatedAt');
             }
+            if (!db.objectStoreNames.contains(AUTOSAVE_STORE)) {
+                db.createObjectStore(AUTOSAVE_STORE, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = function(e) {
+            projectDatabase = e.target.result;
+            resolve(projectDatabase);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run a single request against an object store and resolve with its result
+async function projectStoreRequest(storeName, mode, operation) {
+    const db = await openProjectDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        let result;
+        request.onsuccess = () => { result = request.result; };
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Capture every form value in the calculator plus current photos
+function collectFormState() {
+    const values = {};
+    document.querySelectorAll('.calculator-grid input[id], .calculator-grid select[id], .calculator-grid textarea[id]').forEach(element => {
+        if (element.type === 'file') return;
+        if (element.type === 'checkbox') {
+            values[element.id] = element.checked;
+        } else if (unitInputFields[element.id] && element.value !== '' && !isNaN(readUnitInput(element.id))) {
+            // Unrounded, so a project saved in one system reopens exactly in the other
+            values[element.id] = String(toDisplayUnits(readUnitInput(element.id), unitInputFields[element.id]));
+        } else {
+            values[element.id] = element.value;
         }
-    }
-    
-    // Extract serial number
-    for (const pattern of patterns.serialNumber) {
-        const match = normalizedText.match(pattern);
-        if (match && match[1]) {
-            extracted.found.push({ field: 'Serial Number', value: match[1].trim() });
-            break;
-        }
-    }
-    
-    // Extract max spindle speed
-    for (const pattern of patterns.maxSpindleSpeed) {
-        const match = normalizedText.match(pattern);
-        if (match && match[1]) {
-            const rpm = parseInt(match[1].replace(/,/g, ''));
-            if (rpm > 0 && rpm < 100000) {
-                extracted.found.push({ field: 'Max Spindle Speed', value: `${rpm} RPM` });
-                break;
+    });
+    return {
+        values,
+        unitSystem,
+        toolPhoto: currentToolPhoto,
+        photoDate: currentPhotoDate,
+        machineLabelPhoto: currentMachineLabelPhoto
+    };
+}
+
+// Restore form values and photos captured by collectFormState
+function applyFormState(state) {
+    // Unit-aware values are stored in the unit system that was active when they were captured
+    const stateUnitSystem = state.unitSystem || 'metric';
+    autosaveSuspended = true;
+    try {
+        // Costs are stored in the state's currency (sessions without one predate currency support)
+        const stateCurrency = (state.values && state.values.projectCurrency) || BASE_CURRENCY;
+        projectCurrency = currencyDefinitions[stateCurrency] ? stateCurrency : BASE_CURRENCY;
+        updateCurrencyLabels();
+        
+        Object.entries(state.values || {}).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (!element || element.type === 'file') return;
+            if (element.type === 'checkbox') {
+                element.checked = Boolean(value);
+            } else if (unitInputFields[id] && value !== '' && !isNaN(parseFloat(value))) {
+                setUnitInput(id, convertUnitValue(parseFloat(value), unitInputFields[id], stateUnitSystem, 'metric'));
+            } else {
+                element.value = value;
             }
-        }
+            element.dispatchEvent(new Event('change'));
+        });
+        
+        currentToolPhoto = state.toolPhoto || null;
+        currentPhotoDate = state.photoDate ? new Date(state.photoDate) : null;
+        currentMachineLabelPhoto = state.machineLabelPhoto || null;
+        displayToolPhotoPreview(currentToolPhoto, currentPhotoDate);
+        displayMachineLabelPhotoPreview(currentMachineLabelPhoto);
+    } finally {
+        autosaveSuspended = false;
     }
+}
+
+// Show (or hide) the tool photo preview
+function displayToolPhotoPreview(photo, photoDate) {
+    const photoPreviewImg = document.getElementById('photoPreviewImg');
+    const photoPreviewContainer = document.getElementById('photoPreviewContainer');
+    const photoDateInfo = document.getElementById('photoDateInfo');
+    if (!photoPreviewImg || !photoPreviewContainer) return;
     
-    // Extract max feed rate
-    for (const pattern of patterns.maxFeedRate) {
-        const match = normalizedText.match(pattern);
-        if (match && match[1]) {
-            const feed = parseFloat(match[1].replace(/,/g, ''));
-            if (feed > 0 && feed < 100000) {
-                extracted.found.push({ field: 'Max Feed Rate', value: `${feed} mm/min` });
-                break;
-            }
+    if (photo) {
+        photoPreviewImg.src = photo;
+        photoPreviewContainer.style.display = 'block';
+        if (photoDateInfo) {
+            photoDateInfo.textContent = photoDate ? `Photo Date: ${formatDate(photoDate)}` : '';
         }
+    } else {
+        photoPreviewContainer.style.display = 'none';
     }
+}
+
+// Show (or hide) the machine label photo preview
+function displayMachineLabelPhotoPreview(photo) {
+    const previewImg = document.getElementById('machineLabelPreviewImg');
+    const previewContainer = document.getElementById('machineLabelPreviewContainer');
+    if (!previewImg || !previewContainer) return;
     
-    // Extract power
-    for (const pattern of patterns.power) {
-        const match = normalizedText.match(pattern);
-        if (match && match[1]) {
-            const power = parseFloat(match[1].replace(/,/g, ''));
-            if (power > 0 && power < 1000) {
-                extracted.found.push({ field: 'Power', value: `${power} kW` });
-                break;
-            }
-        }
+    if (photo) {
+        previewImg.src = photo;
+        previewContainer.style.display = 'block';
+    } else {
+        previewContainer.style.display = 'none';
     }
+}
+
+// Calculated results stored with a project (null when the form is incomplete)
+function calculateProjectResults(params) {
+    if (validateInputs(params).length > 0) return null;
+    const toolLife = params.toolLife || calculateToolLife(params);
+    return {
+        calculatedAt: new Date().toISOString(),
+        toolLife,
+        mrr: calculateMRR(params),
+        ...calculateCostPerPart({ ...params, toolLife })
+    };
+}
+
+// Save the current session as a project (updates the open project when names match)
+async function saveProject(name) {
+    const params = getInputValues();
+    const now = new Date().toISOString();
+    const isUpdate = currentProjectId && name === currentProjectName;
+    const existing = isUpdate ? await projectStoreRequest(PROJECT_STORE, 'readonly', store => store.get(currentProjectId)) : null;
+    
+    const project = {
+        id: existing ? existing.id : `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        name,
+        clientName: params.clientName,
+        projectName: params.projectName,
+        partName: params.partName,
+        machineName: params.machineName,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+        archived: existing ? existing.archived : false,
+        formState: collectFormState(),
+        toolComparisons,
+        results: calculateProjectResults(params)
+    };
     
-    // Extract work area dimensions
-    const workAreaMatch = normalizedText.match(/X[\s:]+([0-9,]+)[\s]*Y[\s:]+([0-9,]+)[\s]*Z[\s:]+([0-9,]+)/i);
-    if (workAreaMatch) {
-        const x = workAreaMatch[1].replace(/,/g, '');
-        const y = workAreaMatch[2].replace(/,/g, '');
-        const z = workAreaMatch[3].replace(/,/g, '');
-        extracted.found.push({ field: 'Work Area', value: `X: ${x}mm × Y: ${y}mm × Z: ${z}mm` });
-    }
+    await projectStoreRequest(PROJECT_STORE, 'readwrite', store => store.put(project));
+    currentProjectId = project.id;
+    currentProjectName = project.name;
+    updateProjectBar();
+    await writeAutosave(false);
+    return project;
+}
+
+// List all projects, most recently updated first
+async function listProjects() {
+    const projects = await projectStoreRequest(PROJECT_STORE, 'readonly', store => store.getAll());
+    return (projects || []).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Load a project into the form and comparison
+async function openProject(projectId) {
+    const project = await projectStoreRequest(PROJECT_STORE, 'readonly', store => store.get(projectId));
+    if (!project) throw new Error('Project not found');
+    
+    restoreSession(project.formState, project.toolComparisons);
+    currentProjectId = project.id;
+    currentProjectName = project.name;
+    updateProjectBar();
+    await writeAutosave(false);
+    return project;
+}
+
+// Copy a project under a new name
+async function duplicateProject(projectId) {
+    const project = await projectStoreRequest(PROJECT_STORE, 'readonly', store => store.get(projectId));
+    if (!project) throw new Error('Project not found');
+    
+    const now = new Date().toISOString();
+    const copy = {
+        ...project,
+        id: `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        name: `${project.name} (copy)`,
+        createdAt: now,
+        updatedAt: now,
+        archived: false
+    };
+    await projectStoreRequest(PROJECT_STORE, 'readwrite', store => store.put(copy));
+    return copy;
+}
+
+// Archive or restore a project
+async function setProjectArchived(projectId, archived) {
+    const project = await projectStoreRequest(PROJECT_STORE, 'readonly', store => store.get(projectId));
+    if (!project) throw new Error('Project not found');
+    
+    project.archived = archived;
+    project.updatedAt = new Date().toISOString();
+    await projectStoreRequest(PROJECT_STORE, 'readwrite', store => store.put(project));
+}
+
+// Replace the form and comparison with a stored session and refresh the views
+function restoreSession(formState, comparisons) {
+    applyFormState(formState || defaultFormState);
+    
+    toolComparisons = (comparisons || []).map(tool => ({
+        ...tool,
+        photoDate: tool.photoDate ? new Date(tool.photoDate) : null
+    }));
+    window.editingToolId = null;
+    updateComparisonTable().catch(error => console.error('Error updating comparison table:', error));
     
-    // Extract year
-    for (const pattern of patterns.year) {
-        const match = normalizedText.match(pattern);
-        if (match && match[1]) {
-            const year = parseInt(match[1]);
-            if (year >= 1950 && year <= new Date().getFullYear() + 1) {
-                extracted.found.push({ field: 'Year', value: year.toString() });
-                break;
-            }
-        }
+    const params = getInputValues();
+    if (validateInputs(params).length === 0) {
+        displayResults(params).catch(error => console.error('Error displaying results:', error));
+    } else {
+        document.getElementById('results').innerHTML = '<div class="result-placeholder"><p>Enter parameters and click "Calculate" to see engineering analysis</p></div>';
     }
-    
-    return extracted;
 }
 
-// Populate machine-related form fields
-function populateMachineFields(extractedData) {
-    // Machine name is already populated in parseMachineLabelText
-    // Add any additional field mappings here if needed
-    
-    // You can extend this to populate other fields based on extracted data
-    // For example, if power is extracted, you might want to store it somewhere
-    // or if max spindle speed is found, it could inform cutting speed recommendations
+// Reset to an empty, unsaved project
+function startNewProject() {
+    if (!confirm('Start a new project? Unsaved changes to the current session will be lost.')) return;
+    
+    restoreSession(defaultFormState, []);
+    currentProjectId = null;
+    currentProjectName = null;
+    updateProjectBar();
+    scheduleAutosave();
+    showToast('🆕 New project started', 'info');
 }
 
-// Photo upload and crop functions
-async function initializePhotoUpload() {
-    console.log('Initializing tool photo upload...');
-    // Load photo libraries on demand
-    if (typeof window.loadPhotoLibraries === 'function') {
-        await window.loadPhotoLibraries();
+function updateProjectBar() {
+    const nameElement = document.getElementById('currentProjectName');
+    if (nameElement) {
+        nameElement.textContent = currentProjectName || 'Unsaved session';
     }
-    const fileInput = document.getElementById('toolPhoto');
-    const uploadBtn = document.getElementById('uploadPhotoBtn');
-    const photoPreviewContainer = document.getElementById('photoPreviewContainer');
-    const photoPreviewImg = document.getElementById('photoPreviewImg');
-    const cropModal = document.getElementById('cropModal');
-    const cropImage = document.getElementById('cropImage');
-    const cropContainer = document.getElementById('cropContainer');
-    
-    if (!fileInput || !uploadBtn) {
-        console.error('Tool photo upload elements not found:', {
-            fileInput: !!fileInput,
-            uploadBtn: !!uploadBtn
-        });
-        return;
+}
+
+// Debounced autosave of the working session
+function scheduleAutosave() {
+    if (autosaveSuspended || !defaultFormState) return;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => {
+        writeAutosave().catch(error => console.error('Error autosaving session:', error));
+    }, AUTOSAVE_DELAY);
+}
+
+// A clean autosave matches the saved project (just saved or opened) and is not offered for restore
+async function writeAutosave(unsaved = true) {
+    clearTimeout(autosaveTimer);
+    await projectStoreRequest(AUTOSAVE_STORE, 'readwrite', store => store.put({
+        id: AUTOSAVE_KEY,
+        savedAt: new Date().toISOString(),
+        unsaved,
+        projectId: currentProjectId,
+        projectName: currentProjectName,
+        formState: collectFormState(),
+        toolComparisons
+    }));
+    
+    const status = document.getElementById('autosaveStatus');
+    if (status) {
+        status.textContent = `Autosaved ${new Date().toLocaleTimeString()}`;
     }
-    
-    if (!photoPreviewContainer || !photoPreviewImg) {
-        console.error('Tool photo preview elements not found');
-        return;
+}
+
+// Offer to restore an autosaved session left by a previous tab
+async function checkAutosaveRestore() {
+    const autosave = await projectStoreRequest(AUTOSAVE_STORE, 'readonly', store => store.get(AUTOSAVE_KEY));
+    if (!autosave || autosave.unsaved === false) return;
+    // Nothing to offer when the project was saved after the autosave (e.g. from another tab)
+    if (autosave.projectId) {
+        const project = await projectStoreRequest(PROJECT_STORE, 'readonly', store => store.get(autosave.projectId));
+        if (project && project.updatedAt >= autosave.savedAt) return;
     }
     
-    console.log('Tool photo upload elements found, setting up event listeners');
-    
-    // Upload button click
-    uploadBtn.addEventListener('click', function(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        console.log('Upload button clicked - tool photo');
+    const banner = document.getElementById('autosaveRestoreBanner');
+    const savedAt = new Date(autosave.savedAt).toLocaleString();
+    document.getElementById('autosaveRestoreText').textContent =
+        `Unsaved work${autosave.projectName ? ` on "${autosave.projectName}"` : ''} from ${savedAt} was found.`;
+    banner.style.display = 'flex';
+    
+    document.getElementById('restoreAutosaveBtn').onclick = function() {
+        restoreSession(autosave.formState, autosave.toolComparisons);
+        currentProjectId = autosave.projectId || null;
+        currentProjectName = autosave.projectName || null;
+        updateProjectBar();
+        banner.style.display = 'none';
+        showToast('✅ Previous session restored', 'success');
+    };
+    document.getElementById('discardAutosaveBtn').onclick = async function() {
+        banner.style.display = 'none';
         try {
-            if (fileInput) {
-                fileInput.click();
-            } else {
-                console.error('File input not found');
-                alert('File input not found. Please refresh the page.');
-            }
+            await projectStoreRequest(AUTOSAVE_STORE, 'readwrite', store => store.delete(AUTOSAVE_KEY));
         } catch (error) {
-            console.error('Error clicking file input:', error);
-            alert('Error opening file dialog: ' + error.message);
+            console.error('Error discarding autosave:', error);
         }
-        return false;
-    });
+    };
+}
+
+// Render the project browser list
+async function renderProjectList() {
+    const container = document.getElementById('projectListContainer');
+    const showArchived = document.getElementById('showArchivedProjects').checked;
+    const projects = (await listProjects()).filter(project => showArchived || !project.archived);
+    
+    if (projects.length === 0) {
+        container.innerHTML = `<p style="color: var(--text-secondary);">${showArchived ? 'No projects saved yet.' : 'No active projects. Saved projects appear here.'}</p>`;
+        return;
+    }
     
-    // File input change
-    fileInput.addEventListener('change', function(e) {
-        const file = e.target.files[0];
-        console.log('Tool photo file selected:', file ? file.name : 'none');
-        if (file) {
-            try {
-                if (typeof handlePhotoUpload === 'function') {
-                    handlePhotoUpload(file);
-                } else {
-                    console.error('handlePhotoUpload function not found');
-                    alert('Photo upload function not available. Please refresh the page.');
-                }
-            } catch (error) {
-                console.error('Error handling photo upload:', error);
-                alert('Error uploading photo: ' + error.message);
-            }
+    container.innerHTML = projects.map(project => `
+        <div class="project-list-item ${project.archived ? 'archived' : ''} ${project.id === currentProjectId ? 'active' : ''}">
+            <div>
+                <strong>${project.name}</strong>${project.archived ? ' <small>(archived)</small>' : ''}<br>
+                <small>
+                    ${[project.clientName, project.partName, project.machineName].filter(Boolean).join(' · ') || 'No client/part/machine details'}
+                    · ${(project.toolComparisons || []).length} tool${(project.toolComparisons || []).length === 1 ? '' : 's'}
+                    ${project.results ? ` · ${formatCurrency(project.results.totalCostPerPart)}/part` : ''}
+                    · Updated ${new Date(project.updatedAt).toLocaleString()}
+                </small>
+            </div>
+            <div class="project-list-actions">
+                <button type="button" class="btn-primary" data-action="open" data-id="${project.id}">Open</button>
+                <button type="button" class="btn-outline" data-action="duplicate" data-id="${project.id}">Duplicate</button>
+                <button type="button" class="btn-outline" data-action="${project.archived ? 'unarchive' : 'archive'}" data-id="${project.id}">${project.archived ? 'Restore' : 'Archive'}</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Handle open/duplicate/archive clicks in the project list
+async function handleProjectListAction(action, projectId) {
+    try {
+        if (action === 'open') {
+            const project = await openProject(projectId);
+            closeProjectBrowserModal();
+            showToast(`📂 Opened "${project.name}"`, 'success');
+            return;
         }
-    });
-    
-    // Remove photo
-    const removePhotoBtn = document.getElementById('removePhotoBtn');
-    if (removePhotoBtn) {
-        removePhotoBtn.addEventListener('click', function() {
-            currentToolPhoto = null;
-            currentPhotoDate = null;
-            if (fileInput) {
-                fileInput.value = '';
-            }
-            if (photoPreviewContainer) {
-                photoPreviewContainer.style.display = 'none';
-            }
-        });
+        if (action === 'duplicate') {
+            const copy = await duplicateProject(projectId);
+            showToast(`✅ Created "${copy.name}"`, 'success');
+        } else if (action === 'archive' || action === 'unarchive') {
+            await setProjectArchived(projectId, action === 'archive');
+            showToast(action === 'archive' ? '🗄️ Project archived' : '✅ Project restored', 'info');
+        }
+        await renderProjectList();
+    } catch (error) {
+        console.error('Error handling project action:', error);
+        showToast(`❌ ${error.message}`, 'error', 5000);
     }
-    
-    // Crop photo button
-    const cropPhotoBtn = document.getElementById('cropPhotoBtn');
-    if (cropPhotoBtn) {
-        cropPhotoBtn.addEventListener('click', function() {
-            if (currentToolPhoto) {
-                if (typeof openCropModal === 'function') {
-                    openCropModal();
-                } else {
-                    console.error('openCropModal function not found');
-                }
-            }
-        });
+}
+
+async function openProjectBrowserModal() {
+    const params = getInputValues();
+    document.getElementById('projectSaveName').value = currentProjectName ||
+        [params.clientName, params.projectName || params.partName].filter(Boolean).join(' – ');
+    document.getElementById('projectBrowserModal').style.display = 'block';
+    try {
+        await renderProjectList();
+    } catch (error) {
+        console.error('Error listing projects:', error);
+        document.getElementById('projectListContainer').innerHTML =
+            `<p style="color: var(--danger-color);">❌ Projects are unavailable: ${error.message}</p>`;
     }
-    
-    // Close crop modal
-    const closeCropModalBtn = document.getElementById('closeCropModal');
-    if (closeCropModalBtn) {
-        closeCropModalBtn.addEventListener('click', function() {
-            if (typeof closeCropModal === 'function') {
-                closeCropModal();
-            }
-        });
+}
+
+function closeProjectBrowserModal() {
+    document.getElementById('projectBrowserModal').style.display = 'none';
+}
+
+// Wire up the project bar, browser and autosave
+function initializeProjectWorkspace() {
+    const projectBrowserModal = document.getElementById('projectBrowserModal');
+    if (!projectBrowserModal) {
+        console.error('Project workspace elements not found');
+        return;
     }
     
-    const cancelCropBtn = document.getElementById('cancelCropBtn');
-    if (cancelCropBtn) {
-        cancelCropBtn.addEventListener('click', function() {
-            if (typeof closeCropModal === 'function') {
-                closeCropModal();
-            }
-        });
-    }
+    defaultFormState = collectFormState();
     
-    // Apply crop
-    const applyCropBtn = document.getElementById('applyCropBtn');
-    if (applyCropBtn) {
-        applyCropBtn.addEventListener('click', function() {
-            if (cropperInstance) {
-                try {
-                    const canvas = cropperInstance.getCroppedCanvas({
-                        width: 800,
-                        height: 800,
-                        imageSmoothingEnabled: true,
-                        imageSmoothingQuality: 'high'
-                    });
-                    
-                    canvas.toBlob(function(blob) {
-                        const reader = new FileReader();
-                        reader.onload = function(e) {
-                            currentToolPhoto = e.target.result;
-                            if (photoPreviewImg) {
-                                photoPreviewImg.src = currentToolPhoto;
-                            }
-                            if (typeof closeCropModal === 'function') {
-                                closeCropModal();
-                            }
-                        };
-                        reader.readAsDataURL(blob);
-                    }, 'image/jpeg', 0.9);
-                } catch (error) {
-                    console.error('Error applying crop:', error);
-                    alert('Error applying crop: ' + error.message);
-                }
-            }
-        });
+    document.getElementById('openProjectsBtn').addEventListener('click', openProjectBrowserModal);
+    document.getElementById('saveProjectBtn').addEventListener('click', openProjectBrowserModal);
+    document.getElementById('newProjectBtn').addEventListener('click', startNewProject);
+    document.getElementById('closeProjectBrowserModal').addEventListener('click', closeProjectBrowserModal);
+    document.getElementById('cancelProjectBrowserBtn').addEventListener('click', closeProjectBrowserModal);
+    document.getElementById('showArchivedProjects').addEventListener('change', function() {
+        renderProjectList().catch(error => console.error('Error listing projects:', error));
+    });
+    document.getElementById('confirmSaveProjectBtn').addEventListener('click', async function() {
+        const name = document.getElementById('projectSaveName').value.trim();
+        if (!name) {
+            showToast('⚠️ Please enter a project name', 'error');
+            return;
+        }
+        try {
+            const project = await saveProject(name);
+            showToast(`💾 Project "${project.name}" saved`, 'success');
+            await renderProjectList();
+        } catch (error) {
+            console.error('Error saving project:', error);
+            showToast(`❌ Error saving project: ${error.message}`, 'error', 5000);
+        }
+    });
+    document.getElementById('projectListContainer').addEventListener('click', function(e) {
+        const button = e.target.closest('button[data-action]');
+        if (button) {
+            handleProjectListAction(button.dataset.action, button.dataset.id);
+        }
+    });
+    projectBrowserModal.addEventListener('click', function(e) {
+        if (e.target === projectBrowserModal) {
+            closeProjectBrowserModal();
+        }
+    });
+    
+    // Autosave whenever the form changes
+    const calculatorGrid = document.querySelector('.calculator-grid');
+    calculatorGrid.addEventListener('input', scheduleAutosave);
+    calculatorGrid.addEventListener('change', scheduleAutosave);
+    
+    checkAutosaveRestore().catch(error => console.error('Error checking autosave:', error));
+}
+
+// Session export/import (portable JSON)
+const SESSION_FORMAT = 'cnc-tool-calc-session';
+const SESSION_FORMAT_VERSION = 1;
+
+// Upgrade steps keyed by the version they upgrade from
+const sessionMigrations = {
+    // Version 0: a bare comparison array or a raw project record from the project store
+    0: doc => {
+        const record = Array.isArray(doc) ? { toolComparisons: doc } : doc;
+        return {
+            format: SESSION_FORMAT,
+            version: 1,
+            exportedAt: record.updatedAt || new Date().toISOString(),
+            project: { name: record.name || null },
+            form: record.formState || record.form || null,
+            toolComparisons: record.toolComparisons || [],
+            reportSettings: record.reportSettings || null
+        };
+    }
+};
+
+// Report modal settings included in a session
+function collectReportSettings() {
+    return {
+        email: document.getElementById('reportEmail').value,
+        subject: document.getElementById('reportSubject').value,
+        message: document.getElementById('reportMessage').value,
+        includeCharts: document.getElementById('includeCharts').checked,
+        includeComparison: document.getElementById('includeComparison').checked
+    };
+}
+
+function applyReportSettings(settings) {
+    if (!settings) return;
+    if (settings.email !== undefined) document.getElementById('reportEmail').value = settings.email;
+    if (settings.subject !== undefined) document.getElementById('reportSubject').value = settings.subject;
+    if (settings.message !== undefined) document.getElementById('reportMessage').value = settings.message;
+    if (settings.includeCharts !== undefined) document.getElementById('includeCharts').checked = Boolean(settings.includeCharts);
+    if (settings.includeComparison !== undefined) document.getElementById('includeComparison').checked = Boolean(settings.includeComparison);
+}
+
+// Build the versioned session document
+function buildSessionDocument() {
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        project: { name: currentProjectName },
+        form: collectFormState(),
+        toolComparisons,
+        reportSettings: collectReportSettings()
+    };
+}
+
+// Bring an older session document up to the current version
+function migrateSessionDocument(doc) {
+    if (!doc || typeof doc !== 'object') {
+        throw new Error('Session file is not a JSON object');
     }
+    let migrated = doc;
+    let version = Array.isArray(doc) || doc.format !== SESSION_FORMAT ? 0 : doc.version;
     
-    // Close modal on outside click
-    if (cropModal) {
-        cropModal.addEventListener('click', function(e) {
-            if (e.target === cropModal) {
-                if (typeof closeCropModal === 'function') {
-                    closeCropModal();
-                }
+    if (typeof version !== 'number' || version > SESSION_FORMAT_VERSION) {
+        throw new Error(`Unsupported session version: ${doc.version}`);
+    }
+    while (version < SESSION_FORMAT_VERSION) {
+        migrated = sessionMigrations[version](migrated);
+        version = migrated.version;
+    }
+    return migrated;
+}
+
+// Validate a (migrated) session document, returning a list of problems
+function validateSessionDocument(doc) {
+    const errors = [];
+    const isImage = value => value === null || value === undefined || (typeof value === 'string' && value.startsWith('data:image/'));
+    const isDate = value => value === null || value === undefined || !isNaN(new Date(value).getTime());
+    
+    if (!doc || typeof doc !== 'object') {
+        return ['Session file is not a JSON object'];
+    }
+    if (doc.form !== null && doc.form !== undefined && (typeof doc.form !== 'object' || typeof doc.form.values !== 'object' || doc.form.values === null)) {
+        errors.push('Form section is missing or malformed');
+    } else if (doc.form) {
+        if (!isImage(doc.form.toolPhoto)) errors.push('Form tool photo is not an image');
+        if (!isImage(doc.form.machineLabelPhoto)) errors.push('Form machine label photo is not an image');
+        if (!isDate(doc.form.photoDate)) errors.push('Form photo date is invalid');
+    }
+    if (!Array.isArray(doc.toolComparisons)) {
+        errors.push('Tool comparison list is missing');
+    } else {
+        doc.toolComparisons.forEach((tool, index) => {
+            const label = `Tool ${index + 1}`;
+            if (!tool || typeof tool !== 'object') {
+                errors.push(`${label} is not an object`);
+                return;
             }
+            if (typeof tool.name !== 'string') errors.push(`${label} has no name`);
+            ['toolLife', 'totalCostPerPart', 'mrr', 'cuttingSpeed', 'toolDiameter'].forEach(field => {
+                if (typeof tool[field] !== 'number' || !isFinite(tool[field])) {
+                    errors.push(`${label} has an invalid ${field}`);
+                }
+            });
+            if (!isImage(tool.toolPhoto)) errors.push(`${label} photo is not an image`);
+            if (!isImage(tool.machineLabelPhoto)) errors.push(`${label} machine label photo is not an image`);
+            if (!isDate(tool.photoDate)) errors.push(`${label} photo date is invalid`);
         });
     }
+    if (doc.reportSettings !== null && doc.reportSettings !== undefined && typeof doc.reportSettings !== 'object') {
+        errors.push('Report settings are malformed');
+    }
+    return errors;
+}
+
+// Download the current session as a JSON file
+function exportSession() {
+    try {
+        const sessionDocument = buildSessionDocument();
+        const json = JSON.stringify(sessionDocument, null, 2);
+        const blob = new Blob([json], { type: 'application/json;charset=utf-8;' });
+        const baseName = (currentProjectName || getInputValues().projectName || 'session')
+            .replace(/[^a-z0-9-_]+/gi, '_');
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `${baseName}_${new Date().toISOString().split('T')[0]}.json`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        showToast(`⬇️ Session exported (${toolComparisons.length} tool${toolComparisons.length === 1 ? '' : 's'})`, 'success');
+    } catch (error) {
+        console.error('Error exporting session:', error);
+        showToast(`❌ Error exporting session: ${error.message}`, 'error', 5000);
+    }
 }
 
-function handlePhotoUpload(file) {
+// Parse, migrate, validate and restore a session JSON file
+function importSession(file) {
     const reader = new FileReader();
-    const photoPreviewContainer = document.getElementById('photoPreviewContainer');
-    const photoPreviewImg = document.getElementById('photoPreviewImg');
-    const photoDateInfo = document.getElementById('photoDateInfo');
-    
+    reader.onerror = function() {
+        showToast('❌ Error reading session file', 'error');
+    };
     reader.onload = function(e) {
-        currentToolPhoto = e.target.result;
-        photoPreviewImg.src = currentToolPhoto;
-        photoPreviewContainer.style.display = 'block';
-        
-        // Extract EXIF data for date
-        EXIF.getData(file, function() {
-            const dateTimeOriginal = EXIF.getTag(this, 'DateTimeOriginal');
-            const dateTime = EXIF.getTag(this, 'DateTime');
-            const dateTimeDigitized = EXIF.getTag(this, 'DateTimeDigitized');
-            
-            let photoDate = null;
-            let dateSource = '';
-            
-            if (dateTimeOriginal) {
-                photoDate = parseEXIFDate(dateTimeOriginal);
-                dateSource = 'EXIF DateTimeOriginal';
-            } else if (dateTime) {
-                photoDate = parseEXIFDate(dateTime);
-                dateSource = 'EXIF DateTime';
-            } else if (dateTimeDigitized) {
-                photoDate = parseEXIFDate(dateTimeDigitized);
-                dateSource = 'EXIF DateTimeDigitized';
-            } else {
-                // Use file modification date
-                photoDate = new Date(file.lastModified);
-                dateSource = 'File Modified Date';
+        try {
+            const sessionDocument = migrateSessionDocument(JSON.parse(e.target.result));
+            const errors = validateSessionDocument(sessionDocument);
+            if (errors.length > 0) {
+                console.error('Invalid session file:', errors);
+                showToast(`❌ Invalid session file: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`, 'error', 6000);
+                return;
             }
             
-            if (photoDate) {
-                currentPhotoDate = photoDate;
-                const formattedDate = formatDate(photoDate);
-                photoDateInfo.innerHTML = `
-                    <strong>📅 Photo Date:</strong> ${formattedDate}<br>
-                    <small style="color: var(--text-secondary);">Source: ${dateSource}</small>
-                `;
-            } else {
-                photoDateInfo.innerHTML = '<small style="color: var(--text-secondary);">Date information not available</small>';
-            }
-        });
+            restoreSession(sessionDocument.form, sessionDocument.toolComparisons);
+            applyReportSettings(sessionDocument.reportSettings);
+            currentProjectId = null;
+            currentProjectName = sessionDocument.project ? sessionDocument.project.name : null;
+            updateProjectBar();
+            scheduleAutosave();
+            showToast(`⬆️ Session imported (${sessionDocument.toolComparisons.length} tool${sessionDocument.toolComparisons.length === 1 ? '' : 's'})`, 'success');
+        } catch (error) {
+            console.error('Error importing session:', error);
+            showToast(`❌ Error importing session: ${error.message}`, 'error', 5000);
+        }
     };
-    
-    reader.readAsDataURL(file);
+    reader.readAsText(file);
 }
 
-function parseEXIFDate(exifDateString) {
-    // EXIF date format: "YYYY:MM:DD HH:MM:SS"
-    const parts = exifDateString.split(' ');
-    if (parts.length === 2) {
-        const datePart = parts[0].replace(/:/g, '-');
-        const timePart = parts[1];
-        return new Date(datePart + 'T' + timePart);
+function initializeSessionTransfer() {
+    const exportBtn = document.getElementById('exportSessionBtn');
+    const importBtn = document.getElementById('importSessionBtn');
+    const fileInput = document.getElementById('importSessionFile');
+    
+    if (!exportBtn || !importBtn || !fileInput) {
+        console.error('Session export/import elements not found');
+        return;
     }
-    return null;
+    
+    exportBtn.addEventListener('click', exportSession);
+    importBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        if (file) {
+            importSession(file);
+        }
+        fileInput.value = '';
+    });
 }
 
-function formatDate(date) {
-    return new Intl.DateTimeFormat('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit'
-    }).format(date);
-}
+// Workpiece material library
+let editingMaterialId = null;
 
-function openCropModal() {
-    const cropModal = document.getElementById('cropModal');
-    const cropImage = document.getElementById('cropImage');
+function initializeMaterialLibrary() {
+    const materialSelect = document.getElementById('workpieceMaterial');
+    const libraryModal = document.getElementById('materialLibraryModal');
     
-    cropImage.src = currentToolPhoto;
-    cropModal.style.display = 'block';
+    if (!materialSelect || !libraryModal) {
+        console.error('Material library elements not found');
+        return;
+    }
     
-    // Initialize cropper after image loads
-    cropImage.onload = function() {
-        if (cropperInstance) {
-            cropperInstance.destroy();
+    populateMaterialSelect();
+    document.getElementById('materialEditGroup').innerHTML = Object.entries(ISO_MATERIAL_GROUPS)
+        .map(([group, definition]) => `<option value="${group}">${definition.name}</option>`)
+        .join('');
+    
+    materialSelect.addEventListener('change', function() {
+        // Start from the material's nominal hardness
+        const hardnessInput = document.getElementById('materialHardness');
+        if (hardnessInput) {
+            hardnessInput.value = Math.round(getMaterialReferenceHRC(this.value));
         }
-        
-        cropperInstance = new Cropper(cropImage, {
-            aspectRatio: 1,
-            viewMode: 1,
-            dragMode: 'move',
-            autoCropArea: 0.8,
-            restore: false,
-            guides: true,
-            center: true,
-            highlight: false,
-            cropBoxMovable: true,
-            cropBoxResizable: true,
-            toggleDragModeOnDblclick: false,
-            responsive: true,
-            minCropBoxWidth: 100,
-            minCropBoxHeight: 100
-        });
-    };
+        updateWorkpieceMaterialInfo();
+    });
+    updateWorkpieceMaterialInfo();
+    
+    document.getElementById('materialLibraryBtn').addEventListener('click', openMaterialLibraryModal);
+    document.getElementById('closeMaterialLibraryModal').addEventListener('click', closeMaterialLibraryModal);
+    document.getElementById('cancelMaterialLibraryBtn').addEventListener('click', closeMaterialLibraryModal);
+    document.getElementById('newMaterialBtn').addEventListener('click', () => editMaterial(null));
+    document.getElementById('saveMaterialBtn').addEventListener('click', saveMaterialFromForm);
+    document.getElementById('materialLibraryList').addEventListener('click', handleMaterialLibraryAction);
+    
+    libraryModal.addEventListener('click', function(e) {
+        if (e.target === libraryModal) {
+            closeMaterialLibraryModal();
+        }
+    });
 }
 
-function closeCropModal() {
-    const cropModal = document.getElementById('cropModal');
-    cropModal.style.display = 'none';
+// Fill the workpiece material select, grouped by ISO group
+function populateMaterialSelect() {
+    const materialSelect = document.getElementById('workpieceMaterial');
+    const selected = materialSelect.value || 'steel';
+    
+    materialSelect.innerHTML = Object.entries(ISO_MATERIAL_GROUPS).map(([group, definition]) => {
+        const options = Object.entries(materialLibrary)
+            .filter(([, material]) => material.isoGroup === group)
+            .map(([id, material]) => `<option value="${id}">${material.name}</option>`)
+            .join('');
+        return options ? `<optgroup label="${definition.name}">${options}</optgroup>` : '';
+    }).join('');
+    
+    materialSelect.value = materialLibrary[selected] ? selected : 'steel';
+}
+
+function updateWorkpieceMaterialInfo() {
+    const info = document.getElementById('workpieceMaterialInfo');
+    if (!info) return;
+    const material = getMaterial(document.getElementById('workpieceMaterial').value);
+    info.innerHTML = `ISO ${material.isoGroup} · k<sub>c1.1</sub> ${formatQuantity(material.kc11, 'specificForce')} · m<sub>c</sub> ${material.mc} · ` +
+        `V<sub>c</sub> ${formatInputQuantity(material.vcRange[0], 'cuttingSpeed')} - ${formatInputQuantity(material.vcRange[1], 'cuttingSpeed')} (carbide) · ${material.hardness} ${material.hardnessScale}`;
+}
+
+function openMaterialLibraryModal() {
+    renderMaterialLibrary();
+    editMaterial(null);
+    document.getElementById('materialLibraryModal').style.display = 'block';
+}
+
+function closeMaterialLibraryModal() {
+    document.getElementById('materialLibraryModal').style.display = 'none';
+}
+
+function renderMaterialLibrary() {
+    const rows = Object.entries(materialLibrary)
+        .sort(([, a], [, b]) => a.isoGroup.localeCompare(b.isoGroup) || a.name.localeCompare(b.name))
+        .map(([id, material]) => {
+            const isBuiltIn = Boolean(DEFAULT_MATERIAL_LIBRARY[id]);
+            const isModified = isBuiltIn && JSON.stringify(material) !== JSON.stringify(DEFAULT_MATERIAL_LIBRARY[id]);
+            return `
+                <tr>
+                    <td><span class="iso-group-badge" style="background: ${ISO_MATERIAL_GROUPS[material.isoGroup].color};">${material.isoGroup}</span></td>
+                    <td>${material.name}${isModified ? ' <small>(edited)</small>' : ''}${!isBuiltIn ? ' <small>(custom)</small>' : ''}</td>
+                    <td>${material.kc11}</td>
+                    <td>${material.mc}</td>
+                    <td>${material.machinability}</td>
+                    <td>${roundForDisplay(toDisplayUnits(material.vcRange[0], 'cuttingSpeed'), 'cuttingSpeed')} - ${roundForDisplay(toDisplayUnits(material.vcRange[1], 'cuttingSpeed'), 'cuttingSpeed')}</td>
+                    <td>${material.hardness} ${material.hardnessScale}</td>
+                    <td style="white-space: nowrap;">
+                        <button type="button" class="btn-outline" data-action="edit" data-id="${id}">✏️ Edit</button>
+                        ${isModified ? `<button type="button" class="btn-outline" data-action="reset" data-id="${id}">↺ Reset</button>` : ''}
+                        ${!isBuiltIn ? `<button type="button" class="btn-outline" data-action="delete" data-id="${id}">🗑️</button>` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
     
-    if (cropperInstance) {
-        cropperInstance.destroy();
-        cropperInstance = null;
-    }
+    document.getElementById('materialLibraryList').innerHTML = `
+        <table class="technical-table material-library-table" style="font-size: 0.85rem;">
+            <thead>
+                <tr>
+                    <th>ISO</th>
+                    <th>Material</th>
+                    <th>k<sub>c1.1</sub></th>
+                    <th>m<sub>c</sub></th>
+                    <th>Machinability</th>
+                    <th>V<sub>c</sub> (${unitLabel('cuttingSpeed')})</th>
+                    <th>Hardness</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
 }
 
-// Catalogue import functions
-async function initializeCatalogueImport() {
-    console.log('Initializing catalogue import...');
-    // Load catalogue libraries on demand
-    if (typeof window.loadCatalogueLibraries === 'function') {
-        await window.loadCatalogueLibraries();
+function handleMaterialLibraryAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const id = button.dataset.id;
+    
+    if (button.dataset.action === 'edit') {
+        editMaterial(id);
+    } else if (button.dataset.action === 'reset') {
+        materialLibrary[id] = { ...DEFAULT_MATERIAL_LIBRARY[id] };
+        saveMaterialLibrary();
+        showToast(`↺ ${materialLibrary[id].name} reset to library values`, 'success');
+    } else if (button.dataset.action === 'delete') {
+        if (!confirm(`Delete ${materialLibrary[id].name} from the material library?`)) return;
+        delete materialLibrary[id];
+        saveMaterialLibrary();
+        if (editingMaterialId === id) editMaterial(null);
+        showToast('🗑️ Material deleted', 'success');
     }
-    const fileInput = document.getElementById('catalogueFile');
-    const importBtn = document.getElementById('importCatalogueBtn');
-    const downloadTemplateBtn = document.getElementById('downloadTemplateBtn');
-    const importModal = document.getElementById('catalogueImportModal');
-    const closeImportBtn = document.getElementById('closeImportModal');
-    const cancelImportBtn = document.getElementById('cancelImportBtn');
-    const applyMappingBtn = document.getElementById('applyMappingBtn');
-    const importSelectedBtn = document.getElementById('importSelectedBtn');
+}
+
+// Load a material into the edit form (null starts a new material)
+function editMaterial(id) {
+    editingMaterialId = id;
+    const material = id ? materialLibrary[id] : { name: '', isoGroup: 'P', kc11: '', mc: 0.25, machinability: 1.0, vcRange: [null, null], hardness: '', hardnessScale: 'HB' };
+    
+    document.getElementById('materialEditTitle').textContent = id ? `Edit ${material.name}` : 'New Material';
+    document.getElementById('materialEditName').value = material.name;
+    document.getElementById('materialEditGroup').value = material.isoGroup;
+    document.getElementById('materialEditKc11').value = material.kc11;
+    document.getElementById('materialEditMc').value = material.mc;
+    document.getElementById('materialEditMachinability').value = material.machinability;
+    document.getElementById('materialEditVcMin').value = toDisplayInputValue(material.vcRange[0], 'cuttingSpeed');
+    document.getElementById('materialEditVcMax').value = toDisplayInputValue(material.vcRange[1], 'cuttingSpeed');
+    document.getElementById('materialEditHardness').value = material.hardness;
+    document.getElementById('materialEditHardnessScale').value = material.hardnessScale;
+}
+
+function saveMaterialFromForm() {
+    const readNumber = id => parseFloat(document.getElementById(id).value);
+    const material = {
+        name: document.getElementById('materialEditName').value.trim(),
+        isoGroup: document.getElementById('materialEditGroup').value,
+        kc11: readNumber('materialEditKc11'),
+        mc: readNumber('materialEditMc'),
+        machinability: readNumber('materialEditMachinability'),
+        vcRange: [
+            fromDisplayUnits(readNumber('materialEditVcMin'), 'cuttingSpeed'),
+            fromDisplayUnits(readNumber('materialEditVcMax'), 'cuttingSpeed')
+        ],
+        hardness: readNumber('materialEditHardness'),
+        hardnessScale: document.getElementById('materialEditHardnessScale').value
+    };
     
-    if (!fileInput || !importBtn || !downloadTemplateBtn) {
-        console.error('Catalogue import elements not found:', {
-            fileInput: !!fileInput,
-            importBtn: !!importBtn,
-            downloadTemplateBtn: !!downloadTemplateBtn
-        });
+    const errors = [];
+    if (!material.name) errors.push('Material name is required');
+    if (!(material.kc11 > 0)) errors.push('kc1.1 must be greater than 0');
+    if (!(material.mc >= 0 && material.mc < 1)) errors.push('mc must be between 0 and 1');
+    if (!(material.machinability > 0)) errors.push('Machinability index must be greater than 0');
+    if (!(material.vcRange[0] > 0 && material.vcRange[1] >= material.vcRange[0])) errors.push('Enter a valid cutting speed range');
+    if (!(material.hardness > 0)) errors.push('Hardness must be greater than 0');
+    if (errors.length > 0) {
+        showToast(`⚠️ ${errors[0]}`, 'error');
         return;
     }
     
-    console.log('Catalogue import elements found, setting up event listeners');
-    
-    // Import button click
-    importBtn.addEventListener('click', function(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        console.log('Import button clicked');
-        try {
-            if (fileInput) {
-                fileInput.click();
-            } else {
-                console.error('File input not found');
-                alert('File input not found. Please refresh the page.');
-            }
-        } catch (error) {
-            console.error('Error clicking file input:', error);
-            alert('Error opening file dialog: ' + error.message);
+    let id = editingMaterialId;
+    if (!id) {
+        const baseId = material.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'material';
+        id = `custom-${baseId}`;
+        for (let suffix = 2; materialLibrary[id]; suffix++) {
+            id = `custom-${baseId}-${suffix}`;
         }
-        return false;
-    });
+    }
     
-    // Download template
-    downloadTemplateBtn.addEventListener('click', function(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        console.log('Download template button clicked');
-        try {
-            if (typeof downloadCatalogueTemplate === 'function') {
-                downloadCatalogueTemplate();
-            } else {
-                console.error('downloadCatalogueTemplate function not found');
-                alert('Template download function not available. Please refresh the page.');
-            }
-        } catch (error) {
-            console.error('Error downloading template:', error);
-            alert('Error downloading template: ' + error.message);
+    materialLibrary[id] = material;
+    saveMaterialLibrary();
+    editMaterial(id);
+    showToast(`✅ ${material.name} saved to the material library`, 'success');
+}
+
+// Persist user additions and edits, then refresh everything that shows material data
+function saveMaterialLibrary() {
+    const storedMaterials = Object.fromEntries(Object.entries(materialLibrary).filter(([id, material]) =>
+        JSON.stringify(material) !== JSON.stringify(DEFAULT_MATERIAL_LIBRARY[id])
+    ));
+    saveStoredJSON(MATERIAL_LIBRARY_STORAGE_KEY, storedMaterials);
+    
+    populateMaterialSelect();
+    updateWorkpieceMaterialInfo();
+    renderMaterialLibrary();
+    refreshResultsAfterModelChange();
+}
+
+// Machine profiles
+let editingMachineId = null;
+
+function initializeMachineProfiles() {
+    const profileSelect = document.getElementById('machineProfile');
+    const profilesModal = document.getElementById('machineProfilesModal');
+    
+    if (!profileSelect || !profilesModal) {
+        console.error('Machine profile elements not found');
+        return;
+    }
+    
+    populateMachineProfileSelect();
+    document.getElementById('machineEditHolder').innerHTML = '<option value="">Not specified</option>' +
+        TOOL_HOLDER_INTERFACES.map(holder => `<option value="${holder}">${holder}</option>`).join('');
+    
+    profileSelect.addEventListener('change', function() {
+        const profile = getMachineProfile(this.value);
+        if (profile) {
+            document.getElementById('machineName').value = profile.name;
         }
-        return false;
+        updateMachineProfileInfo();
+        refreshResultsAfterModelChange();
     });
-    
-    // File input change
-    fileInput.addEventListener('change', function(e) {
-        const file = e.target.files[0];
-        console.log('Catalogue file selected:', file ? file.name : 'none');
-        if (file) {
-            try {
-                if (typeof handleCatalogueImport === 'function') {
-                    handleCatalogueImport(file);
-                } else {
-                    console.error('handleCatalogueImport function not found');
-                    alert('Import function not available. Please refresh the page.');
-                }
-            } catch (error) {
-                console.error('Error handling catalogue import:', error);
-                alert('Error importing catalogue: ' + error.message);
-            }
+    updateMachineProfileInfo();
+    
+    document.getElementById('machineProfilesBtn').addEventListener('click', () => openMachineProfilesModal());
+    document.getElementById('closeMachineProfilesModal').addEventListener('click', closeMachineProfilesModal);
+    document.getElementById('cancelMachineProfilesBtn').addEventListener('click', closeMachineProfilesModal);
+    document.getElementById('newMachineBtn').addEventListener('click', () => editMachineProfile(null));
+    document.getElementById('saveMachineBtn').addEventListener('click', saveMachineProfileFromForm);
+    document.getElementById('machineProfilesList').addEventListener('click', handleMachineProfileAction);
+    
+    profilesModal.addEventListener('click', function(e) {
+        if (e.target === profilesModal) {
+            closeMachineProfilesModal();
         }
     });
+}
+
+function populateMachineProfileSelect() {
+    const profileSelect = document.getElementById('machineProfile');
+    const selected = profileSelect.value;
     
-    // Close modal
-    if (closeImportBtn) {
-        closeImportBtn.addEventListener('click', function() {
-            if (typeof closeImportModal === 'function') {
-                closeImportModal();
-            }
-        });
+    profileSelect.innerHTML = '<option value="">No machine profile</option>' + Object.entries(machineProfiles)
+        .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+        .map(([id, profile]) => `<option value="${id}">${profile.name}</option>`)
+        .join('');
+    
+    profileSelect.value = machineProfiles[selected] ? selected : '';
+}
+
+function updateMachineProfileInfo() {
+    const info = document.getElementById('machineProfileInfo');
+    if (!info) return;
+    const profile = getMachineProfile(document.getElementById('machineProfile').value);
+    if (!profile) {
+        info.textContent = 'Select a profile to check spindle speed, feed, power and torque against the machine';
+        return;
     }
-    if (cancelImportBtn) {
-        cancelImportBtn.addEventListener('click', function() {
-            if (typeof closeImportModal === 'function') {
-                closeImportModal();
-            }
-        });
+    info.innerHTML = [
+        profile.maxRpm ? `${profile.maxRpm} RPM` : '',
+        profile.ratedPower ? formatInputQuantity(profile.ratedPower, 'power') : '',
+        profile.maxFeedRate ? `${formatInputQuantity(profile.maxFeedRate, 'feedRate')} max feed` : '',
+        profile.torqueCurve && profile.torqueCurve.length > 0 ? `${profile.torqueCurve.length}-point torque curve` : '',
+        profile.holderInterface
+    ].filter(Boolean).join(' · ');
+}
+
+// Open the profile editor, optionally with a new profile prefilled (e.g. from the machine label OCR)
+function openMachineProfilesModal(prefill = null) {
+    renderMachineProfiles();
+    editMachineProfile(null, prefill);
+    document.getElementById('machineProfilesModal').style.display = 'block';
+}
+
+function closeMachineProfilesModal() {
+    document.getElementById('machineProfilesModal').style.display = 'none';
+}
+
+function renderMachineProfiles() {
+    const list = document.getElementById('machineProfilesList');
+    const profiles = Object.entries(machineProfiles).sort(([, a], [, b]) => a.name.localeCompare(b.name));
+    if (profiles.length === 0) {
+        list.innerHTML = '<p style="color: var(--text-secondary); font-size: 0.85rem;">No machine profiles yet. Enter one below or upload a machine label photo.</p>';
+        return;
     }
-    if (importModal) {
-        importModal.addEventListener('click', function(e) {
-            if (e.target === importModal) {
-                if (typeof closeImportModal === 'function') {
-                    closeImportModal();
-                }
-            }
-        });
+    
+    const rows = profiles.map(([id, profile]) => `
+        <tr>
+            <td>${profile.name}</td>
+            <td>${profile.maxRpm || '-'}</td>
+            <td>${profile.ratedPower ? formatInputQuantity(profile.ratedPower, 'power') : '-'}</td>
+            <td>${profile.maxFeedRate ? formatInputQuantity(profile.maxFeedRate, 'feedRate') : '-'}</td>
+            <td>${profile.torqueCurve && profile.torqueCurve.length > 0 ? `${profile.torqueCurve.length} points` : '-'}</td>
+            <td>${profile.holderInterface || '-'}</td>
+            <td style="white-space: nowrap;">
+                <button type="button" class="btn-outline" data-action="use" data-id="${id}">✔️ Use</button>
+                <button type="button" class="btn-outline" data-action="edit" data-id="${id}">✏️ Edit</button>
+                <button type="button" class="btn-outline" data-action="delete" data-id="${id}">🗑️</button>
+            </td>
+        </tr>
+    `).join('');
+    
+    list.innerHTML = `
+        <table class="technical-table material-library-table" style="font-size: 0.85rem;">
+            <thead>
+                <tr>
+                    <th>Machine</th>
+                    <th>Max RPM</th>
+                    <th>Power</th>
+                    <th>Max Feed</th>
+                    <th>Torque Curve</th>
+                    <th>Holder</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function handleMachineProfileAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const id = button.dataset.id;
+    
+    if (button.dataset.action === 'use') {
+        const profileSelect = document.getElementById('machineProfile');
+        profileSelect.value = id;
+        profileSelect.dispatchEvent(new Event('change'));
+        closeMachineProfilesModal();
+        showToast(`🏭 ${machineProfiles[id].name} selected for this project`, 'success');
+    } else if (button.dataset.action === 'edit') {
+        editMachineProfile(id);
+    } else if (button.dataset.action === 'delete') {
+        if (!confirm(`Delete the machine profile ${machineProfiles[id].name}?`)) return;
+        delete machineProfiles[id];
+        saveMachineProfiles();
+        if (editingMachineId === id) editMachineProfile(null);
+        showToast('🗑️ Machine profile deleted', 'success');
     }
+}
+
+// Torque curve as "rpm:torque" pairs in display units
+function formatTorqueCurve(curve) {
+    return (curve || []).map(point => `${point.rpm}:${roundForDisplay(toDisplayUnits(point.torque, 'torque'), 'torque')}`).join(', ');
+}
+
+function parseTorqueCurve(text) {
+    const points = [];
+    for (const entry of text.split(/[,;\n]+/).map(part => part.trim()).filter(Boolean)) {
+        const [rpm, torque] = entry.split(/[:=\s]+/).map(parseFloat);
+        if (!(rpm >= 0) || !(torque > 0)) return null;
+        points.push({ rpm, torque: fromDisplayUnits(torque, 'torque') });
+    }
+    return points.sort((a, b) => a.rpm - b.rpm);
+}
+
+// Load a profile into the edit form (null starts a new profile, optionally prefilled)
+function editMachineProfile(id, prefill = null) {
+    editingMachineId = id;
+    const profile = id ? machineProfiles[id] : { name: '', maxRpm: '', ratedPower: null, maxFeedRate: null, torqueCurve: [], holderInterface: '', workArea: '', ...prefill };
+    
+    document.getElementById('machineEditTitle').textContent = id ? `Edit ${profile.name}` : prefill ? 'New Machine from Label' : 'New Machine';
+    document.getElementById('machineEditName').value = profile.name;
+    document.getElementById('machineEditMaxRpm').value = profile.maxRpm || '';
+    document.getElementById('machineEditPower').value = toDisplayInputValue(profile.ratedPower, 'power');
+    document.getElementById('machineEditMaxFeed').value = toDisplayInputValue(profile.maxFeedRate, 'feedRate');
+    document.getElementById('machineEditHolder').value = profile.holderInterface || '';
+    document.getElementById('machineEditWorkArea').value = profile.workArea || '';
+    document.getElementById('machineEditTorqueCurve').value = formatTorqueCurve(profile.torqueCurve);
+}
+
+function saveMachineProfileFromForm() {
+    const readNumber = id => parseFloat(document.getElementById(id).value);
+    const optionalNumber = (id, quantity) => {
+        const value = readNumber(id);
+        return isNaN(value) ? null : fromDisplayUnits(value, quantity);
+    };
+    const torqueCurve = parseTorqueCurve(document.getElementById('machineEditTorqueCurve').value);
+    const profile = {
+        name: document.getElementById('machineEditName').value.trim(),
+        maxRpm: readNumber('machineEditMaxRpm'),
+        ratedPower: optionalNumber('machineEditPower', 'power'),
+        maxFeedRate: optionalNumber('machineEditMaxFeed', 'feedRate'),
+        torqueCurve: torqueCurve || [],
+        holderInterface: document.getElementById('machineEditHolder').value,
+        workArea: document.getElementById('machineEditWorkArea').value.trim()
+    };
     
-    // Apply mapping
-    if (applyMappingBtn) {
-        applyMappingBtn.addEventListener('click', function() {
-            if (typeof applyFieldMapping === 'function') {
-                applyFieldMapping();
-            } else {
-                console.error('applyFieldMapping function not found');
-            }
-        });
+    const errors = [];
+    if (!profile.name) errors.push('Machine name is required');
+    if (!(profile.maxRpm > 0)) errors.push('Max spindle speed must be greater than 0');
+    if (profile.ratedPower !== null && !(profile.ratedPower > 0)) errors.push('Rated power must be greater than 0');
+    if (profile.maxFeedRate !== null && !(profile.maxFeedRate > 0)) errors.push('Max feed rate must be greater than 0');
+    if (!torqueCurve) errors.push('Enter the torque curve as RPM:torque pairs separated by commas');
+    if (profile.torqueCurve.length > 0 && profile.ratedPower === null) errors.push('Enter the rated power to use a torque curve');
+    if (errors.length > 0) {
+        showToast(`⚠️ ${errors[0]}`, 'error');
+        return;
     }
     
-    // Import selected tools
-    if (importSelectedBtn) {
-        importSelectedBtn.addEventListener('click', function() {
-            if (typeof importSelectedTools === 'function') {
-                importSelectedTools();
-            } else {
-                console.error('importSelectedTools function not found');
-            }
-        });
+    let id = editingMachineId;
+    if (!id) {
+        const baseId = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'machine';
+        id = baseId;
+        for (let suffix = 2; machineProfiles[id]; suffix++) {
+            id = `${baseId}-${suffix}`;
+        }
     }
+    
+    machineProfiles[id] = profile;
+    saveMachineProfiles();
+    editMachineProfile(id);
+    showToast(`✅ ${profile.name} saved to the machine profiles`, 'success');
 }
 
-function downloadCatalogueTemplate() {
-    if (typeof Papa === 'undefined') {
-        console.error('PapaParse library not loaded');
-        alert('CSV library not loaded. Please refresh the page.');
+// Persist the profiles, then refresh everything that shows machine data
+function saveMachineProfiles() {
+    saveStoredJSON(MACHINE_PROFILES_STORAGE_KEY, machineProfiles);
+    
+    populateMachineProfileSelect();
+    updateMachineProfileInfo();
+    renderMachineProfiles();
+    refreshResultsAfterModelChange();
+}
+
+// Multi-parameter optimization modal
+let parameterOptimizerChartInstance = null;
+
+function initializeParameterOptimizer() {
+    const optimizeBtn = document.getElementById('optimizeParametersBtn');
+    const optimizerModal = document.getElementById('parameterOptimizerModal');
+    
+    if (!optimizeBtn || !optimizerModal) {
+        console.error('Parameter optimizer elements not found');
         return;
     }
     
-    const template = {
-        brand: 'kennametal',
-        type: 'endMill',
-        nameModel: 'KOR5',
-        productCode: 'KOR5-1000-12-4FL',
-        diameter: 10,
-        material: 'carbide',
-        coating: 'tin',
-        numberOfTeeth: 4,
-        helixAngle: 30,
-        rakeAngle: 5,
-        toolCost: 50,
-        cuttingSpeed: 100,
-        feedRate: 0.1,
-        depthOfCut: 2,
-        widthOfCut: 5
-    };
+    optimizeBtn.addEventListener('click', openParameterOptimizerModal);
+    document.getElementById('closeParameterOptimizerModal').addEventListener('click', closeParameterOptimizerModal);
+    document.getElementById('cancelParameterOptimizerBtn').addEventListener('click', closeParameterOptimizerModal);
+    document.getElementById('runOptimizerBtn').addEventListener('click', runParameterOptimization);
     
-    try {
-        const csv = Papa.unparse([template]);
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', 'tool_catalogue_template.csv');
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-        console.log('Template downloaded successfully');
-    } catch (error) {
-        console.error('Error downloading template:', error);
-        alert('Error downloading template: ' + error.message);
+    optimizerModal.addEventListener('click', function(e) {
+        if (e.target === optimizerModal) {
+            closeParameterOptimizerModal();
+        }
+    });
+}
+
+function openParameterOptimizerModal() {
+    const params = getInputValues();
+    const errors = validateInputs(params);
+    if (errors.length > 0) {
+        showToast(`⚠️ Fix the inputs before optimizing: ${errors[0]}`, 'error');
+        return;
     }
+    
+    // Start empty constraint fields from the current tool
+    const setDefault = (id, value, quantity) => {
+        const input = document.getElementById(id);
+        if (!input.value) input.value = toDisplayInputValue(value, quantity);
+    };
+    setDefault('optimizerTargetRoughness', hasMillingFinishModel(params) ? params.targetSurfaceFinish : 1.6, 'roughness');
+    setDefault('optimizerMaxChipThickness', TOOL_MAX_CHIP_THICKNESS[params.toolMaterial] || TOOL_MAX_CHIP_THICKNESS.carbide, 'length');
+    setDefault('optimizerStickout', params.toolStickout || 3 * params.toolDiameter, 'length');
+    setDefault('optimizerMaxDeflection', params.deflectionTolerance || 0.05, 'length');
+    
+    const machineProfile = getMachineProfile(params.machineProfile);
+    document.getElementById('optimizerMachineInfo').textContent = machineProfile
+        ? `Machine limits: ${machineProfile.name}`
+        : 'No machine profile selected - spindle speed, feed, power and torque limits are not checked';
+    
+    document.getElementById('optimizerResults').innerHTML = '';
+    document.getElementById('optimizerChart').style.display = 'none';
+    document.getElementById('parameterOptimizerModal').style.display = 'block';
 }
 
-function handleCatalogueImport(file) {
-    console.log('Handling catalogue import for file:', file.name);
-    const fileName = file.name.toLowerCase();
-    const importModal = document.getElementById('catalogueImportModal');
-    const importStatus = document.getElementById('importStatus');
+function closeParameterOptimizerModal() {
+    document.getElementById('parameterOptimizerModal').style.display = 'none';
+}
+
+function readOptimizerConstraints() {
+    const readOptional = (id, quantity) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) ? 0 : fromDisplayUnits(value, quantity);
+    };
+    return {
+        objective: document.getElementById('optimizerObjective').value,
+        targetRoughness: readOptional('optimizerTargetRoughness', 'roughness'),
+        maxChipThickness: readOptional('optimizerMaxChipThickness', 'length'),
+        stickout: readOptional('optimizerStickout', 'length'),
+        maxDeflection: readOptional('optimizerMaxDeflection', 'length')
+    };
+}
+
+function runParameterOptimization() {
+    const params = getInputValues();
+    const errors = validateInputs(params);
+    if (errors.length > 0) {
+        showToast(`⚠️ Fix the inputs before optimizing: ${errors[0]}`, 'error');
+        return;
+    }
     
-    if (!importModal || !importStatus) {
-        console.error('Import modal elements not found');
-        alert('Import modal not found. Please refresh the page.');
+    const toolLife = params.toolLife || calculateToolLife(params);
+    const optimization = optimizeCuttingParameters(params, toolLife, readOptimizerConstraints());
+    displayParameterOptimization(params, optimization);
+}
+
+// Describe the constraint that limits a point
+function describeBindingConstraint(point) {
+    if (!point.binding) return 'No constraints set';
+    const percent = `${(point.binding.utilisation * 100).toFixed(0)}%`;
+    return point.binding.utilisation >= MACHINE_LIMIT_WARNING
+        ? `${point.binding.label} (${percent}) - ${OPTIMIZER_CONSTRAINT_NOTES[point.binding.key]}`
+        : `No constraint is binding (highest: ${point.binding.label}, ${percent})`;
+}
+
+function displayParameterOptimization(params, optimization) {
+    const resultsDiv = document.getElementById('optimizerResults');
+    const { best, current, objective } = optimization;
+    const objectiveLabel = objective === 'timePerPart' ? 'cycle time' : 'cost per part';
+    const formatPoint = point => `V<sub>c</sub> ${formatInputQuantity(point.cuttingSpeed, 'cuttingSpeed')} · f<sub>z</sub> ${formatInputQuantity(point.feedRate, 'feedPerTooth')} · ` +
+        `a<sub>p</sub> ${formatInputQuantity(point.depthOfCut, 'length')} · a<sub>e</sub> ${formatInputQuantity(point.widthOfCut, 'length')}`;
+    
+    if (!best) {
+        const limit = optimization.leastViolating;
+        resultsDiv.innerHTML = `
+            <div class="recommendation-item">
+                ⚠️ No combination in the search range meets every constraint.
+                ${limit ? `The most restrictive is ${limit.binding.label} (${(limit.binding.utilisation * 100).toFixed(0)}% at best) - ${OPTIMIZER_CONSTRAINT_NOTES[limit.binding.key]}.` : ''}
+            </div>
+        `;
+        document.getElementById('optimizerChart').style.display = 'none';
         return;
     }
     
-    importModal.style.display = 'block';
-    importStatus.innerHTML = '<p style="color: var(--primary-color);">Processing catalogue file...</p>';
+    const saving = current[objective] > 0 ? (1 - best[objective] / current[objective]) * 100 : 0;
+    const rangeNotes = optimization.rangeLimits.map(limit =>
+        `${{ cuttingSpeed: 'V<sub>c</sub>', feedRate: 'f<sub>z</sub>', depthOfCut: 'a<sub>p</sub>', widthOfCut: 'a<sub>e</sub>' }[limit.field]} is at the ${limit.bound} end of its search range`
+    );
     
-    if (fileName.endsWith('.csv')) {
-        if (typeof Papa === 'undefined') {
-            importStatus.innerHTML = '<p style="color: var(--danger-color);">CSV parsing library not loaded. Please refresh the page.</p>';
-            console.error('PapaParse library not loaded');
-            return;
-        }
-        
-        Papa.parse(file, {
-            header: true,
-            skipEmptyLines: true,
-            complete: function(results) {
-                handleParsedData(results.data, results.meta.fields);
-            },
-            error: function(error) {
-                importStatus.innerHTML = `<p style="color: var(--danger-color);">Error parsing CSV: ${error.message}</p>`;
-            }
+    // Show up to eight points spread along the Pareto front
+    const pareto = optimization.pareto;
+    const step = Math.max(1, (pareto.length - 1) / 7);
+    const shownPareto = [...new Set(Array.from({ length: Math.min(8, pareto.length) }, (_, i) => Math.round(i * step)))].map(index => pareto[index]);
+    
+    resultsDiv.innerHTML = `
+        <div class="result-item" style="border-left-color: #10b981;">
+            <h3>🎯 Optimum - minimum ${objectiveLabel}</h3>
+            <div class="result-value" style="font-size: 1.1rem;">${formatPoint(best)}</div>
+            <div class="result-description">
+                ${formatCurrency(best.costPerPart)}/part · ${best.timePerPart.toFixed(2)} min/part · T = ${best.toolLife.toFixed(1)} min
+                (current: ${formatCurrency(current.costPerPart)}/part · ${current.timePerPart.toFixed(2)} min/part${current.feasible ? '' : ', violates ' + current.binding.label})
+            </div>
+            <div class="result-label" style="margin-top: 8px;">${saving >= 0 ? `${saving.toFixed(1)}% lower` : `${(-saving).toFixed(1)}% higher`} ${objectiveLabel} than the current settings</div>
+            <div class="result-description"><strong>Binding constraint:</strong> ${describeBindingConstraint(best)}</div>
+            ${rangeNotes.length > 0 ? `<div class="result-description">${rangeNotes.join('; ')} - widen the range by optimizing again from the new settings.</div>` : ''}
+            <button type="button" class="btn-primary" data-pareto-index="best" style="width: auto; margin: 8px 0 0; padding: 6px 14px;">Apply Optimum</button>
+        </div>
+        <h4 style="margin-top: 12px;">Pareto Front - Cost vs Cycle Time (${optimization.feasible.length} feasible combinations)</h4>
+        <table class="technical-table" style="font-size: 0.8rem;">
+            <thead>
+                <tr>
+                    <th>V<sub>c</sub> (${unitLabel('cuttingSpeed')})</th>
+                    <th>f<sub>z</sub> (${unitLabel('feedPerTooth')})</th>
+                    <th>a<sub>p</sub> (${unitLabel('length')})</th>
+                    <th>a<sub>e</sub> (${unitLabel('length')})</th>
+                    <th>T (min)</th>
+                    <th>Cost/Part</th>
+                    <th>Time/Part (min)</th>
+                    <th>Binding Constraint</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${shownPareto.map(point => `
+                <tr${point === best ? ' style="background: #f0fdf4;"' : ''}>
+                    <td>${roundForDisplay(toDisplayUnits(point.cuttingSpeed, 'cuttingSpeed'), 'cuttingSpeed')}</td>
+                    <td>${roundForDisplay(toDisplayUnits(point.feedRate, 'feedPerTooth'), 'feedPerTooth')}</td>
+                    <td>${roundForDisplay(toDisplayUnits(point.depthOfCut, 'length'), 'length')}</td>
+                    <td>${roundForDisplay(toDisplayUnits(point.widthOfCut, 'length'), 'length')}</td>
+                    <td>${point.toolLife.toFixed(1)}</td>
+                    <td>${formatCurrency(point.costPerPart)}</td>
+                    <td>${point.timePerPart.toFixed(2)}</td>
+                    <td>${point.binding && point.binding.utilisation >= MACHINE_LIMIT_WARNING ? `${point.binding.label} (${(point.binding.utilisation * 100).toFixed(0)}%)` : '-'}</td>
+                    <td><button type="button" class="btn-outline" data-pareto-index="${pareto.indexOf(point)}" style="margin: 0; padding: 4px 8px;">Apply</button></td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+    
+    resultsDiv.querySelectorAll('button[data-pareto-index]').forEach(button => {
+        button.addEventListener('click', () => {
+            const index = button.dataset.paretoIndex;
+            applyOptimizedCuttingData(params, index === 'best' ? best : pareto[parseInt(index)]);
+            closeParameterOptimizerModal();
         });
-    } else if (fileName.endsWith('.json')) {
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            try {
-                const data = JSON.parse(e.target.result);
-                const fields = Array.isArray(data) && data.length > 0 ? Object.keys(data[0]) : [];
-                handleParsedData(data, fields);
-            } catch (error) {
-                importStatus.innerHTML = `<p style="color: var(--danger-color);">Error parsing JSON: ${error.message}</p>`;
-            }
-        };
-        reader.readAsText(file);
-    } else if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
-        if (typeof XLSX === 'undefined') {
-            importStatus.innerHTML = '<p style="color: var(--danger-color);">Excel parsing library not loaded. Please refresh the page.</p>';
-            console.error('XLSX library not loaded');
-            return;
-        }
-        
-        const reader = new FileReader();
-        reader.onerror = function(error) {
-            console.error('FileReader error:', error);
-            importStatus.innerHTML = `<p style="color: var(--danger-color);">Error reading Excel file: ${error.message || 'Unknown error'}</p>`;
-        };
-        reader.onload = function(e) {
-            try {
-                const data = new Uint8Array(e.target.result);
-                const workbook = XLSX.read(data, { type: 'array' });
-                if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
-                    throw new Error('Excel file has no sheets');
+    });
+    
+    displayParameterOptimizationChart(optimization);
+}
+
+// Cost vs cycle time of every feasible combination, with the Pareto front
+function displayParameterOptimizationChart(optimization) {
+    const chartContainer = document.getElementById('optimizerChart');
+    const chartCanvas = document.getElementById('optimizerChartCanvas');
+    
+    if (!chartCanvas || !window.Chart) return;
+    
+    chartContainer.style.display = 'block';
+    
+    if (parameterOptimizerChartInstance) {
+        parameterOptimizerChartInstance.destroy();
+    }
+    
+    const toPoint = point => ({ x: point.timePerPart, y: point.costPerPart });
+    
+    parameterOptimizerChartInstance = new Chart(chartCanvas, {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                label: 'Pareto Front',
+                data: optimization.pareto.map(toPoint),
+                borderColor: '#2563eb',
+                backgroundColor: '#2563eb',
+                showLine: true,
+                pointRadius: 3
+            }, {
+                label: 'Optimum',
+                data: [toPoint(optimization.best)],
+                borderColor: '#10b981',
+                backgroundColor: '#10b981',
+                pointRadius: 8
+            }, {
+                label: 'Current',
+                data: [toPoint(optimization.current)],
+                borderColor: '#f59e0b',
+                backgroundColor: '#f59e0b',
+                pointRadius: 8,
+                pointStyle: 'triangle'
+            }, {
+                label: 'Feasible Combinations',
+                data: optimization.feasible.map(toPoint),
+                borderColor: 'rgba(100, 116, 139, 0.3)',
+                backgroundColor: 'rgba(100, 116, 139, 0.3)',
+                pointRadius: 1.5
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Cost per Part vs Cycle Time'
+                },
+                legend: {
+                    display: true,
+                    position: 'top'
+                }
+            },
+            scales: {
+                y: {
+                    title: {
+                        display: true,
+                        text: `Cost per Part (${currencySymbol()})`
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Time per Part (minutes)'
+                    }
                 }
-                const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-                const jsonData = XLSX.utils.sheet_to_json(firstSheet);
-                const fields = jsonData.length > 0 ? Object.keys(jsonData[0]) : [];
-                handleParsedData(jsonData, fields);
-            } catch (error) {
-                console.error('Error parsing Excel:', error);
-                importStatus.innerHTML = `<p style="color: var(--danger-color);">Error parsing Excel: ${error.message}</p>`;
             }
-        };
-        reader.readAsArrayBuffer(file);
-    } else {
-        importStatus.innerHTML = '<p style="color: var(--danger-color);">Unsupported file format. Please use CSV, JSON, or Excel files.</p>';
-    }
+        }
+    });
 }
 
-function handleParsedData(data, fields) {
-    if (!data || data.length === 0) {
-        document.getElementById('importStatus').innerHTML = '<p style="color: var(--danger-color);">No data found in file.</p>';
+// Chatter stability lobe modal
+let stabilityLobesChartInstance = null;
+
+function initializeStabilityLobes() {
+    const lobesBtn = document.getElementById('stabilityLobesBtn');
+    const lobesModal = document.getElementById('stabilityLobesModal');
+    
+    if (!lobesBtn || !lobesModal) {
+        console.error('Stability lobe elements not found');
         return;
     }
     
-    importedCatalogueData = data;
+    lobesBtn.addEventListener('click', openStabilityLobesModal);
+    document.getElementById('closeStabilityLobesModal').addEventListener('click', closeStabilityLobesModal);
+    document.getElementById('cancelStabilityLobesBtn').addEventListener('click', closeStabilityLobesModal);
+    document.getElementById('calculateLobesBtn').addEventListener('click', runStabilityLobes);
     
-    // Auto-detect field mapping
-    autoDetectFieldMapping(fields);
+    const tapTestFile = document.getElementById('tapTestFile');
+    document.getElementById('importTapTestBtn').addEventListener('click', () => tapTestFile.click());
+    tapTestFile.addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        if (file) importTapTestFile(file);
+        tapTestFile.value = '';
+    });
     
-    // Show mapping interface
-    displayFieldMapping(fields);
+    lobesModal.addEventListener('click', function(e) {
+        if (e.target === lobesModal) {
+            closeStabilityLobesModal();
+        }
+    });
+}
+
+function openStabilityLobesModal() {
+    const params = getInputValues();
+    if (!hasStabilityLobes(getOperationMode(params))) {
+        showToast('⚠️ Stability lobes apply to milling and face milling', 'error');
+        return;
+    }
+    const errors = validateInputs(params);
+    if (errors.length > 0) {
+        showToast(`⚠️ Fix the inputs before calculating lobes: ${errors[0]}`, 'error');
+        return;
+    }
     
-    // Apply mapping and show preview
-    applyFieldMapping();
+    setToolDynamicsInputs(toolDynamics);
+    // Sweep up to the machine's spindle limit, or twice the current speed without a machine profile
+    const machineProfile = getMachineProfile(params.machineProfile);
+    const maxSpeedInput = document.getElementById('lobeMaxSpindleSpeed');
+    maxSpeedInput.value = machineProfile && machineProfile.maxRpm > 0
+        ? machineProfile.maxRpm
+        : Math.ceil(2 * calculateOperationSpindleSpeed(params) / 100) * 100;
+    
+    document.getElementById('stabilityLobesModal').style.display = 'block';
+    runStabilityLobes();
 }
 
-function autoDetectFieldMapping(catalogueFields) {
-    const fieldAliases = {
-        brand: ['brand', 'manufacturer', 'maker', 'company'],
-        type: ['type', 'tooltype', 'category', 'tool_type'],
-        nameModel: ['name', 'model', 'namemodel', 'name_model', 'modelname', 'model_name', 'partnumber', 'part_number'],
-        productCode: ['code', 'productcode', 'product_code', 'sku', 'partcode', 'part_code'],
-        diameter: ['diameter', 'd', 'dia', 'size', 'toolsize', 'tool_size'],
-        material: ['material', 'toolmaterial', 'tool_material', 'grade'],
-        coating: ['coating', 'coated', 'surface'],
-        numberOfTeeth: ['teeth', 'flutes', 'numberofteeth', 'number_of_teeth', 'z'],
-        helixAngle: ['helix', 'helixangle', 'helix_angle', 'beta'],
-        rakeAngle: ['rake', 'rakeangle', 'rake_angle', 'gamma'],
-        toolCost: ['cost', 'price', 'toolcost', 'tool_cost'],
-        cuttingSpeed: ['speed', 'cutting speed', 'cutting_speed', 'vc', 'v_c'],
-        feedRate: ['feed', 'feedrate', 'feed_rate', 'fz', 'f_z'],
-        depthOfCut: ['depth', 'depthofcut', 'depth_of_cut', 'ap', 'a_p'],
-        widthOfCut: ['width', 'widthofcut', 'width_of_cut', 'ae', 'a_e', 'stepover']
+function closeStabilityLobesModal() {
+    document.getElementById('stabilityLobesModal').style.display = 'none';
+}
+
+function setToolDynamicsInputs(dynamics) {
+    document.getElementById('lobeNaturalFrequency').value = parseFloat(dynamics.naturalFrequency.toFixed(1));
+    document.getElementById('lobeStiffness').value = parseFloat(dynamics.stiffness.toFixed(3));
+    document.getElementById('lobeDampingRatio').value = parseFloat(dynamics.dampingRatio.toFixed(2));
+}
+
+function readToolDynamicsInputs() {
+    return {
+        naturalFrequency: parseFloat(document.getElementById('lobeNaturalFrequency').value),
+        stiffness: parseFloat(document.getElementById('lobeStiffness').value),
+        dampingRatio: parseFloat(document.getElementById('lobeDampingRatio').value)
     };
+}
+
+// Fit the tool tip mode from a tap test CSV (frequency, real, imaginary)
+async function importTapTestFile(file) {
+    if (typeof Papa === 'undefined' && typeof window.loadCatalogueLibraries === 'function') {
+        await window.loadCatalogueLibraries();
+    }
+    if (typeof Papa === 'undefined') {
+        showToast('⚠️ CSV parsing library not loaded. Please refresh the page.', 'error');
+        return;
+    }
     
-    fieldMapping = {};
-    
-    catalogueFields.forEach(catField => {
-        const lowerField = catField.toLowerCase().trim();
-        
-        for (const [calcField, aliases] of Object.entries(fieldAliases)) {
-            if (aliases.some(alias => lowerField.includes(alias) || alias.includes(lowerField))) {
-                fieldMapping[calcField] = catField;
-                break;
+    Papa.parse(file, {
+        dynamicTyping: true,
+        skipEmptyLines: true,
+        complete: function(results) {
+            // Header and comment rows are dropped by the fit, which keeps only numeric rows
+            const fit = fitToolDynamicsFromFRF(results.data);
+            if (!fit) {
+                showToast('⚠️ No resonance found - expected columns frequency (Hz), real and imaginary (m/N)', 'error');
+                return;
             }
+            setToolDynamicsInputs(fit);
+            showToast(`✅ Tap test fitted from ${fit.pointCount} points: fn ${fit.naturalFrequency.toFixed(0)} Hz, k ${fit.stiffness.toFixed(2)} N/μm, ζ ${fit.dampingRatio.toFixed(2)}%`, 'success');
+            runStabilityLobes();
+        },
+        error: function(error) {
+            showToast(`⚠️ Error parsing CSV: ${error.message}`, 'error');
         }
     });
 }
 
-function displayFieldMapping(catalogueFields) {
-    const mappingContainer = document.getElementById('fieldMappingContainer');
-    const mappingSection = document.getElementById('importMappingSection');
+async function runStabilityLobes() {
+    const params = getInputValues();
+    const dynamics = readToolDynamicsInputs();
+    if (!(dynamics.naturalFrequency > 0) || !(dynamics.stiffness > 0) || !(dynamics.dampingRatio > 0)) {
+        showToast('⚠️ Natural frequency, stiffness and damping ratio must be greater than 0', 'error');
+        return;
+    }
+    toolDynamics = dynamics;
+    saveStoredJSON(TOOL_DYNAMICS_STORAGE_KEY, toolDynamics);
     
-    const calculatorFields = [
-        { key: 'brand', label: 'Brand', required: false },
-        { key: 'type', label: 'Type', required: false },
-        { key: 'nameModel', label: 'Name/Model', required: false },
-        { key: 'productCode', label: 'Product Code', required: false },
-        { key: 'diameter', label: 'Diameter', required: true },
-        { key: 'material', label: 'Tool Material', required: false },
-        { key: 'coating', label: 'Coating', required: false },
-        { key: 'numberOfTeeth', label: 'Number of Teeth', required: false },
-        { key: 'helixAngle', label: 'Helix Angle', required: false },
-        { key: 'rakeAngle', label: 'Rake Angle', required: false },
-        { key: 'toolCost', label: 'Tool Cost', required: false },
-        { key: 'cuttingSpeed', label: 'Cutting Speed', required: false },
-        { key: 'feedRate', label: 'Feed Rate', required: false },
-        { key: 'depthOfCut', label: 'Depth of Cut', required: false },
-        { key: 'widthOfCut', label: 'Width of Cut', required: false }
-    ];
+    const maxSpindleSpeed = parseFloat(document.getElementById('lobeMaxSpindleSpeed').value);
+    const lobes = calculateStabilityLobes(params, dynamics, maxSpindleSpeed);
+    displayStabilityLobes(params, lobes);
     
-    let html = '<table class="technical-table" style="font-size: 0.9rem;"><thead><tr><th>Calculator Field</th><th>Catalogue Column</th></tr></thead><tbody>';
+    if (!window.Chart && typeof window.loadChartJS === 'function') {
+        await window.loadChartJS();
+    }
+    displayStabilityLobesChart(lobes);
+}
+
+function displayStabilityLobes(params, lobes) {
+    const resultsDiv = document.getElementById('stabilityLobesResults');
+    const { current } = lobes;
+    const depthLabel = value => isFinite(value) ? formatInputQuantity(value, 'length') : 'unlimited';
+    // The deepest pockets, shown in order of spindle speed
+    const shownPockets = lobes.pockets.slice(0, 6).sort((a, b) => a.spindleSpeed - b.spindleSpeed);
+    
+    resultsDiv.innerHTML = `
+        <div class="result-item" style="border-left-color: ${current.stable ? 'var(--secondary-color)' : 'var(--danger-color)'};">
+            <h3>${current.stable ? '✅ Operating point is stable' : '⚠️ Operating point is expected to chatter'}</h3>
+            <div class="result-value" style="font-size: 1.1rem;">a<sub>p</sub> ${formatInputQuantity(current.depthOfCut, 'length')} at ${formatNumber(current.spindleSpeed, 'RPM')} - limit ${depthLabel(current.limitingDepth)}</div>
+            <div class="result-description">
+                Tooth passing frequency ${current.toothPassingFrequency.toFixed(0)} Hz · k<sub>c</sub> ${lobes.specificCuttingForce.toFixed(0)} N/mm² · ${lobes.teethInCut.toFixed(2)} teeth in cut.
+                Below a<sub>p</sub> = ${formatInputQuantity(lobes.criticalDepth, 'length')} the cut is stable at any spindle speed.
+            </div>
+        </div>
+        ${shownPockets.length > 0 ? `
+        <h4 style="margin-top: 12px;">Stable Spindle Speed Pockets (${formatNumber(lobes.minSpeed, 'RPM')} - ${formatNumber(lobes.maxSpeed, 'RPM')})</h4>
+        <table class="technical-table" style="font-size: 0.8rem;">
+            <thead>
+                <tr>
+                    <th>Spindle Speed (RPM)</th>
+                    <th>V<sub>c</sub> (${unitLabel('cuttingSpeed')})</th>
+                    <th>Limiting a<sub>p</sub> (${unitLabel('length')})</th>
+                    <th>Current a<sub>p</sub></th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${shownPockets.map(pocket => `
+                <tr>
+                    <td>${pocket.spindleSpeed.toFixed(0)}</td>
+                    <td>${roundForDisplay(toDisplayUnits(pocket.cuttingSpeed, 'cuttingSpeed'), 'cuttingSpeed')}</td>
+                    <td>${roundForDisplay(toDisplayUnits(pocket.limitingDepth, 'length'), 'length')}</td>
+                    <td>${pocket.stable ? '✅ Stable' : '⚠️ Chatter'}</td>
+                    <td><button type="button" class="btn-outline" data-pocket-index="${lobes.pockets.indexOf(pocket)}" style="margin: 0; padding: 4px 8px;">Apply</button></td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        ${shownPockets.every(pocket => !pocket.stable) ? `<div class="result-description">No pocket in this speed range reaches the current a<sub>p</sub> - reduce a<sub>p</sub> to the pocket limit, or stiffen the tool (shorter stick-out, stiffer holder).</div>` : ''}
+        ` : `<div class="recommendation-item">No stable pocket in this speed range - the first lobe peaks above ${formatNumber(lobes.maxSpeed, 'RPM')}.</div>`}
+    `;
     
-    calculatorFields.forEach(field => {
-        const mappedValue = fieldMapping[field.key] || '';
-        html += `
-            <tr>
-                <td>
-                    ${field.label}
-                    ${field.required ? '<span style="color: var(--danger-color);">*</span>' : ''}
-                </td>
-                <td>
-                    <select class="field-mapping-select" data-field="${field.key}" style="width: 100%; padding: 5px;">
-                        <option value="">-- Select Column --</option>
-                        ${catalogueFields.map(catField => 
-                            `<option value="${catField}" ${mappedValue === catField ? 'selected' : ''}>${catField}</option>`
-                        ).join('')}
-                    </select>
-                </td>
-            </tr>
-        `;
+    resultsDiv.querySelectorAll('button[data-pocket-index]').forEach(button => {
+        button.addEventListener('click', () => {
+            applyStabilityPocket(params, lobes.pockets[parseInt(button.dataset.pocketIndex)]);
+            closeStabilityLobesModal();
+        });
     });
+}
+
+// Move to a pocket's spindle speed at the same feed per tooth; cutting time and tool life follow the cost model
+function applyStabilityPocket(params, pocket) {
+    const toolLife = params.toolLife || calculateToolLife(params);
+    applyOptimizedCuttingData(params, createPartCostModel(params, toolLife).evaluate({ cuttingSpeed: pocket.cuttingSpeed }));
+}
+
+// Limiting depth against spindle speed: the individual lobes, the stability boundary, the operating point and the pockets
+function displayStabilityLobesChart(lobes) {
+    const chartContainer = document.getElementById('stabilityLobesChart');
+    const chartCanvas = document.getElementById('stabilityLobesChartCanvas');
     
-    html += '</tbody></table>';
+    if (!chartCanvas || !window.Chart) return;
     
-    mappingContainer.innerHTML = html;
-    mappingSection.style.display = 'block';
+    chartContainer.style.display = 'block';
     
-    // Update mapping on change
-    mappingContainer.querySelectorAll('.field-mapping-select').forEach(select => {
-        select.addEventListener('change', function() {
-            fieldMapping[this.dataset.field] = this.value;
+    if (stabilityLobesChartInstance) {
+        stabilityLobesChartInstance.destroy();
+    }
+    
+    // Lobes rise steeply either side of a pocket - cap the axis a little above the deepest pocket or the current depth
+    const deepestPocket = lobes.pockets.length > 0 ? lobes.pockets[0].limitingDepth : lobes.criticalDepth;
+    const maxDepth = 1.5 * Math.max(deepestPocket, lobes.current.depthOfCut, 2 * lobes.criticalDepth);
+    const toPoint = (spindleSpeed, depth) => ({ x: spindleSpeed, y: roundForDisplay(toDisplayUnits(Math.min(depth, maxDepth), 'length'), 'length') });
+    
+    stabilityLobesChartInstance = new Chart(chartCanvas, {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                label: 'Stability Boundary',
+                data: lobes.boundary.map(point => toPoint(point.spindleSpeed, point.limitingDepth)),
+                borderColor: '#2563eb',
+                backgroundColor: 'rgba(16, 185, 129, 0.15)',
+                showLine: true,
+                fill: 'origin',
+                pointRadius: 0
+            }, ...lobes.lobes.map((lobe, i) => ({
+                label: i === 0 ? 'Lobes' : `Lobe ${lobe.index}`,
+                data: lobe.points.map(point => toPoint(point.spindleSpeed, point.limitingDepth)),
+                borderColor: 'rgba(100, 116, 139, 0.4)',
+                backgroundColor: 'rgba(100, 116, 139, 0.4)',
+                borderDash: [4, 4],
+                borderWidth: 1,
+                showLine: true,
+                pointRadius: 0
+            })), {
+                label: 'Stable Pockets',
+                data: lobes.pockets.map(pocket => toPoint(pocket.spindleSpeed, pocket.limitingDepth)),
+                borderColor: '#10b981',
+                backgroundColor: '#10b981',
+                pointRadius: 6
+            }, {
+                label: 'Current',
+                data: [toPoint(lobes.current.spindleSpeed, lobes.current.depthOfCut)],
+                borderColor: lobes.current.stable ? '#f59e0b' : '#ef4444',
+                backgroundColor: lobes.current.stable ? '#f59e0b' : '#ef4444',
+                pointRadius: 8,
+                pointStyle: 'triangle'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Limiting Axial Depth vs Spindle Speed'
+                },
+                legend: {
+                    display: true,
+                    position: 'top',
+                    // One legend entry for all lobes
+                    labels: {
+                        filter: item => !item.text.startsWith('Lobe ')
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    min: 0,
+                    max: roundForDisplay(toDisplayUnits(maxDepth, 'length'), 'length'),
+                    title: {
+                        display: true,
+                        text: `Axial Depth a_p (${unitLabel('length')})`
+                    }
+                },
+                x: {
+                    min: lobes.minSpeed,
+                    max: lobes.maxSpeed,
+                    title: {
+                        display: true,
+                        text: 'Spindle Speed (RPM)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Show the form fields that apply to the selected tool type and operation
+function updateOperationSections() {
+    const toolTypeSelect = document.getElementById('toolType');
+    if (!toolTypeSelect) return;
+    const insertTooling = toolTypeSelect.value === 'insert';
+    const operationMode = getOperationMode({
+        applicationType: document.getElementById('applicationType').value,
+        toolType: toolTypeSelect.value
+    });
+    const drilling = operationMode === 'drilling';
+    const threading = isThreadingOperation(operationMode);
+    const tapping = operationMode === 'tapping';
+    const turning = operationMode === 'turning';
+    
+    document.getElementById('solidToolCostFields').style.display = insertTooling ? 'none' : '';
+    document.getElementById('insertToolingFields').style.display = insertTooling ? '' : 'none';
+    
+    // The hole or thread sets the engagement instead of ap and ae
+    document.getElementById('drillingFields').style.display = drilling ? '' : 'none';
+    document.getElementById('threadingFields').style.display = threading ? '' : 'none';
+    document.getElementById('tappingFields').style.display = tapping ? '' : 'none';
+    document.getElementById('threadMillingFields').style.display = operationMode === 'threadMilling' ? '' : 'none';
+    
+    // Face mill inputs that only apply to the chosen insert shape, position and finishing insert
+    document.getElementById('faceMillingFields').style.display = operationMode === 'faceMilling' ? '' : 'none';
+    const roundInserts = document.getElementById('enteringAngle').value === 'round';
+    document.getElementById('roundInsertDiameter').closest('.form-group').style.display = roundInserts ? '' : 'none';
+    document.getElementById('insertCornerRadius').closest('.form-group').style.display = roundInserts ? 'none' : '';
+    document.getElementById('cutterOffset').closest('.form-group').style.display = document.getElementById('cutterPosition').value === 'offset' ? '' : 'none';
+    document.getElementById('wiperFlatLength').closest('.form-group').style.display = document.getElementById('wiperInsert').value === 'wiper' ? '' : 'none';
+    ['depthOfCut', 'widthOfCut'].forEach(id => {
+        document.getElementById(id).closest('.form-group').style.display = drilling || threading ? 'none' : '';
+    });
+    
+    // A turning tool has one edge, feeds per revolution and cuts the workpiece diameter
+    document.getElementById('turningFields').style.display = turning ? '' : 'none';
+    const facing = document.getElementById('turningOperation').value === 'facing';
+    ['finalDiameter', 'turningLength'].forEach(id => {
+        document.getElementById(id).closest('.form-group').style.display = facing ? 'none' : '';
+    });
+    ['faceInnerDiameter', 'faceStock'].forEach(id => {
+        document.getElementById(id).closest('.form-group').style.display = facing ? '' : 'none';
+    });
+    if (turning) document.getElementById('widthOfCut').closest('.form-group').style.display = 'none';
+    
+    // Stick-out and holder of shank-held tools
+    document.getElementById('toolStiffnessFields').style.display = hasToolStickout(operationMode) ? '' : 'none';
+    
+    // Ball nose and corner radius end mills cut on an effective diameter set by their radius
+    const toolType = toolTypeSelect.value;
+    document.getElementById('profileMillingFields').style.display = operationMode === 'milling' && (toolType === 'ballEndMill' || toolType === 'cornerRadiusEndMill') ? '' : 'none';
+    document.getElementById('toolCornerRadius').closest('.form-group').style.display = toolType === 'cornerRadiusEndMill' ? '' : 'none';
+    document.getElementById('tiltAngle').closest('.form-group').style.display = toolType === 'ballEndMill' ? '' : 'none';
+    // Other end mills finish a side wall or a floor
+    document.getElementById('millingFinishFields').style.display = operationMode === 'milling' && toolType !== 'ballEndMill' ? '' : 'none';
+    const feedGroup = document.getElementById('feedRate').closest('.form-group');
+    feedGroup.querySelector('label').innerHTML = turning
+        ? `Feed per Revolution, f (<span data-unit="feedPerRev">${unitLabel('feedPerRev')}</span>)`
+        : `Feed per Tooth, f<sub>z</sub> (<span data-unit="feedPerTooth">${unitLabel('feedPerTooth')}</span>)`;
+    feedGroup.querySelector('small').textContent = turning ? 'Feed per spindle revolution' : 'Chip load per tooth';
+    const depthGroup = document.getElementById('depthOfCut').closest('.form-group');
+    depthGroup.querySelector('label').innerHTML = turning
+        ? `Depth of Cut per Pass, a<sub>p</sub> (<span data-unit="length">${unitLabel('length')}</span>)`
+        : `Axial Depth of Cut, a<sub>p</sub> (<span data-unit="length">${unitLabel('length')}</span>)`;
+    depthGroup.querySelector('small').textContent = turning ? 'Radial depth per pass' : 'Depth in Z-axis direction';
+    const numberOfTeethInput = document.getElementById('numberOfTeeth');
+    numberOfTeethInput.readOnly = turning;
+    if (turning) numberOfTeethInput.value = '1';
+    
+    // A tap is the thread size and feeds one pitch per revolution
+    document.getElementById('feedRate').closest('.form-group').style.display = tapping ? 'none' : '';
+    const toolDiameterInput = document.getElementById('toolDiameter');
+    toolDiameterInput.readOnly = tapping || turning;
+    if (tapping) {
+        setUnitInput('toolDiameter', getThreadGeometry({
+            threadStandard: document.getElementById('threadStandard').value,
+            threadSize: document.getElementById('threadSize').value
+        }).diameter);
+    }
+    if (turning) {
+        setUnitInput('toolDiameter', readUnitInput('workpieceDiameter') || 0);
+    }
+    
+    // Indexing the inserts is the tool change
+    const toolChangeTimeInput = document.getElementById('toolChangeTime');
+    toolChangeTimeInput.readOnly = insertTooling;
+    if (insertTooling) {
+        const { indexTime } = calculateInsertToolingCost({
+            insertsPerCutter: parseInt(document.getElementById('insertsPerCutter').value) || 1,
+            insertIndexTime: parseFloat(document.getElementById('insertIndexTime').value) || 0
         });
+        toolChangeTimeInput.value = parseFloat(indexTime.toFixed(2));
+    }
+}
+
+// Tool type dependent form sections
+function initializeOperationSections() {
+    const toolTypeSelect = document.getElementById('toolType');
+    if (!toolTypeSelect) return;
+    toolTypeSelect.addEventListener('change', updateOperationSections);
+    document.getElementById('applicationType').addEventListener('change', updateOperationSections);
+    ['insertsPerCutter', 'insertIndexTime'].forEach(id => {
+        const input = document.getElementById(id);
+        input.addEventListener('input', updateOperationSections);
+        input.addEventListener('change', updateOperationSections);
+    });
+    document.getElementById('threadStandard').addEventListener('change', () => {
+        updateThreadSizeOptions();
+        updateOperationSections();
+    });
+    document.getElementById('threadSize').addEventListener('change', updateOperationSections);
+    ['enteringAngle', 'cutterPosition', 'wiperInsert', 'turningOperation'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateOperationSections);
+    });
+    const workpieceDiameterInput = document.getElementById('workpieceDiameter');
+    workpieceDiameterInput.addEventListener('input', updateOperationSections);
+    workpieceDiameterInput.addEventListener('change', updateOperationSections);
+    updateThreadSizeOptions();
+    updateOperationSections();
+}
+
+// Fill the thread size list for the selected standard, keeping the current size when the standard has it
+function updateThreadSizeOptions() {
+    const standardId = document.getElementById('threadStandard').value;
+    const standard = THREAD_STANDARDS[standardId] || THREAD_STANDARDS[DEFAULT_THREAD.threadStandard];
+    const sizeSelect = document.getElementById('threadSize');
+    const currentSize = sizeSelect.value;
+    
+    sizeSelect.innerHTML = standard.sizes.map(size => `<option value="${size.designation}">${size.designation}</option>`).join('');
+    if (standard.sizes.some(size => size.designation === currentSize)) {
+        sizeSelect.value = currentSize;
+    } else if (standard.sizes.some(size => size.designation === DEFAULT_THREAD.threadSize)) {
+        sizeSelect.value = DEFAULT_THREAD.threadSize;
+    }
+}
+
+// Coolant cost inputs
+function initializeCoolant() {
+    const fluidSelect = document.getElementById('cuttingFluid');
+    if (!fluidSelect) return;
+    fluidSelect.addEventListener('change', updateCoolantPlaceholders);
+    document.getElementById('projectCurrency').addEventListener('change', updateCoolantPlaceholders);
+    updateCoolantPlaceholders();
+}
+
+// Typical coolant usage for a fluid, with prices in the project currency
+function getTypicalCoolantUsage(cuttingFluid) {
+    const usage = typicalCoolantUsage[cuttingFluid] || typicalCoolantUsage.none;
+    return {
+        consumption: usage.consumption,
+        price: convertCurrency(usage.price, BASE_CURRENCY, projectCurrency),
+        disposal: convertCurrency(usage.disposal, BASE_CURRENCY, projectCurrency)
+    };
+}
+
+// Read coolant inputs, falling back to typical values for the fluid
+function readCoolantInputs(cuttingFluid) {
+    const typical = getTypicalCoolantUsage(cuttingFluid);
+    const readValue = (id, fallback, read = id => parseFloat(document.getElementById(id).value)) => {
+        const value = document.getElementById(id) ? read(id) : NaN;
+        return isNaN(value) ? fallback : value;
+    };
+    return {
+        coolantConsumption: cuttingFluid && cuttingFluid !== 'none' ? readValue('coolantConsumption', typical.consumption) : 0,
+        coolantPrice: readValue('coolantPrice', typical.price, readMonetaryInput),
+        coolantDisposalCost: readValue('coolantDisposalCost', typical.disposal, readMonetaryInput)
+    };
+}
+
+// Show the typical values used when the coolant fields are left empty
+function updateCoolantPlaceholders() {
+    const typical = getTypicalCoolantUsage(document.getElementById('cuttingFluid').value);
+    document.getElementById('coolantConsumption').placeholder = `Typical: ${typical.consumption}`;
+    document.getElementById('coolantPrice').placeholder = `Typical: ${typical.price.toFixed(2)}`;
+    document.getElementById('coolantDisposalCost').placeholder = `Typical: ${typical.disposal.toFixed(2)}`;
+}
+
+// Project currency and exchange rates
+function initializeCurrency() {
+    const currencySelect = document.getElementById('projectCurrency');
+    const ratesModal = document.getElementById('exchangeRatesModal');
+    
+    if (!currencySelect || !ratesModal) {
+        console.error('Currency elements not found');
+        return;
+    }
+    
+    const currencyOptions = Object.entries(currencyDefinitions)
+        .map(([code, definition]) => `<option value="${code}">${code} - ${definition.name}</option>`)
+        .join('');
+    currencySelect.innerHTML = currencyOptions;
+    currencySelect.value = projectCurrency;
+    const catalogueCurrencySelect = document.getElementById('catalogueCurrency');
+    if (catalogueCurrencySelect) {
+        catalogueCurrencySelect.innerHTML = currencyOptions;
+        catalogueCurrencySelect.value = projectCurrency;
+    }
+    updateCurrencyLabels();
+    
+    currencySelect.addEventListener('change', function() {
+        setProjectCurrency(this.value);
     });
+    
+    document.getElementById('editExchangeRatesBtn').addEventListener('click', openExchangeRatesModal);
+    document.getElementById('closeExchangeRatesModal').addEventListener('click', closeExchangeRatesModal);
+    document.getElementById('cancelExchangeRatesBtn').addEventListener('click', closeExchangeRatesModal);
+    document.getElementById('saveExchangeRatesBtn').addEventListener('click', saveExchangeRates);
+    document.getElementById('resetExchangeRatesBtn').addEventListener('click', function() {
+        renderExchangeRates(DEFAULT_EXCHANGE_RATES);
+    });
+    
+    ratesModal.addEventListener('click', function(e) {
+        if (e.target === ratesModal) {
+            closeExchangeRatesModal();
+        }
+    });
+}
+
+// Read a cost input - the unrounded converted value kept by setProjectCurrency until the user edits the display,
+// so repeated currency switches never drift and the form stays in step with the comparison list
+function readMonetaryInput(id) {
+    const input = document.getElementById(id);
+    if (input.dataset.exactValue !== undefined && input.value === input.dataset.exactDisplay) {
+        return parseFloat(input.dataset.exactValue);
+    }
+    return parseFloat(input.value);
 }
 
-function applyFieldMapping() {
-    if (!importedCatalogueData || importedCatalogueData.length === 0) {
+// Switch the project currency, converting form costs and the comparison list
+function setProjectCurrency(currency) {
+    if (!currencyDefinitions[currency]) return;
+    const previousCurrency = projectCurrency;
+    if (currency === previousCurrency) {
+        updateCurrencyLabels();
         return;
     }
     
-    mappedToolData = importedCatalogueData.map((row, index) => {
-        const mapped = {
-            _index: index,
-            _selected: true
-        };
-        
-        // Map each field
-        Object.keys(fieldMapping).forEach(calcField => {
-            const catField = fieldMapping[calcField];
-            if (catField && row[catField] !== undefined && row[catField] !== null && row[catField] !== '') {
-                let value = row[catField];
-                
-                // Convert numeric fields
-                const numericFields = ['diameter', 'numberOfTeeth', 'helixAngle', 'rakeAngle', 'toolCost', 
-                                     'cuttingSpeed', 'feedRate', 'depthOfCut', 'widthOfCut'];
-                if (numericFields.includes(calcField)) {
-                    value = parseFloat(value);
-                    if (isNaN(value)) value = null;
-                }
-                
-                // Normalize string values
-                if (typeof value === 'string') {
-                    value = value.trim();
-                    // Normalize brand names
-                    if (calcField === 'brand') {
-                        value = value.toLowerCase().replace(/\s+/g, '');
-                    }
-                    // Normalize tool types
-                    if (calcField === 'type') {
-                        value = value.toLowerCase().replace(/\s+/g, '');
-                    }
+    try {
+        MONETARY_FIELDS.forEach(id => {
+            const input = document.getElementById(id);
+            if (!input || input.value === '' || isNaN(parseFloat(input.value))) return;
+            const value = convertCurrency(readMonetaryInput(id), previousCurrency, currency);
+            input.value = parseFloat(value.toFixed(2));
+            input.dataset.exactValue = String(value);
+            input.dataset.exactDisplay = input.value;
+        });
+        toolComparisons.forEach(tool => {
+            COMPARISON_MONETARY_FIELDS.forEach(field => {
+                if (typeof tool[field] === 'number') {
+                    tool[field] = convertCurrency(tool[field], previousCurrency, currency);
                 }
-                
-                mapped[calcField] = value;
-            }
+            });
         });
-        
-        return mapped;
-    });
+    } catch (error) {
+        console.error('Error converting currency:', error);
+        showToast(`❌ ${error.message}`, 'error');
+        document.getElementById('projectCurrency').value = previousCurrency;
+        return;
+    }
     
-    displayImportPreview();
-    document.getElementById('applyMappingBtn').style.display = 'none';
-    document.getElementById('importSelectedBtn').style.display = 'block';
+    projectCurrency = currency;
+    updateCurrencyLabels();
+    updateComparisonTable().catch(error => console.error('Error updating comparison table:', error));
+    refreshResultsAfterModelChange();
+    showToast(`💱 Costs converted from ${previousCurrency} to ${currency}`, 'success');
 }
 
-function displayImportPreview() {
-    const previewContainer = document.getElementById('importPreviewContainer');
-    const previewSection = document.getElementById('importPreviewSection');
+// Update currency symbols in labels
+function updateCurrencyLabels() {
+    const symbol = currencySymbol();
+    document.querySelectorAll('[data-currency-symbol]').forEach(element => {
+        element.textContent = symbol;
+    });
+    const currencySelect = document.getElementById('projectCurrency');
+    if (currencySelect) currencySelect.value = projectCurrency;
+}
+
+function openExchangeRatesModal() {
+    renderExchangeRates(exchangeRates);
+    const stored = loadStoredJSON(EXCHANGE_RATES_STORAGE_KEY, null);
+    document.getElementById('exchangeRatesUpdated').textContent = stored && stored.updatedAt
+        ? `Last edited ${new Date(stored.updatedAt).toLocaleString()}`
+        : 'Using default rates';
+    document.getElementById('exchangeRatesModal').style.display = 'block';
+}
+
+function closeExchangeRatesModal() {
+    document.getElementById('exchangeRatesModal').style.display = 'none';
+}
+
+function renderExchangeRates(rates) {
+    document.getElementById('exchangeRatesBody').innerHTML = Object.entries(currencyDefinitions).map(([code, definition]) => `
+        <tr>
+            <td>${code} - ${definition.name}</td>
+            <td><input type="number" data-currency="${code}" min="0" step="any" value="${rates[code] ?? ''}" ${code === BASE_CURRENCY ? 'disabled' : ''}></td>
+        </tr>
+    `).join('');
+}
+
+// Save edited rates (costs already entered stay as they are)
+function saveExchangeRates() {
+    const rates = { [BASE_CURRENCY]: 1 };
+    const invalid = [];
+    document.querySelectorAll('#exchangeRatesBody input[data-currency]').forEach(input => {
+        const code = input.dataset.currency;
+        if (code === BASE_CURRENCY) return;
+        const rate = parseFloat(input.value);
+        if (isNaN(rate) || rate <= 0) {
+            invalid.push(code);
+        } else {
+            rates[code] = rate;
+        }
+    });
     
-    if (mappedToolData.length === 0) {
-        previewContainer.innerHTML = '<p style="color: var(--text-secondary);">No tools to preview.</p>';
+    if (invalid.length > 0) {
+        showToast(`⚠️ Enter a positive rate for ${invalid.join(', ')}`, 'error');
         return;
     }
     
-    let html = `
-        <div style="margin-bottom: 10px;">
-            <label style="display: flex; align-items: center; gap: 10px;">
-                <input type="checkbox" id="selectAllTools" checked style="width: auto;">
-                <strong>Select All (${mappedToolData.length} tools)</strong>
-            </label>
-        </div>
-        <table class="technical-table" style="font-size: 0.85rem;">
-            <thead>
-                <tr>
-                    <th style="width: 40px;">
-                        <input type="checkbox" id="selectAllCheckbox" checked>
-                    </th>
-                    <th>Brand</th>
-                    <th>Model</th>
-                    <th>Diameter</th>
-                    <th>Type</th>
-                    <th>Cost</th>
-                </tr>
-            </thead>
-            <tbody>
-    `;
-    
-    mappedToolData.forEach((tool, index) => {
-        html += `
-            <tr>
-                <td>
-                    <input type="checkbox" class="tool-select-checkbox" data-index="${index}" ${tool._selected ? 'checked' : ''}>
-                </td>
-                <td>${tool.brand || 'N/A'}</td>
-                <td>${tool.nameModel || tool.productCode || 'N/A'}</td>
-                <td>${tool.diameter ? tool.diameter + ' mm' : 'N/A'}</td>
-                <td>${tool.type || 'N/A'}</td>
-                <td>${tool.toolCost ? formatCurrency(tool.toolCost) : 'N/A'}</td>
-            </tr>
-        `;
-    });
-    
-    html += '</tbody></table>';
-    
-    previewContainer.innerHTML = html;
-    previewSection.style.display = 'block';
-    
-    // Select all functionality
-    const selectAllCheckbox = document.getElementById('selectAllCheckbox');
-    const selectAllTools = document.getElementById('selectAllTools');
-    const toolCheckboxes = previewContainer.querySelectorAll('.tool-select-checkbox');
+    exchangeRates = rates;
+    saveStoredJSON(EXCHANGE_RATES_STORAGE_KEY, { rates, updatedAt: new Date().toISOString() });
+    closeExchangeRatesModal();
+    showToast('✅ Exchange rates saved', 'success');
+}
+
+// Wear test modal
+function initializeWearTest() {
+    const wearTestBtn = document.getElementById('wearTestBtn');
+    const wearTestModal = document.getElementById('wearTestModal');
     
-    function updateSelectAll() {
-        const allSelected = Array.from(toolCheckboxes).every(cb => cb.checked);
-        selectAllCheckbox.checked = allSelected;
-        selectAllTools.checked = allSelected;
+    if (!wearTestBtn || !wearTestModal) {
+        console.error('Wear test elements not found');
+        return;
     }
     
-    selectAllCheckbox.addEventListener('change', function() {
-        toolCheckboxes.forEach(cb => {
-            cb.checked = this.checked;
-            mappedToolData[parseInt(cb.dataset.index)]._selected = this.checked;
-        });
-        selectAllTools.checked = this.checked;
+    wearTestBtn.addEventListener('click', openWearTestModal);
+    document.getElementById('closeWearTestModal').addEventListener('click', closeWearTestModal);
+    document.getElementById('cancelWearTestBtn').addEventListener('click', closeWearTestModal);
+    document.getElementById('addWearEntryBtn').addEventListener('click', function() {
+        const entries = wearTestSession ? wearTestSession.entries : [];
+        const lastLength = entries.length > 0 ? Math.max(...entries.map(entry => entry.cutLength)) : 0;
+        addWearEntryRow({ cutLength: lastLength + 5, vbUniform: '', vbLocalized: '', chipping: false });
     });
-    
-    selectAllTools.addEventListener('change', function() {
-        toolCheckboxes.forEach(cb => {
-            cb.checked = this.checked;
-            mappedToolData[parseInt(cb.dataset.index)]._selected = this.checked;
-        });
-        selectAllCheckbox.checked = this.checked;
+    document.getElementById('newWearTestBtn').addEventListener('click', function() {
+        if (wearTestSession && wearTestSession.entries.length > 0 &&
+            !confirm('Start a new wear test? The current log will be discarded.')) {
+            return;
+        }
+        startWearTestSession();
+        renderWearTestModal();
+    });
+    document.getElementById('applyWearLifeBtn').addEventListener('click', () => applyWearTestToolLife(false));
+    document.getElementById('applyWearLifeCompareBtn').addEventListener('click', () => applyWearTestToolLife(true));
+    ['wearLimitAverage', 'wearLimitMax'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateWearTestFromTable);
     });
     
-    toolCheckboxes.forEach(cb => {
-        cb.addEventListener('change', function() {
-            mappedToolData[parseInt(this.dataset.index)]._selected = this.checked;
-            updateSelectAll();
-        });
+    wearTestModal.addEventListener('click', function(e) {
+        if (e.target === wearTestModal) {
+            closeWearTestModal();
+        }
     });
+    
+    // Restore the wear curve from a test in progress
+    if (wearTestSession && wearTestSession.entries.length > 0) {
+        const showStoredCurve = () => displayWearCurveChart(wearTestSession);
+        if (!window.Chart && typeof window.loadChartJS === 'function') {
+            window.loadChartJS().then(showStoredCurve).catch(error => console.error('Error loading Chart.js:', error));
+        } else {
+            showStoredCurve();
+        }
+    }
 }
 
-function importSelectedTools() {
-    const selectedTools = mappedToolData.filter(tool => tool._selected);
+// Start a wear test with the cutting conditions currently in the form
+function startWearTestSession() {
+    const params = getInputValues();
+    wearTestSession = {
+        startedAt: new Date().toISOString(),
+        conditions: {
+            workpieceMaterial: params.workpieceMaterial,
+            toolMaterial: params.toolMaterial,
+            toolCoating: params.toolCoating,
+            cuttingFluid: params.cuttingFluid,
+            toolType: params.toolType,
+            applicationType: params.applicationType,
+            toolDiameter: params.toolDiameter,
+            numberOfTeeth: params.numberOfTeeth,
+            cuttingSpeed: params.cuttingSpeed,
+            feedRate: params.feedRate,
+            depthOfCut: params.depthOfCut,
+            widthOfCut: params.widthOfCut
+        },
+        criteria: { ...DEFAULT_WEAR_CRITERIA },
+        entries: []
+    };
+    saveStoredJSON(WEAR_TEST_STORAGE_KEY, wearTestSession);
+}
+
+async function openWearTestModal() {
+    if (!window.Chart && typeof window.loadChartJS === 'function') {
+        await window.loadChartJS();
+    }
+    if (!wearTestSession) {
+        const validationErrors = validateInputs(getInputValues());
+        if (validationErrors.length > 0) {
+            showToast(`⚠️ Enter valid cutting conditions first: ${validationErrors[0]}`, 'error', 5000);
+            return;
+        }
+        startWearTestSession();
+    }
+    renderWearTestModal();
+    document.getElementById('wearTestModal').style.display = 'block';
+}
+
+function closeWearTestModal() {
+    document.getElementById('wearTestModal').style.display = 'none';
+}
+
+// Render conditions, criteria and logged measurements
+function renderWearTestModal() {
+    const { conditions, criteria, entries } = wearTestSession;
+    
+    document.getElementById('wearTestConditions').innerHTML = `
+        <strong>Fixed test conditions:</strong>
+        D = ${formatInputQuantity(conditions.toolDiameter, 'length')}, z = ${conditions.numberOfTeeth},
+        V<sub>c</sub> = ${formatInputQuantity(conditions.cuttingSpeed, 'cuttingSpeed')}, f<sub>z</sub> = ${formatInputQuantity(conditions.feedRate, 'feedPerTooth')},
+        a<sub>p</sub> = ${formatInputQuantity(conditions.depthOfCut, 'length')}, a<sub>e</sub> = ${formatInputQuantity(conditions.widthOfCut, 'length')},
+        ${formatCuttingFluid(conditions.cuttingFluid)}
+    `;
+    document.getElementById('wearLimitAverage').value = toDisplayInputValue(criteria.vbAverage, 'wear');
+    document.getElementById('wearLimitMax').value = toDisplayInputValue(criteria.vbMax, 'wear');
     
-    if (selectedTools.length === 0) {
-        alert('Please select at least one tool to import.');
-        return;
+    document.getElementById('wearTestEntriesBody').innerHTML = '';
+    [...entries].sort((a, b) => a.cutLength - b.cutLength).forEach(entry => addWearEntryRow(entry, false));
+    if (entries.length === 0) {
+        addWearEntryRow({ cutLength: 5, vbUniform: '', vbLocalized: '', chipping: false }, false);
     }
     
-    // Import first tool into form (most common use case)
-    if (selectedTools.length > 0) {
-        const firstTool = selectedTools[0];
-        populateToolForm(firstTool);
+    displayWearTestResult();
+}
+
+// Add an editable measurement row to the wear log
+function addWearEntryRow(entry, update = true) {
+    const tbody = document.getElementById('wearTestEntriesBody');
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="number" data-field="cutLength" min="0" step="any" value="${toDisplayInputValue(entry.cutLength, 'cutLength')}"></td>
+        <td class="wear-cutting-time">-</td>
+        <td><input type="number" data-field="vbUniform" min="0" step="any" value="${toDisplayInputValue(entry.vbUniform, 'wear')}"></td>
+        <td><input type="number" data-field="vbLocalized" min="0" step="any" value="${toDisplayInputValue(entry.vbLocalized, 'wear')}"></td>
+        <td style="text-align: center;"><input type="checkbox" data-field="chipping" style="width: auto;" ${entry.chipping ? 'checked' : ''}></td>
+        <td><button type="button" class="row-delete" title="Remove measurement">✕</button></td>
+    `;
+    row.querySelectorAll('input').forEach(input => input.addEventListener('change', updateWearTestFromTable));
+    row.querySelector('.row-delete').addEventListener('click', () => {
+        row.remove();
+        updateWearTestFromTable();
+    });
+    tbody.appendChild(row);
+    if (update) updateWearTestFromTable();
+}
+
+// Read the log table back into the session, save it and refresh curve and result
+function updateWearTestFromTable() {
+    if (!wearTestSession) return;
+    
+    const entries = [];
+    document.querySelectorAll('#wearTestEntriesBody tr').forEach(row => {
+        const cutLength = fromDisplayUnits(parseFloat(row.querySelector('[data-field="cutLength"]').value), 'cutLength');
+        const vbUniform = fromDisplayUnits(parseFloat(row.querySelector('[data-field="vbUniform"]').value), 'wear');
+        const vbLocalized = fromDisplayUnits(parseFloat(row.querySelector('[data-field="vbLocalized"]').value), 'wear');
+        const chipping = row.querySelector('[data-field="chipping"]').checked;
+        const timeCell = row.querySelector('.wear-cutting-time');
         
-        if (selectedTools.length > 1) {
-            // Add remaining tools to comparison
-            selectedTools.slice(1).forEach(tool => {
-                addToolToComparison(tool);
-            });
-            alert(`Imported ${selectedTools.length} tools. First tool loaded into form, ${selectedTools.length - 1} added to comparison.`);
-        } else {
-            alert('Tool imported successfully!');
+        if (isNaN(cutLength) || cutLength < 0) {
+            timeCell.textContent = '-';
+            return;
         }
-    }
+        const cuttingTime = calculateCuttingTimeForLength(cutLength, wearTestSession.conditions);
+        timeCell.textContent = cuttingTime.toFixed(1);
+        
+        if (isNaN(vbUniform) && isNaN(vbLocalized) && !chipping) return;
+        entries.push({
+            cutLength,
+            cuttingTime,
+            vbUniform: isNaN(vbUniform) ? 0 : vbUniform,
+            vbLocalized: isNaN(vbLocalized) ? (isNaN(vbUniform) ? 0 : vbUniform) : vbLocalized,
+            chipping
+        });
+    });
     
-    closeImportModal();
+    wearTestSession.entries = entries;
+    wearTestSession.criteria = {
+        vbAverage: fromDisplayUnits(parseFloat(document.getElementById('wearLimitAverage').value), 'wear') || DEFAULT_WEAR_CRITERIA.vbAverage,
+        vbMax: fromDisplayUnits(parseFloat(document.getElementById('wearLimitMax').value), 'wear') || DEFAULT_WEAR_CRITERIA.vbMax
+    };
+    saveStoredJSON(WEAR_TEST_STORAGE_KEY, wearTestSession);
+    displayWearTestResult();
 }
 
-function populateToolForm(tool) {
-    if (tool.brand) document.getElementById('toolBrand').value = tool.brand;
-    if (tool.type) document.getElementById('toolType').value = tool.type;
-    if (tool.nameModel) document.getElementById('toolNameModel').value = tool.nameModel;
-    if (tool.productCode) document.getElementById('toolProductCode').value = tool.productCode;
-    if (tool.diameter) document.getElementById('toolDiameter').value = tool.diameter;
-    if (tool.material) document.getElementById('toolMaterial').value = tool.material;
-    if (tool.coating) document.getElementById('toolCoating').value = tool.coating;
-    if (tool.numberOfTeeth) document.getElementById('numberOfTeeth').value = tool.numberOfTeeth;
-    if (tool.helixAngle !== null && tool.helixAngle !== undefined) document.getElementById('helixAngle').value = tool.helixAngle;
-    if (tool.rakeAngle !== null && tool.rakeAngle !== undefined) document.getElementById('rakeAngle').value = tool.rakeAngle;
-    if (tool.toolCost) document.getElementById('toolCost').value = tool.toolCost;
-    if (tool.cuttingSpeed) document.getElementById('cuttingSpeed').value = tool.cuttingSpeed;
-    if (tool.feedRate) document.getElementById('feedRate').value = tool.feedRate;
-    if (tool.depthOfCut) document.getElementById('depthOfCut').value = tool.depthOfCut;
-    if (tool.widthOfCut) document.getElementById('widthOfCut').value = tool.widthOfCut;
+// Show the end-of-life evaluation and refresh the wear curve
+function displayWearTestResult() {
+    const container = document.getElementById('wearTestResult');
+    const endOfLife = determineWearEndOfLife(wearTestSession.entries, wearTestSession.criteria);
+    
+    if (wearTestSession.entries.length === 0) {
+        container.innerHTML = `<div style="color: var(--text-secondary); font-size: 0.85rem;">Log flank wear at regular cut-length intervals until the wear criterion is reached.</div>`;
+    } else if (endOfLife.reached) {
+        container.innerHTML = `
+            <div class="formula-section" style="border-left-color: var(--secondary-color);">
+                <h4>✅ End of Life Reached</h4>
+                <div class="formula">T = ${endOfLife.toolLife.toFixed(1)} min · L = ${formatQuantity(endOfLife.cutLength, 'cutLength')}</div>
+                <div class="formula-desc">Criterion: ${endOfLife.criterion}</div>
+            </div>
+        `;
+    } else {
+        container.innerHTML = `
+            <div class="formula-section" style="border-left-color: var(--warning-color);">
+                <h4>⏳ Test in Progress</h4>
+                <div class="formula-desc">No end-of-life criterion reached yet after ${endOfLife.toolLife.toFixed(1)} min (${formatQuantity(endOfLife.cutLength, 'cutLength')}).</div>
+            </div>
+        `;
+    }
+    
+    displayWearCurveChart(wearTestSession);
 }
 
-function addToolToComparison(tool) {
-    const params = {
-        toolBrand: tool.brand || '',
-        toolType: tool.type || '',
-        toolNameModel: tool.nameModel || '',
-        toolProductCode: tool.productCode || '',
-        toolDiameter: tool.diameter || 10,
-        toolMaterial: tool.material || 'carbide',
-        toolCoating: tool.coating || 'none',
-        numberOfTeeth: tool.numberOfTeeth || 4,
-        helixAngle: tool.helixAngle || null,
-        rakeAngle: tool.rakeAngle || null,
-        toolCost: tool.toolCost || 50,
-        cuttingSpeed: tool.cuttingSpeed || 100,
-        feedRate: tool.feedRate || 0.1,
-        depthOfCut: tool.depthOfCut || 2,
-        widthOfCut: tool.widthOfCut || 5,
-        workpieceMaterial: 'steel',
-        processingTime: 10,
-        toolChangeCost: 5,
-        toolChangeTime: 2,
-        machiningTime: null,
-        machineHourlyRate: 50,
-        toolRemainingCost: 0,
-        toolLife: null,
-        batchSize: 1
+// Use the measured tool life as the tool life override and record it for calibration.
+// The override only applies while the form still holds the test conditions; the observation is recorded either way
+function applyWearTestToolLife(addToComparisonList) {
+    const endOfLife = determineWearEndOfLife(wearTestSession.entries, wearTestSession.criteria);
+    if (!endOfLife.reached) {
+        showToast('⚠️ No end-of-life criterion reached yet', 'error');
+        return;
+    }
+    
+    const conditions = wearTestSession.conditions;
+    const toolLife = Math.round(endOfLife.toolLife * 10) / 10;
+    
+    // Record the test as a calibration observation for this material/tool combination
+    const key = getTaylorModelKey(conditions);
+    const model = taylorModels[key] || {
+        workpieceMaterial: conditions.workpieceMaterial,
+        toolMaterial: conditions.toolMaterial,
+        toolCoating: conditions.toolCoating || 'none',
+        cuttingFluid: conditions.cuttingFluid || 'none',
+        operationMode: getOperationMode(conditions),
+        toolType: conditions.toolType || '',
+        observations: [],
+        fit: null,
+        active: true
+    };
+    const observation = {
+        cuttingSpeed: conditions.cuttingSpeed,
+        feedRate: conditions.feedRate,
+        depthOfCut: conditions.depthOfCut,
+        cuttingFluid: conditions.cuttingFluid || 'none',
+        toolLife
     };
+    const alreadyRecorded = model.observations.some(obs =>
+        ['cuttingSpeed', 'feedRate', 'depthOfCut', 'cuttingFluid', 'toolLife'].every(field => (obs[field] || model[field]) === observation[field])
+    );
+    if (!alreadyRecorded) {
+        model.observations.push(observation);
+        // Keep a fitted model in step with its observations
+        if (model.fit) {
+            try {
+                model.fit = fitCalibratedTaylorModel(model);
+            } catch (error) {
+                console.error('Error refitting tool life model:', error);
+            }
+        }
+        taylorModels[key] = model;
+        saveStoredJSON(TAYLOR_MODELS_STORAGE_KEY, taylorModels);
+    }
     
-    const toolLife = calculateToolLife(params);
-    const costResults = calculateCostPerPart({ ...params, toolLife });
-    const mrr = calculateMRR(params);
+    const mismatches = findWearTestConditionMismatches(conditions, getInputValues());
+    if (mismatches.length > 0) {
+        showToast(`⚠️ Recorded for calibration, but the tool life was not applied - the form's ${mismatches.join(', ')} differ from the test conditions`, 'error', 6000);
+        refreshResultsAfterModelChange();
+        return;
+    }
+    document.getElementById('toolLife').value = toolLife;
+    
+    if (addToComparisonList) {
+        const validationErrors = validateInputs(getInputValues());
+        if (validationErrors.length > 0) {
+            showToast(`⚠️ Tool life applied, but fix errors before comparing: ${validationErrors[0]}`, 'error', 5000);
+            return;
+        }
+        addToComparison();
+        showToast(`✅ Tool life ${toolLife} min applied and tool added to comparison`, 'success');
+    } else {
+        showToast(`✅ Tool life ${toolLife} min applied`, 'success');
+    }
+    closeWearTestModal();
+    refreshResultsAfterModelChange();
+}
+
+// Tool life calibration modal
+function initializeTaylorCalibration() {
+    const calibrateBtn = document.getElementById('calibrateToolLifeBtn');
+    const calibrationModal = document.getElementById('taylorCalibrationModal');
     
-    let toolName = tool.nameModel || tool.productCode || `Tool ${toolComparisons.length + 1}`;
-    if (tool.brand) {
-        toolName = `${tool.brand.charAt(0).toUpperCase() + tool.brand.slice(1)} ${toolName}`;
+    if (!calibrateBtn || !calibrationModal) {
+        console.error('Tool life calibration elements not found');
+        return;
     }
     
-    const toolData = {
-        id: Date.now() + Math.random(),
-        name: toolName,
-        ...params,
-        toolLife,
-        ...costResults,
-        mrr
+    calibrateBtn.addEventListener('click', openTaylorCalibrationModal);
+    document.getElementById('closeCalibrationModal').addEventListener('click', closeTaylorCalibrationModal);
+    document.getElementById('cancelCalibrationBtn').addEventListener('click', closeTaylorCalibrationModal);
+    document.getElementById('addObservationBtn').addEventListener('click', function() {
+        const params = getInputValues();
+        addCalibrationObservationRow({
+            cuttingSpeed: params.cuttingSpeed,
+            feedRate: params.feedRate,
+            depthOfCut: params.depthOfCut,
+            toolLife: ''
+        });
+    });
+    document.getElementById('fitCalibrationBtn').addEventListener('click', fitAndSaveTaylorCalibration);
+    document.getElementById('removeCalibrationBtn').addEventListener('click', removeTaylorCalibration);
+    
+    calibrationModal.addEventListener('click', function(e) {
+        if (e.target === calibrationModal) {
+            closeTaylorCalibrationModal();
+        }
+    });
+}
+
+// Open the calibration modal for the material/tool combination currently in the form
+function openTaylorCalibrationModal() {
+    const params = getInputValues();
+    const model = taylorModels[findTaylorModelKey(params)];
+    const selectedText = id => {
+        const select = document.getElementById(id);
+        return select && select.selectedOptions[0] ? select.selectedOptions[0].text : '';
     };
     
-    toolComparisons.push(toolData);
-    updateComparisonTable().catch(error => console.error('Error updating comparison table:', error));
+    document.getElementById('calibrationCombination').innerHTML =
+        `<strong>${selectedText('workpieceMaterial')}</strong> · ${selectedText('toolMaterial')} · ${selectedText('toolCoating')} · ${OPERATION_NAMES[getOperationMode(params)]}${params.toolType ? ` with ${selectedText('toolType')}` : ''} · tested with ${selectedText('cuttingFluid')}`;
+    
+    document.getElementById('calibrationObservationsBody').innerHTML = '';
+    const observations = model ? model.observations : [];
+    observations.forEach(obs => addCalibrationObservationRow(obs));
+    if (observations.length === 0) {
+        addCalibrationObservationRow({
+            cuttingSpeed: params.cuttingSpeed,
+            feedRate: params.feedRate,
+            depthOfCut: params.depthOfCut,
+            toolLife: ''
+        });
+    }
+    
+    displayTaylorCalibrationResult(model);
+    document.getElementById('taylorCalibrationModal').style.display = 'block';
 }
 
-function closeImportModal() {
-    const importModal = document.getElementById('catalogueImportModal');
-    importModal.style.display = 'none';
-    importedCatalogueData = null;
-    fieldMapping = {};
-    mappedToolData = [];
-    document.getElementById('catalogueFile').value = '';
+function closeTaylorCalibrationModal() {
+    document.getElementById('taylorCalibrationModal').style.display = 'none';
+}
+
+// Add an editable observation row to the calibration table
+function addCalibrationObservationRow(observation) {
+    const tbody = document.getElementById('calibrationObservationsBody');
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="number" data-field="cuttingSpeed" data-quantity="cuttingSpeed" min="0" step="any" value="${toDisplayInputValue(observation.cuttingSpeed, 'cuttingSpeed')}"></td>
+        <td><input type="number" data-field="feedRate" data-quantity="feedPerTooth" min="0" step="any" value="${toDisplayInputValue(observation.feedRate, 'feedPerTooth')}"></td>
+        <td><input type="number" data-field="depthOfCut" data-quantity="length" min="0" step="any" value="${toDisplayInputValue(observation.depthOfCut, 'length')}"></td>
+        <td><input type="number" data-field="toolLife" min="0.1" step="0.1" value="${observation.toolLife ?? ''}"></td>
+        <td><select data-field="cuttingFluid">${document.getElementById('cuttingFluid').innerHTML}</select></td>
+        <td><button type="button" class="row-delete" title="Remove observation">✕</button></td>
+    `;
+    // Rows without a recorded fluid were tested with the fluid in the form
+    row.querySelector('select[data-field="cuttingFluid"]').value = observation.cuttingFluid || document.getElementById('cuttingFluid').value;
+    row.querySelector('.row-delete').addEventListener('click', () => row.remove());
+    tbody.appendChild(row);
+}
+
+// Read observations from the calibration table (incomplete rows are skipped)
+function readCalibrationObservations() {
+    const rows = document.querySelectorAll('#calibrationObservationsBody tr');
+    const observations = [];
+    rows.forEach(row => {
+        const observation = {};
+        row.querySelectorAll('input[data-field]').forEach(input => {
+            const value = parseFloat(input.value);
+            observation[input.dataset.field] = input.dataset.quantity ? fromDisplayUnits(value, input.dataset.quantity) : value;
+        });
+        observation.cuttingFluid = row.querySelector('select[data-field="cuttingFluid"]').value;
+        if (['cuttingSpeed', 'feedRate', 'depthOfCut', 'toolLife'].every(field => observation[field] > 0)) {
+            observations.push(observation);
+        }
+    });
+    return observations;
+}
+
+// Fit the model from the table, store it and recalculate
+function fitAndSaveTaylorCalibration() {
+    const params = getInputValues();
+    const observations = readCalibrationObservations();
+    
+    try {
+        const model = {
+            workpieceMaterial: params.workpieceMaterial,
+            toolMaterial: params.toolMaterial,
+            toolCoating: params.toolCoating || 'none',
+            cuttingFluid: params.cuttingFluid || 'none',
+            operationMode: getOperationMode(params),
+            toolType: params.toolType || '',
+            observations,
+            fit: null,
+            active: true
+        };
+        const fit = fitCalibratedTaylorModel(model);
+        model.fit = fit;
+        taylorModels[getTaylorModelKey(params)] = model;
+        saveStoredJSON(TAYLOR_MODELS_STORAGE_KEY, taylorModels);
+        displayTaylorCalibrationResult(model);
+        showToast(`✅ Tool life model fitted (n = ${fit.n.toFixed(3)}, R² = ${fit.rSquared.toFixed(3)})`, 'success');
+        refreshResultsAfterModelChange();
+    } catch (error) {
+        console.error('Error fitting tool life model:', error);
+        document.getElementById('calibrationResult').innerHTML =
+            `<div style="color: var(--danger-color);">❌ ${error.message}</div>`;
+        showToast(`❌ ${error.message}`, 'error', 5000);
+    }
+}
+
+// Remove the calibrated model for the current combination and fall back to defaults
+function removeTaylorCalibration() {
+    const key = findTaylorModelKey(getInputValues());
+    if (!taylorModels[key]) {
+        showToast('No calibrated model for this combination', 'info');
+        return;
+    }
+    if (!confirm('Remove the calibrated tool life model for this combination?')) return;
+    
+    delete taylorModels[key];
+    saveStoredJSON(TAYLOR_MODELS_STORAGE_KEY, taylorModels);
+    document.getElementById('calibrationObservationsBody').innerHTML = '';
+    displayTaylorCalibrationResult(null);
+    showToast('Calibrated model removed - using default tool life model', 'info');
+    refreshResultsAfterModelChange();
+}
+
+// Show fitted parameters, fit quality and observed vs predicted life
+function displayTaylorCalibrationResult(model) {
+    const container = document.getElementById('calibrationResult');
+    const fit = model ? model.fit : null;
+    if (!fit) {
+        container.innerHTML = `<div style="color: var(--text-secondary); font-size: 0.85rem;">No calibrated model yet - the default tool life model is used.</div>`;
+        return;
+    }
+    
+    // Predicted with the fluid each observation was tested with
+    const rows = model.observations.map(obs => {
+        const predicted = calculateTaylorToolLife(fit, obs) * getObservationFluidRatio(model, obs);
+        const deviation = (predicted - obs.toolLife) / obs.toolLife * 100;
+        return `<tr>
+            <td>${toDisplayInputValue(obs.cuttingSpeed, 'cuttingSpeed')} / ${toDisplayInputValue(obs.feedRate, 'feedPerTooth')} / ${toDisplayInputValue(obs.depthOfCut, 'length')} · ${formatCuttingFluid(obs.cuttingFluid || model.cuttingFluid)}</td>
+            <td>${formatNumber(obs.toolLife, 'min')}</td>
+            <td>${formatNumber(predicted, 'min')}</td>
+            <td>${deviation >= 0 ? '+' : ''}${deviation.toFixed(1)}%</td>
+        </tr>`;
+    }).join('');
+    const qualityColor = fit.rSquared >= 0.9 ? '#10b981' : fit.rSquared >= 0.7 ? '#f59e0b' : '#ef4444';
+    
+    container.innerHTML = `
+        <div class="formula-section">
+            <h4>Fitted Model (${fit.pointCount} observations)</h4>
+            <div class="formula">n = ${fit.n.toFixed(3)} · C = ${formatNumber(fit.C, '')} · a = ${fit.fittedFeed ? fit.feedExponent.toFixed(3) : '0 (feed not varied)'} · b = ${fit.fittedDepth ? fit.depthExponent.toFixed(3) : '0 (depth not varied)'}</div>
+            <div class="formula-desc">
+                Fit quality: <strong style="color: ${qualityColor};">R² = ${fit.rSquared.toFixed(3)}</strong>,
+                mean absolute error ${fit.meanAbsPercentError.toFixed(1)}%
+                ${fit.rSquared < 0.7 ? ' - scatter is high, add more observations before relying on this model' : ''}
+            </div>
+        </div>
+        <table class="technical-table">
+            <thead><tr><th>V<sub>c</sub> / f<sub>z</sub> / a<sub>p</sub></th><th>Observed</th><th>Predicted</th><th>Deviation</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Recalculate visible results when the tool life model changes
+function refreshResultsAfterModelChange() {
+    const resultsContainer = document.getElementById('results');
+    if (resultsContainer && !resultsContainer.querySelector('.result-placeholder')) {
+        const params = getInputValues();
+        if (validateInputs(params).length === 0) {
+            displayResults(params).catch(error => console.error('Error refreshing results:', error));
+        }
+    }
 }
 
 // Report generation functions
@@ -3494,20 +10089,28 @@ function generateReportHTML() {
     const toolLife = params.toolLife || calculateToolLife(params);
     const costResults = calculateCostPerPart({ ...params, toolLife });
     const mrr = calculateMRR(params);
-    const spindleSpeed = calculateSpindleSpeed(params.cuttingSpeed, params.toolDiameter);
-    const feedPerRev = calculateFeedPerRevolution(params.feedRate, params.numberOfTeeth);
-    const feedRateMM = calculateFeedRate(params.feedRate, params.numberOfTeeth, spindleSpeed);
-    const chipThickness = calculateChipThickness(params.feedRate, params.depthOfCut, params.toolDiameter);
-    const materialHardness = params.materialHardness || 30;
-    const specificCuttingForce = calculateSpecificCuttingForce(params.workpieceMaterial, materialHardness);
-    const cuttingForce = calculateCuttingForce(specificCuttingForce, params.depthOfCut, params.widthOfCut, params.feedRate);
-    const powerRequired = calculatePowerRequirement(cuttingForce, params.cuttingSpeed);
-    const torque = calculateTorque(powerRequired, spindleSpeed);
-    const surfaceFinish = calculateSurfaceFinish(params.feedRate, params.toolDiameter, params.numberOfTeeth);
-    const taylorConstant = calculateTaylorConstant(params.cuttingSpeed, toolLife);
+    const spindleSpeed = calculateOperationSpindleSpeed(params);
+    const { feedPerRev, feedRateMM } = calculateOperationFeed(params, spindleSpeed);
+    const forceModel = calculateCuttingForceModel(params);
+    const chipThickness = forceModel.chipThickness;
+    const specificCuttingForce = forceModel.specificCuttingForce;
+    const cuttingForce = forceModel.cuttingForce;
+    const { powerRequired, torque } = calculateOperationPower(params, cuttingForce, spindleSpeed);
+    const surfaceFinish = calculateOperationSurfaceFinish(params);
+    const taylorParameters = getTaylorParameters(params, toolLife);
+    const taylorConstant = taylorParameters.C;
     const mrrPerPower = calculateMRRPerPower(mrr, powerRequired);
+    const drilling = getOperationMode(params) === 'drilling' ? calculateDrillingModel(params, toolLife) : null;
+    const threading = isThreadingOperation(getOperationMode(params)) ? calculateThreadingModel(params, toolLife) : null;
+    const faceMilling = getOperationMode(params) === 'faceMilling' ? calculateFaceMillingModel(params, toolLife) : null;
+    const turning = getOperationMode(params) === 'turning' ? calculateTurningModel(params, toolLife) : null;
+    const profileMilling = isProfileMillingTool(params) ? calculateProfileMillingModel(params) : null;
+    const stiffness = calculateToolStiffnessModel(params, forceModel.cuttingForce);
+    const millingFinish = hasMillingFinishModel(params) ? calculateMillingFinishModel(params, stiffness) : null;
     const recommendations = getRecommendations(params, costResults);
     const oeeResults = calculateOEE(params, costResults, toolLife);
+    const machineProfile = getMachineProfile(params.machineProfile);
+    const machineChecks = machineProfile ? checkMachineLimits(params, machineProfile, { spindleSpeed, feedRateMM, powerRequired, torque }) : [];
     
     const includeCharts = document.getElementById('includeCharts').checked;
     const includeComparison = document.getElementById('includeComparison').checked;
@@ -3764,6 +10367,7 @@ function generateReportHTML() {
                     ${params.applicationType ? `<tr><th>Application Type</th><td>${params.applicationType}</td></tr>` : ''}
                     ${params.customerContact ? `<tr><th>Customer Contact Person</th><td>${params.customerContact}</td></tr>` : ''}
                     ${params.expertName ? `<tr><th>Our Expert Name</th><td>${params.expertName}</td></tr>` : ''}
+                    <tr><th>Currency</th><td>${projectCurrency} (${currencyDefinitions[projectCurrency].name})</td></tr>
                     ${params.batchSize > 1 ? `<tr><th>Batch/Lot Size</th><td>${params.batchSize} parts</td></tr>` : ''}
                     ${params.theoreticalPartWorktime ? `<tr><th>Theoretical Part Worktime</th><td>${params.theoreticalPartWorktime} min</td></tr>` : ''}
                     ${params.machineWorkhourCost ? `<tr><th>Machine Workhour Cost</th><td>${formatCurrency(params.machineWorkhourCost)}/hour</td></tr>` : ''}
@@ -3793,15 +10397,20 @@ function generateReportHTML() {
                     ${params.toolType ? `<tr><th>Type</th><td>${params.toolType.replace(/([A-Z])/g, ' $1').trim()}</td></tr>` : ''}
                     ${params.toolNameModel ? `<tr><th>Name/Model</th><td>${params.toolNameModel}</td></tr>` : ''}
                     ${params.toolProductCode ? `<tr><th>Product Code</th><td>${params.toolProductCode}</td></tr>` : ''}
-                    <tr><th>Tool Diameter (D)</th><td>${params.toolDiameter} mm</td></tr>
+                    <tr><th>Tool Diameter (D)</th><td>${formatInputQuantity(params.toolDiameter, 'length')}</td></tr>
                     <tr><th>Number of Teeth/Flutes (Z)</th><td>${params.numberOfTeeth}</td></tr>
                     <tr><th>Tool Material</th><td>${params.toolMaterial}</td></tr>
                     <tr><th>Tool Coating</th><td>${params.toolCoating}</td></tr>
                     ${params.cuttingFluid && params.cuttingFluid !== 'none' ? `<tr><th>Cutting Fluid</th><td>${formatCuttingFluid(params.cuttingFluid)}</td></tr>` : ''}
                     ${params.helixAngle ? `<tr><th>Helix Angle (β)</th><td>${params.helixAngle}°</td></tr>` : ''}
                     ${params.rakeAngle ? `<tr><th>Rake Angle (γ)</th><td>${params.rakeAngle}°</td></tr>` : ''}
+                    ${isInsertTooling(params) ? `
+                    <tr><th>Insert Tooling</th><td>${formatInsertTooling(params)}</td></tr>
+                    ` : `
                     <tr><th>Tool Cost (C<sub>t</sub>)</th><td>${formatCurrency(params.toolCost)}</td></tr>
                     ${params.toolRemainingCost > 0 ? `<tr><th>Tool Residual Value (C<sub>r</sub>)</th><td>${formatCurrency(params.toolRemainingCost)}</td></tr>` : ''}
+                    ${params.regrindCount > 0 ? `<tr><th>Regrind Lifecycle</th><td>${formatRegrindLifecycle(params, toolLife)}</td></tr>` : ''}
+                    `}
                     ${params.toolPhoto ? `
                     <tr><th>Tool Photo</th><td class="photo-info">
                         <img src="${params.toolPhoto}" alt="Tool Photo">
@@ -3814,7 +10423,8 @@ function generateReportHTML() {
             <div class="section">
                 <h2>Workpiece Material</h2>
                 <table>
-                    <tr><th>Material Type</th><td>${params.workpieceMaterial}</td></tr>
+                    <tr><th>Material Type</th><td>${formatWorkpieceMaterial(params.workpieceMaterial)}</td></tr>
+                    <tr><th>Specific Cutting Force k<sub>c1.1</sub> / m<sub>c</sub></th><td>${formatQuantity(getMaterial(params.workpieceMaterial).kc11, 'specificForce')} / ${getMaterial(params.workpieceMaterial).mc}</td></tr>
                     ${params.materialHardness ? `<tr><th>Material Hardness (HRC)</th><td>${params.materialHardness}</td></tr>` : ''}
                 </table>
             </div>
@@ -3822,10 +10432,10 @@ function generateReportHTML() {
             <div class="section">
                 <h2>Cutting Parameters</h2>
                 <table>
-                    <tr><th>Cutting Speed (V<sub>c</sub>)</th><td>${params.cuttingSpeed} m/min</td></tr>
-                    <tr><th>Feed per Tooth (f<sub>z</sub>)</th><td>${params.feedRate} mm/tooth</td></tr>
-                    <tr><th>Axial Depth of Cut (a<sub>p</sub>)</th><td>${params.depthOfCut} mm</td></tr>
-                    <tr><th>Radial Width of Cut (a<sub>e</sub>)</th><td>${params.widthOfCut} mm</td></tr>
+                    <tr><th>Cutting Speed (V<sub>c</sub>)</th><td>${formatInputQuantity(params.cuttingSpeed, 'cuttingSpeed')}</td></tr>
+                    <tr><th>Feed per Tooth (f<sub>z</sub>)</th><td>${formatInputQuantity(params.feedRate, 'feedPerTooth')}</td></tr>
+                    <tr><th>Axial Depth of Cut (a<sub>p</sub>)</th><td>${formatInputQuantity(params.depthOfCut, 'length')}</td></tr>
+                    <tr><th>Radial Width of Cut (a<sub>e</sub>)</th><td>${formatInputQuantity(params.widthOfCut, 'length')}</td></tr>
                     ${params.cuttingFluid && params.cuttingFluid !== 'none' ? `<tr><th>Cutting Fluid</th><td>${formatCuttingFluid(params.cuttingFluid)}</td></tr>` : ''}
                 </table>
             </div>
@@ -3834,28 +10444,152 @@ function generateReportHTML() {
                 <h2>Calculated Machining Parameters</h2>
                 <table>
                     <tr><th>Spindle Speed (n)</th><td>${formatNumber(spindleSpeed, 'RPM')}</td></tr>
-                    <tr><th>Feed Rate (V<sub>f</sub>)</th><td>${formatNumber(feedRateMM, 'mm/min')}</td></tr>
-                    <tr><th>Feed per Revolution (f)</th><td>${formatNumber(feedPerRev, 'mm/rev')}</td></tr>
-                    <tr><th>Material Removal Rate (Q)</th><td>${formatNumber(mrr, 'mm³/min')}</td></tr>
-                    <tr><th>Chip Thickness (h)</th><td>${formatNumber(chipThickness, 'mm')}</td></tr>
+                    <tr><th>Feed Rate (V<sub>f</sub>)</th><td>${formatQuantity(feedRateMM, 'feedRate')}</td></tr>
+                    <tr><th>Feed per Revolution (f)</th><td>${formatQuantity(feedPerRev, 'feedPerRev')}</td></tr>
+                    <tr><th>Material Removal Rate (Q)</th><td>${formatQuantity(mrr, 'mrr')}</td></tr>
+                    <tr><th>Mean Chip Thickness (h<sub>m</sub>)</th><td>${formatQuantity(chipThickness, 'length')}</td></tr>
+                    <tr><th>Engagement Angle (φ<sub>s</sub>)</th><td>${forceModel.engagementAngle.toFixed(1)}°</td></tr>
+                    <tr><th>Teeth in Cut (z<sub>c</sub>)</th><td>${forceModel.teethInCut.toFixed(2)}</td></tr>
                 </table>
             </div>
             
             <div class="section">
                 <h2>Cutting Forces & Power</h2>
                 <table>
-                    <tr><th>Specific Cutting Force (k<sub>c</sub>)</th><td>${formatNumber(specificCuttingForce, 'N/mm²')}</td></tr>
-                    <tr><th>Cutting Force (F<sub>c</sub>)</th><td>${formatNumber(cuttingForce, 'N')}</td></tr>
-                    <tr><th>Power Requirement (P)</th><td>${formatNumber(powerRequired, 'kW')}</td></tr>
-                    <tr><th>Torque (M)</th><td>${formatNumber(torque, 'Nm')}</td></tr>
-                    <tr><th>MRR per Power</th><td>${formatNumber(mrrPerPower, 'cm³/min/kW')}</td></tr>
+                    <tr><th>Specific Cutting Force (k<sub>c</sub>)</th><td>${formatQuantity(specificCuttingForce, 'specificForce')}</td></tr>
+                    <tr><th>Cutting Force (F<sub>c</sub>)</th><td>${formatQuantity(cuttingForce, 'force')}</td></tr>
+                    <tr><th>Power Requirement (P)</th><td>${formatQuantity(powerRequired, 'power')}</td></tr>
+                    <tr><th>Torque (M)</th><td>${formatQuantity(torque, 'torque')}</td></tr>
+                    <tr><th>MRR per Power</th><td>${formatQuantity(mrrPerPower, 'mrrPerPower')}</td></tr>
+                </table>
+            </div>
+            
+            ${drilling ? `
+            <div class="section">
+                <h2>Drilling</h2>
+                <table>
+                    <tr><th>Point Angle (σ)</th><td>${drilling.pointAngle}°</td></tr>
+                    <tr><th>Thrust Force (F<sub>f</sub>)</th><td>${formatQuantity(drilling.thrustForce, 'force')}</td></tr>
+                    <tr><th>Drilling Torque (M<sub>c</sub>)</th><td>${formatQuantity(drilling.torque, 'torque')}</td></tr>
+                    <tr><th>Hole Depth (L)</th><td>${formatQuantity(drilling.holeDepth, 'length')} (${drilling.depthRatio.toFixed(1)} × D), ${drilling.holesPerPart} per part</td></tr>
+                    <tr><th>Peck Cycle</th><td>${drilling.pecks > 1 ? `${drilling.pecks} pecks of ${formatQuantity(drilling.peckDepth, 'length')}` : 'Single pass'}</td></tr>
+                    <tr><th>Cycle Time per Hole</th><td>${(drilling.cycleTimePerHole * 60).toFixed(1)} s (${(drilling.cuttingTimePerHole * 60).toFixed(1)} s cutting)</td></tr>
+                    <tr><th>Drilling Time per Part</th><td>${drilling.cycleTimePerPart.toFixed(2)} min</td></tr>
+                    ${drilling.holesPerToolLife !== null ? `<tr><th>Tool Life</th><td>${drilling.holesPerToolLife} holes (${formatQuantity(drilling.metersPerToolLife, 'cutLength')} drilled)</td></tr>` : ''}
+                </table>
+            </div>
+            ` : ''}
+            
+            ${threading ? `
+            <div class="section">
+                <h2>${getOperationMode(params) === 'tapping' ? 'Tapping' : 'Thread Milling'}</h2>
+                <table>
+                    <tr><th>Thread</th><td>${threading.thread.designation} ${threading.thread.threadType} (${threading.thread.standardName}), pitch ${formatQuantity(threading.thread.pitch, 'length')}</td></tr>
+                    ${threading.thread.threadType === 'internal' ? `<tr><th>Tap Drill</th><td>${formatQuantity(threading.thread.tapDrill, 'length')}</td></tr>` : ''}
+                    <tr><th>Thread Length</th><td>${formatQuantity(threading.threadLength, 'length')}, ${threading.threadsPerPart} per part</td></tr>
+                    ${getOperationMode(params) === 'tapping' ? `
+                    <tr><th>Tap</th><td>${threading.thread.tapKind === 'forming' ? 'Forming tap' : 'Cutting tap'}</td></tr>
+                    <tr><th>Tapping Feed (V<sub>f</sub> = n × P)</th><td>${formatQuantity(threading.feedRateMM, 'feedRate')}</td></tr>
+                    <tr><th>Tapping Torque (M<sub>c</sub>)</th><td>${formatQuantity(threading.torque, 'torque')}</td></tr>
+                    ` : `
+                    <tr><th>Programmed Feed (tool centre)</th><td>${formatQuantity(threading.programmedFeedRate, 'feedRate')} (edge ${formatQuantity(threading.feedRateMM, 'feedRate')})</td></tr>
+                    <tr><th>Radial Passes</th><td>${threading.passes} × ${formatQuantity(threading.radialDepthPerPass, 'length')}</td></tr>
+                    `}
+                    <tr><th>Cycle Time per Thread</th><td>${(threading.cycleTimePerThread * 60).toFixed(1)} s (${(threading.cuttingTimePerThread * 60).toFixed(1)} s cutting)</td></tr>
+                    ${threading.costPerThread !== null ? `<tr><th>Cost per Thread</th><td>${formatCurrency(threading.costPerThread)} (${threading.threadsPerToolLife} threads per tool life)</td></tr>` : ''}
+                </table>
+            </div>
+            ` : ''}
+            
+            ${faceMilling ? `
+            <div class="section">
+                <h2>Face Milling</h2>
+                <table>
+                    <tr><th>Entering Angle (κ<sub>r</sub>)</th><td>${faceMilling.enteringAngle.toFixed(0)}°${params.enteringAngle === 'round' ? ` (round inserts iC ${formatQuantity(params.roundInsertDiameter, 'length')})` : ''}</td></tr>
+                    <tr><th>Cutter Position</th><td>${faceMilling.cutterOffset === 0 ? 'Centred' : `Offset ${formatQuantity(faceMilling.cutterOffset, 'length')} towards entry`}, a<sub>e</sub>/D = ${faceMilling.radialRatio.toFixed(2)}</td></tr>
+                    <tr><th>Engagement Arc</th><td>${faceMilling.entryAngle.toFixed(0)}° to ${faceMilling.exitAngle.toFixed(0)}° (${faceMilling.teethInCut.toFixed(2)} inserts in cut)</td></tr>
+                    <tr><th>Entry / Exit Chip Thickness</th><td>${formatQuantity(faceMilling.entryChipThickness, 'length')} / ${formatQuantity(faceMilling.exitChipThickness, 'length')}${faceMilling.centreOverFace ? '' : ' - axis outside the face'}</td></tr>
+                    <tr><th>Surface Roughness (R<sub>a</sub>)</th><td>${formatQuantity(faceMilling.surfaceFinish, 'roughness')} (${faceMilling.wiperEffective ? 'wiper insert' : `r<sub>ε</sub> ${formatQuantity(faceMilling.cornerRadius, 'length')}`})</td></tr>
+                    ${faceMilling.faceLength > 0 ? `<tr><th>Face Milling Time per Part</th><td>${faceMilling.cycleTimePerPart.toFixed(2)} min (${faceMilling.passesPerPart} × ${formatQuantity(faceMilling.passLength, 'length')})</td></tr>` : ''}
+                    ${faceMilling.faceLength > 0 && faceMilling.passesPerToolLife !== null ? `<tr><th>Tool Life</th><td>${faceMilling.passesPerToolLife} passes (${formatQuantity(faceMilling.metersPerToolLife, 'cutLength')} face milled)</td></tr>` : ''}
+                </table>
+            </div>
+            ` : ''}
+            
+            ${turning ? `
+            <div class="section">
+                <h2>Turning</h2>
+                <table>
+                    <tr><th>Workpiece Diameter (D<sub>w</sub>)</th><td>${formatQuantity(turning.workpieceDiameter, 'length')}</td></tr>
+                    <tr><th>Spindle Speed</th><td>${formatNumber(turning.spindleSpeed, 'RPM')} (${turning.constantSurfaceSpeed ? 'G96 constant surface speed' : 'G97 fixed RPM'}${turning.maxSpindleSpeed > 0 ? `, limit ${Math.round(turning.maxSpindleSpeed)} RPM` : ''})</td></tr>
+                    <tr><th>Lead Angle (κ<sub>r</sub>) / Nose Radius (r<sub>ε</sub>)</th><td>${turning.leadAngle}° / ${formatQuantity(turning.noseRadius, 'length')}</td></tr>
+                    <tr><th>Feed / Passive Force (F<sub>f</sub> / F<sub>p</sub>)</th><td>${formatQuantity(turning.feedForce, 'force')} / ${formatQuantity(turning.passiveForce, 'force')}</td></tr>
+                    <tr><th>Theoretical R<sub>z</sub></th><td>${formatQuantity(turning.profileDepth, 'roughness')}</td></tr>
+                    <tr><th>${turning.facing ? 'Facing' : 'Longitudinal Turning'}</th><td>${turning.passes} × ${formatQuantity(turning.passDepth, 'length')}</td></tr>
+                    <tr><th>Turning Time per Part</th><td>${turning.cycleTimePerPart.toFixed(2)} min (${turning.cuttingTimePerPart.toFixed(2)} min cutting)</td></tr>
+                    ${turning.partsPerToolLife !== null ? `<tr><th>Tool Life</th><td>${turning.partsPerToolLife} parts per cutting edge</td></tr>` : ''}
+                </table>
+            </div>
+            ` : ''}
+            
+            ${profileMilling ? `
+            <div class="section">
+                <h2>${profileMilling.ballNose ? 'Ball Nose' : 'Corner Radius'} Engagement</h2>
+                <table>
+                    <tr><th>${profileMilling.ballNose ? 'Tilt Angle (β)' : 'Corner Radius (r<sub>ε</sub>)'}</th><td>${profileMilling.ballNose ? `${profileMilling.tiltAngle}°` : formatQuantity(profileMilling.profileRadius, 'length')}</td></tr>
+                    <tr><th>Effective Cutting Diameter (D<sub>e</sub>)</th><td>${formatQuantity(profileMilling.effectiveDiameter, 'length')} at a<sub>p</sub> ${formatQuantity(params.depthOfCut, 'length')}</td></tr>
+                    <tr><th>Corrected Spindle Speed</th><td>${formatNumber(profileMilling.spindleSpeed, 'RPM')} (nominal diameter: ${formatNumber(profileMilling.nominalSpindleSpeed, 'RPM')})</td></tr>
+                    <tr><th>Scallop Height</th><td>${formatQuantity(profileMilling.scallopHeight * 1000, 'roughness')} at a<sub>e</sub> ${formatQuantity(params.widthOfCut, 'length')} (feed marks ${formatQuantity(profileMilling.feedScallopHeight * 1000, 'roughness')})</td></tr>
+                </table>
+            </div>
+            ` : ''}
+            
+            ${millingFinish ? `
+            <div class="section">
+                <h2>Side Wall and Floor Finish</h2>
+                <table>
+                    <tr><th>Runout (TIR)</th><td>${formatQuantity(millingFinish.runout, 'deflection')}</td></tr>
+                    <tr><th>Side Wall</th><td>R<sub>a</sub> ${formatQuantity(millingFinish.wallRa, 'roughness')}, R<sub>z</sub> ${formatQuantity(millingFinish.wallRz, 'roughness')} (without runout: R<sub>z</sub> ${formatQuantity(millingFinish.idealWallRz, 'roughness')})</td></tr>
+                    <tr><th>Floor</th><td>R<sub>a</sub> ${formatQuantity(millingFinish.floorRa, 'roughness')}, R<sub>z</sub> ${formatQuantity(millingFinish.floorRz, 'roughness')}${millingFinish.wiperEffective ? ' (wiper flat)' : ''}</td></tr>
+                    <tr><th>Feed per Tooth for R<sub>a</sub> ${formatQuantity(millingFinish.targetRoughness, 'roughness')}</th><td>${millingFinish.targetFeedRate !== null ? `≤ ${formatQuantity(millingFinish.targetFeedRate, 'feedPerTooth')} on the ${millingFinish.surface === 'floor' ? 'floor' : 'side wall'}` : 'Not reachable'}</td></tr>
+                    ${millingFinish.axialWaviness !== null ? `<tr><th>Wall Waviness Along the Axis</th><td>up to ${formatQuantity(millingFinish.axialWaviness, 'roughness')} (${(millingFinish.loadVariation * 100).toFixed(0)}% load variation)</td></tr>` : ''}
+                </table>
+            </div>
+            ` : ''}
+            
+            ${stiffness ? `
+            <div class="section">
+                <h2>Tool Deflection</h2>
+                <table>
+                    <tr><th>Stick-out (L)</th><td>${formatQuantity(stiffness.stickout, 'length')} (${stiffness.stickoutRatio.toFixed(1)} × D), ${formatQuantity(stiffness.fluteLength, 'length')} flutes, ${formatQuantity(stiffness.shankDiameter, 'length')} shank / neck</td></tr>
+                    <tr><th>Tool Holder</th><td>${stiffness.holder.name}</td></tr>
+                    <tr><th>Static Deflection (δ)</th><td>${formatQuantity(stiffness.deflection, 'deflection')}${stiffness.tolerance > 0 ? ` of ${formatQuantity(stiffness.tolerance, 'deflection')} tolerance${stiffness.exceedsTolerance ? ' - EXCEEDED' : ''}` : ''}</td></tr>
+                    ${stiffness.exceedsTolerance ? `<tr><th>Stick-out within Tolerance</th><td>${formatQuantity(stiffness.maxStickout, 'length')}</td></tr>` : ''}
+                </table>
+            </div>
+            ` : ''}
+            
+            ${machineProfile ? `
+            <div class="section">
+                <h2>Machine Limits - ${machineProfile.name}</h2>
+                <table>
+                    ${machineProfile.holderInterface ? `<tr><th>Tool Holder Interface</th><td colspan="3">${machineProfile.holderInterface}</td></tr>` : ''}
+                    ${machineChecks.map(check => `
+                    <tr>
+                        <th>${check.label}</th>
+                        <td>${formatMachineLimitValue(check.required, check.quantity)} of ${formatMachineLimitValue(check.available, check.quantity)}</td>
+                        <td style="color: ${check.status === 'exceeded' ? '#ef4444' : check.status === 'warning' ? '#f59e0b' : '#047857'};">${(check.utilisation * 100).toFixed(0)}%</td>
+                        <td>${check.suggestion}</td>
+                    </tr>`).join('')}
                 </table>
+                <p><small>Spindle load includes ${Math.round(SPINDLE_EFFICIENCY * 100)}% drive efficiency; limits are flagged above ${Math.round(MACHINE_LIMIT_WARNING * 100)}% utilisation.</small></p>
             </div>
+            ` : ''}
             
             <div class="section">
                 <h2>Surface Quality</h2>
                 <table>
-                    <tr><th>Surface Roughness (R<sub>a</sub>)</th><td>${formatNumber(surfaceFinish, 'μm')}</td></tr>
+                    <tr><th>Surface Roughness (R<sub>a</sub>)</th><td>${formatQuantity(surfaceFinish, 'roughness')}</td></tr>
                 </table>
             </div>
             
@@ -3878,6 +10612,7 @@ function generateReportHTML() {
                     ${costResults.processingCostPerPart ? `<tr><th>Processing (Cutting) Cost per Part</th><td>${formatCurrency(costResults.processingCostPerPart)}</td></tr>` : ''}
                     <tr><th>Machining Cost per Part</th><td>${formatCurrency(costResults.machiningCostPerPart)}</td></tr>
                     ${costResults.toolChangeCostPerPart > 0 ? `<tr><th>Tool Change Cost per Part</th><td>${formatCurrency(costResults.toolChangeCostPerPart)}</td></tr>` : ''}
+                    ${costResults.coolantCostPerPart > 0 ? `<tr><th>Coolant Cost per Part</th><td>${formatCurrency(costResults.coolantCostPerPart)}</td></tr>` : ''}
                     ${params.batchSize > 1 ? `
                     <tr><th colspan="2" style="background: #e0f2fe; padding-top: 15px;">Batch Cost Analysis</th></tr>
                     <tr><th>Total Batch Cost (${params.batchSize} parts)</th><td class="value">${formatCurrency(costResults.totalBatchCost)}</td></tr>
@@ -3894,11 +10629,16 @@ function generateReportHTML() {
                     <tr><th>Parts per Tool Life</th><td>${costResults.partsPerToolLife} parts</td></tr>
                     ${costResults.toolChangesPerToolLife > 0 ? `<tr><th>Tool Changes per Tool Life</th><td>${costResults.toolChangesPerToolLife}</td></tr>` : ''}
                     <tr><th>Taylor's Constant (C)</th><td>${formatNumber(taylorConstant, '')}</td></tr>
-                    <tr><th>Taylor Exponent (n)</th><td>0.2 (standard for end milling per ISO 8688-2)</td></tr>
+                    <tr><th>Taylor Exponent (n)</th><td>${describeTaylorExponent(taylorParameters)}</td></tr>
+                    ${taylorParameters.isCalibrated ? `<tr><th>Feed / Depth Exponents (a / b)</th><td>${formatNumber(taylorParameters.fit.feedExponent, '')} / ${formatNumber(taylorParameters.fit.depthExponent, '')}</td></tr>` : ''}
                 </table>
                 <div class="formula" style="margin-top: 10px;">
+                    ${taylorParameters.isCalibrated ? `
+                    V<sub>c</sub> × T<sup>n</sup> × f<sub>z</sub><sup>a</sup> × a<sub>p</sub><sup>b</sup> = C
+                    ` : `
                     V<sub>c</sub> × T<sup>n</sup> = C<br>
                     ${params.cuttingSpeed} × ${toolLife}<sup>0.2</sup> = ${formatNumber(taylorConstant, '')}
+                    `}
                 </div>
             </div>
             
@@ -3921,7 +10661,7 @@ function generateReportHTML() {
                         Tool changes per tool life: ${oeeResults.toolChangesPerToolLife}
                     </td></tr>
                     <tr><th>Speed Impact</th><td>
-                        Cutting speed: ${params.cuttingSpeed} m/min<br>
+                        Cutting speed: ${formatInputQuantity(params.cuttingSpeed, 'cuttingSpeed')}<br>
                         ${oeeResults.speedImpact.toolLifeReduction > 0 ? `Tool life reduction: ${(oeeResults.speedImpact.toolLifeReduction * 100).toFixed(1)}%<br>` : ''}
                         ${oeeResults.speedImpact.performanceGain > 0 ? `Performance gain: ${(oeeResults.speedImpact.performanceGain * 100).toFixed(1)}%<br>` : ''}
                     </td></tr>
@@ -3972,8 +10712,14 @@ function generateReportHTML() {
                 <div class="formula">Q = a<sub>e</sub> × a<sub>p</sub> × V<sub>f</sub></div>
                 <p><small>Material Removal Rate: Q = MRR (mm³/min), a<sub>e</sub> = radial width (mm), a<sub>p</sub> = axial depth (mm)</small></p>
                 
-                <div class="formula">F<sub>c</sub> = k<sub>c</sub> × a<sub>p</sub> × a<sub>e</sub> × f<sub>z</sub></div>
-                <p><small>Cutting Force: F<sub>c</sub> = cutting force (N), k<sub>c</sub> = specific cutting force (N/mm²)</small></p>
+                <div class="formula">h<sub>m</sub> = f<sub>z</sub> × (1 - cos φ<sub>s</sub>) / φ<sub>s</sub>, φ<sub>s</sub> = arccos(1 - 2 × a<sub>e</sub> / D)</div>
+                <p><small>Mean Chip Thickness: h<sub>m</sub> = mean chip thickness (mm), φ<sub>s</sub> = engagement angle (rad)</small></p>
+                
+                <div class="formula">k<sub>c</sub> = k<sub>c1.1</sub> × (h<sub>m</sub> × cos β)<sup>-m<sub>c</sub></sup> × (1 - (γ - γ<sub>0</sub>) / 100)</div>
+                <p><small>Specific Cutting Force (Kienzle): β = helix angle, γ = rake angle, γ<sub>0</sub> = reference rake angle</small></p>
+                
+                <div class="formula">F<sub>c</sub> = k<sub>c</sub> × a<sub>p</sub> × h<sub>m</sub> × z<sub>c</sub></div>
+                <p><small>Cutting Force: F<sub>c</sub> = mean cutting force (N), z<sub>c</sub> = Z × φ<sub>s</sub> / 2π = teeth in cut</small></p>
                 
                 <div class="formula">P = F<sub>c</sub> × V<sub>c</sub> / 60000</div>
                 <p><small>Power Requirement: P = power (kW), F<sub>c</sub> = cutting force (N), V<sub>c</sub> = cutting speed (m/min)</small></p>
@@ -4027,7 +10773,7 @@ function generateReportHTML() {
                     <td>${tool.toolCoating || 'N/A'}</td>
                     <td ${isBest ? 'class="value"' : ''}>${formatCurrency(tool.totalCostPerPart)}</td>
                     <td>${tool.toolLife} min</td>
-                    <td>${formatNumber(tool.mrr, 'mm³/min')}</td>
+                    <td>${formatQuantity(tool.mrr, 'mrr')}</td>
                     <td>${formatCurrency(tool.toolCost)}</td>
                 </tr>
             `;
@@ -4056,6 +10802,33 @@ function generateReportHTML() {
                 </div>
             `;
             
+            const roi = getToolSwitchROI(params);
+            if (roi && roi.currentIsBest) {
+                html += `
+                    <div class="section">
+                        <h2>Tool Switch ROI</h2>
+                        <p>The current tool (${roi.currentTool.name}) already has the lowest cost per part.</p>
+                    </div>
+                `;
+            } else if (roi) {
+                html += `
+                    <div class="section">
+                        <h2>Tool Switch ROI</h2>
+                        <table>
+                            <tr><th>Switch</th><td>${roi.currentTool.name} → ${roi.newTool.name}</td></tr>
+                            <tr><th>Parts per Year</th><td>${roi.partsPerYear}</td></tr>
+                            <tr><th>Annual Savings</th><td class="value">${formatCurrency(roi.annualSavings)}</td></tr>
+                            <tr><th>Trial / Switch Cost</th><td>${formatCurrency(roi.trialCost)}</td></tr>
+                            <tr><th>Payback Period</th><td>${formatPaybackPeriod(roi)}</td></tr>
+                            <tr><th>NPV (${roi.evaluationYears} years at ${roi.discountRate}%)</th><td class="value">${formatCurrency(roi.npv)}</td></tr>
+                            <tr><th>Machine Hours ${roi.hoursFreedPerYear >= 0 ? 'Freed' : 'Added'} per Year</th><td>${Math.abs(roi.hoursFreedPerYear).toFixed(1)} h</td></tr>
+                            <tr><th colspan="2" style="background: #e0f2fe; padding-top: 15px;">Discounted Cash Flow</th></tr>
+                            ${roi.cashFlows.map(flow => `<tr><th>Year ${flow.year}</th><td>${formatCurrency(flow.discounted)} (cumulative ${formatCurrency(flow.cumulative)})</td></tr>`).join('')}
+                        </table>
+                    </div>
+                `;
+            }
+            
             if (includeCharts) {
                 html += `
                     <div class="section">
@@ -4089,19 +10862,27 @@ function generateReportText() {
     const toolLife = params.toolLife || calculateToolLife(params);
     const costResults = calculateCostPerPart({ ...params, toolLife });
     const mrr = calculateMRR(params);
-    const spindleSpeed = calculateSpindleSpeed(params.cuttingSpeed, params.toolDiameter);
-    const feedPerRev = calculateFeedPerRevolution(params.feedRate, params.numberOfTeeth);
-    const feedRateMM = calculateFeedRate(params.feedRate, params.numberOfTeeth, spindleSpeed);
-    const chipThickness = calculateChipThickness(params.feedRate, params.depthOfCut, params.toolDiameter);
-    const materialHardness = params.materialHardness || 30;
-    const specificCuttingForce = calculateSpecificCuttingForce(params.workpieceMaterial, materialHardness);
-    const cuttingForce = calculateCuttingForce(specificCuttingForce, params.depthOfCut, params.widthOfCut, params.feedRate);
-    const powerRequired = calculatePowerRequirement(cuttingForce, params.cuttingSpeed);
-    const torque = calculateTorque(powerRequired, spindleSpeed);
-    const surfaceFinish = calculateSurfaceFinish(params.feedRate, params.toolDiameter, params.numberOfTeeth);
-    const taylorConstant = calculateTaylorConstant(params.cuttingSpeed, toolLife);
+    const spindleSpeed = calculateOperationSpindleSpeed(params);
+    const { feedPerRev, feedRateMM } = calculateOperationFeed(params, spindleSpeed);
+    const forceModel = calculateCuttingForceModel(params);
+    const chipThickness = forceModel.chipThickness;
+    const specificCuttingForce = forceModel.specificCuttingForce;
+    const cuttingForce = forceModel.cuttingForce;
+    const { powerRequired, torque } = calculateOperationPower(params, cuttingForce, spindleSpeed);
+    const surfaceFinish = calculateOperationSurfaceFinish(params);
+    const taylorParameters = getTaylorParameters(params, toolLife);
+    const taylorConstant = taylorParameters.C;
     const mrrPerPower = calculateMRRPerPower(mrr, powerRequired);
+    const drilling = getOperationMode(params) === 'drilling' ? calculateDrillingModel(params, toolLife) : null;
+    const threading = isThreadingOperation(getOperationMode(params)) ? calculateThreadingModel(params, toolLife) : null;
+    const faceMilling = getOperationMode(params) === 'faceMilling' ? calculateFaceMillingModel(params, toolLife) : null;
+    const turning = getOperationMode(params) === 'turning' ? calculateTurningModel(params, toolLife) : null;
+    const profileMilling = isProfileMillingTool(params) ? calculateProfileMillingModel(params) : null;
+    const stiffness = calculateToolStiffnessModel(params, forceModel.cuttingForce);
+    const millingFinish = hasMillingFinishModel(params) ? calculateMillingFinishModel(params, stiffness) : null;
     const oeeResults = calculateOEE(params, costResults, toolLife);
+    const machineProfile = getMachineProfile(params.machineProfile);
+    const machineChecks = machineProfile ? checkMachineLimits(params, machineProfile, { spindleSpeed, feedRateMM, powerRequired, torque }) : [];
     
     const reportDate = new Date();
     const reportNumber = `RPT-${reportDate.getFullYear()}-${String(reportDate.getMonth() + 1).padStart(2, '0')}-${String(Date.now()).slice(-6)}`;
@@ -4123,7 +10904,7 @@ function generateReportText() {
 ═══════════════════════════════════════════════════════════════════════════════
 1. PROJECT INFORMATION
 ═══════════════════════════════════════════════════════════════════════════════
-${params.clientName ? `Client Name: ${params.clientName}\n` : ''}${params.projectName ? `Project Name: ${params.projectName}\n` : ''}${params.partName ? `Part/Detail Name: ${params.partName}\n` : ''}${params.machineName ? `Machine Name: ${params.machineName}\n` : ''}${params.applicationType ? `Application Type: ${params.applicationType}\n` : ''}${params.customerContact ? `Customer Contact: ${params.customerContact}\n` : ''}${params.expertName ? `Our Expert Name: ${params.expertName}\n` : ''}${params.batchSize > 1 ? `Batch/Lot Size: ${params.batchSize} parts\n` : ''}${params.theoreticalPartWorktime ? `Theoretical Part Worktime: ${params.theoreticalPartWorktime} min\n` : ''}${params.machineWorkhourCost ? `Machine Workhour Cost: ${formatCurrency(params.machineWorkhourCost)}/hour\n` : ''}${params.machineStopCost ? `Machine Stop/Downtime Cost: ${formatCurrency(params.machineStopCost)}/hour\n` : ''}
+${params.clientName ? `Client Name: ${params.clientName}\n` : ''}${params.projectName ? `Project Name: ${params.projectName}\n` : ''}${params.partName ? `Part/Detail Name: ${params.partName}\n` : ''}${params.machineName ? `Machine Name: ${params.machineName}\n` : ''}${params.applicationType ? `Application Type: ${params.applicationType}\n` : ''}${params.customerContact ? `Customer Contact: ${params.customerContact}\n` : ''}${params.expertName ? `Our Expert Name: ${params.expertName}\n` : ''}Currency: ${projectCurrency}\n${params.batchSize > 1 ? `Batch/Lot Size: ${params.batchSize} parts\n` : ''}${params.theoreticalPartWorktime ? `Theoretical Part Worktime: ${params.theoreticalPartWorktime} min\n` : ''}${params.machineWorkhourCost ? `Machine Workhour Cost: ${formatCurrency(params.machineWorkhourCost)}/hour\n` : ''}${params.machineStopCost ? `Machine Stop/Downtime Cost: ${formatCurrency(params.machineStopCost)}/hour\n` : ''}
 ${params.partsPerBatch || params.partsPerYear || params.annualSolutions ? `
 ═══════════════════════════════════════════════════════════════
 PRODUCTION & COST PARAMETERS
@@ -4134,50 +10915,123 @@ ${params.partsPerBatch ? `Parts per Batch: ${params.partsPerBatch}\n` : ''}${par
 ═══════════════════════════════════════════════════════════════
 TOOL INFORMATION
 ═══════════════════════════════════════════════════════════════
-${params.toolBrand ? `Brand: ${params.toolBrand.charAt(0).toUpperCase() + params.toolBrand.slice(1)}\n` : ''}${params.toolType ? `Type: ${params.toolType.replace(/([A-Z])/g, ' $1').trim()}\n` : ''}${params.toolNameModel ? `Name/Model: ${params.toolNameModel}\n` : ''}${params.toolProductCode ? `Product Code: ${params.toolProductCode}\n` : ''}Tool Diameter (D): ${params.toolDiameter} mm
+${params.toolBrand ? `Brand: ${params.toolBrand.charAt(0).toUpperCase() + params.toolBrand.slice(1)}\n` : ''}${params.toolType ? `Type: ${params.toolType.replace(/([A-Z])/g, ' $1').trim()}\n` : ''}${params.toolNameModel ? `Name/Model: ${params.toolNameModel}\n` : ''}${params.toolProductCode ? `Product Code: ${params.toolProductCode}\n` : ''}Tool Diameter (D): ${formatInputQuantity(params.toolDiameter, 'length')}
 Number of Teeth/Flutes (Z): ${params.numberOfTeeth}
 Tool Material: ${params.toolMaterial}
 Tool Coating: ${params.toolCoating}
-${params.cuttingFluid && params.cuttingFluid !== 'none' ? `Cutting Fluid: ${formatCuttingFluid(params.cuttingFluid)}\n` : ''}${params.helixAngle ? `Helix Angle (β): ${params.helixAngle}°\n` : ''}${params.rakeAngle ? `Rake Angle (γ): ${params.rakeAngle}°\n` : ''}Tool Cost (Ct): ${formatCurrency(params.toolCost)}
-${params.toolRemainingCost > 0 ? `Tool Residual Value (Cr): ${formatCurrency(params.toolRemainingCost)}\n` : ''}${params.photoDate ? `Photo Date: ${formatDate(params.photoDate)}\n` : ''}
+${params.cuttingFluid && params.cuttingFluid !== 'none' ? `Cutting Fluid: ${formatCuttingFluid(params.cuttingFluid)}\n` : ''}${params.helixAngle ? `Helix Angle (β): ${params.helixAngle}°\n` : ''}${params.rakeAngle ? `Rake Angle (γ): ${params.rakeAngle}°\n` : ''}${isInsertTooling(params) ? `Insert Tooling: ${formatInsertTooling(params)}
+` : `Tool Cost (Ct): ${formatCurrency(params.toolCost)}
+${params.toolRemainingCost > 0 ? `Tool Residual Value (Cr): ${formatCurrency(params.toolRemainingCost)}\n` : ''}${params.regrindCount > 0 ? `Regrind Lifecycle: ${formatRegrindLifecycle(params, toolLife)}\n` : ''}`}${params.photoDate ? `Photo Date: ${formatDate(params.photoDate)}\n` : ''}
 
 ═══════════════════════════════════════════════════════════════
 WORKPIECE MATERIAL
 ═══════════════════════════════════════════════════════════════
-Material Type: ${params.workpieceMaterial}
+Material Type: ${formatWorkpieceMaterial(params.workpieceMaterial)}
+Specific Cutting Force kc1.1 / mc: ${formatQuantity(getMaterial(params.workpieceMaterial).kc11, 'specificForce')} / ${getMaterial(params.workpieceMaterial).mc}
 ${params.materialHardness ? `Material Hardness (HRC): ${params.materialHardness}\n` : ''}
 
 ═══════════════════════════════════════════════════════════════
 CUTTING PARAMETERS
 ═══════════════════════════════════════════════════════════════
-Cutting Speed (Vc): ${params.cuttingSpeed} m/min
-Feed per Tooth (fz): ${params.feedRate} mm/tooth
-Axial Depth of Cut (ap): ${params.depthOfCut} mm
-Radial Width of Cut (ae): ${params.widthOfCut} mm
+Cutting Speed (Vc): ${formatInputQuantity(params.cuttingSpeed, 'cuttingSpeed')}
+Feed per Tooth (fz): ${formatInputQuantity(params.feedRate, 'feedPerTooth')}
+Axial Depth of Cut (ap): ${formatInputQuantity(params.depthOfCut, 'length')}
+Radial Width of Cut (ae): ${formatInputQuantity(params.widthOfCut, 'length')}
 ${params.cuttingFluid && params.cuttingFluid !== 'none' ? `Cutting Fluid: ${formatCuttingFluid(params.cuttingFluid)}\n` : ''}
 
 ═══════════════════════════════════════════════════════════════
 CALCULATED MACHINING PARAMETERS
 ═══════════════════════════════════════════════════════════════
 Spindle Speed (n): ${formatNumber(spindleSpeed, 'RPM')}
-Feed Rate (Vf): ${formatNumber(feedRateMM, 'mm/min')}
-Feed per Revolution (f): ${formatNumber(feedPerRev, 'mm/rev')}
-Material Removal Rate (Q): ${formatNumber(mrr, 'mm³/min')}
-Chip Thickness (h): ${formatNumber(chipThickness, 'mm')}
+Feed Rate (Vf): ${formatQuantity(feedRateMM, 'feedRate')}
+Feed per Revolution (f): ${formatQuantity(feedPerRev, 'feedPerRev')}
+Material Removal Rate (Q): ${formatQuantity(mrr, 'mrr')}
+Mean Chip Thickness (hm): ${formatQuantity(chipThickness, 'length')}
+Engagement Angle (φs): ${forceModel.engagementAngle.toFixed(1)}°
+Teeth in Cut (zc): ${forceModel.teethInCut.toFixed(2)}
 
 ═══════════════════════════════════════════════════════════════
 CUTTING FORCES & POWER
 ═══════════════════════════════════════════════════════════════
-Specific Cutting Force (kc): ${formatNumber(specificCuttingForce, 'N/mm²')}
-Cutting Force (Fc): ${formatNumber(cuttingForce, 'N')}
-Power Requirement (P): ${formatNumber(powerRequired, 'kW')}
-Torque (M): ${formatNumber(torque, 'Nm')}
-MRR per Power: ${formatNumber(mrrPerPower, 'cm³/min/kW')}
-
+Specific Cutting Force (kc): ${formatQuantity(specificCuttingForce, 'specificForce')}
+Cutting Force (Fc): ${formatQuantity(cuttingForce, 'force')}
+Power Requirement (P): ${formatQuantity(powerRequired, 'power')}
+Torque (M): ${formatQuantity(torque, 'torque')}
+MRR per Power: ${formatQuantity(mrrPerPower, 'mrrPerPower')}
+${drilling ? `
+═══════════════════════════════════════════════════════════════
+DRILLING
+═══════════════════════════════════════════════════════════════
+Point Angle (σ): ${drilling.pointAngle}°
+Thrust Force (Ff): ${formatQuantity(drilling.thrustForce, 'force')}
+Drilling Torque (Mc): ${formatQuantity(drilling.torque, 'torque')}
+Hole Depth (L): ${formatQuantity(drilling.holeDepth, 'length')} (${drilling.depthRatio.toFixed(1)} × D), ${drilling.holesPerPart} per part
+Peck Cycle: ${drilling.pecks > 1 ? `${drilling.pecks} pecks of ${formatQuantity(drilling.peckDepth, 'length')}` : 'Single pass'}
+Cycle Time per Hole: ${(drilling.cycleTimePerHole * 60).toFixed(1)} s (${(drilling.cuttingTimePerHole * 60).toFixed(1)} s cutting)
+Drilling Time per Part: ${drilling.cycleTimePerPart.toFixed(2)} min
+${drilling.holesPerToolLife !== null ? `Tool Life: ${drilling.holesPerToolLife} holes (${formatQuantity(drilling.metersPerToolLife, 'cutLength')} drilled)\n` : ''}` : ''}${threading ? `
+═══════════════════════════════════════════════════════════════
+${getOperationMode(params) === 'tapping' ? 'TAPPING' : 'THREAD MILLING'}
+═══════════════════════════════════════════════════════════════
+Thread: ${threading.thread.designation} ${threading.thread.threadType} (${threading.thread.standardName}), pitch ${formatQuantity(threading.thread.pitch, 'length')}
+${threading.thread.threadType === 'internal' ? `Tap Drill: ${formatQuantity(threading.thread.tapDrill, 'length')}\n` : ''}Thread Length: ${formatQuantity(threading.threadLength, 'length')}, ${threading.threadsPerPart} per part
+${getOperationMode(params) === 'tapping' ? `Tap: ${threading.thread.tapKind === 'forming' ? 'Forming tap' : 'Cutting tap'}
+Tapping Feed (Vf = n × P): ${formatQuantity(threading.feedRateMM, 'feedRate')}
+Tapping Torque (Mc): ${formatQuantity(threading.torque, 'torque')}` : `Programmed Feed (tool centre): ${formatQuantity(threading.programmedFeedRate, 'feedRate')} (edge ${formatQuantity(threading.feedRateMM, 'feedRate')})
+Radial Passes: ${threading.passes} × ${formatQuantity(threading.radialDepthPerPass, 'length')}`}
+Cycle Time per Thread: ${(threading.cycleTimePerThread * 60).toFixed(1)} s (${(threading.cuttingTimePerThread * 60).toFixed(1)} s cutting)
+${threading.costPerThread !== null ? `Cost per Thread: ${formatCurrency(threading.costPerThread)} (${threading.threadsPerToolLife} threads per tool life)\n` : ''}` : ''}${faceMilling ? `
+═══════════════════════════════════════════════════════════════
+FACE MILLING
+═══════════════════════════════════════════════════════════════
+Entering Angle (κr): ${faceMilling.enteringAngle.toFixed(0)}°${params.enteringAngle === 'round' ? ` (round inserts iC ${formatQuantity(params.roundInsertDiameter, 'length')})` : ''}
+Cutter Position: ${faceMilling.cutterOffset === 0 ? 'Centred' : `Offset ${formatQuantity(faceMilling.cutterOffset, 'length')} towards entry`}, ae/D = ${faceMilling.radialRatio.toFixed(2)}
+Engagement Arc: ${faceMilling.entryAngle.toFixed(0)}° to ${faceMilling.exitAngle.toFixed(0)}° (${faceMilling.teethInCut.toFixed(2)} inserts in cut)
+Entry / Exit Chip Thickness: ${formatQuantity(faceMilling.entryChipThickness, 'length')} / ${formatQuantity(faceMilling.exitChipThickness, 'length')}${faceMilling.centreOverFace ? '' : ' - axis outside the face'}
+Surface Roughness (Ra): ${formatQuantity(faceMilling.surfaceFinish, 'roughness')} (${faceMilling.wiperEffective ? 'wiper insert' : `rε ${formatQuantity(faceMilling.cornerRadius, 'length')}`})
+${faceMilling.faceLength > 0 ? `Face Milling Time per Part: ${faceMilling.cycleTimePerPart.toFixed(2)} min (${faceMilling.passesPerPart} × ${formatQuantity(faceMilling.passLength, 'length')})\n` : ''}${faceMilling.faceLength > 0 && faceMilling.passesPerToolLife !== null ? `Tool Life: ${faceMilling.passesPerToolLife} passes (${formatQuantity(faceMilling.metersPerToolLife, 'cutLength')} face milled)\n` : ''}` : ''}${turning ? `
+═══════════════════════════════════════════════════════════════
+TURNING
+═══════════════════════════════════════════════════════════════
+Workpiece Diameter (Dw): ${formatQuantity(turning.workpieceDiameter, 'length')}
+Spindle Speed: ${formatNumber(turning.spindleSpeed, 'RPM')} (${turning.constantSurfaceSpeed ? 'G96 constant surface speed' : 'G97 fixed RPM'}${turning.maxSpindleSpeed > 0 ? `, limit ${Math.round(turning.maxSpindleSpeed)} RPM` : ''})
+Lead Angle (κr) / Nose Radius (rε): ${turning.leadAngle}° / ${formatQuantity(turning.noseRadius, 'length')}
+Feed / Passive Force (Ff / Fp): ${formatQuantity(turning.feedForce, 'force')} / ${formatQuantity(turning.passiveForce, 'force')}
+Theoretical Rz: ${formatQuantity(turning.profileDepth, 'roughness')}
+${turning.facing ? 'Facing' : 'Longitudinal Turning'}: ${turning.passes} × ${formatQuantity(turning.passDepth, 'length')}
+Turning Time per Part: ${turning.cycleTimePerPart.toFixed(2)} min (${turning.cuttingTimePerPart.toFixed(2)} min cutting)
+${turning.partsPerToolLife !== null ? `Tool Life: ${turning.partsPerToolLife} parts per cutting edge\n` : ''}` : ''}${profileMilling ? `
+═══════════════════════════════════════════════════════════════
+${profileMilling.ballNose ? 'BALL NOSE' : 'CORNER RADIUS'} ENGAGEMENT
+═══════════════════════════════════════════════════════════════
+${profileMilling.ballNose ? `Tilt Angle (β): ${profileMilling.tiltAngle}°` : `Corner Radius (rε): ${formatQuantity(profileMilling.profileRadius, 'length')}`}
+Effective Cutting Diameter (De): ${formatQuantity(profileMilling.effectiveDiameter, 'length')} at ap ${formatQuantity(params.depthOfCut, 'length')}
+Corrected Spindle Speed: ${formatNumber(profileMilling.spindleSpeed, 'RPM')} (nominal diameter: ${formatNumber(profileMilling.nominalSpindleSpeed, 'RPM')})
+Scallop Height: ${formatQuantity(profileMilling.scallopHeight * 1000, 'roughness')} at ae ${formatQuantity(params.widthOfCut, 'length')} (feed marks ${formatQuantity(profileMilling.feedScallopHeight * 1000, 'roughness')})
+` : ''}${millingFinish ? `
+═══════════════════════════════════════════════════════════════
+SIDE WALL AND FLOOR FINISH
+═══════════════════════════════════════════════════════════════
+Runout (TIR): ${formatQuantity(millingFinish.runout, 'deflection')}
+Side Wall: Ra ${formatQuantity(millingFinish.wallRa, 'roughness')}, Rz ${formatQuantity(millingFinish.wallRz, 'roughness')} (without runout: Rz ${formatQuantity(millingFinish.idealWallRz, 'roughness')})
+Floor: Ra ${formatQuantity(millingFinish.floorRa, 'roughness')}, Rz ${formatQuantity(millingFinish.floorRz, 'roughness')}${millingFinish.wiperEffective ? ' (wiper flat)' : ''}
+Feed per Tooth for Ra ${formatQuantity(millingFinish.targetRoughness, 'roughness')}: ${millingFinish.targetFeedRate !== null ? `≤ ${formatQuantity(millingFinish.targetFeedRate, 'feedPerTooth')} on the ${millingFinish.surface === 'floor' ? 'floor' : 'side wall'}` : 'Not reachable'}
+${millingFinish.axialWaviness !== null ? `Wall Waviness Along the Axis: up to ${formatQuantity(millingFinish.axialWaviness, 'roughness')} (${(millingFinish.loadVariation * 100).toFixed(0)}% load variation)\n` : ''}` : ''}${stiffness ? `
+═══════════════════════════════════════════════════════════════
+TOOL DEFLECTION
+═══════════════════════════════════════════════════════════════
+Stick-out (L): ${formatQuantity(stiffness.stickout, 'length')} (${stiffness.stickoutRatio.toFixed(1)} × D), ${formatQuantity(stiffness.fluteLength, 'length')} flutes, ${formatQuantity(stiffness.shankDiameter, 'length')} shank / neck
+Tool Holder: ${stiffness.holder.name}
+Static Deflection (δ): ${formatQuantity(stiffness.deflection, 'deflection')}${stiffness.tolerance > 0 ? ` of ${formatQuantity(stiffness.tolerance, 'deflection')} tolerance${stiffness.exceedsTolerance ? ' - EXCEEDED' : ''}` : ''}
+${stiffness.exceedsTolerance ? `Stick-out within Tolerance: ${formatQuantity(stiffness.maxStickout, 'length')}\n` : ''}` : ''}${machineProfile ? `
+═══════════════════════════════════════════════════════════════
+MACHINE LIMITS - ${machineProfile.name.toUpperCase()}
+═══════════════════════════════════════════════════════════════
+${machineProfile.holderInterface ? `Tool Holder Interface: ${machineProfile.holderInterface}\n` : ''}${machineChecks.map(check => `${check.label}: ${formatMachineLimitValue(check.required, check.quantity)} of ${formatMachineLimitValue(check.available, check.quantity)} (${(check.utilisation * 100).toFixed(0)}%)${check.status === 'ok' ? '' : ` - ${check.status === 'exceeded' ? 'EXCEEDED' : 'near limit'}\n  → ${check.suggestion.replace(/<\/?sub>/g, '')}`}\n`).join('')}` : ''}
 ═══════════════════════════════════════════════════════════════
 SURFACE QUALITY
 ═══════════════════════════════════════════════════════════════
-Surface Roughness (Ra): ${formatNumber(surfaceFinish, 'μm')}
+Surface Roughness (Ra): ${formatQuantity(surfaceFinish, 'roughness')}
 
 ═══════════════════════════════════════════════════════════════
 TIME PARAMETERS
@@ -4191,7 +11045,7 @@ COST ANALYSIS
 Total Cost per Part: ${formatCurrency(costResults.totalCostPerPart)}
 Tool Cost per Part: ${formatCurrency(costResults.toolCostPerPart)}
 ${costResults.processingCostPerPart ? `Processing (Cutting) Cost per Part: ${formatCurrency(costResults.processingCostPerPart)}\n` : ''}Machining Cost per Part: ${formatCurrency(costResults.machiningCostPerPart)}
-${costResults.toolChangeCostPerPart > 0 ? `Tool Change Cost per Part: ${formatCurrency(costResults.toolChangeCostPerPart)}\n` : ''}${params.batchSize > 1 ? `
+${costResults.toolChangeCostPerPart > 0 ? `Tool Change Cost per Part: ${formatCurrency(costResults.toolChangeCostPerPart)}\n` : ''}${costResults.coolantCostPerPart > 0 ? `Coolant Cost per Part: ${formatCurrency(costResults.coolantCostPerPart)}\n` : ''}${params.batchSize > 1 ? `
 BATCH COST ANALYSIS (${params.batchSize} parts):
 Total Batch Cost: ${formatCurrency(costResults.totalBatchCost)}
 Total Tool Cost for Batch: ${formatCurrency(costResults.totalToolCostForBatch)}
@@ -4204,9 +11058,12 @@ TOOL LIFE & PERFORMANCE
 Estimated Tool Life (T): ${toolLife} minutes
 Parts per Tool Life: ${costResults.partsPerToolLife} parts
 ${costResults.toolChangesPerToolLife > 0 ? `Tool Changes per Tool Life: ${costResults.toolChangesPerToolLife}\n` : ''}Taylor's Constant (C): ${formatNumber(taylorConstant, '')}
-Taylor Exponent (n): 0.2 (standard for end milling per ISO 8688-2)
-Taylor's Equation: Vc × T^n = C
-                  ${params.cuttingSpeed} × ${toolLife}^0.2 = ${formatNumber(taylorConstant, '')}
+Taylor Exponent (n): ${describeTaylorExponent(taylorParameters)}
+${taylorParameters.isCalibrated
+    ? `Feed / Depth Exponents (a / b): ${formatNumber(taylorParameters.fit.feedExponent, '')} / ${formatNumber(taylorParameters.fit.depthExponent, '')}
+Taylor's Equation: Vc × T^n × fz^a × ap^b = C`
+    : `Taylor's Equation: Vc × T^n = C
+                  ${params.cuttingSpeed} × ${toolLife}^0.2 = ${formatNumber(taylorConstant, '')}`}
 
 ═══════════════════════════════════════════════════════════════
 OEE ANALYSIS (OVERALL EQUIPMENT EFFECTIVENESS)
@@ -4227,7 +11084,7 @@ OEE Impact Factors:
     - Tool changes per tool life: ${oeeResults.toolChangesPerToolLife}
   
   Speed Impact:
-    - Cutting speed: ${params.cuttingSpeed} m/min
+    - Cutting speed: ${formatInputQuantity(params.cuttingSpeed, 'cuttingSpeed')}
     ${oeeResults.speedImpact.toolLifeReduction > 0 ? `    - Tool life reduction: ${(oeeResults.speedImpact.toolLifeReduction * 100).toFixed(1)}%\n` : ''}    ${oeeResults.speedImpact.performanceGain > 0 ? `- Performance gain: ${(oeeResults.speedImpact.performanceGain * 100).toFixed(1)}%\n` : ''}
   
   Tool Life Impact:
@@ -4269,7 +11126,7 @@ TOOL COMPARISON
   Brand: ${tool.toolBrand ? tool.toolBrand.charAt(0).toUpperCase() + tool.toolBrand.slice(1) : 'N/A'}
   Cost/Part: ${formatCurrency(tool.totalCostPerPart)}
   Tool Life: ${tool.toolLife} min
-  MRR: ${formatNumber(tool.mrr, 'mm³/min')}
+  MRR: ${formatQuantity(tool.mrr, 'mrr')}
   Tool Cost: ${formatCurrency(tool.toolCost)}
 
 `;
@@ -4288,6 +11145,25 @@ SAVINGS POTENTIAL:
 Savings per Part: ${formatCurrency(costDifference)} (${costSavingsPercent}% reduction)
 ${batchSize > 1 ? `Savings per Batch (${batchSize} parts): ${formatCurrency(savingsPerBatch)}\n` : ''}Savings per 100 Parts: ${formatCurrency(savingsPer100Parts)}
 `;
+            
+            const roi = getToolSwitchROI(params);
+            if (roi && roi.currentIsBest) {
+                text += `
+TOOL SWITCH ROI:
+The current tool (${roi.currentTool.name}) already has the lowest cost per part.
+`;
+            } else if (roi) {
+                text += `
+TOOL SWITCH ROI: ${roi.currentTool.name} → ${roi.newTool.name}
+Parts per Year: ${roi.partsPerYear}
+Annual Savings: ${formatCurrency(roi.annualSavings)}
+Trial / Switch Cost: ${formatCurrency(roi.trialCost)}
+Payback Period: ${formatPaybackPeriod(roi)}
+NPV (${roi.evaluationYears} years at ${roi.discountRate}%): ${formatCurrency(roi.npv)}
+Machine Hours ${roi.hoursFreedPerYear >= 0 ? 'Freed' : 'Added'} per Year: ${Math.abs(roi.hoursFreedPerYear).toFixed(1)} h
+${roi.cashFlows.map(flow => `  Year ${flow.year}: ${formatCurrency(flow.discounted)} (cumulative ${formatCurrency(flow.cumulative)})`).join('\n')}
+`;
+            }
         }
     }
     
@@ -4298,7 +11174,9 @@ ENGINEERING FORMULAS USED
 Spindle Speed: n = (Vc × 1000) / (π × D)
 Feed Rate: Vf = fz × Z × n
 Material Removal Rate: Q = ae × ap × Vf
-Cutting Force: Fc = kc × ap × ae × fz
+Mean Chip Thickness: hm = fz × (1 - cos φs) / φs, φs = arccos(1 - 2 × ae / D)
+Specific Cutting Force (Kienzle): kc = kc1.1 × (hm × cos β)^-mc × (1 - (γ - γ0) / 100)
+Cutting Force: Fc = kc × ap × hm × zc, zc = Z × φs / 2π
 Power Requirement: P = Fc × Vc / 60000
 Torque: M = P × 9550 / n
 Taylor's Tool Life: Vc × T^n = C
@@ -4413,19 +11291,27 @@ async function downloadReportPDF() {
         const toolLife = params.toolLife || calculateToolLife(params);
         const costResults = calculateCostPerPart({ ...params, toolLife });
         const mrr = calculateMRR(params);
-        const spindleSpeed = calculateSpindleSpeed(params.cuttingSpeed, params.toolDiameter);
-        const feedPerRev = calculateFeedPerRevolution(params.feedRate, params.numberOfTeeth);
-        const feedRateMM = calculateFeedRate(params.feedRate, params.numberOfTeeth, spindleSpeed);
-        const chipThickness = calculateChipThickness(params.feedRate, params.depthOfCut, params.toolDiameter);
-        const materialHardness = params.materialHardness || 30;
-        const specificCuttingForce = calculateSpecificCuttingForce(params.workpieceMaterial, materialHardness);
-        const cuttingForce = calculateCuttingForce(specificCuttingForce, params.depthOfCut, params.widthOfCut, params.feedRate);
-        const powerRequired = calculatePowerRequirement(cuttingForce, params.cuttingSpeed);
-        const torque = calculateTorque(powerRequired, spindleSpeed);
-        const surfaceFinish = calculateSurfaceFinish(params.feedRate, params.toolDiameter, params.numberOfTeeth);
-        const taylorConstant = calculateTaylorConstant(params.cuttingSpeed, toolLife);
+        const spindleSpeed = calculateOperationSpindleSpeed(params);
+        const { feedPerRev, feedRateMM } = calculateOperationFeed(params, spindleSpeed);
+        const forceModel = calculateCuttingForceModel(params);
+        const chipThickness = forceModel.chipThickness;
+        const specificCuttingForce = forceModel.specificCuttingForce;
+        const cuttingForce = forceModel.cuttingForce;
+        const { powerRequired, torque } = calculateOperationPower(params, cuttingForce, spindleSpeed);
+        const surfaceFinish = calculateOperationSurfaceFinish(params);
+        const taylorParameters = getTaylorParameters(params, toolLife);
+        const taylorConstant = taylorParameters.C;
         const mrrPerPower = calculateMRRPerPower(mrr, powerRequired);
+        const drilling = getOperationMode(params) === 'drilling' ? calculateDrillingModel(params, toolLife) : null;
+        const threading = isThreadingOperation(getOperationMode(params)) ? calculateThreadingModel(params, toolLife) : null;
+        const faceMilling = getOperationMode(params) === 'faceMilling' ? calculateFaceMillingModel(params, toolLife) : null;
+        const turning = getOperationMode(params) === 'turning' ? calculateTurningModel(params, toolLife) : null;
+        const profileMilling = isProfileMillingTool(params) ? calculateProfileMillingModel(params) : null;
+        const stiffness = calculateToolStiffnessModel(params, forceModel.cuttingForce);
+        const millingFinish = hasMillingFinishModel(params) ? calculateMillingFinishModel(params, stiffness) : null;
         const oeeResults = calculateOEE(params, costResults, toolLife);
+        const machineProfile = getMachineProfile(params.machineProfile);
+        const machineChecks = machineProfile ? checkMachineLimits(params, machineProfile, { spindleSpeed, feedRateMM, powerRequired, torque }) : [];
         
         const reportDate = new Date();
         const reportNumber = `RPT-${reportDate.getFullYear()}-${String(reportDate.getMonth() + 1).padStart(2, '0')}-${String(Date.now()).slice(-6)}`;
@@ -4513,10 +11399,11 @@ async function downloadReportPDF() {
         if (params.applicationType) { doc.text(`Application: ${params.applicationType}`, margin + 5, yPos); yPos += lineHeight; }
         if (params.customerContact) { doc.text(`Contact: ${params.customerContact}`, margin + 5, yPos); yPos += lineHeight; }
         if (params.expertName) { doc.text(`Our Expert: ${params.expertName}`, margin + 5, yPos); yPos += lineHeight; }
+        doc.text(`Currency: ${projectCurrency}`, margin + 5, yPos); yPos += lineHeight;
         if (params.batchSize > 1) { doc.text(`Batch Size: ${params.batchSize} parts`, margin + 5, yPos); yPos += lineHeight; }
         if (params.theoreticalPartWorktime) { doc.text(`Theoretical Part Worktime: ${params.theoreticalPartWorktime} min`, margin + 5, yPos); yPos += lineHeight; }
-        if (params.machineWorkhourCost) { doc.text(`Machine Workhour Cost: ${formatCurrency(params.machineWorkhourCost)}/hour`, margin + 5, yPos); yPos += lineHeight; }
-        if (params.machineStopCost) { doc.text(`Machine Stop Cost: ${formatCurrency(params.machineStopCost)}/hour`, margin + 5, yPos); yPos += lineHeight; }
+        if (params.machineWorkhourCost) { doc.text(`Machine Workhour Cost: ${formatCurrency(params.machineWorkhourCost, 'code')}/hour`, margin + 5, yPos); yPos += lineHeight; }
+        if (params.machineStopCost) { doc.text(`Machine Stop Cost: ${formatCurrency(params.machineStopCost, 'code')}/hour`, margin + 5, yPos); yPos += lineHeight; }
         yPos += 5;
         
         // Production & Cost Parameters
@@ -4534,10 +11421,10 @@ async function downloadReportPDF() {
             if (params.partsPerBatch) { doc.text(`Parts per Batch: ${params.partsPerBatch}`, margin + 5, yPos); yPos += lineHeight; }
             if (params.partsPerYear) { doc.text(`Parts per Year: ${params.partsPerYear}`, margin + 5, yPos); yPos += lineHeight; }
             if (params.annualSolutions) { doc.text(`Annual Solutions: ${params.annualSolutions}`, margin + 5, yPos); yPos += lineHeight; }
-            if (params.machineCostPerHour) { doc.text(`Machine Cost per Hour: ${formatCurrency(params.machineCostPerHour)}/hour`, margin + 5, yPos); yPos += lineHeight; }
-            if (params.costOfToolChange) { doc.text(`Cost of Tool Change: ${formatCurrency(params.costOfToolChange)}`, margin + 5, yPos); yPos += lineHeight; }
+            if (params.machineCostPerHour) { doc.text(`Machine Cost per Hour: ${formatCurrency(params.machineCostPerHour, 'code')}/hour`, margin + 5, yPos); yPos += lineHeight; }
+            if (params.costOfToolChange) { doc.text(`Cost of Tool Change: ${formatCurrency(params.costOfToolChange, 'code')}`, margin + 5, yPos); yPos += lineHeight; }
             if (params.timeLossPerToolChange) { doc.text(`Time Loss per Tool Change: ${params.timeLossPerToolChange} min`, margin + 5, yPos); yPos += lineHeight; }
-            if (params.machineStopDowntimeCost) { doc.text(`Machine Stop/Downtime Cost: ${formatCurrency(params.machineStopDowntimeCost)}/hour`, margin + 5, yPos); yPos += lineHeight; }
+            if (params.machineStopDowntimeCost) { doc.text(`Machine Stop/Downtime Cost: ${formatCurrency(params.machineStopDowntimeCost, 'code')}/hour`, margin + 5, yPos); yPos += lineHeight; }
             yPos += 5;
         }
         
@@ -4558,15 +11445,26 @@ async function downloadReportPDF() {
         if (params.toolType) { doc.text(`Type: ${params.toolType.replace(/([A-Z])/g, ' $1').trim()}`, margin + 5, yPos); yPos += lineHeight; }
         if (params.toolNameModel) { doc.text(`Model: ${params.toolNameModel}`, margin + 5, yPos); yPos += lineHeight; }
         if (params.toolProductCode) { doc.text(`Product Code: ${params.toolProductCode}`, margin + 5, yPos); yPos += lineHeight; }
-        doc.text(`Diameter: ${params.toolDiameter} mm`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`Diameter: ${formatInputQuantity(params.toolDiameter, 'length')}`, margin + 5, yPos); yPos += lineHeight;
         doc.text(`Number of Teeth: ${params.numberOfTeeth}`, margin + 5, yPos); yPos += lineHeight;
         doc.text(`Tool Material: ${params.toolMaterial}`, margin + 5, yPos); yPos += lineHeight;
         doc.text(`Coating: ${params.toolCoating}`, margin + 5, yPos); yPos += lineHeight;
         if (params.cuttingFluid && params.cuttingFluid !== 'none') { doc.text(`Cutting Fluid: ${formatCuttingFluid(params.cuttingFluid)}`, margin + 5, yPos); yPos += lineHeight; }
         if (params.helixAngle) { doc.text(`Helix Angle: ${params.helixAngle}°`, margin + 5, yPos); yPos += lineHeight; }
         if (params.rakeAngle) { doc.text(`Rake Angle: ${params.rakeAngle}°`, margin + 5, yPos); yPos += lineHeight; }
-        doc.text(`Tool Cost: ${formatCurrency(params.toolCost)}`, margin + 5, yPos); yPos += lineHeight;
-        if (params.toolRemainingCost > 0) { doc.text(`Residual Value: ${formatCurrency(params.toolRemainingCost)}`, margin + 5, yPos); yPos += lineHeight; }
+        if (isInsertTooling(params)) {
+            const insertTooling = calculateInsertToolingCost(params);
+            doc.text(`Inserts: ${params.insertsPerCutter} x ${formatCurrency(params.insertPrice, 'code')} with ${params.insertEdges} edges | Body: ${formatCurrency(params.cutterBodyCost, 'code')} over ${params.bodyLifeEdges} indexes`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Cost per Index: ${formatCurrency(insertTooling.costPerIndex, 'code')} | Index Time: ${insertTooling.indexTime.toFixed(2)} min`, margin + 5, yPos); yPos += lineHeight;
+        } else {
+            doc.text(`Tool Cost: ${formatCurrency(params.toolCost, 'code')}`, margin + 5, yPos); yPos += lineHeight;
+            if (params.toolRemainingCost > 0) { doc.text(`Residual Value: ${formatCurrency(params.toolRemainingCost, 'code')}`, margin + 5, yPos); yPos += lineHeight; }
+            if (params.regrindCount > 0) {
+                const lifecycle = calculateEffectiveToolCost(params, toolLife);
+                doc.text(`Regrinds: ${lifecycle.regrinds} at ${formatCurrency(lifecycle.costPerRegrind, 'code')}, ${params.regrindLifeRetention}% life retention`, margin + 5, yPos); yPos += lineHeight;
+                doc.text(`Lifecycle: ${formatCurrency(lifecycle.lifecycleCost, 'code')} over ${lifecycle.lifecycleToolLife.toFixed(0)} min of cutting`, margin + 5, yPos); yPos += lineHeight;
+            }
+        }
         yPos += 5;
         
         // Workpiece Material
@@ -4576,7 +11474,8 @@ async function downloadReportPDF() {
         doc.text('Workpiece Material', margin, yPos);
         yPos += 8;
         doc.setFontSize(10);
-        doc.text(`Material: ${params.workpieceMaterial}`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`Material: ${formatWorkpieceMaterial(params.workpieceMaterial)}`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`kc1.1 / mc: ${formatQuantity(getMaterial(params.workpieceMaterial).kc11, 'specificForce')} / ${getMaterial(params.workpieceMaterial).mc}`, margin + 5, yPos); yPos += lineHeight;
         if (params.materialHardness) { doc.text(`Hardness (HRC): ${params.materialHardness}`, margin + 5, yPos); yPos += lineHeight; }
         yPos += 5;
         
@@ -4587,10 +11486,10 @@ async function downloadReportPDF() {
         doc.text('Cutting Parameters', margin, yPos);
         yPos += 8;
         doc.setFontSize(10);
-        doc.text(`Cutting Speed (Vc): ${params.cuttingSpeed} m/min`, margin + 5, yPos); yPos += lineHeight;
-        doc.text(`Feed per Tooth (fz): ${params.feedRate} mm/tooth`, margin + 5, yPos); yPos += lineHeight;
-        doc.text(`Axial Depth (ap): ${params.depthOfCut} mm`, margin + 5, yPos); yPos += lineHeight;
-        doc.text(`Radial Width (ae): ${params.widthOfCut} mm`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`Cutting Speed (Vc): ${formatInputQuantity(params.cuttingSpeed, 'cuttingSpeed')}`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`Feed per Tooth (fz): ${formatInputQuantity(params.feedRate, 'feedPerTooth')}`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`Axial Depth (ap): ${formatInputQuantity(params.depthOfCut, 'length')}`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`Radial Width (ae): ${formatInputQuantity(params.widthOfCut, 'length')}`, margin + 5, yPos); yPos += lineHeight;
         if (params.cuttingFluid && params.cuttingFluid !== 'none') { doc.text(`Cutting Fluid: ${formatCuttingFluid(params.cuttingFluid)}`, margin + 5, yPos); yPos += lineHeight; }
         yPos += 5;
         
@@ -4602,10 +11501,11 @@ async function downloadReportPDF() {
         yPos += 8;
         doc.setFontSize(10);
         doc.text(`Spindle Speed (n): ${formatNumber(spindleSpeed, 'RPM')}`, margin + 5, yPos); yPos += lineHeight;
-        doc.text(`Feed Rate (Vf): ${formatNumber(feedRateMM, 'mm/min')}`, margin + 5, yPos); yPos += lineHeight;
-        doc.text(`Feed per Rev (f): ${formatNumber(feedPerRev, 'mm/rev')}`, margin + 5, yPos); yPos += lineHeight;
-        doc.text(`MRR (Q): ${formatNumber(mrr, 'mm³/min')}`, margin + 5, yPos); yPos += lineHeight;
-        doc.text(`Chip Thickness (h): ${formatNumber(chipThickness, 'mm')}`, margin + 5, yPos); yPos += 5;
+        doc.text(`Feed Rate (Vf): ${formatQuantity(feedRateMM, 'feedRate')}`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`Feed per Rev (f): ${formatQuantity(feedPerRev, 'feedPerRev')}`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`MRR (Q): ${formatQuantity(mrr, 'mrr')}`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`Mean Chip Thickness (hm): ${formatQuantity(chipThickness, 'length')}`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`Teeth in Cut (zc): ${forceModel.teethInCut.toFixed(2)}`, margin + 5, yPos); yPos += 5;
         
         // Forces & Power
         checkNewPage(20);
@@ -4614,11 +11514,174 @@ async function downloadReportPDF() {
         doc.text('Cutting Forces & Power', margin, yPos);
         yPos += 8;
         doc.setFontSize(10);
-        doc.text(`Specific Cutting Force (kc): ${formatNumber(specificCuttingForce, 'N/mm²')}`, margin + 5, yPos); yPos += lineHeight;
-        doc.text(`Cutting Force (Fc): ${formatNumber(cuttingForce, 'N')}`, margin + 5, yPos); yPos += lineHeight;
-        doc.text(`Power (P): ${formatNumber(powerRequired, 'kW')}`, margin + 5, yPos); yPos += lineHeight;
-        doc.text(`Torque (M): ${formatNumber(torque, 'Nm')}`, margin + 5, yPos); yPos += lineHeight;
-        doc.text(`MRR per Power: ${formatNumber(mrrPerPower, 'cm³/min/kW')}`, margin + 5, yPos); yPos += 5;
+        doc.text(`Specific Cutting Force (kc): ${formatQuantity(specificCuttingForce, 'specificForce')}`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`Cutting Force (Fc): ${formatQuantity(cuttingForce, 'force')}`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`Power (P): ${formatQuantity(powerRequired, 'power')}`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`Torque (M): ${formatQuantity(torque, 'torque')}`, margin + 5, yPos); yPos += lineHeight;
+        doc.text(`MRR per Power: ${formatQuantity(mrrPerPower, 'mrrPerPower')}`, margin + 5, yPos); yPos += 5;
+        
+        // Drilling
+        if (drilling) {
+            checkNewPage(60);
+            doc.setFontSize(14);
+            doc.setTextColor(30, 41, 59);
+            doc.text('Drilling', margin, yPos);
+            yPos += 8;
+            doc.setFontSize(10);
+            doc.text(`Point Angle: ${drilling.pointAngle}°`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Thrust Force (Ff): ${formatQuantity(drilling.thrustForce, 'force')}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Drilling Torque (Mc): ${formatQuantity(drilling.torque, 'torque')}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Hole Depth (L): ${formatQuantity(drilling.holeDepth, 'length')} (${drilling.depthRatio.toFixed(1)} x D), ${drilling.holesPerPart} per part`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Peck Cycle: ${drilling.pecks > 1 ? `${drilling.pecks} pecks of ${formatQuantity(drilling.peckDepth, 'length')}` : 'Single pass'}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Cycle Time per Hole: ${(drilling.cycleTimePerHole * 60).toFixed(1)} s (${(drilling.cuttingTimePerHole * 60).toFixed(1)} s cutting)`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Drilling Time per Part: ${drilling.cycleTimePerPart.toFixed(2)} min`, margin + 5, yPos); yPos += lineHeight;
+            if (drilling.holesPerToolLife !== null) {
+                doc.text(`Tool Life: ${drilling.holesPerToolLife} holes (${formatQuantity(drilling.metersPerToolLife, 'cutLength')} drilled)`, margin + 5, yPos); yPos += lineHeight;
+            }
+            yPos += 5;
+        }
+        
+        // Threading
+        if (threading) {
+            const tapping = getOperationMode(params) === 'tapping';
+            checkNewPage(60);
+            doc.setFontSize(14);
+            doc.setTextColor(30, 41, 59);
+            doc.text(tapping ? 'Tapping' : 'Thread Milling', margin, yPos);
+            yPos += 8;
+            doc.setFontSize(10);
+            doc.text(`Thread: ${threading.thread.designation.replace('×', 'x')} ${threading.thread.threadType}, pitch ${formatQuantity(threading.thread.pitch, 'length')}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Standard: ${threading.thread.standardName}`, margin + 5, yPos); yPos += lineHeight;
+            if (threading.thread.threadType === 'internal') { doc.text(`Tap Drill: ${formatQuantity(threading.thread.tapDrill, 'length')}`, margin + 5, yPos); yPos += lineHeight; }
+            doc.text(`Thread Length: ${formatQuantity(threading.threadLength, 'length')}, ${threading.threadsPerPart} per part`, margin + 5, yPos); yPos += lineHeight;
+            if (tapping) {
+                doc.text(`Tap: ${threading.thread.tapKind === 'forming' ? 'Forming tap' : 'Cutting tap'}`, margin + 5, yPos); yPos += lineHeight;
+                doc.text(`Tapping Feed (Vf = n x P): ${formatQuantity(threading.feedRateMM, 'feedRate')}`, margin + 5, yPos); yPos += lineHeight;
+                doc.text(`Tapping Torque (Mc): ${formatQuantity(threading.torque, 'torque')}`, margin + 5, yPos); yPos += lineHeight;
+            } else {
+                doc.text(`Programmed Feed (tool centre): ${formatQuantity(threading.programmedFeedRate, 'feedRate')}`, margin + 5, yPos); yPos += lineHeight;
+                doc.text(`Radial Passes: ${threading.passes} x ${formatQuantity(threading.radialDepthPerPass, 'length')}`, margin + 5, yPos); yPos += lineHeight;
+            }
+            doc.text(`Cycle Time per Thread: ${(threading.cycleTimePerThread * 60).toFixed(1)} s (${(threading.cuttingTimePerThread * 60).toFixed(1)} s cutting)`, margin + 5, yPos); yPos += lineHeight;
+            if (threading.costPerThread !== null) {
+                doc.text(`Cost per Thread: ${formatCurrency(threading.costPerThread, 'code')} (${threading.threadsPerToolLife} per tool life)`, margin + 5, yPos); yPos += lineHeight;
+            }
+            yPos += 5;
+        }
+        
+        // Face Milling
+        if (faceMilling) {
+            checkNewPage(60);
+            doc.setFontSize(14);
+            doc.setTextColor(30, 41, 59);
+            doc.text('Face Milling', margin, yPos);
+            yPos += 8;
+            doc.setFontSize(10);
+            doc.text(`Entering Angle: ${faceMilling.enteringAngle.toFixed(0)}°${params.enteringAngle === 'round' ? ` (round inserts iC ${formatQuantity(params.roundInsertDiameter, 'length')})` : ''}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Cutter Position: ${faceMilling.cutterOffset === 0 ? 'Centred' : `Offset ${formatQuantity(faceMilling.cutterOffset, 'length')} towards entry`}, ae/D = ${faceMilling.radialRatio.toFixed(2)}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Engagement Arc: ${faceMilling.entryAngle.toFixed(0)}° to ${faceMilling.exitAngle.toFixed(0)}° (${faceMilling.teethInCut.toFixed(2)} inserts in cut)`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Entry / Exit Chip Thickness: ${formatQuantity(faceMilling.entryChipThickness, 'length')} / ${formatQuantity(faceMilling.exitChipThickness, 'length')}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Surface Roughness (Ra): ${formatQuantity(faceMilling.surfaceFinish, 'roughness')} (${faceMilling.wiperEffective ? 'wiper insert' : `corner radius ${formatQuantity(faceMilling.cornerRadius, 'length')}`})`, margin + 5, yPos); yPos += lineHeight;
+            if (faceMilling.faceLength > 0) {
+                doc.text(`Face Milling Time per Part: ${faceMilling.cycleTimePerPart.toFixed(2)} min (${faceMilling.passesPerPart} x ${formatQuantity(faceMilling.passLength, 'length')})`, margin + 5, yPos); yPos += lineHeight;
+                if (faceMilling.passesPerToolLife !== null) {
+                    doc.text(`Tool Life: ${faceMilling.passesPerToolLife} passes (${formatQuantity(faceMilling.metersPerToolLife, 'cutLength')} face milled)`, margin + 5, yPos); yPos += lineHeight;
+                }
+            }
+            yPos += 5;
+        }
+        
+        // Turning
+        if (turning) {
+            checkNewPage(60);
+            doc.setFontSize(14);
+            doc.setTextColor(30, 41, 59);
+            doc.text('Turning', margin, yPos);
+            yPos += 8;
+            doc.setFontSize(10);
+            doc.text(`Workpiece Diameter (Dw): ${formatQuantity(turning.workpieceDiameter, 'length')}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Spindle Speed: ${formatNumber(turning.spindleSpeed, 'RPM')} (${turning.constantSurfaceSpeed ? 'G96 constant surface speed' : 'G97 fixed RPM'}${turning.maxSpindleSpeed > 0 ? `, limit ${Math.round(turning.maxSpindleSpeed)} RPM` : ''})`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Lead Angle / Nose Radius: ${turning.leadAngle}° / ${formatQuantity(turning.noseRadius, 'length')}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Feed / Passive Force (Ff / Fp): ${formatQuantity(turning.feedForce, 'force')} / ${formatQuantity(turning.passiveForce, 'force')}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Theoretical Rz: ${formatQuantity(turning.profileDepth, 'roughness')}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`${turning.facing ? 'Facing' : 'Longitudinal Turning'}: ${turning.passes} x ${formatQuantity(turning.passDepth, 'length')}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Turning Time per Part: ${turning.cycleTimePerPart.toFixed(2)} min (${turning.cuttingTimePerPart.toFixed(2)} min cutting)`, margin + 5, yPos); yPos += lineHeight;
+            if (turning.partsPerToolLife !== null) {
+                doc.text(`Tool Life: ${turning.partsPerToolLife} parts per cutting edge`, margin + 5, yPos); yPos += lineHeight;
+            }
+            yPos += 5;
+        }
+        
+        // Ball nose / corner radius engagement
+        if (profileMilling) {
+            checkNewPage(40);
+            doc.setFontSize(14);
+            doc.setTextColor(30, 41, 59);
+            doc.text(`${profileMilling.ballNose ? 'Ball Nose' : 'Corner Radius'} Engagement`, margin, yPos);
+            yPos += 8;
+            doc.setFontSize(10);
+            doc.text(profileMilling.ballNose ? `Tilt Angle: ${profileMilling.tiltAngle}°` : `Corner Radius: ${formatQuantity(profileMilling.profileRadius, 'length')}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Effective Cutting Diameter (De): ${formatQuantity(profileMilling.effectiveDiameter, 'length')} at ap ${formatQuantity(params.depthOfCut, 'length')}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Corrected Spindle Speed: ${formatNumber(profileMilling.spindleSpeed, 'RPM')} (nominal diameter: ${formatNumber(profileMilling.nominalSpindleSpeed, 'RPM')})`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Scallop Height: ${formatQuantity(profileMilling.scallopHeight * 1000, 'roughness')} at ae ${formatQuantity(params.widthOfCut, 'length')} (feed marks ${formatQuantity(profileMilling.feedScallopHeight * 1000, 'roughness')})`, margin + 5, yPos); yPos += lineHeight;
+            yPos += 5;
+        }
+        
+        // Side wall and floor finish
+        if (millingFinish) {
+            checkNewPage(40);
+            doc.setFontSize(14);
+            doc.setTextColor(30, 41, 59);
+            doc.text('Side Wall and Floor Finish', margin, yPos);
+            yPos += 8;
+            doc.setFontSize(10);
+            doc.text(`Runout (TIR): ${formatQuantity(millingFinish.runout, 'deflection')}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Side Wall: Ra ${formatQuantity(millingFinish.wallRa, 'roughness')}, Rz ${formatQuantity(millingFinish.wallRz, 'roughness')} (without runout: Rz ${formatQuantity(millingFinish.idealWallRz, 'roughness')})`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Floor: Ra ${formatQuantity(millingFinish.floorRa, 'roughness')}, Rz ${formatQuantity(millingFinish.floorRz, 'roughness')}${millingFinish.wiperEffective ? ' (wiper flat)' : ''}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Feed per Tooth for Ra ${formatQuantity(millingFinish.targetRoughness, 'roughness')}: ${millingFinish.targetFeedRate !== null ? `max ${formatQuantity(millingFinish.targetFeedRate, 'feedPerTooth')} on the ${millingFinish.surface === 'floor' ? 'floor' : 'side wall'}` : 'Not reachable'}`, margin + 5, yPos); yPos += lineHeight;
+            if (millingFinish.axialWaviness !== null) {
+                doc.text(`Wall Waviness Along the Axis: up to ${formatQuantity(millingFinish.axialWaviness, 'roughness')} (${(millingFinish.loadVariation * 100).toFixed(0)}% load variation)`, margin + 5, yPos); yPos += lineHeight;
+            }
+            yPos += 5;
+        }
+        
+        // Tool deflection
+        if (stiffness) {
+            checkNewPage(40);
+            doc.setFontSize(14);
+            doc.setTextColor(30, 41, 59);
+            doc.text('Tool Deflection', margin, yPos);
+            yPos += 8;
+            doc.setFontSize(10);
+            doc.text(`Stick-out: ${formatQuantity(stiffness.stickout, 'length')} (${stiffness.stickoutRatio.toFixed(1)} x D), ${formatQuantity(stiffness.fluteLength, 'length')} flutes, ${formatQuantity(stiffness.shankDiameter, 'length')} shank / neck`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Tool Holder: ${stiffness.holder.name}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Static Deflection: ${formatQuantity(stiffness.deflection, 'deflection')}${stiffness.tolerance > 0 ? ` of ${formatQuantity(stiffness.tolerance, 'deflection')} tolerance${stiffness.exceedsTolerance ? ' - EXCEEDED' : ''}` : ''}`, margin + 5, yPos); yPos += lineHeight;
+            if (stiffness.exceedsTolerance) {
+                doc.text(`Stick-out within Tolerance: ${formatQuantity(stiffness.maxStickout, 'length')}`, margin + 5, yPos); yPos += lineHeight;
+            }
+            yPos += 5;
+        }
+        
+        // Machine Limits
+        if (machineProfile) {
+            checkNewPage(10 + machineChecks.length * 10);
+            doc.setFontSize(14);
+            doc.setTextColor(30, 41, 59);
+            doc.text(`Machine Limits - ${machineProfile.name}`, margin, yPos);
+            yPos += 8;
+            doc.setFontSize(10);
+            if (machineProfile.holderInterface) { doc.text(`Tool Holder Interface: ${machineProfile.holderInterface}`, margin + 5, yPos); yPos += lineHeight; }
+            machineChecks.forEach(check => {
+                doc.setTextColor(...(check.status === 'exceeded' ? [239, 68, 68] : check.status === 'warning' ? [245, 158, 11] : [30, 41, 59]));
+                doc.text(`${check.label}: ${formatMachineLimitValue(check.required, check.quantity)} of ${formatMachineLimitValue(check.available, check.quantity)} (${(check.utilisation * 100).toFixed(0)}%)`, margin + 5, yPos); yPos += lineHeight;
+                if (check.suggestion) {
+                    doc.setFontSize(9);
+                    doc.text(check.suggestion.replace(/<\/?sub>/g, ''), margin + 10, yPos); yPos += lineHeight;
+                    doc.setFontSize(10);
+                }
+            });
+            doc.setTextColor(30, 41, 59);
+        }
         
         // Surface Quality
         checkNewPage(10);
@@ -4627,7 +11690,7 @@ async function downloadReportPDF() {
         doc.text('Surface Quality', margin, yPos);
         yPos += 8;
         doc.setFontSize(10);
-        doc.text(`Surface Roughness (Ra): ${formatNumber(surfaceFinish, 'μm')}`, margin + 5, yPos); yPos += 5;
+        doc.text(`Surface Roughness (Ra): ${formatQuantity(surfaceFinish, 'roughness')}`, margin + 5, yPos); yPos += 5;
         
         // Time Parameters
         checkNewPage(15);
@@ -4642,8 +11705,8 @@ async function downloadReportPDF() {
             ? params.machiningTime 
             : (params.processingTime + (params.toolChangeTime || 0));
         doc.text(`Total Machining Time: ${machiningTime} min`, margin + 5, yPos); yPos += lineHeight;
-        if (params.machineHourlyRate) { doc.text(`Machine Rate: ${formatCurrency(params.machineHourlyRate)}/hour`, margin + 5, yPos); yPos += lineHeight; }
-        if (params.toolChangeCost > 0) { doc.text(`Tool Change Cost: ${formatCurrency(params.toolChangeCost)}`, margin + 5, yPos); yPos += lineHeight; }
+        if (params.machineHourlyRate) { doc.text(`Machine Rate: ${formatCurrency(params.machineHourlyRate, 'code')}/hour`, margin + 5, yPos); yPos += lineHeight; }
+        if (params.toolChangeCost > 0) { doc.text(`Tool Change Cost: ${formatCurrency(params.toolChangeCost, 'code')}`, margin + 5, yPos); yPos += lineHeight; }
         yPos += 5;
         
         // Cost Analysis
@@ -4658,23 +11721,24 @@ async function downloadReportPDF() {
         yPos += 10;
         doc.setFontSize(12);
         doc.setTextColor(37, 99, 235);
-        doc.text(`Total Cost per Part: ${formatCurrency(costResults.totalCostPerPart)}`, margin + 5, yPos);
+        doc.text(`Total Cost per Part: ${formatCurrency(costResults.totalCostPerPart, 'code')}`, margin + 5, yPos);
         yPos += 8;
         doc.setFontSize(10);
         doc.setTextColor(0, 0, 0);
-        doc.text(`Tool Cost per Part: ${formatCurrency(costResults.toolCostPerPart)}`, margin + 5, yPos); yPos += lineHeight;
-        if (costResults.processingCostPerPart) { doc.text(`Processing Cost: ${formatCurrency(costResults.processingCostPerPart)}`, margin + 5, yPos); yPos += lineHeight; }
-        doc.text(`Machining Cost per Part: ${formatCurrency(costResults.machiningCostPerPart)}`, margin + 5, yPos); yPos += lineHeight;
-        if (costResults.toolChangeCostPerPart > 0) { doc.text(`Tool Change Cost: ${formatCurrency(costResults.toolChangeCostPerPart)}`, margin + 5, yPos); yPos += lineHeight; }
+        doc.text(`Tool Cost per Part: ${formatCurrency(costResults.toolCostPerPart, 'code')}`, margin + 5, yPos); yPos += lineHeight;
+        if (costResults.processingCostPerPart) { doc.text(`Processing Cost: ${formatCurrency(costResults.processingCostPerPart, 'code')}`, margin + 5, yPos); yPos += lineHeight; }
+        doc.text(`Machining Cost per Part: ${formatCurrency(costResults.machiningCostPerPart, 'code')}`, margin + 5, yPos); yPos += lineHeight;
+        if (costResults.toolChangeCostPerPart > 0) { doc.text(`Tool Change Cost: ${formatCurrency(costResults.toolChangeCostPerPart, 'code')}`, margin + 5, yPos); yPos += lineHeight; }
+        if (costResults.coolantCostPerPart > 0) { doc.text(`Coolant Cost: ${formatCurrency(costResults.coolantCostPerPart, 'code')}`, margin + 5, yPos); yPos += lineHeight; }
         if (params.batchSize > 1) {
             yPos += 3;
             doc.setFontSize(11);
             doc.setTextColor(30, 41, 59);
-            doc.text(`Batch Cost (${params.batchSize} parts): ${formatCurrency(costResults.totalBatchCost)}`, margin + 5, yPos);
+            doc.text(`Batch Cost (${params.batchSize} parts): ${formatCurrency(costResults.totalBatchCost, 'code')}`, margin + 5, yPos);
             yPos += lineHeight;
             doc.setFontSize(10);
-            doc.text(`Tool Cost for Batch: ${formatCurrency(costResults.totalToolCostForBatch)}`, margin + 5, yPos); yPos += lineHeight;
-            doc.text(`Machining Cost for Batch: ${formatCurrency(costResults.totalMachiningCostForBatch)}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Tool Cost for Batch: ${formatCurrency(costResults.totalToolCostForBatch, 'code')}`, margin + 5, yPos); yPos += lineHeight;
+            doc.text(`Machining Cost for Batch: ${formatCurrency(costResults.totalMachiningCostForBatch, 'code')}`, margin + 5, yPos); yPos += lineHeight;
         }
         yPos += 5;
         
@@ -4693,7 +11757,7 @@ async function downloadReportPDF() {
         doc.text(`Parts per Tool Life: ${costResults.partsPerToolLife} parts`, margin + 5, yPos); yPos += lineHeight;
         if (costResults.toolChangesPerToolLife > 0) { doc.text(`Tool Changes: ${costResults.toolChangesPerToolLife}`, margin + 5, yPos); yPos += lineHeight; }
         doc.text(`Taylor's Constant (C): ${formatNumber(taylorConstant, '')}`, margin + 5, yPos); yPos += lineHeight;
-        doc.text(`Taylor Exponent (n): 0.2`, margin + 5, yPos); yPos += 5;
+        doc.text(`Taylor Exponent (n): ${describeTaylorExponent(taylorParameters)}`, margin + 5, yPos); yPos += 5;
         
         // OEE Analysis
         checkNewPage(30);
@@ -4716,8 +11780,8 @@ async function downloadReportPDF() {
         doc.text(`  Performance: ${oeeResults.performance.toFixed(1)}% (Loss: ${oeeResults.performanceLoss.toFixed(1)}%)`, margin + 10, yPos); yPos += lineHeight;
         doc.text(`  Quality: ${oeeResults.quality.toFixed(1)}% (Defects: ${params.defectsRate || 2}%)`, margin + 10, yPos); yPos += lineHeight + 3;
         doc.text('OEE Impact Factors:', margin + 5, yPos); yPos += lineHeight;
-        doc.text(`  Tool Change: ${(oeeResults.toolChangeImpact.downtime * 60).toFixed(2)} min/part, ${formatCurrency(oeeResults.toolChangeImpact.cost)}/part`, margin + 10, yPos); yPos += lineHeight;
-        doc.text(`  Speed: ${params.cuttingSpeed} m/min${oeeResults.speedImpact.toolLifeReduction > 0 ? ` (Tool life reduction: ${(oeeResults.speedImpact.toolLifeReduction * 100).toFixed(1)}%)` : ''}`, margin + 10, yPos); yPos += lineHeight;
+        doc.text(`  Tool Change: ${(oeeResults.toolChangeImpact.downtime * 60).toFixed(2)} min/part, ${formatCurrency(oeeResults.toolChangeImpact.cost, 'code')}/part`, margin + 10, yPos); yPos += lineHeight;
+        doc.text(`  Speed: ${formatInputQuantity(params.cuttingSpeed, 'cuttingSpeed')}${oeeResults.speedImpact.toolLifeReduction > 0 ? ` (Tool life reduction: ${(oeeResults.speedImpact.toolLifeReduction * 100).toFixed(1)}%)` : ''}`, margin + 10, yPos); yPos += lineHeight;
         doc.text(`  Tool Life: ${toolLife} min, ${oeeResults.partsPerToolLife} parts/tool life`, margin + 10, yPos); yPos += lineHeight;
         doc.text(`  Downtime: ${oeeResults.downtimePerPart.toFixed(2)} min/part`, margin + 10, yPos); yPos += lineHeight;
         doc.text(`  Defects Rate: ${params.defectsRate || 2}%`, margin + 10, yPos); yPos += 5;
@@ -4774,7 +11838,7 @@ async function downloadReportPDF() {
             toolComparisons.forEach((tool, index) => {
                 checkNewPage(15);
                 doc.text(`Tool ${index + 1}: ${tool.name}`, margin + 5, yPos); yPos += lineHeight;
-                doc.text(`  Cost/Part: ${formatCurrency(tool.totalCostPerPart)} | Life: ${tool.toolLife} min | MRR: ${formatNumber(tool.mrr, 'mm³/min')}`, margin + 5, yPos); yPos += lineHeight + 2;
+                doc.text(`  Cost/Part: ${formatCurrency(tool.totalCostPerPart, 'code')} | Life: ${tool.toolLife} min | MRR: ${formatQuantity(tool.mrr, 'mrr')}`, margin + 5, yPos); yPos += lineHeight + 2;
             });
             
             if (toolComparisons.length >= 2) {
@@ -4792,9 +11856,29 @@ async function downloadReportPDF() {
                 doc.text('Potential Savings', margin, yPos);
                 yPos += 8;
                 doc.setFontSize(10);
-                doc.text(`Best Tool: ${bestTool.name} (${formatCurrency(bestTool.totalCostPerPart)}/part)`, margin + 5, yPos); yPos += lineHeight;
-                doc.text(`Savings per Part: ${formatCurrency(costDifference)} (${costSavingsPercent}%)`, margin + 5, yPos); yPos += lineHeight;
-                if (batchSize > 1) { doc.text(`Savings per Batch: ${formatCurrency(savingsPerBatch)}`, margin + 5, yPos); yPos += lineHeight; }
+                doc.text(`Best Tool: ${bestTool.name} (${formatCurrency(bestTool.totalCostPerPart, 'code')}/part)`, margin + 5, yPos); yPos += lineHeight;
+                doc.text(`Savings per Part: ${formatCurrency(costDifference, 'code')} (${costSavingsPercent}%)`, margin + 5, yPos); yPos += lineHeight;
+                if (batchSize > 1) { doc.text(`Savings per Batch: ${formatCurrency(savingsPerBatch, 'code')}`, margin + 5, yPos); yPos += lineHeight; }
+                
+                const roi = getToolSwitchROI(params);
+                if (roi) {
+                    checkNewPage(40);
+                    yPos += 4;
+                    doc.setFontSize(14);
+                    doc.setTextColor(30, 41, 59);
+                    doc.text('Tool Switch ROI', margin, yPos);
+                    yPos += 8;
+                    doc.setFontSize(10);
+                    if (roi.currentIsBest) {
+                        doc.text(`The current tool (${roi.currentTool.name}) already has the lowest cost per part.`, margin + 5, yPos); yPos += lineHeight;
+                    } else {
+                        doc.text(`Switch: ${roi.currentTool.name} -> ${roi.newTool.name}`, margin + 5, yPos); yPos += lineHeight;
+                        doc.text(`Annual Savings: ${formatCurrency(roi.annualSavings, 'code')} (${roi.partsPerYear} parts/year)`, margin + 5, yPos); yPos += lineHeight;
+                        doc.text(`Trial / Switch Cost: ${formatCurrency(roi.trialCost, 'code')} | Payback: ${formatPaybackPeriod(roi)}`, margin + 5, yPos); yPos += lineHeight;
+                        doc.text(`NPV (${roi.evaluationYears} years at ${roi.discountRate}%): ${formatCurrency(roi.npv, 'code')}`, margin + 5, yPos); yPos += lineHeight;
+                        doc.text(`Machine Hours ${roi.hoursFreedPerYear >= 0 ? 'Freed' : 'Added'} per Year: ${Math.abs(roi.hoursFreedPerYear).toFixed(1)} h`, margin + 5, yPos); yPos += lineHeight;
+                    }
+                }
                 
                 // Add comparison charts to PDF
                 const includeCharts = document.getElementById('includeCharts')?.checked;
@@ -4965,11 +12049,64 @@ function validateInputs(params) {
     if (!params.feedRate || params.feedRate <= 0) {
         errors.push('Feed per tooth must be greater than 0');
     }
-    if (!params.depthOfCut || params.depthOfCut <= 0) {
-        errors.push('Depth of cut must be greater than 0');
+    const operationMode = getOperationMode(params);
+    if (operationMode === 'drilling') {
+        if (!params.holeDepth || params.holeDepth <= 0) {
+            errors.push('Hole depth must be greater than 0');
+        }
+    } else if (isThreadingOperation(operationMode)) {
+        if (!params.threadLength || params.threadLength <= 0) {
+            errors.push('Thread length must be greater than 0');
+        }
+        const thread = getThreadGeometry(params);
+        if (operationMode === 'threadMilling' && thread.threadType === 'internal' && params.toolDiameter >= thread.tapDrill) {
+            errors.push(`Thread mill diameter must be smaller than the ${thread.designation} tap drill (${formatQuantity(thread.tapDrill, 'length')})`);
+        }
+    } else if (operationMode === 'turning') {
+        if (!params.workpieceDiameter || params.workpieceDiameter <= 0) {
+            errors.push('Workpiece diameter must be greater than 0');
+        }
+        if (!params.depthOfCut || params.depthOfCut <= 0) {
+            errors.push('Depth of cut must be greater than 0');
+        } else if (params.depthOfCut >= params.workpieceDiameter / 2) {
+            errors.push(`Depth of cut must be less than the workpiece radius (${formatQuantity(params.workpieceDiameter / 2, 'length')})`);
+        }
+        if (params.turningOperation === 'facing') {
+            if (params.faceInnerDiameter >= params.workpieceDiameter) {
+                errors.push('Face inner diameter must be smaller than the workpiece diameter');
+            }
+        } else {
+            if (!params.finalDiameter || params.finalDiameter >= params.workpieceDiameter) {
+                errors.push('Final diameter must be greater than 0 and smaller than the workpiece diameter');
+            }
+            if (!params.turningLength || params.turningLength <= 0) {
+                errors.push('Turning length must be greater than 0');
+            }
+        }
+    } else {
+        if (!params.depthOfCut || params.depthOfCut <= 0) {
+            errors.push('Depth of cut must be greater than 0');
+        }
+        if (!params.widthOfCut || params.widthOfCut <= 0) {
+            errors.push('Width of cut must be greater than 0');
+        }
+        if (isProfileMillingTool(params) && params.toolType === 'cornerRadiusEndMill' && params.toolCornerRadius > params.toolDiameter / 2) {
+            errors.push(`Corner radius must not exceed half the tool diameter (${formatQuantity(params.toolDiameter / 2, 'length')})`);
+        }
+        if (hasMillingFinishModel(params) && (params.toolRunout < 0 || params.endWiperLength < 0)) {
+            errors.push('Runout and end wiper flat length cannot be negative');
+        }
+        if (operationMode === 'faceMilling' && params.enteringAngle === 'round' && params.depthOfCut > params.roundInsertDiameter / 2) {
+            errors.push(`Depth of cut must not exceed half the round insert diameter (${formatQuantity(params.roundInsertDiameter / 2, 'length')})`);
+        }
     }
-    if (!params.widthOfCut || params.widthOfCut <= 0) {
-        errors.push('Width of cut must be greater than 0');
+    if (hasToolStickout(operationMode) && params.toolStickout > 0) {
+        if (params.fluteLength > params.toolStickout) {
+            errors.push('Tool stick-out must be at least the flute length - the flutes cannot be clamped');
+        }
+        if (operationMode === 'milling' && params.fluteLength > 0 && params.depthOfCut > params.fluteLength) {
+            errors.push(`Depth of cut must not exceed the flute length (${formatQuantity(params.fluteLength, 'length')})`);
+        }
     }
     if (!params.numberOfTeeth || params.numberOfTeeth <= 0) {
         errors.push('Number of teeth must be greater than 0');
@@ -5029,9 +12166,38 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }, 150);
     
+    // Initialize unit system and libraries before the default form state is captured
+    initializeMaterialLibrary();
+    initializeUnitSystem();
+    initializeCurrency();
+    initializeCoolant();
+    initializeMachineProfiles();
+    initializeOperationSections();
+    
+    // Initialize project workspace and autosave
+    initializeProjectWorkspace();
+    initializeSessionTransfer();
+    
     // Initialize report generation
     initializeReportGeneration();
     
+    // Initialize wear test logging
+    initializeWearTest();
+    
+    // Initialize tool life calibration
+    initializeTaylorCalibration();
+    
+    // Initialize multi-parameter optimization
+    initializeParameterOptimizer();
+    
+    // Initialize chatter stability lobes
+    initializeStabilityLobes();
+    
+    // Refresh the tool switch ROI when the production volume or investment inputs change
+    ['partsPerYear', 'trialCost', 'discountRate', 'evaluationYears'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', calculateAndDisplaySavings);
+    });
+    
     // Calculate button with enhanced feedback
     const calculateBtn = document.getElementById('calculateBtn');
     if (!calculateBtn) {